@@ -7,16 +7,20 @@ import { common } from './music21/common.js';
 import { prebase } from './music21/prebase.js';
 import { base } from './music21/base.js';
 
+import { analysis } from './music21/analysis.js';
 import { articulations } from './music21/articulations.js';
 import { audioRecording } from './music21/audioRecording.js';
 import { audioSearch } from './music21/audioSearch.js';
+import { bar } from './music21/bar.js';
 import { beam } from './music21/beam.js';
 import { chord } from './music21/chord.js';
+import { chordTables } from './music21/chordTables.js';
 import { clef } from './music21/clef.js';
 import { duration } from './music21/duration.js';
 import { dynamics } from './music21/dynamics.js';
 import { expressions } from './music21/expressions.js';
 import { figuredBass } from './music21/figuredBass.js';
+import { freezeThaw } from './music21/freezeThaw.js';
 import { fromPython } from './music21/fromPython.js';
 import { harmony } from './music21/harmony.js';
 import { instrument } from './music21/instrument.js';
@@ -24,19 +28,24 @@ import { interval } from './music21/interval.js';
 import { key } from './music21/key.js';
 import { keyboard } from './music21/keyboard.js';
 import { layout } from './music21/layout.js';
+import { metadata } from './music21/metadata.js';
 import { meter } from './music21/meter.js';
+import { midi } from './music21/midi.js';
 import { miditools } from './music21/miditools.js';
 import { musicxml } from './music21/musicxml.js';
 import { note } from './music21/note.js';
 import { pitch } from './music21/pitch.js';
+import { playback } from './music21/playback.js';
 import { renderOptions } from './music21/renderOptions.js';
 import { roman } from './music21/roman.js';
 import { scale } from './music21/scale.js';
 import { sites } from './music21/sites.js';
+import { spanner } from './music21/spanner.js';
 import { stream } from './music21/stream.js';
 import { tempo } from './music21/tempo.js';
 import { tie } from './music21/tie.js';
 import { tinyNotation } from './music21/tinyNotation.js';
+import { tuning } from './music21/tuning.js';
 import { voiceLeading } from './music21/voiceLeading.js';
 import { vfShow } from './music21/vfShow.js';
 import { webmidi } from './music21/webmidi.js';
@@ -47,17 +56,21 @@ const music21 = {
     prebase,
     base,
 
+    analysis,
     articulations,
     audioRecording,
     audioSearch,
+    bar,
     beam,
     chord,
+    chordTables,
     clef,
     dynamics,
     duration,
     exceptions21,
     expressions,
     figuredBass,
+    freezeThaw,
     fromPython,
     harmony,
     instrument,
@@ -65,24 +78,32 @@ const music21 = {
     key,
     keyboard,
     layout,
+    metadata,
     meter,
+    midi,
     miditools,
     musicxml,
     note,
     pitch,
+    playback,
     renderOptions,
     roman,
     scale,
     sites,
+    spanner,
     stream,
     tempo,
     tie,
     tinyNotation,
+    tuning,
     voiceLeading,
     vfShow,
     webmidi,
 };
 
 music21.Music21Object = base.Music21Object;
+music21.fromJSON = function fromJSON(data) {
+    return freezeThaw.fromJSON(data, music21);
+};
 
 export default music21;
@@ -0,0 +1,352 @@
+/**
+ * music21j -- Javascript reimplementation of Core music21p features.
+ * music21/analysis -- key finding and other analytical routines
+ *
+ * Copyright (c) 2013-18, Michael Scott Cuthbert and cuthbertLab
+ * Based on music21 (=music21p), Copyright (c) 2006–18, Michael Scott Cuthbert and cuthbertLab
+ *
+ */
+import { Music21Exception } from './exceptions21.js';
+
+import { key } from './key.js';
+import { pitch } from './pitch.js';
+import { prebase } from './prebase.js';
+
+/**
+ * Analysis module. See {@link music21.analysis} namespace
+ *
+ * @exports music21/analysis
+ */
+/**
+ * Analytical routines that find a single solution (such as a key) for a
+ * Stream.  Usually called through {@link music21.stream.Stream#analyze}.
+ *
+ * Corresponds to the analysis.discrete module of music21p.
+ *
+ * @namespace music21.analysis
+ * @memberof music21
+ * @requires music21/key
+ * @requires music21/pitch
+ * @requires music21/prebase
+ */
+export const analysis = {};
+
+export class AnalysisException extends Music21Exception {}
+analysis.AnalysisException = AnalysisException;
+
+/**
+ * Parent class for analytical methods that find one solution for a Stream.
+ *
+ * @class DiscreteAnalysis
+ * @memberof music21.analysis
+ * @extends music21.prebase.ProtoM21Object
+ * @property {string} name - a readable name for the method
+ * @property {Array<string>} identifiers - names that can be given to
+ *     {@link music21.stream.Stream#analyze} to choose this method
+ */
+export class DiscreteAnalysis extends prebase.ProtoM21Object {
+    constructor() {
+        super();
+        this.name = 'Discrete Analysis';
+        this.identifiers = [];
+    }
+
+    /**
+     * @memberof music21.analysis.DiscreteAnalysis
+     * @param {music21.stream.Stream} s
+     * @returns {*} the solution for the Stream
+     */
+    getSolution(s) {
+        throw new AnalysisException(
+            'DiscreteAnalysis subclasses must define getSolution'
+        );
+    }
+}
+analysis.DiscreteAnalysis = DiscreteAnalysis;
+
+/**
+ * Finds the key of a Stream by comparing the total duration of each pitch
+ * class with a profile of weights for each major and minor key
+ * (the Krumhansl-Schmuckler algorithm).  Subclasses give the weights.
+ *
+ * The Key found has a `correlationCoefficient` (from -1 to 1) and
+ * `alternateInterpretations`: the other 23 keys, best first, each with its
+ * own `correlationCoefficient`.
+ *
+ * @class KeyWeightKeyAnalysis
+ * @memberof music21.analysis
+ * @extends music21.analysis.DiscreteAnalysis
+ */
+export class KeyWeightKeyAnalysis extends DiscreteAnalysis {
+    constructor() {
+        super();
+        this.name = 'KeyWeightKeyAnalysis Base Class';
+    }
+
+    /**
+     * @memberof music21.analysis.KeyWeightKeyAnalysis
+     * @param {string} [weightType='major'] - 'major' or 'minor'
+     * @returns {Array<number>} twelve weights, starting from the tonic
+     */
+    getWeights(weightType = 'major') {
+        throw new AnalysisException(
+            'KeyWeightKeyAnalysis subclasses must define getWeights'
+        );
+    }
+
+    /**
+     * Returns the total quarterLength of each pitch class in the notes and
+     * chords of the Stream and its substreams.
+     *
+     * @memberof music21.analysis.KeyWeightKeyAnalysis
+     * @param {music21.stream.Stream} s
+     * @returns {Array<number>} twelve totals, starting from C
+     */
+    getPitchClassDistribution(s) {
+        const pcDist = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+        for (const n of s.flat.notes) {
+            const pitches = n.isChord ? n.pitches : [n.pitch];
+            for (const p of pitches) {
+                const pc = ((Math.round(p.ps) % 12) + 12) % 12;
+                pcDist[pc] += n.duration.quarterLength;
+            }
+        }
+        return pcDist;
+    }
+
+    /**
+     * The Pearson correlation of a pitch class distribution with the
+     * weights of one key.
+     *
+     * @memberof music21.analysis.KeyWeightKeyAnalysis
+     * @param {Array<number>} pcDist - from getPitchClassDistribution
+     * @param {Int} tonicPitchClass - 0 = C, 1 = C#, etc.
+     * @param {string} [mode='major']
+     * @returns {number|undefined} undefined if every pitch class has the same total
+     */
+    correlationForKey(pcDist, tonicPitchClass, mode = 'major') {
+        const weights = this.getWeights(mode);
+        const rotated = pcDist.map((unused, pc) => weights[(pc - tonicPitchClass + 12) % 12]);
+        const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+        const distMean = mean(pcDist);
+        const weightMean = mean(rotated);
+        let top = 0;
+        let distSquares = 0;
+        let weightSquares = 0;
+        for (let pc = 0; pc < 12; pc++) {
+            const distDiff = pcDist[pc] - distMean;
+            const weightDiff = rotated[pc] - weightMean;
+            top += distDiff * weightDiff;
+            distSquares += distDiff * distDiff;
+            weightSquares += weightDiff * weightDiff;
+        }
+        if (distSquares === 0) {
+            return undefined;
+        }
+        return top / Math.sqrt(distSquares * weightSquares);
+    }
+
+    /**
+     * Returns the most likely Key for the Stream, or undefined if the Stream
+     * has no pitches (or uses all twelve pitch classes equally).
+     *
+     * @memberof music21.analysis.KeyWeightKeyAnalysis
+     * @param {music21.stream.Stream} s
+     * @returns {music21.key.Key|undefined}
+     */
+    getSolution(s) {
+        const pcDist = this.getPitchClassDistribution(s);
+        const results = [];
+        for (const mode of ['major', 'minor']) {
+            for (let pc = 0; pc < 12; pc++) {
+                const r = this.correlationForKey(pcDist, pc, mode);
+                if (r === undefined) {
+                    return undefined;
+                }
+                results.push([r, pc, mode]);
+            }
+        }
+        results.sort((a, b) => b[0] - a[0]);
+        const keys = results.map(([r, pc, mode]) => {
+            const k = new key.Key(analysis.keyNameForPitchClass(pc, mode), mode);
+            k.correlationCoefficient = r;
+            return k;
+        });
+        const bestKey = keys[0];
+        bestKey.alternateInterpretations = keys.slice(1);
+        return bestKey;
+    }
+}
+analysis.KeyWeightKeyAnalysis = KeyWeightKeyAnalysis;
+
+/**
+ * Key finding with the weights of Krumhansl and Kessler (1982), as used by
+ * Krumhansl and Schmuckler.
+ *
+ * @class KrumhanslSchmuckler
+ * @memberof music21.analysis
+ * @extends music21.analysis.KeyWeightKeyAnalysis
+ */
+export class KrumhanslSchmuckler extends KeyWeightKeyAnalysis {
+    constructor() {
+        super();
+        this.name = 'Krumhansl Schmuckler Key Analysis';
+        this.identifiers = [
+            'key.krumhansl',
+            'krumhansl',
+            'key.krumhansl-schmuckler',
+            'krumhansl-schmuckler',
+        ];
+    }
+
+    getWeights(weightType = 'major') {
+        if (weightType === 'major') {
+            return [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+        } else {
+            return [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+        }
+    }
+}
+analysis.KrumhanslSchmuckler = KrumhanslSchmuckler;
+
+/**
+ * Key finding with the weights of Temperley (2007), taken from the
+ * Kostka-Payne harmony textbook excerpts.
+ *
+ * @class TemperleyKostkaPayne
+ * @memberof music21.analysis
+ * @extends music21.analysis.KeyWeightKeyAnalysis
+ */
+export class TemperleyKostkaPayne extends KeyWeightKeyAnalysis {
+    constructor() {
+        super();
+        this.name = 'Temperley Kostka Payne Key Analysis';
+        this.identifiers = [
+            'key.temperley',
+            'temperley',
+            'key.temperley-kostka-payne',
+            'temperley-kostka-payne',
+        ];
+    }
+
+    getWeights(weightType = 'major') {
+        if (weightType === 'major') {
+            return [0.748, 0.060, 0.488, 0.082, 0.670, 0.460, 0.096, 0.715, 0.104, 0.366, 0.057, 0.400];
+        } else {
+            return [0.712, 0.084, 0.474, 0.618, 0.049, 0.460, 0.105, 0.747, 0.404, 0.067, 0.133, 0.330];
+        }
+    }
+}
+analysis.TemperleyKostkaPayne = TemperleyKostkaPayne;
+
+/**
+ * Key finding with the weights of Bellman (2005), from the chord
+ * frequencies of Budge (1943).
+ *
+ * @class BellmanBudge
+ * @memberof music21.analysis
+ * @extends music21.analysis.KeyWeightKeyAnalysis
+ */
+export class BellmanBudge extends KeyWeightKeyAnalysis {
+    constructor() {
+        super();
+        this.name = 'Bellman Budge Key Analysis';
+        this.identifiers = [
+            'key.bellman',
+            'bellman',
+            'key.bellman-budge',
+            'bellman-budge',
+        ];
+    }
+
+    getWeights(weightType = 'major') {
+        if (weightType === 'major') {
+            return [16.80, 0.86, 12.95, 1.41, 13.49, 11.93, 1.25, 20.28, 1.80, 8.04, 0.62, 10.57];
+        } else {
+            return [18.16, 0.69, 12.99, 13.34, 1.07, 11.15, 1.38, 21.07, 7.49, 1.53, 0.92, 10.21];
+        }
+    }
+}
+analysis.BellmanBudge = BellmanBudge;
+
+/**
+ * The analysis classes that {@link music21.analysis.analysisClassFromMethodName}
+ * searches, in order.  The first is used for the method 'key'.
+ *
+ * @memberof music21.analysis
+ */
+analysis.analysisClasses = [
+    KrumhanslSchmuckler,
+    TemperleyKostkaPayne,
+    BellmanBudge,
+];
+
+/**
+ * Returns the analysis class that has `method` as one of its identifiers;
+ * 'key' gives {@link music21.analysis.KrumhanslSchmuckler}.
+ *
+ * @memberof music21.analysis
+ * @param {string} method - such as 'key' or 'key.temperley'
+ * @returns {function|undefined}
+ */
+analysis.analysisClassFromMethodName = function analysisClassFromMethodName(
+    method
+) {
+    const methodLower = method.toLowerCase();
+    if (methodLower === 'key') {
+        return analysis.analysisClasses[0];
+    }
+    for (const AnalysisClass of analysis.analysisClasses) {
+        if (new AnalysisClass().identifiers.includes(methodLower)) {
+            return AnalysisClass;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Analyzes a Stream with the named method.
+ *
+ * @memberof music21.analysis
+ * @param {music21.stream.Stream} s
+ * @param {string} [method='key']
+ * @returns {*} the solution, such as a {@link music21.key.Key}
+ */
+analysis.analyzeStream = function analyzeStream(s, method = 'key') {
+    const AnalysisClass = analysis.analysisClassFromMethodName(method);
+    if (AnalysisClass === undefined) {
+        throw new AnalysisException('No analysis method called ' + method);
+    }
+    return new AnalysisClass().getSolution(s);
+};
+
+/**
+ * The name of the tonic for a key with the given pitch class and mode,
+ * choosing the spelling with the fewest sharps or flats (D- major, but
+ * G# minor).  Minor keys are returned in lower case.
+ *
+ * @memberof music21.analysis
+ * @param {Int} pc - 0 = C, 1 = C#, etc.
+ * @param {string} [mode='major']
+ * @returns {string}
+ * @example
+ * music21.analysis.keyNameForPitchClass(1); // 'D-'
+ * music21.analysis.keyNameForPitchClass(8, 'minor'); // 'g#'
+ */
+analysis.keyNameForPitchClass = function keyNameForPitchClass(pc, mode = 'major') {
+    const p = new pitch.Pitch(pitch.midiToName[pc]);
+    let best = p;
+    if (p.accidental !== undefined) {
+        const other = p.accidental.alter > 0 ? p.getHigherEnharmonic() : p.getLowerEnharmonic();
+        if (
+            Math.abs(key.pitchToSharps(other, mode))
+            < Math.abs(key.pitchToSharps(p, mode))
+        ) {
+            best = other;
+        }
+    }
+    if (mode === 'minor') {
+        return best.name.toLowerCase();
+    }
+    return best.name;
+};
@@ -149,7 +149,7 @@ export class StrongAccent extends Accent {
 articulations.StrongAccent = StrongAccent;
 
 /**
- * no playback for now.
+ * played for half its length
  *
  * @class Staccato
  * @memberof music21.articulations
@@ -160,12 +160,13 @@ export class Staccato extends LengthArticulation {
         super();
         this.name = 'staccato';
         this.vexflowModifier = 'a.';
+        this.lengthScale = 0.5;
     }
 }
 articulations.Staccato = Staccato;
 
 /**
- * no playback for now.
+ * played for a quarter of its length
  *
  * @class Staccatissimo
  * @memberof music21.articulations
@@ -176,12 +177,13 @@ export class Staccatissimo extends Staccato {
         super();
         this.name = 'staccatissimo';
         this.vexflowModifier = 'av';
+        this.lengthScale = 0.25;
     }
 }
 articulations.Staccatissimo = Staccatissimo;
 
 /**
- * no playback or display for now.
+ * no display for now; played like a staccato.
  *
  * @class Spiccato
  * @memberof music21.articulations
@@ -197,6 +199,8 @@ export class Spiccato extends Staccato {
 articulations.Spiccato = Spiccato;
 
 /**
+ * 70% louder than usual and a little detached
+ *
  * @class Marcato
  * @memberof music21.articulations
  * @extends music21.articulations.DynamicArticulation
@@ -209,6 +213,7 @@ export class Marcato extends DynamicArticulation {
         this.name = 'marcato';
         this.vexflowModifier = 'a^';
         this.dynamicScale = 1.7;
+        this.lengthScale = 0.75;
     }
 }
 articulations.Marcato = Marcato;
@@ -1,6 +1,7 @@
 import MIDI from 'MIDI';
 
 import { common } from './common.js';
+import { tuning } from './tuning.js';
 
 /**
  * audioSearch module. See {@link music21.audioSearch} namespace
@@ -12,6 +13,7 @@ import { common } from './common.js';
  * @memberof music21
  * @requires music21/pitch
  * @requires music21/common
+ * @requires music21/tuning
  */
 
 export const audioSearch = {};
@@ -135,6 +137,15 @@ audioSearch.animateLoop = function animateLoop(time) {
     }
 };
 
+/**
+ * The tuning system that detected frequencies are matched against; if
+ * undefined, {@link music21.tuning.getDefaultTuning} is used.
+ *
+ * @memberof music21.audioSearch
+ * @type {music21.tuning.TuningSystem|undefined}
+ */
+audioSearch.tuning = undefined;
+
 audioSearch.pitchSmoothingSize = 40;
 audioSearch.lastPitchClassesDetected = [];
 audioSearch.lastPitchesDetected = [];
@@ -275,16 +286,24 @@ audioSearch.autoCorrelate = function autoCorrelate(
 };
 
 /**
+ * Returns the MIDI number of the pitch nearest to a frequency and the
+ * number of cents the frequency is off from it, in a tuning system
+ * (by default, `audioSearch.tuning` or {@link music21.tuning.getDefaultTuning}).
  *
  * @function midiNumDiffFromFrequency
  * @param {Number} frequency
+ * @param {music21.tuning.TuningSystem} [tuningSystem]
  * @returns {Array<Int>} [miniNumber, centsOff]
  */
 audioSearch.midiNumDiffFromFrequency = function midiNumDiffFromFrequency(
-    frequency
+    frequency,
+    tuningSystem
 ) {
-    const midiNumFloat = 12 * (Math.log(frequency / 440) / Math.log(2)) + 69;
-    const midiNum = Math.round(midiNumFloat);
-    const centsOff = Math.round(100 * (midiNumFloat - midiNum));
-    return [midiNum, centsOff];
+    if (tuningSystem === undefined) {
+        tuningSystem = audioSearch.tuning;
+    }
+    if (tuningSystem === undefined) {
+        tuningSystem = tuning.getDefaultTuning();
+    }
+    return tuningSystem.midiNumDiffFromFrequency(frequency);
 };
@@ -0,0 +1,181 @@
+/**
+ * music21j -- Javascript reimplementation of Core music21p features.
+ * music21/bar -- Barline and Repeat objects
+ *
+ * Copyright (c) 2013-18, Michael Scott Cuthbert and cuthbertLab
+ * Based on music21 (=music21p), Copyright (c) 2006–18, Michael Scott Cuthbert and cuthbertLab
+ *
+ */
+import { Music21Exception } from './exceptions21.js';
+
+import { base } from './base.js';
+
+/**
+ * Bar module. See {@link music21.bar} namespace
+ *
+ * @exports music21/bar
+ */
+/**
+ * Barlines and repeat signs.  Usually found as the `.leftBarline` and
+ * `.rightBarline` of a {@link music21.stream.Measure}.
+ *
+ * @namespace music21.bar
+ * @memberof music21
+ * @requires music21/base
+ */
+export const bar = {};
+
+export class BarException extends Music21Exception {}
+bar.BarException = BarException;
+
+/**
+ * Maps music21 barline types to MusicXML `<bar-style>` values.
+ *
+ * @memberof music21.bar
+ */
+bar.typeToMusicXMLBarStyle = {
+    regular: 'regular',
+    dotted: 'dotted',
+    dashed: 'dashed',
+    heavy: 'heavy',
+    double: 'light-light',
+    final: 'light-heavy',
+    'heavy-light': 'heavy-light',
+    'heavy-heavy': 'heavy-heavy',
+    tick: 'tick',
+    short: 'short',
+    none: 'none',
+};
+
+/**
+ * Returns the music21 name for a barline type, accepting MusicXML
+ * bar-style names such as 'light-heavy' as well.
+ *
+ * @memberof music21.bar
+ * @param {string} [value='regular']
+ * @returns {string}
+ * @example
+ * music21.bar.standardizeBarType('light-light'); // 'double'
+ * music21.bar.standardizeBarType('Final'); // 'final'
+ */
+bar.standardizeBarType = function standardizeBarType(value) {
+    if (value === undefined) {
+        return 'regular';
+    }
+    value = value.toLowerCase();
+    if (bar.typeToMusicXMLBarStyle[value] !== undefined) {
+        return value;
+    }
+    for (const [barType, barStyle] of Object.entries(bar.typeToMusicXMLBarStyle)) {
+        if (barStyle === value) {
+            return barType;
+        }
+    }
+    throw new BarException('cannot process style: ' + value);
+};
+
+/**
+ * A barline.
+ *
+ * @class Barline
+ * @memberof music21.bar
+ * @extends music21.base.Music21Object
+ * @param {string} [type='regular'] - see {@link music21.bar.typeToMusicXMLBarStyle} for the possible types
+ * @param {string} [location] - 'left', 'right', or 'middle'; set automatically when attached to a Measure
+ * @property {string} type
+ * @property {string|undefined} location
+ * @example
+ * var bl = new music21.bar.Barline('light-heavy');
+ * bl.type; // 'final'
+ * bl.musicXMLBarStyle(); // 'light-heavy'
+ */
+export class Barline extends base.Music21Object {
+    constructor(type = 'regular', location) {
+        super();
+        this._type = undefined;
+        this.type = type;
+        this.location = location;
+        this.duration.quarterLength = 0.0;
+    }
+
+    get type() {
+        return this._type;
+    }
+
+    set type(newType) {
+        this._type = bar.standardizeBarType(newType);
+    }
+
+    /**
+     * @memberof music21.bar.Barline
+     * @returns {string} the MusicXML `<bar-style>` for this barline
+     */
+    musicXMLBarStyle() {
+        return bar.typeToMusicXMLBarStyle[this.type];
+    }
+}
+bar.Barline = Barline;
+
+/**
+ * A start or end repeat barline.
+ *
+ * @class Repeat
+ * @memberof music21.bar
+ * @extends music21.bar.Barline
+ * @param {string} [direction='start'] - 'start' or 'end'
+ * @param {Int} [times] - for end repeats, the number of times the repeated
+ *     section is played.  undefined means twice, or once more than the
+ *     highest volta ending when one is present.
+ * @property {string} direction - setting the direction also sets the `type` to
+ *     'heavy-light' (start) or 'final' (end)
+ * @property {Int|undefined} times
+ * @example
+ * var rp = new music21.bar.Repeat('end', 3);
+ * rp.type; // 'final'
+ * rp.times; // 3
+ */
+export class Repeat extends Barline {
+    constructor(direction = 'start', times) {
+        super();
+        this._direction = undefined;
+        this._times = undefined;
+        this.direction = direction;
+        this.times = times;
+    }
+
+    get direction() {
+        return this._direction;
+    }
+
+    set direction(newDirection) {
+        if (newDirection === 'start') {
+            this.type = 'heavy-light';
+        } else if (newDirection === 'end') {
+            this.type = 'final';
+        } else {
+            throw new BarException(
+                'cannot set repeat direction to: ' + newDirection
+            );
+        }
+        this._direction = newDirection;
+    }
+
+    get times() {
+        return this._times;
+    }
+
+    set times(newTimes) {
+        if (newTimes === undefined || newTimes === null) {
+            this._times = undefined;
+            return;
+        }
+        const candidate = parseInt(newTimes);
+        if (Number.isNaN(candidate) || candidate < 0) {
+            throw new BarException(
+                'cannot set repeat times to: ' + newTimes
+            );
+        }
+        this._times = candidate;
+    }
+}
+bar.Repeat = Repeat;
@@ -150,70 +150,94 @@ export class Music21Object extends prebase.ProtoM21Object {
         }
     }
 
+    /**
+     * Return an Array of the {@link music21.spanner.Spanner} objects that
+     * contain this element, optionally only those matching classList.
+     *
+     * @memberof music21.base.Music21Object
+     * @param {string|Array<string>} [classList]
+     * @returns {Array<music21.spanner.Spanner>}
+     * @example
+     * var n = new music21.note.Note();
+     * var sl = new music21.spanner.Slur(n, new music21.note.Note('D'));
+     * n.getSpannerSites()[0] === sl; // true
+     */
+    getSpannerSites(classList) {
+        const found = [];
+        for (const site of this.sites.yieldSites(false, undefined, true)) {
+            if (!site.classes.includes('SpannerStorage')) {
+                continue;
+            }
+            const sp = site.spannerParent;
+            if (sp === undefined) {
+                continue;
+            }
+            if (classList === undefined || sp.isClassOrSubclass(classList)) {
+                found.push(sp);
+            }
+        }
+        return found;
+    }
+
     // ---------- Contexts -------------
 
     getContextByClass(className, options) {
-        const payloadExtractor = function payloadExtractor(
+        // finds the element of classList in useSite (and in the Streams
+        // within it, if flatten) closest to positionStart in the direction
+        // given by getElementMethod.  Offsets are relative to useSite.
+        //
+        // Elements are in offset order and everything in a Stream is at or
+        // after the Stream's own offset, so the search of each Stream stops
+        // at the first element that (with its contents) is too late to be
+        // closer: past positionStart when looking before, or past the best
+        // element found so far when looking after.
+        const payloadExtractor = (
             useSite,
             flatten,
             positionStart,
             getElementMethod,
             classList
-        ) {
-            // this should all be done as a tree...
-            // do not use .flat or .semiFlat so as not
-            // to create new sites.
-
-            // VERY HACKY...
-            let lastElement;
-            for (let i = 0; i < useSite.length; i++) {
-                const indexOffset = useSite._elementOffsets[i];
-                const thisElement = useSite._elements[i];
-                const matchClass = thisElement.isClassOrSubclass(classList);
-                if (flatten === false && !matchClass) {
-                    continue;
-                } else if (!thisElement.isStream && !matchClass) {
-                    continue;
-                }
-                // is a stream or an element of the appropriate class...
-                // first check normal elements
-                if (
-                    getElementMethod.includes('Before')
-                    && indexOffset >= positionStart
-                ) {
+        ) => {
+            const isBefore = getElementMethod.includes('Before');
+            const includeAt = getElementMethod.includes('At');
+            let found;
+            let foundOffset;
+            const searchStream = (s, offsetShift) => {
+                for (let i = 0; i < s.length; i++) {
+                    const thisElement = s._elements[i];
+                    const elOffset = offsetShift + s._elementOffsets[i];
+                    if (isBefore) {
+                        if (includeAt ? elOffset > positionStart : elOffset >= positionStart) {
+                            return;
+                        }
+                    } else if (found !== undefined && elOffset >= foundOffset) {
+                        return;
+                    }
+                    if (thisElement.isStream && flatten !== false) {
+                        searchStream(thisElement, elOffset);
+                    }
                     if (
-                        getElementMethod.includes('At')
-                        && lastElement === undefined
+                        thisElement === this
+                        || !thisElement.isClassOrSubclass(classList)
                     ) {
-                        lastElement = thisElement;
-                    } else if (matchClass) {
-                        return lastElement;
+                        continue;
                     }
-                } else {
-                    lastElement = thisElement;
-                }
-                if (
-                    getElementMethod.includes('After')
-                    && indexOffset > positionStart
-                    && matchClass
-                ) {
-                    return thisElement;
-                }
-                // now cleck stream... already filtered out flatten == false;
-                if (thisElement.isStream) {
-                    const potentialElement = payloadExtractor(
-                        thisElement,
-                        flatten,
-                        positionStart + indexOffset,
-                        getElementMethod,
-                        classList
-                    );
-                    if (potentialElement !== undefined) {
-                        return potentialElement;
+                    if (isBefore) {
+                        if (found === undefined || elOffset >= foundOffset) {
+                            found = thisElement;
+                            foundOffset = elOffset;
+                        }
+                    } else if (
+                        (includeAt ? elOffset >= positionStart : elOffset > positionStart)
+                        && (found === undefined || elOffset < foundOffset)
+                    ) {
+                        found = thisElement;
+                        foundOffset = elOffset;
                     }
                 }
-            }
-            return undefined;
+            };
+            searchStream(useSite, 0);
+            return found;
         };
 
         const params = {
@@ -9,6 +9,7 @@
 import * as Vex from 'vexflow';
 
 import { Music21Exception } from './exceptions21.js';
+import { chordTables } from './chordTables.js';
 import { interval } from './interval.js';
 import { note } from './note.js';
 
@@ -22,6 +23,7 @@ import { note } from './note.js';
  *
  * @namespace music21.chord
  * @memberof music21
+ * @requires music21/chordTables
  * @requires music21/note
  */
 export const chord = {};
@@ -58,6 +60,27 @@ export class Chord extends note.NotRest {
         this._notes = [];
         notes.forEach(this.add, this, false);
         this.sortPitches();
+        this._cloneCallbacks._notes = function Chord_cloneCallbacks_notes(
+            keyName,
+            newObj,
+            self
+        ) {
+            newObj[keyName] = self[keyName].map(n => n.clone(true));
+        };
+        this._cloneCallbacks._cache = function Chord_cloneCallbacks_cache(
+            keyName,
+            newObj,
+            self
+        ) {
+            newObj[keyName] = {};
+        };
+        this._cloneCallbacks._overrides = function Chord_cloneCallbacks_overrides(
+            keyName,
+            newObj,
+            self
+        ) {
+            newObj[keyName] = Object.assign({}, self[keyName]);
+        };
     }
     
     get length() {
@@ -151,6 +174,37 @@ export class Chord extends note.NotRest {
     sortPitches() {
         this._notes.sort((a, b) => a.pitch.ps - b.pitch.ps);        
     }
+
+    /**
+     * Transpose every pitch in the Chord (and any root override) by an interval.
+     *
+     * @memberof music21.chord.Chord
+     * @param {music21.interval.Interval|string|Int} value - an Interval, an
+     *     interval name such as 'M3' or '-P5', or a number of semitones
+     * @param {boolean} [inPlace=false] - if false, transposes a copy
+     * @returns {music21.chord.Chord} the transposed Chord (this if inPlace)
+     * @example
+     * var c = new music21.chord.Chord('C4 E4 G4');
+     * var c2 = c.transpose('M2');
+     * c2.pitches.map(p => p.nameWithOctave).join(' '); // 'D4 F#4 A4'
+     * c.pitches[0].nameWithOctave; // 'C4'
+     */
+    transpose(value, inPlace = false) {
+        let intv = value;
+        if (typeof value !== 'object') {
+            intv = new interval.Interval(value);
+        }
+        const post = inPlace ? this : this.clone(true);
+        for (const n of post._notes) {
+            n.transpose(intv, true);
+        }
+        post._cache = {};
+        if (post._overrides.root !== undefined) {
+            post._overrides.root = intv.transposePitch(post._overrides.root);
+            post._cache.root = post._overrides.root;
+        }
+        return post;
+    }
     
     // TODO: add remove
 
@@ -379,6 +433,365 @@ export class Chord extends note.NotRest {
         }
     }
 
+    /**
+     * Returns true if the chord has only a root, third, fifth, and (if
+     * seventhSemitones is given) seventh, each spelled as such and the
+     * given number of semitones above the root.
+     *
+     * @memberof music21.chord.Chord
+     * @param {Int} thirdSemitones
+     * @param {Int} fifthSemitones
+     * @param {Int} [seventhSemitones]
+     * @returns {Boolean}
+     */
+    hasChordStepSemitones(thirdSemitones, fifthSemitones, seventhSemitones) {
+        const steps = { 3: thirdSemitones, 5: fifthSemitones };
+        if (seventhSemitones !== undefined) {
+            steps[7] = seventhSemitones;
+        }
+        if (this.cardinality() !== Object.keys(steps).length + 1) {
+            return false;
+        }
+        for (const chordStep of Object.keys(steps)) {
+            if (this.semitonesFromChordStep(parseInt(chordStep)) !== steps[chordStep]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @memberof music21.chord.Chord
+     * @returns {Boolean}
+     */
+    isDiminishedTriad() {
+        return this.hasChordStepSemitones(3, 6);
+    }
+
+    /**
+     * @memberof music21.chord.Chord
+     * @returns {Boolean}
+     */
+    isAugmentedTriad() {
+        return this.hasChordStepSemitones(4, 8);
+    }
+
+    /**
+     * @memberof music21.chord.Chord
+     * @returns {Boolean}
+     */
+    isDiminishedSeventh() {
+        return this.hasChordStepSemitones(3, 6, 9);
+    }
+
+    /**
+     * @memberof music21.chord.Chord
+     * @returns {Boolean}
+     */
+    isHalfDiminishedSeventh() {
+        return this.hasChordStepSemitones(3, 6, 10);
+    }
+
+    /**
+     * Returns the simple names of the intervals above the bass, other
+     * than unisons and octaves, sorted: ['A6', 'M3'] for an Italian
+     * augmented sixth chord.
+     *
+     * @memberof music21.chord.Chord
+     * @returns {Array<string>}
+     */
+    intervalNamesAboveBass() {
+        const bass = this.bass();
+        const names = new Set();
+        for (const p of this.pitches) {
+            const simpleName = new interval.Interval(bass, p).simpleName;
+            if (simpleName !== 'P1') {
+                names.add(simpleName);
+            }
+        }
+        return Array.from(names).sort();
+    }
+
+    /**
+     * @memberof music21.chord.Chord
+     * @returns {Boolean}
+     */
+    isItalianAugmentedSixth() {
+        return this.intervalNamesAboveBass().join(' ') === 'A6 M3';
+    }
+
+    /**
+     * @memberof music21.chord.Chord
+     * @returns {Boolean}
+     */
+    isFrenchAugmentedSixth() {
+        return this.intervalNamesAboveBass().join(' ') === 'A4 A6 M3';
+    }
+
+    /**
+     * @memberof music21.chord.Chord
+     * @returns {Boolean}
+     */
+    isGermanAugmentedSixth() {
+        return this.intervalNamesAboveBass().join(' ') === 'A6 M3 P5';
+    }
+
+    /**
+     * The "Swiss" or "Alsatian" augmented sixth chord, a German augmented
+     * sixth chord with the fifth spelled as a doubly augmented fourth.
+     *
+     * @memberof music21.chord.Chord
+     * @returns {Boolean}
+     */
+    isSwissAugmentedSixth() {
+        return this.intervalNamesAboveBass().join(' ') === 'A6 AA4 M3';
+    }
+
+    /**
+     * The sorted pitch classes of the chord, without duplicates.
+     *
+     * @memberof music21.chord.Chord
+     * @type {Array<Int>}
+     * @readonly
+     */
+    get orderedPitchClasses() {
+        return chordTables.uniquePitchClasses(this.pitches.map(p => p.ps));
+    }
+
+    /**
+     * The address of the chord's set class in {@link music21.chordTables}.
+     *
+     * @memberof music21.chord.Chord
+     * @type {object}
+     * @readonly
+     */
+    get chordTablesAddress() {
+        return chordTables.seekChordTablesAddress(this.orderedPitchClasses);
+    }
+
+    /**
+     * The pitch classes in normal order (not transposed).
+     *
+     * @memberof music21.chord.Chord
+     * @type {Array<Int>}
+     * @readonly
+     * @example
+     * var c = new music21.chord.Chord('G4 B4 D5');
+     * c.normalOrder; // [7, 11, 2]
+     */
+    get normalOrder() {
+        return chordTables.normalOrder(this.orderedPitchClasses);
+    }
+
+    /**
+     * @memberof music21.chord.Chord
+     * @type {Array<Int>}
+     * @readonly
+     * @example
+     * var c = new music21.chord.Chord('C4 E4 G4');
+     * c.primeForm; // [0, 3, 7]
+     */
+    get primeForm() {
+        return chordTables.primeForm(this.orderedPitchClasses);
+    }
+
+    /**
+     * The prime form as a string such as '<037>' (with T and E for 10 and 11).
+     *
+     * @memberof music21.chord.Chord
+     * @type {string}
+     * @readonly
+     */
+    get primeFormString() {
+        const digits = this.primeForm.map(pc => ({ 10: 'T', 11: 'E' }[pc] || pc.toString()));
+        return '<' + digits.join('') + '>';
+    }
+
+    /**
+     * @memberof music21.chord.Chord
+     * @type {Array<Int>}
+     * @readonly
+     * @example
+     * var c = new music21.chord.Chord('C4 E4 G4');
+     * c.intervalVector; // [0, 0, 1, 1, 1, 0]
+     */
+    get intervalVector() {
+        return chordTables.intervalVector(this.orderedPitchClasses);
+    }
+
+    /**
+     * The Forte name of the chord's set class, with "A" or "B" to tell apart
+     * a set class from its inversion.
+     *
+     * @memberof music21.chord.Chord
+     * @type {string}
+     * @readonly
+     * @example
+     * new music21.chord.Chord('C4 E4 G4').forteClass; // '3-11B'
+     * new music21.chord.Chord('C4 E-4 G4').forteClass; // '3-11A'
+     */
+    get forteClass() {
+        return chordTables.addressToForteName(this.chordTablesAddress, 'tn');
+    }
+
+    /**
+     * The Forte name of the chord's set class, without "A" or "B".
+     *
+     * @memberof music21.chord.Chord
+     * @type {string}
+     * @readonly
+     * @example
+     * new music21.chord.Chord('C4 E4 G4').forteClassTnI; // '3-11'
+     */
+    get forteClassTnI() {
+        return chordTables.addressToForteName(this.chordTablesAddress, 'tni');
+    }
+
+    /**
+     * @memberof music21.chord.Chord
+     * @type {Int}
+     * @readonly
+     */
+    get forteClassNumber() {
+        return this.chordTablesAddress.forteClass;
+    }
+
+    /**
+     * True if another set class has the same interval vector.
+     *
+     * @memberof music21.chord.Chord
+     * @type {Boolean}
+     * @readonly
+     */
+    get hasZRelation() {
+        return chordTables.addressToZAddress(this.chordTablesAddress) !== undefined;
+    }
+
+    /**
+     * Returns a Chord (in prime form, from middle C) of the set class with
+     * the same interval vector, or undefined if there is none.
+     *
+     * @memberof music21.chord.Chord
+     * @returns {music21.chord.Chord|undefined}
+     * @example
+     * var c = new music21.chord.Chord('C4 C#4 E4 F#4');
+     * c.forteClass; // '4-Z15A'
+     * c.getZRelation().forteClass; // '4-Z29A'
+     */
+    getZRelation() {
+        const zAddress = chordTables.addressToZAddress(this.chordTablesAddress);
+        if (zAddress === undefined) {
+            return undefined;
+        }
+        const zPrimeForm = chordTables.forteTable[zAddress.cardinality][zAddress.forteClass].primeForm;
+        return new Chord(zPrimeForm.map(pc => new note.Note(60 + pc).pitch));
+    }
+
+    /**
+     * The common name of the chord, such as 'major triad', 'Minor Third',
+     * or 'French augmented sixth chord'.  Triads and seventh chords that
+     * are not spelled as such are called, for instance, 'enharmonic
+     * equivalent to major triad'.  Set classes without a common name are
+     * named by their Forte class.
+     *
+     * @memberof music21.chord.Chord
+     * @type {string}
+     * @readonly
+     * @example
+     * new music21.chord.Chord('C4 E4 G4').commonName; // 'major triad'
+     * new music21.chord.Chord('C4 F-4 G4').commonName; // 'enharmonic equivalent to major triad'
+     * new music21.chord.Chord('C4 E-4').commonName; // 'Minor Third'
+     * new music21.chord.Chord('A-3 C4 E-4 F#4').commonName; // 'German augmented sixth chord'
+     */
+    get commonName() {
+        const pitches = this.pitches;
+        if (pitches.length === 0) {
+            return 'empty chord';
+        }
+        const pcs = this.orderedPitchClasses;
+        if (pcs.length === 1) {
+            if (pitches.length === 1) {
+                return 'note';
+            }
+            const names = new Set(pitches.map(p => p.name));
+            const pss = new Set(pitches.map(p => p.ps));
+            if (names.size > 1) {
+                return 'enharmonic unison';
+            } else if (pss.size === 1) {
+                return 'unison';
+            } else if (pss.size === 2 && Math.abs(pitches[0].ps - pitches[1].ps) === 12) {
+                return 'Perfect Octave';
+            }
+            return 'multiple octaves';
+        }
+        if (pcs.length === 2) {
+            const bass = this.bass();
+            const other = pitches.find(p => p.name !== bass.name);
+            const simpleName = new interval.Interval(bass, other).simpleName;
+            let name = new interval.Interval(simpleName).niceName;
+            if (pitches.length > 2) {
+                name += ' with octave doublings';
+            }
+            return name;
+        }
+        if (this.isItalianAugmentedSixth()) {
+            return 'Italian augmented sixth chord';
+        } else if (this.isFrenchAugmentedSixth()) {
+            return 'French augmented sixth chord';
+        } else if (this.isGermanAugmentedSixth()) {
+            return 'German augmented sixth chord';
+        } else if (this.isSwissAugmentedSixth()) {
+            return 'Swiss augmented sixth chord';
+        }
+        const forteClass = this.forteClass;
+        const commonNames = chordTables.addressToCommonNames(this.chordTablesAddress);
+        const enharmonicTests = {
+            '3-10': () => this.isDiminishedTriad(),
+            '3-11A': () => this.isMinorTriad(),
+            '3-11B': () => this.isMajorTriad(),
+            '3-12': () => this.isAugmentedTriad(),
+            '4-20': () => this.hasChordStepSemitones(4, 7, 11),
+            '4-26': () => this.hasChordStepSemitones(3, 7, 10),
+            '4-27A': () => this.isHalfDiminishedSeventh(),
+            '4-27B': () => this.isDominantSeventh(),
+            '4-28': () => this.isDiminishedSeventh(),
+        };
+        if (enharmonicTests[forteClass] !== undefined && !enharmonicTests[forteClass]()) {
+            return 'enharmonic equivalent to ' + commonNames[0];
+        }
+        if (commonNames.length === 0) {
+            return 'forte class ' + forteClass;
+        }
+        return commonNames[0];
+    }
+
+    /**
+     * The common name with the root (or for intervals, the bass), such as
+     * 'C-major triad', 'B--dominant seventh chord', or 'Minor Third above C'.
+     *
+     * @memberof music21.chord.Chord
+     * @type {string}
+     * @readonly
+     */
+    get pitchedCommonName() {
+        const name = this.commonName;
+        const pitches = this.pitches;
+        if (pitches.length === 0) {
+            return name;
+        } else if (name === 'note') {
+            return pitches[0].name;
+        }
+        const pcCount = this.orderedPitchClasses.length;
+        if (pcCount <= 2) {
+            return name + ' above ' + this.bass().name;
+        } else if (name.startsWith('enharmonic')) {
+            return name + ' above ' + this.root().name;
+        } else if (name.includes('augmented sixth')) {
+            return this.bass().name + '-' + name;
+        }
+        return this.root().name + '-' + name;
+    }
+
     /**
      * Returns the inversion of the chord as a number (root-position = 0)
      *
@@ -413,9 +826,11 @@ export class Chord extends note.NotRest {
         for (let i = 0; i < this._notes.length; i++) {
             pitchKeys.push(this._notes[i].pitch.vexflowName(clef));
         }
-        const vfn = new Vex.Flow.StaveNote({
+        const VexNoteClass = this.duration.isGrace ? Vex.Flow.GraceNote : Vex.Flow.StaveNote;
+        const vfn = new VexNoteClass({
             keys: pitchKeys,
             duration: this.duration.vexflowDuration,
+            slash: this.duration.slash,
         });
         this.vexflowAccidentalsAndDisplay(vfn, options); // clean up stuff...
         for (let i = 0; i < this._notes.length; i++) {
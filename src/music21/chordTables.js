@@ -0,0 +1,504 @@
+/**
+ * music21j -- Javascript reimplementation of Core music21p features.
+ * music21/chordTables -- set-class tables for chords
+ *
+ * Copyright (c) 2013-18, Michael Scott Cuthbert and cuthbertLab
+ * Based on music21 (=music21p), Copyright (c) 2006–18, Michael Scott Cuthbert and cuthbertLab
+ *
+ */
+import { Music21Exception } from './exceptions21.js';
+
+/**
+ * chordTables module. See {@link music21.chordTables} namespace
+ *
+ * @exports music21/chordTables
+ */
+/**
+ * Tables of the set classes of Allen Forte's "The Structure of Atonal Music"
+ * and the routines that find a set of pitch classes in them.  Used by
+ * {@link music21.chord.Chord} for `forteClass`, `primeForm`, `commonName`, etc.
+ *
+ * Sets of pitch classes are given as Arrays of integers from 0 to 11.  An
+ * address is an object of the form `{cardinality, forteClass, inversion}`
+ * where `forteClass` is the number after the hyphen in a Forte name and
+ * `inversion` is 1 if the set is a transposition of the prime form ("A"),
+ * -1 if it is a transposition of its inversion ("B"), and 0 if the set
+ * class is the same under inversion.
+ *
+ * Prime forms and normal orders are packed to the left as in Rahn's
+ * algorithm, so 5-20 is [0, 1, 5, 6, 8] and 6-Z29 is [0, 2, 3, 6, 7, 9].
+ *
+ * Corresponds to the chord.tables module of music21p.
+ *
+ * @namespace music21.chordTables
+ * @memberof music21
+ */
+export const chordTables = {};
+
+export class ChordTablesException extends Music21Exception {}
+chordTables.ChordTablesException = ChordTablesException;
+
+// the prime forms of set classes with up to six members, in Forte's order
+// (T = 10, E = 11); the larger set classes are their complements.
+const fortePrimeFormStrings = [
+    [''],
+    ['0'],
+    ['01', '02', '03', '04', '05', '06'],
+    [
+        '012', '013', '014', '015', '016', '024', '025', '026', '027', '036',
+        '037', '048',
+    ],
+    [
+        '0123', '0124', '0134', '0125', '0126', '0127', '0145', '0156', '0167',
+        '0235', '0135', '0236', '0136', '0237', '0146', '0157', '0347', '0147',
+        '0148', '0158', '0246', '0247', '0257', '0248', '0268', '0358', '0258',
+        '0369', '0137',
+    ],
+    [
+        '01234', '01235', '01245', '01236', '01237', '01256', '01267', '02346',
+        '01246', '01346', '02347', '01356', '01248', '01257', '01268', '01347',
+        '01348', '01457', '01367', '01568', '01458', '01478', '02357', '01357',
+        '02358', '02458', '01358', '02368', '01368', '01468', '01369', '01469',
+        '02468', '02469', '02479', '01247', '03458', '01258',
+    ],
+    [
+        '012345', '012346', '012356', '012456', '012367', '012567', '012678',
+        '023457', '012357', '013457', '012457', '012467', '013467', '013458',
+        '012458', '014568', '012478', '012578', '013478', '014589', '023468',
+        '012468', '023568', '013468', '013568', '013578', '013469', '013569',
+        '023679', '013679', '013589', '024579', '023579', '013579', '02468T',
+        '012347', '012348', '012378', '023458', '012358', '012368', '012369',
+        '012568', '012569', '023469', '012469', '012479', '012579', '013479',
+        '014679',
+    ],
+];
+
+/**
+ * Pairs of Forte numbers within a cardinality that have the same interval
+ * vector; the complements of the pairs for four and five notes are also
+ * Z-related.
+ */
+const zRelatedForteNumbers = {
+    4: [[15, 29]],
+    5: [[12, 36], [17, 37], [18, 38]],
+    6: [
+        [3, 36], [4, 37], [6, 38], [10, 39], [11, 40], [12, 41], [13, 42],
+        [17, 43], [19, 44], [23, 45], [24, 46], [25, 47], [26, 48], [28, 49],
+        [29, 50],
+    ],
+};
+
+/**
+ * Common names for set classes, keyed by Forte name (with "A" or "B" for
+ * set classes that are not the same under inversion), following the
+ * tables of music21p.  The first name is the one used by
+ * {@link music21.chord.Chord#commonName}.
+ *
+ * @memberof music21.chordTables
+ */
+chordTables.forteNameToCommonNames = {
+    '0-1': ['empty chord'],
+    '1-1': ['unison', 'monad', 'singleton'],
+    '2-1': ['minor second', 'half step', 'semitone'],
+    '2-2': ['major second', 'whole step', 'whole tone'],
+    '2-3': ['minor third'],
+    '2-4': ['major third'],
+    '2-5': ['perfect fourth'],
+    '2-6': ['tritone', 'diminished fifth', 'augmented fourth'],
+    '3-1': ['chromatic trimirror'],
+    '3-2A': ['phrygian trichord'],
+    '3-2B': ['minor trichord'],
+    '3-3A': ['major-minor trichord'],
+    '3-3B': ['major-minor trichord'],
+    '3-4A': ['incomplete major-seventh chord'],
+    '3-4B': ['incomplete major-seventh chord'],
+    '3-5A': ['tritone-fourth'],
+    '3-5B': ['tritone-fourth'],
+    '3-6': ['whole-tone trichord'],
+    '3-7A': ['incomplete minor-seventh chord'],
+    '3-7B': ['incomplete dominant-seventh chord'],
+    '3-8A': ['incomplete dominant-seventh chord', 'Italian augmented sixth chord'],
+    '3-8B': ['incomplete half-diminished seventh chord'],
+    '3-9': ['quartal trichord'],
+    '3-10': ['diminished triad'],
+    '3-11A': ['minor triad'],
+    '3-11B': ['major triad'],
+    '3-12': ['augmented triad', 'equal 3-part octave division'],
+    '4-1': ['chromatic tetramirror', 'BACH'],
+    '4-2A': ['major-second tetracluster'],
+    '4-2B': ['major-second tetracluster'],
+    '4-3': ['alternating tetramirror'],
+    '4-4A': ['minor third tetracluster'],
+    '4-4B': ['minor third tetracluster'],
+    '4-5A': ['major third tetracluster'],
+    '4-5B': ['major third tetracluster'],
+    '4-6': ['perfect fourth tetramirror'],
+    '4-7': ['Arabian tetramirror'],
+    '4-8': ['double-fourth tetramirror'],
+    '4-9': ['double tritone tetramirror'],
+    '4-10': ['minor tetramirror'],
+    '4-11A': ['phrygian tetrachord'],
+    '4-11B': ['lydian tetrachord', 'major tetrachord'],
+    '4-12A': ['harmonic-minor tetrachord'],
+    '4-12B': ['major-third diminished tetrachord'],
+    '4-13A': ['minor-second diminished tetrachord'],
+    '4-13B': ['perfect-fourth diminished tetrachord'],
+    '4-14A': ['major-second minor tetrachord'],
+    '4-14B': ['perfect-fourth major tetrachord'],
+    '4-15A': ['all-interval tetrachord'],
+    '4-15B': ['all-interval tetrachord'],
+    '4-16A': ['minor-second quartal tetrachord'],
+    '4-16B': ['tritone quartal tetrachord'],
+    '4-17': ['major-minor tetramirror'],
+    '4-18A': ['major-diminished tetrachord'],
+    '4-18B': ['minor-diminished tetrachord'],
+    '4-19A': ['minor-augmented tetrachord'],
+    '4-19B': ['augmented major tetrachord'],
+    '4-20': ['major seventh chord'],
+    '4-21': ['whole-tone tetramirror'],
+    '4-22A': ['major-second major tetrachord'],
+    '4-22B': ['perfect-fourth minor tetrachord'],
+    '4-23': ['quartal tetramirror'],
+    '4-24': ['augmented seventh chord'],
+    '4-25': ['French augmented sixth chord'],
+    '4-26': ['minor seventh chord'],
+    '4-27A': ['half-diminished seventh chord'],
+    '4-27B': ['dominant seventh chord', 'German augmented sixth chord'],
+    '4-28': ['diminished seventh chord', 'equal 4-part octave division'],
+    '4-29A': ['all-interval tetrachord'],
+    '4-29B': ['all-interval tetrachord'],
+    '5-1': ['chromatic pentamirror'],
+    '5-2A': ['major-second pentacluster'],
+    '5-2B': ['minor-second major pentachord'],
+    '5-3A': ['minor-second major pentachord'],
+    '5-3B': ['major-second minor pentachord'],
+    '5-4A': ['blues pentacluster'],
+    '5-4B': ['minor-third pentacluster'],
+    '5-5A': ['major-third pentacluster'],
+    '5-5B': ['major-third pentacluster'],
+    '5-6A': ['Asian pentacluster', 'quasi raga Megharanji'],
+    '5-6B': ['Asian pentacluster'],
+    '5-7A': ['double pentacluster', 'quasi raga Nabhomani'],
+    '5-7B': ['double pentacluster'],
+    '5-8': ['tritone-symmetric pentamirror'],
+    '5-9A': ['tritone-expanding pentachord'],
+    '5-9B': ['tritone-contracting pentachord'],
+    '5-10A': ['alternating pentachord'],
+    '5-10B': ['alternating pentachord'],
+    '5-11A': ['center-cluster pentachord'],
+    '5-11B': ['center-cluster pentachord'],
+    '5-12': ['locrian pentamirror'],
+    '5-13A': ['augmented pentacluster'],
+    '5-13B': ['augmented pentacluster'],
+    '5-14A': ['double-seconds triple-fourth pentachord'],
+    '5-14B': ['double-seconds triple-fourth pentachord'],
+    '5-15': ['assymetric pentamirror'],
+    '5-16A': ['major-minor-diminished pentachord'],
+    '5-16B': ['major-minor diminished pentachord'],
+    '5-17': ['minor-major ninth chord'],
+    '5-18A': ['gypsy pentachord'],
+    '5-18B': ['gypsy pentachord'],
+    '5-19A': ['Javanese pentachord'],
+    '5-19B': ['Balinese pentachord'],
+    '5-20A': ['Balinese Pelog pentatonic', 'quasi raga Bhupala'],
+    '5-20B': ['Hirajoshi pentatonic', 'Iwato', 'Sakura'],
+    '5-21A': ['major-augmented ninth chord', 'Syrian pentatonic'],
+    '5-21B': ['Lebanese pentachord', 'augmented-minor chord'],
+    '5-22': ['Persian pentamirror', 'quasi raga Ramkali'],
+    '5-23A': ['minor pentachord'],
+    '5-23B': ['major pentachord'],
+    '5-24A': ['phrygian pentachord'],
+    '5-24B': ['lydian pentachord'],
+    '5-25A': ['diminished-major ninth chord'],
+    '5-25B': ['minor-diminished ninth chord'],
+    '5-26A': ['diminished-augmented ninth chord'],
+    '5-26B': ['augmented-diminished ninth chord'],
+    '5-27A': ['major-ninth chord'],
+    '5-27B': ['minor-ninth chord'],
+    '5-28A': ['augmented-sixth pentachord'],
+    '5-28B': ['Javanese pentatonic', 'augmented-sixth pentachord'],
+    '5-29A': ['Kumoi pentachord'],
+    '5-29B': ['Kumoi pentachord'],
+    '5-30A': ['enigmatic pentachord'],
+    '5-30B': ['enigmatic pentachord', 'altered pentatonic'],
+    '5-31A': ['diminished minor-ninth chord'],
+    '5-31B': ['flat-ninth pentachord', 'quasi raga Ranjaniraga'],
+    '5-32A': ['neapolitan pentachord'],
+    '5-32B': ['neapolitan pentachord'],
+    '5-33': ['whole-tone pentamirror'],
+    '5-34': ['dominant-ninth', 'major-minor', 'prometheus pentamirror'],
+    '5-35': ['major pentatonic', 'black-key scale', 'blues pentatonic'],
+    '5-36A': ['major-seventh pentacluster'],
+    '5-36B': ['minor-seventh pentacluster'],
+    '5-37': ['center-cluster pentamirror'],
+    '5-38A': ['diminished pentacluster'],
+    '5-38B': ['diminished pentacluster'],
+    '6-1': ['A-type all-combinatorial hexachord', 'chromatic hexamirror'],
+    '6-7': ['F-type all-combinatorial hexachord', 'double-cluster hexamirror'],
+    '6-8': ['D-type all-combinatorial hexachord', 'Guidonian hexachord'],
+    '6-17A': ['all-trichord hexachord'],
+    '6-17B': ['all-trichord hexachord'],
+    '6-20': ['E-type all-combinatorial hexachord', 'augmented scale', 'Genus tertium'],
+    '6-30A': ['Petrushka chord', 'tritone-symmetric hexachord'],
+    '6-30B': ['Petrushka chord', 'tritone-symmetric hexachord'],
+    '6-32': ['C-type all-combinatorial hexachord', 'diatonic hexachord', 'Guidonian hexachord'],
+    '6-34A': ['mystic chord', 'Prometheus'],
+    '6-34B': ['harmonic hexachord', 'augmented-sixth hexachord'],
+    '6-35': ['whole tone scale', 'B-type all-combinatorial hexachord'],
+    '7-1': ['chromatic heptamirror'],
+    '7-22': ['double harmonic scale', 'Hungarian minor', 'Persian scale'],
+    '7-32A': ['harmonic minor scale'],
+    '7-32B': ['harmonic major scale'],
+    '7-34': ['melodic minor ascending scale', 'acoustic scale', 'overtone scale'],
+    '7-35': ['diatonic scale', 'major scale', 'natural minor scale'],
+    '8-1': ['chromatic octamirror'],
+    '8-28': ['octatonic scale', 'diminished scale'],
+    '9-1': ['chromatic nonamirror'],
+    '9-12': ['enneatonic scale', 'Tsjerepnin'],
+    '10-1': ['chromatic decamirror'],
+    '11-1': ['chromatic undecamirror'],
+    '12-1': ['aggregate', 'dodecachord', 'twelve-tone chromatic'],
+};
+
+/**
+ * Returns the sorted, unique pitch classes in an Array of integers
+ * (which may be outside 0-11).
+ *
+ * @memberof music21.chordTables
+ * @param {Array<number>} pcs
+ * @returns {Array<Int>}
+ */
+chordTables.uniquePitchClasses = function uniquePitchClasses(pcs) {
+    const pcSet = new Set(pcs.map(pc => ((Math.round(pc) % 12) + 12) % 12));
+    return Array.from(pcSet).sort((a, b) => a - b);
+};
+
+/**
+ * Returns true if the first ordering (transposed to start on 0) is more
+ * packed to the left than the second: the span is smaller, or the span is
+ * the same and the interval from the first note to the second-to-last is
+ * smaller, and so on.
+ */
+function isMorePacked(first, second) {
+    for (let i = first.length - 1; i > 0; i--) {
+        if (first[i] !== second[i]) {
+            return first[i] < second[i];
+        }
+    }
+    return false;
+}
+
+function transposedToZero(ordering) {
+    return ordering.map(pc => (pc - ordering[0] + 12) % 12);
+}
+
+/**
+ * Returns the pitch classes in normal order: the rotation with the
+ * smallest span, packed to the left.  The pitch classes are not transposed.
+ *
+ * @memberof music21.chordTables
+ * @param {Array<number>} pcs
+ * @returns {Array<Int>}
+ * @example
+ * music21.chordTables.normalOrder([2, 7, 11]); // [7, 11, 2]
+ */
+chordTables.normalOrder = function normalOrder(pcs) {
+    const unique = chordTables.uniquePitchClasses(pcs);
+    if (unique.length === 0) {
+        return [];
+    }
+    let best = unique;
+    let bestZero = transposedToZero(best);
+    for (let i = 1; i < unique.length; i++) {
+        const rotation = unique.slice(i).concat(unique.slice(0, i));
+        const rotationZero = transposedToZero(rotation);
+        if (isMorePacked(rotationZero, bestZero)) {
+            best = rotation;
+            bestZero = rotationZero;
+        }
+    }
+    return best;
+};
+
+/**
+ * Returns the normal order of the pitch classes transposed to begin on 0;
+ * the same for all transpositions of a set.
+ *
+ * @memberof music21.chordTables
+ * @param {Array<number>} pcs
+ * @returns {Array<Int>}
+ */
+chordTables.transpositionForm = function transpositionForm(pcs) {
+    const normal = chordTables.normalOrder(pcs);
+    if (normal.length === 0) {
+        return [];
+    }
+    return transposedToZero(normal);
+};
+
+/**
+ * Returns the prime form of the pitch classes: the more packed of the
+ * transposition forms of the set and its inversion.
+ *
+ * @memberof music21.chordTables
+ * @param {Array<number>} pcs
+ * @returns {Array<Int>}
+ * @example
+ * music21.chordTables.primeForm([0, 4, 7]); // [0, 3, 7]
+ */
+chordTables.primeForm = function primeForm(pcs) {
+    const tForm = chordTables.transpositionForm(pcs);
+    const iForm = chordTables.transpositionForm(pcs.map(pc => -1 * pc));
+    if (isMorePacked(iForm, tForm)) {
+        return iForm;
+    }
+    return tForm;
+};
+
+/**
+ * Returns the interval vector: how many of each interval class from 1 to 6
+ * there are between pairs of the pitch classes.
+ *
+ * @memberof music21.chordTables
+ * @param {Array<number>} pcs
+ * @returns {Array<Int>}
+ * @example
+ * music21.chordTables.intervalVector([0, 4, 7]); // [0, 0, 1, 1, 1, 0]
+ */
+chordTables.intervalVector = function intervalVector(pcs) {
+    const unique = chordTables.uniquePitchClasses(pcs);
+    const vector = [0, 0, 0, 0, 0, 0];
+    for (let i = 0; i < unique.length; i++) {
+        for (let j = i + 1; j < unique.length; j++) {
+            const distance = unique[j] - unique[i];
+            const intervalClass = Math.min(distance, 12 - distance);
+            vector[intervalClass - 1] += 1;
+        }
+    }
+    return vector;
+};
+
+/**
+ * For each cardinality from 0 to 12, an Array of the set classes in Forte
+ * order, each an object of the form `{primeForm, intervalVector,
+ * zRelation, invariantUnderInversion}`, where zRelation is the Forte number
+ * of the Z-related set class (or 0).  Index 0 of each Array is undefined so
+ * that the Forte numbers index them directly.
+ *
+ * @memberof music21.chordTables
+ */
+chordTables.forteTable = (() => {
+    const table = [];
+    const parse = s => Array.from(s).map(c => ({ T: 10, E: 11 }[c] || parseInt(c)));
+    for (let cardinality = 0; cardinality <= 12; cardinality++) {
+        const complementCardinality = 12 - cardinality;
+        const sourceCardinality = Math.min(cardinality, complementCardinality);
+        const entries = [undefined];
+        for (const primeString of fortePrimeFormStrings[sourceCardinality]) {
+            let pcs = parse(primeString);
+            if (cardinality !== sourceCardinality) {
+                pcs = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11].filter(pc => !pcs.includes(pc));
+            }
+            const prime = chordTables.primeForm(pcs);
+            entries.push({
+                primeForm: prime,
+                intervalVector: chordTables.intervalVector(prime),
+                zRelation: 0,
+                invariantUnderInversion: prime.join(',')
+                    === chordTables.transpositionForm(prime.map(pc => -1 * pc)).join(','),
+            });
+        }
+        for (const [first, second] of zRelatedForteNumbers[sourceCardinality] || []) {
+            entries[first].zRelation = second;
+            entries[second].zRelation = first;
+        }
+        table.push(entries);
+    }
+    return table;
+})();
+
+/**
+ * Finds the set class of a set of pitch classes.
+ *
+ * @memberof music21.chordTables
+ * @param {Array<number>} pcs
+ * @returns {object} an address, `{cardinality, forteClass, inversion}`
+ * @example
+ * music21.chordTables.seekChordTablesAddress([0, 4, 7]);
+ * // {cardinality: 3, forteClass: 11, inversion: -1}
+ */
+chordTables.seekChordTablesAddress = function seekChordTablesAddress(pcs) {
+    const unique = chordTables.uniquePitchClasses(pcs);
+    const cardinality = unique.length;
+    const prime = chordTables.primeForm(unique).join(',');
+    const entries = chordTables.forteTable[cardinality];
+    for (let forteClass = 1; forteClass < entries.length; forteClass++) {
+        const entry = entries[forteClass];
+        if (entry.primeForm.join(',') !== prime) {
+            continue;
+        }
+        let inversion = 0;
+        if (!entry.invariantUnderInversion) {
+            const tForm = chordTables.transpositionForm(unique).join(',');
+            inversion = tForm === prime ? 1 : -1;
+        }
+        return { cardinality, forteClass, inversion };
+    }
+    throw new ChordTablesException('Cannot find set class for ' + pcs);
+};
+
+/**
+ * Returns the Forte name of an address.
+ *
+ * @memberof music21.chordTables
+ * @param {object} address - from {@link music21.chordTables.seekChordTablesAddress}
+ * @param {string} [classification='tn'] - 'tn' to show "A" or "B" for
+ *     set classes that are not the same under inversion, 'tni' to leave it out.
+ * @returns {string} such as '3-11B' or '6-Z17'
+ */
+chordTables.addressToForteName = function addressToForteName(address, classification = 'tn') {
+    const entry = chordTables.forteTable[address.cardinality][address.forteClass];
+    const z = entry.zRelation !== 0 ? 'Z' : '';
+    let name = address.cardinality.toString() + '-' + z + address.forteClass.toString();
+    if (classification.toLowerCase() === 'tn') {
+        if (address.inversion === 1) {
+            name += 'A';
+        } else if (address.inversion === -1) {
+            name += 'B';
+        }
+    }
+    return name;
+};
+
+/**
+ * Returns the common names of an address, or an empty Array if it has none.
+ *
+ * @memberof music21.chordTables
+ * @param {object} address - from {@link music21.chordTables.seekChordTablesAddress}
+ * @returns {Array<string>}
+ */
+chordTables.addressToCommonNames = function addressToCommonNames(address) {
+    const forteName = chordTables.addressToForteName(address, 'tn').replace('Z', '');
+    return chordTables.forteNameToCommonNames[forteName] || [];
+};
+
+/**
+ * Returns the address of the Z-related set class (with the same interval
+ * vector), or undefined if there is none.
+ *
+ * @memberof music21.chordTables
+ * @param {object} address - from {@link music21.chordTables.seekChordTablesAddress}
+ * @returns {object|undefined}
+ */
+chordTables.addressToZAddress = function addressToZAddress(address) {
+    const entry = chordTables.forteTable[address.cardinality][address.forteClass];
+    if (entry.zRelation === 0) {
+        return undefined;
+    }
+    const zEntry = chordTables.forteTable[address.cardinality][entry.zRelation];
+    return {
+        cardinality: address.cardinality,
+        forteClass: entry.zRelation,
+        inversion: zEntry.invariantUnderInversion ? 0 : 1,
+    };
+};
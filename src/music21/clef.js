@@ -283,7 +283,7 @@ clef.clefFromString = function clefFromString(clefString, octaveShift) {
 
     if (xnStr.length === 2) {
         thisType = xnStr[0].toUpperCase();
-        lineNum = xnStr[1];
+        lineNum = parseInt(xnStr[1]);
     } else if (xnStr.length === 1) {
         thisType = xnStr[0].toUpperCase();
         if (thisType === 'G') {
@@ -205,6 +205,17 @@ export class Duration extends prebase.ProtoM21Object {
     get tuplets() {
         return this._tuplets;
     }
+    /**
+     * True for a {@link music21.duration.GraceDuration}.
+     *
+     * @type Boolean
+     * @readonly
+     * @instance
+     * @memberof music21.duration.Duration
+     */
+    get isGrace() {
+        return false;
+    }
     /**
      * Read-only: the duration expressed for VexFlow
      *
@@ -333,6 +344,40 @@ export class Duration extends prebase.ProtoM21Object {
 
 duration.Duration = Duration;
 
+/**
+ * The Duration of a grace note: it has a type and dots for display, but
+ * its quarterLength is always 0.  Usually made with
+ * {@link music21.note.GeneralNote#getGrace}.
+ *
+ * @class GraceDuration
+ * @memberof music21.duration
+ * @extends music21.duration.Duration
+ * @param {(number|string|undefined)} ql - the quarterLength or type that
+ *     the grace note looks like (default 'eighth')
+ * @property {Boolean} [slash=true] - false for an appoggiatura
+ * @example
+ * var gd = new music21.duration.GraceDuration('16th');
+ * gd.quarterLength; // 0
+ * gd.type; // '16th'
+ * gd.isGrace; // true
+ */
+export class GraceDuration extends Duration {
+    constructor(ql = 'eighth') {
+        super(ql);
+        this.slash = true;
+    }
+    get quarterLength() {
+        return 0.0;
+    }
+    set quarterLength(ql) {
+        super.quarterLength = ql;
+    }
+    get isGrace() {
+        return true;
+    }
+}
+duration.GraceDuration = GraceDuration;
+
 /**
  * Represents a Tuplet; found in {@link music21.duration.Duration#tuplets}
  *
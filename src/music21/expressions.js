@@ -56,6 +56,7 @@ expressions.Expression = Expression;
  * @class Fermata
  * @memberof music21.expressions
  * @extends music21.expressions.Expression
+ * @property {number} [lengthScale=2.0] - in playback, the note is held this many times its length
  */
 export class Fermata extends Expression {
     constructor() {
@@ -63,6 +64,7 @@ export class Fermata extends Expression {
         this.name = 'fermata';
         this.vexflowModifier = 'a@a';
         this.setPosition = 3;
+        this.lengthScale = 2.0;
     }
 }
 expressions.Fermata = Fermata;
@@ -1,4 +1,12 @@
+import { Music21Exception } from './exceptions21.js';
+
+import { clef } from './clef.js';
+import { common } from './common.js';
+import { key } from './key.js';
+import { note } from './note.js';
 import { pitch } from './pitch.js';
+import { stream } from './stream.js';
+import { voiceLeading } from './voiceLeading.js';
 
 const shorthandNotation = {
     '': [5, 3],
@@ -217,8 +225,515 @@ class Modifier {
     }
 }
 
+class FiguredBassException extends Music21Exception {}
+
+/**
+ * The rules used by {@link music21.figuredBass.FiguredBassLine#realize}: which
+ * voice-leading motions are forbidden, and the costs used to rank the
+ * realizations that remain.
+ *
+ * The upper parts never cross each other or the bass.  Parallel fifths,
+ * octaves, and voice overlaps are checked between every pair of parts;
+ * hidden fifths and octaves only between the soprano and the bass.  All
+ * checks use {@link music21.voiceLeading.VoiceLeadingQuartet}.
+ *
+ * In music21p is in figuredBass.rules.
+ *
+ * @property {boolean} forbidParallelFifths
+ * @property {boolean} forbidParallelOctaves - also forbids parallel unisons
+ * @property {boolean} forbidHiddenFifths
+ * @property {boolean} forbidHiddenOctaves
+ * @property {boolean} forbidVoiceOverlap
+ * @property {boolean} forbidIncompleteChords - if true, each chord of four
+ *     or fewer pitch names must use all of them
+ * @property {Int} upperPartsMaxSemitoneSeparation - the largest space between
+ *     adjacent upper parts
+ * @property {Int} partMovementLimit - the largest leap in an upper part
+ * @property {number} leadingToneDoublingCost - added to the cost of a chord
+ *     with a doubled leading tone
+ */
+class Rules {
+    constructor() {
+        this.forbidParallelFifths = true;
+        this.forbidParallelOctaves = true;
+        this.forbidHiddenFifths = true;
+        this.forbidHiddenOctaves = true;
+        this.forbidVoiceOverlap = true;
+        this.forbidIncompleteChords = true;
+        this.upperPartsMaxSemitoneSeparation = 12;
+        this.partMovementLimit = 12;
+        this.leadingToneDoublingCost = 8;
+    }
+
+    /**
+     * The cost of a single possibility, before any movement.
+     *
+     * @param {Array<music21.pitch.Pitch>} possibility - soprano, alto, tenor, bass
+     * @param {music21.key.Key} keyObj
+     * @returns {number}
+     */
+    possibilityCost(possibility, keyObj) {
+        const leadingTonePc = common.posMod(keyObj.tonic.ps - 1, 12);
+        const leadingTones = possibility.filter(
+            p => common.posMod(p.ps, 12) === leadingTonePc
+        );
+        if (leadingTones.length > 1) {
+            return this.leadingToneDoublingCost;
+        }
+        return 0;
+    }
+
+    /**
+     * The cost of moving from one possibility to the next: the total
+     * number of semitones moved by the upper parts.
+     *
+     * @param {Array<music21.pitch.Pitch>} previous
+     * @param {Array<music21.pitch.Pitch>} next
+     * @returns {number}
+     */
+    transitionCost(previous, next) {
+        let cost = 0;
+        for (let i = 0; i < 3; i++) {
+            cost += Math.abs(next[i].ps - previous[i].ps);
+        }
+        return cost;
+    }
+
+    /**
+     * Returns true if the upper parts are spaced correctly and the chord
+     * is complete (if required).
+     *
+     * @param {Array<music21.pitch.Pitch>} possibility
+     * @param {Array<string>} pitchNames - the pitch names of the chord
+     * @returns {boolean}
+     */
+    isAllowedPossibility(possibility, pitchNames) {
+        for (let i = 0; i < 2; i++) {
+            if (
+                possibility[i].ps - possibility[i + 1].ps
+                > this.upperPartsMaxSemitoneSeparation
+            ) {
+                return false;
+            }
+        }
+        if (this.forbidIncompleteChords && pitchNames.length <= 4) {
+            const names = possibility.map(p => p.name);
+            if (!pitchNames.every(pn => names.includes(pn))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Returns true if moving from one possibility to the next breaks none
+     * of the rules.
+     *
+     * @param {Array<music21.pitch.Pitch>} previous
+     * @param {Array<music21.pitch.Pitch>} next
+     * @returns {boolean}
+     */
+    isAllowedTransition(previous, next) {
+        for (let i = 0; i < 3; i++) {
+            if (Math.abs(next[i].ps - previous[i].ps) > this.partMovementLimit) {
+                return false;
+            }
+        }
+        for (let upper = 0; upper < 3; upper++) {
+            for (let lower = upper + 1; lower < 4; lower++) {
+                if (!this._isAllowedPairTransition(previous, next, upper, lower)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    _isAllowedPairTransition(previous, next, upper, lower) {
+        const isOuter = upper === 0 && lower === 3;
+        const isAdjacent = lower === upper + 1;
+        const secondIntervalClass = common.posMod(next[upper].ps - next[lower].ps, 12);
+        const mayBeFifthOrOctave = secondIntervalClass === 7 || secondIntervalClass === 0;
+        const mayOverlap = (
+            next[lower].ps >= previous[upper].ps
+            || next[upper].ps <= previous[lower].ps
+        );
+        // only build a VoiceLeadingQuartet if a rule could be broken
+        if (!mayBeFifthOrOctave && !(isAdjacent && mayOverlap)) {
+            return true;
+        }
+        const vlq = new voiceLeading.VoiceLeadingQuartet(
+            previous[upper],
+            next[upper],
+            previous[lower],
+            next[lower]
+        );
+        if (this.forbidParallelFifths && vlq.parallelFifth()) {
+            return false;
+        }
+        if (this.forbidParallelOctaves && vlq.parallelUnisonOrOctave()) {
+            return false;
+        }
+        if (isOuter && this.forbidHiddenFifths && vlq.hiddenFifth()) {
+            return false;
+        }
+        if (isOuter && this.forbidHiddenOctaves && vlq.hiddenOctave()) {
+            return false;
+        }
+        if (isAdjacent && this.forbidVoiceOverlap && vlq.voiceOverlap()) {
+            return false;
+        }
+        return true;
+    }
+}
+
+/**
+ * One bass note (or rest) of a {@link music21.figuredBass.FiguredBassLine}
+ * and the pitch names its figures call for.
+ *
+ * In music21p is in figuredBass.segment.
+ *
+ * @param {music21.note.Note|music21.note.Rest} bassNote
+ * @param {string} [notationString=''] - figures such as '6' or '6,4'
+ * @param {music21.key.Key} keyObj
+ * @property {music21.figuredBass.Notation} notation
+ * @property {Array<string>} pitchNames - the bass name first
+ */
+class Segment {
+    constructor(bassNote, notationString = '', keyObj) {
+        this.bassNote = bassNote;
+        this.notationString = notationString;
+        this.notation = new Notation(notationString);
+        this.key = keyObj;
+        this.pitchNames = [];
+        if (bassNote !== undefined && bassNote.isClassOrSubclass('Note')) {
+            this.pitchNames = this._getPitchNames();
+        }
+    }
+
+    get isRest() {
+        return this.pitchNames.length === 0;
+    }
+
+    _getPitchNames() {
+        const bassPitch = this.bassNote.pitch;
+        const bassStepIndex = pitch.stepsToName.indexOf(bassPitch.step);
+        const pitchNames = [bassPitch.name];
+        for (let i = 0; i < this.notation.numbers.length; i++) {
+            const number = this.notation.numbers[i];
+            const step = pitch.stepsToName[(bassStepIndex + number - 1) % 7];
+            const p = new pitch.Pitch(step);
+            p.accidental = this.key.accidentalByStep(step);
+            this.notation.modifiers[i].modifyPitch(p, true);
+            if (!pitchNames.includes(p.name)) {
+                pitchNames.push(p.name);
+            }
+        }
+        return pitchNames;
+    }
+
+    /**
+     * Returns every arrangement of the pitch names in the upper parts that
+     * the rules allow, as Arrays of [soprano, alto, tenor, bass] Pitches.
+     *
+     * @param {music21.figuredBass.Rules} rules
+     * @param {music21.pitch.Pitch} maxPitch - the highest pitch for the soprano
+     * @returns {Array<Array<music21.pitch.Pitch>>}
+     */
+    allPossibilities(rules, maxPitch) {
+        const bassPitch = this.bassNote.pitch;
+        const candidates = [];
+        for (const pitchName of this.pitchNames) {
+            for (let octave = 1; octave <= 8; octave++) {
+                const p = new pitch.Pitch(pitchName);
+                p.octave = octave;
+                if (p.ps > bassPitch.ps && p.ps <= maxPitch.ps) {
+                    candidates.push(p);
+                }
+            }
+        }
+        candidates.sort((a, b) => b.ps - a.ps);
+        const possibilities = [];
+        for (let s = 0; s < candidates.length; s++) {
+            for (let a = s; a < candidates.length; a++) {
+                for (let t = a; t < candidates.length; t++) {
+                    const possibility = [
+                        candidates[s],
+                        candidates[a],
+                        candidates[t],
+                        bassPitch,
+                    ];
+                    if (rules.isAllowedPossibility(possibility, this.pitchNames)) {
+                        possibilities.push(possibility);
+                    }
+                }
+            }
+        }
+        return possibilities;
+    }
+}
+
+/**
+ * One realization of a {@link music21.figuredBass.FiguredBassLine}.
+ *
+ * @property {number} cost - lower is better
+ * @property {Array<Array<music21.pitch.Pitch>|undefined>} possibilities - the
+ *     [soprano, alto, tenor, bass] Pitches for each Segment (undefined for rests)
+ * @property {music21.stream.Score} score - (readonly) the realization as a
+ *     four-part Score
+ */
+class Realization {
+    constructor(fbLine, possibilities, cost) {
+        this.fbLine = fbLine;
+        this.possibilities = possibilities;
+        this.cost = cost;
+        this._score = undefined;
+    }
+
+    get score() {
+        if (this._score === undefined) {
+            this._score = this.generateScore();
+        }
+        return this._score;
+    }
+
+    /**
+     * Makes a new Score with Soprano, Alto, Tenor, and Bass Parts.  The bass
+     * notes (with their lyrics) are copies of the originals.
+     *
+     * @returns {music21.stream.Score}
+     */
+    generateScore() {
+        const fbLine = this.fbLine;
+        const parts = [];
+        for (let i = 0; i < 4; i++) {
+            const p = new stream.Part();
+            p.clef = i < 2 ? new clef.TrebleClef() : new clef.BassClef();
+            p.keySignature = fbLine.key.clone();
+            if (fbLine.inTime !== undefined) {
+                p.timeSignature = fbLine.inTime.clone();
+            }
+            parts.push(p);
+        }
+        let offset = 0.0;
+        for (let j = 0; j < fbLine.segments.length; j++) {
+            const segment = fbLine.segments[j];
+            const quarterLength = segment.bassNote.duration.quarterLength;
+            const possibility = this.possibilities[j];
+            for (let i = 0; i < 4; i++) {
+                let el;
+                if (i === 3) {
+                    el = segment.bassNote.clone(true);
+                } else if (possibility === undefined) {
+                    el = new note.Rest();
+                } else {
+                    el = new note.Note();
+                    el.pitch = possibility[i].clone();
+                }
+                el.duration.quarterLength = quarterLength;
+                parts[i].insert(offset, el);
+            }
+            offset += quarterLength;
+        }
+        const sc = new stream.Score();
+        for (let i = 0; i < 4; i++) {
+            let p = parts[i];
+            if (fbLine.inTime !== undefined) {
+                p = p.makeMeasures();
+                p.clef = parts[i].clef;
+                p.keySignature = parts[i].keySignature;
+                p.timeSignature = parts[i].timeSignature;
+            }
+            sc.insert(0, p);
+        }
+        return sc;
+    }
+}
+
+/**
+ * A bass line with figures, which can be realized in four parts.
+ *
+ * In music21p is in figuredBass.realizer.
+ *
+ * @param {music21.key.Key|string} [inKey='C']
+ * @param {music21.meter.TimeSignature} [inTime] - if given, the realizations
+ *     have Measures
+ * @property {Array<music21.figuredBass.Segment>} segments
+ * @example
+ * var fbLine = new music21.figuredBass.FiguredBassLine('C');
+ * fbLine.addElement(new music21.note.Note('C3'));
+ * fbLine.addElement(new music21.note.Note('D3'), '4,3');
+ * fbLine.addElement(new music21.note.Note('E3'), '6');
+ * var best = fbLine.realize()[0];
+ * best.parts.length; // 4
+ */
+class FiguredBassLine {
+    constructor(inKey = 'C', inTime) {
+        if (typeof inKey === 'string') {
+            inKey = new key.Key(inKey);
+        }
+        this.key = inKey;
+        this.inTime = inTime;
+        this.segments = [];
+    }
+
+    /**
+     * @param {music21.note.Note|music21.note.Rest} bassNote
+     * @param {string} [notationString=''] - figures such as '6' or '6,4'
+     */
+    addElement(bassNote, notationString = '') {
+        this.segments.push(new Segment(bassNote, notationString, this.key));
+    }
+
+    /**
+     * Finds the lowest-cost realizations that follow the rules.
+     *
+     * @param {music21.figuredBass.Rules} [rules] - default rules if not given
+     * @param {Int} [numRealizations=1] - the most realizations to return
+     * @param {music21.pitch.Pitch|string} [maxPitch='B5'] - the highest soprano pitch
+     * @returns {Array<music21.figuredBass.Realization>} best first
+     */
+    generateRealizations(rules, numRealizations = 1, maxPitch = 'B5') {
+        if (rules === undefined) {
+            rules = new Rules();
+        }
+        if (typeof maxPitch === 'string') {
+            maxPitch = new pitch.Pitch(maxPitch);
+        }
+        // for each possibility of the last segment, the best paths to it,
+        // as objects of {cost, possibility, previous}
+        let paths = [{ cost: 0, possibility: undefined, previous: undefined }];
+        for (const segment of this.segments) {
+            if (segment.isRest) {
+                paths = paths.map(path => ({
+                    cost: path.cost,
+                    possibility: undefined,
+                    previous: path,
+                }));
+                continue;
+            }
+            const nextPaths = [];
+            for (const possibility of segment.allPossibilities(rules, maxPitch)) {
+                const ownCost = rules.possibilityCost(possibility, this.key);
+                const candidates = [];
+                for (const path of paths) {
+                    const previous = path.possibility;
+                    if (previous === undefined) {
+                        candidates.push({ cost: path.cost + ownCost, possibility, previous: path });
+                    } else if (rules.isAllowedTransition(previous, possibility)) {
+                        candidates.push({
+                            cost: path.cost + ownCost + rules.transitionCost(previous, possibility),
+                            possibility,
+                            previous: path,
+                        });
+                    }
+                }
+                candidates.sort((a, b) => a.cost - b.cost);
+                nextPaths.push(...candidates.slice(0, numRealizations));
+            }
+            if (nextPaths.length === 0) {
+                return [];
+            }
+            nextPaths.sort((a, b) => a.cost - b.cost);
+            paths = nextPaths;
+        }
+        const realizations = [];
+        for (const path of paths.slice(0, numRealizations)) {
+            const possibilities = [];
+            let p = path;
+            while (p.previous !== undefined) {
+                possibilities.unshift(p.possibility);
+                p = p.previous;
+            }
+            if (possibilities.length === 0) {
+                continue;
+            }
+            realizations.push(new Realization(this, possibilities, path.cost));
+        }
+        return realizations;
+    }
+
+    /**
+     * Realizes the line in four parts.
+     *
+     * @param {music21.figuredBass.Rules} [rules] - default rules if not given
+     * @param {Int} [numRealizations=1] - the most realizations to return
+     * @param {music21.pitch.Pitch|string} [maxPitch='B5'] - the highest soprano pitch
+     * @returns {Array<music21.stream.Score>} best first; empty if the rules
+     *     cannot be followed
+     */
+    realize(rules, numRealizations = 1, maxPitch = 'B5') {
+        return this.generateRealizations(rules, numRealizations, maxPitch).map(
+            r => r.score
+        );
+    }
+}
+
+/**
+ * Makes a {@link music21.figuredBass.FiguredBassLine} from the notes and
+ * rests of a Part.  The figures for each note are taken from its
+ * `notationString` if it has one, otherwise from its lyrics (one figure per
+ * lyric line, top first).
+ *
+ * In music21p is in figuredBass.realizer.
+ *
+ * @param {music21.stream.Stream} streamPart
+ * @param {music21.key.Key|string} [inKey] - the key of the Part's first key
+ *     signature (as a major key) if not given
+ * @returns {music21.figuredBass.FiguredBassLine}
+ * @example
+ * var bass = music21.tinyNotation.TinyNotation('4/4 C2 D2 E1');
+ * bass.flat.notes.get(1).lyric = '4,3';
+ * bass.flat.notes.get(2).lyric = '6';
+ * var fbLine = music21.figuredBass.figuredBassFromStream(bass, 'C');
+ * fbLine.segments[1].pitchNames; // ['D', 'B', 'G', 'F']
+ */
+function figuredBassFromStream(streamPart, inKey) {
+    const flatPart = streamPart.flat;
+    let inTime = streamPart.timeSignature;
+    const firstTimeSignature = flatPart.getElementsByClass('TimeSignature');
+    if (firstTimeSignature.length > 0) {
+        inTime = firstTimeSignature.get(0);
+    }
+    const measures = streamPart.getElementsByClass('Measure');
+    if (inTime === undefined && measures.length > 0) {
+        inTime = measures.get(0).timeSignature;
+    }
+    if (inKey === undefined) {
+        let ks = streamPart.keySignature;
+        if (ks === undefined && measures.length > 0) {
+            ks = measures.get(0).keySignature;
+        }
+        if (ks === undefined) {
+            inKey = new key.Key('C');
+        } else if (ks.isClassOrSubclass('Key')) {
+            inKey = ks;
+        } else {
+            inKey = new key.Key(ks.majorName());
+        }
+    }
+    const fbLine = new FiguredBassLine(inKey, inTime);
+    for (const n of flatPart.notesAndRests) {
+        if (n.isClassOrSubclass('Chord')) {
+            throw new FiguredBassException('Bass lines cannot have Chords');
+        }
+        let notationString = n.notationString;
+        if (notationString === undefined) {
+            notationString = n.lyrics.map(l => l.text).join(',');
+        }
+        fbLine.addElement(n, notationString);
+    }
+    return fbLine;
+}
+
 export const figuredBass = {
     Notation,
     Figure,
     Modifier,
+    FiguredBassException,
+    Rules,
+    Segment,
+    Realization,
+    FiguredBassLine,
+    figuredBassFromStream,
 };
@@ -0,0 +1,472 @@
+/**
+ * music21j -- Javascript reimplementation of Core music21p features.
+ * music21/freezeThaw -- saving Streams and other objects to JSON and restoring them
+ *
+ * Copyright (c) 2013-18, Michael Scott Cuthbert and cuthbertLab
+ * Based on music21 (=music21p), Copyright (c) 2006–18, Michael Scott Cuthbert and cuthbertLab
+ *
+ */
+import { Music21Exception } from './exceptions21.js';
+
+import { common } from './common.js';
+import { prebase } from './prebase.js';
+
+/**
+ * freezeThaw module. See {@link music21.freezeThaw} namespace
+ *
+ * @exports music21/freezeThaw
+ */
+/**
+ * Converting ("freezing") a {@link music21.stream.Stream} or any other
+ * {@link music21.prebase.ProtoM21Object} to a plain object that can be
+ * sent through `JSON.stringify`, and restoring ("thawing") it again.
+ *
+ * Every music21 object is written with its class name (`"m21/class"`) and
+ * only those attributes that differ from a newly created object of the same
+ * class.  An object that appears more than once (a note in a Measure and a
+ * Slur, a Tuplet shared by two Durations) is written once and thereafter as
+ * a reference (`"m21/ref"`), so identity is preserved after thawing.
+ * Classes that need constructor arguments, such as
+ * {@link music21.interval.Interval}, also save them (`"m21/args"`).
+ * Sites are rebuilt from the Streams' contents, and caches are
+ * recomputed.  Vexflow and DOM objects are not saved.
+ *
+ * Usually called through {@link music21.stream.Stream#toJSON} and
+ * `music21.fromJSON`.
+ *
+ * @namespace music21.freezeThaw
+ * @memberof music21
+ * @requires music21/common
+ * @requires music21/prebase
+ * @example
+ * var s = music21.tinyNotation.TinyNotation('3/4 c4 d8 e f4 trip{g8 a b}');
+ * var json = JSON.stringify(s); // uses s.toJSON()
+ * var s2 = music21.fromJSON(json);
+ * s2.flat.notes.length; // 7
+ * s2.getElementsByClass('Measure').get(0).timeSignature.ratioString; // '3/4'
+ */
+export const freezeThaw = {};
+
+export class FreezeThawException extends Music21Exception {}
+freezeThaw.FreezeThawException = FreezeThawException;
+
+/**
+ * Name written in the `"m21/format"` key of every frozen object.
+ *
+ * @memberof music21.freezeThaw
+ * @type {string}
+ */
+freezeThaw.format = 'music21j';
+
+/**
+ * Version of the frozen format. Objects frozen with a later version
+ * cannot be thawed.
+ *
+ * @memberof music21.freezeThaw
+ * @type {int}
+ */
+freezeThaw.version = 1;
+
+/**
+ * Attributes that are not saved, by class name.  Each is either a cache or
+ * is rebuilt by {@link music21.freezeThaw.postThawHandlers}.
+ *
+ * @memberof music21.freezeThaw
+ * @type {Object<string, Array<string>>}
+ */
+freezeThaw.skippedAttributes = {
+    ProtoM21Object: ['_cloneCallbacks', '_storedClasses'],
+    Music21Object: ['sites'],
+    Chord: ['_cache'],
+    KeySignature: ['_alteredPitchesCache'],
+    Key: ['_scale'],
+    AbstractScale: ['_realizationCache'],
+};
+
+/**
+ * Functions called, by class name, on each thawed object after every
+ * object has been thawed.
+ *
+ * @memberof music21.freezeThaw
+ * @type {Object<string, function>}
+ */
+freezeThaw.postThawHandlers = {
+    Stream: s => {
+        const isSpannerStorage = s.isClassOrSubclass('SpannerStorage');
+        for (const el of s._elements) {
+            el.sites.add(s);
+            if (el.activeSite === undefined && !isSpannerStorage) {
+                el.activeSite = s;
+            }
+        }
+    },
+    Key: k => {
+        k._scale = k.getScale();
+    },
+};
+
+/**
+ * Functions, by class name, giving the arguments needed to construct an
+ * object like the one given, for classes that cannot be constructed
+ * without arguments.  The arguments are saved as `"m21/args"` and the
+ * object is thawed by calling the constructor with them; only
+ * attributes that then differ are saved.
+ *
+ * @memberof music21.freezeThaw
+ * @type {Object<string, function>}
+ */
+freezeThaw.constructorArguments = {
+    Interval: i => [i.directedName],
+};
+
+function constructorArgumentsFor(Ctor, obj) {
+    const argsFunction = freezeThaw.constructorArguments[Ctor.name];
+    if (argsFunction === undefined) {
+        return undefined;
+    }
+    return argsFunction(obj);
+}
+
+const SKIP = {};
+
+/**
+ * Converts ProtoM21Objects to plain objects suitable for `JSON.stringify`.
+ *
+ * A new JSONFreezer should be used for each object frozen, since it
+ * remembers which objects it has already written.
+ *
+ * @class JSONFreezer
+ * @memberof music21.freezeThaw
+ */
+export class JSONFreezer {
+    constructor() {
+        this.nextId = 0;
+        this.objectIds = new Map();
+        this.defaultObjects = new Map();
+    }
+
+    /**
+     * Freezes `obj` and everything it refers to.
+     *
+     * @memberof music21.freezeThaw.JSONFreezer
+     * @param {music21.prebase.ProtoM21Object} obj
+     * @returns {object}
+     */
+    freeze(obj) {
+        if (obj === undefined || !obj.isProtoM21Object) {
+            throw new FreezeThawException(
+                'Can only freeze music21 objects'
+            );
+        }
+        return {
+            'm21/format': freezeThaw.format,
+            'm21/version': freezeThaw.version,
+            'data': this.freezeObject(obj),
+        };
+    }
+
+    /**
+     * Returns a newly constructed object of the same class as obj
+     * (cached, unless made with `freezeThaw.constructorArguments`),
+     * against which attributes are compared.
+     *
+     * @memberof music21.freezeThaw.JSONFreezer
+     * @param {music21.prebase.ProtoM21Object} obj
+     * @returns {music21.prebase.ProtoM21Object}
+     */
+    defaultObject(obj) {
+        const Ctor = obj.constructor;
+        const args = constructorArgumentsFor(Ctor, obj);
+        if (args !== undefined) {
+            return new Ctor(...args);
+        }
+        if (!this.defaultObjects.has(Ctor)) {
+            this.defaultObjects.set(Ctor, new Ctor());
+        }
+        return this.defaultObjects.get(Ctor);
+    }
+
+    /**
+     * @memberof music21.freezeThaw.JSONFreezer
+     * @param {music21.prebase.ProtoM21Object} obj
+     * @returns {object}
+     */
+    freezeObject(obj) {
+        if (this.objectIds.has(obj)) {
+            return { 'm21/ref': this.objectIds.get(obj) };
+        }
+        const objId = this.nextId;
+        this.nextId += 1;
+        this.objectIds.set(obj, objId);
+
+        const out = {
+            'm21/class': obj.constructor.name,
+            'm21/id': objId,
+        };
+        const args = constructorArgumentsFor(obj.constructor, obj);
+        if (args !== undefined) {
+            out['m21/args'] = this.freezeValue(args);
+        }
+        const skipped = [];
+        for (const className of obj.classes) {
+            if (freezeThaw.skippedAttributes[className] !== undefined) {
+                skipped.push(...freezeThaw.skippedAttributes[className]);
+            }
+        }
+        const defaultObj = this.defaultObject(obj);
+
+        for (const key of Object.keys(obj)) {
+            if (skipped.includes(key)) {
+                continue;
+            }
+            const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+            if (descriptor.get !== undefined || descriptor.set !== undefined) {
+                continue;
+            }
+            const value = obj[key];
+            if (key === 'activeSite') {
+                // only write activeSites that are part of what is frozen;
+                // others are restored from the containing Stream.
+                if (value !== undefined && this.objectIds.has(value)) {
+                    out[key] = { 'm21/ref': this.objectIds.get(value) };
+                }
+                continue;
+            }
+            const defaultValue = defaultObj[key];
+            if (value === defaultValue) {
+                continue;
+            }
+            if (
+                Array.isArray(value)
+                && Array.isArray(defaultValue)
+                && common.arrayEquals(value, defaultValue)
+            ) {
+                continue;
+            }
+            const frozen = this.freezeValue(value);
+            if (frozen !== SKIP) {
+                out[key] = frozen;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * @memberof music21.freezeThaw.JSONFreezer
+     * @param {*} value
+     * @returns {*} the frozen value or a private marker that the
+     *     value should not be saved.
+     */
+    freezeValue(value) {
+        if (value === undefined) {
+            return { 'm21/undefined': 1 };
+        }
+        if (typeof value === 'function') {
+            return SKIP;
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(v => {
+                const frozen = this.freezeValue(v);
+                return frozen === SKIP ? null : frozen;
+            });
+        }
+        if (value.isProtoM21Object) {
+            return this.freezeObject(value);
+        }
+        if (Object.getPrototypeOf(value) !== Object.prototype) {
+            // Vexflow objects, DOM elements, Maps, etc.
+            return SKIP;
+        }
+        const out = {};
+        for (const key of Object.keys(value)) {
+            const frozen = this.freezeValue(value[key]);
+            if (frozen !== SKIP) {
+                out[key] = frozen;
+            }
+        }
+        return out;
+    }
+}
+freezeThaw.JSONFreezer = JSONFreezer;
+
+/**
+ * Restores objects frozen by {@link music21.freezeThaw.JSONFreezer}.
+ *
+ * @class JSONThawer
+ * @memberof music21.freezeThaw
+ * @param {object} modules - object mapping module names to modules
+ *     (such as the `music21` object itself); every ProtoM21Object subclass
+ *     found in them can be thawed.
+ * @property {Object<string, function>} classRegistry - class names to classes
+ */
+export class JSONThawer {
+    constructor(modules = {}) {
+        this.classRegistry = {};
+        this.objectsById = new Map();
+        this.thawedObjects = [];
+        for (const moduleOrClass of Object.values(modules)) {
+            if (typeof moduleOrClass === 'function') {
+                this.registerClass(moduleOrClass);
+            } else if (
+                typeof moduleOrClass === 'object'
+                && moduleOrClass !== null
+            ) {
+                for (const possibleClass of Object.values(moduleOrClass)) {
+                    this.registerClass(possibleClass);
+                }
+            }
+        }
+    }
+
+    /**
+     * Adds a ProtoM21Object subclass to the classRegistry, unless a class
+     * with the same name is already there.  Other values are ignored.
+     *
+     * @memberof music21.freezeThaw.JSONThawer
+     * @param {function} possibleClass
+     */
+    registerClass(possibleClass) {
+        if (
+            typeof possibleClass !== 'function'
+            || possibleClass.prototype === undefined
+            || !(possibleClass.prototype instanceof prebase.ProtoM21Object
+                || possibleClass === prebase.ProtoM21Object)
+        ) {
+            return;
+        }
+        if (this.classRegistry[possibleClass.name] === undefined) {
+            this.classRegistry[possibleClass.name] = possibleClass;
+        }
+    }
+
+    /**
+     * Thaws a frozen object or its JSON string.
+     *
+     * @memberof music21.freezeThaw.JSONThawer
+     * @param {object|string} data
+     * @returns {music21.prebase.ProtoM21Object}
+     */
+    thaw(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (
+            data === null
+            || typeof data !== 'object'
+            || data['m21/format'] !== freezeThaw.format
+        ) {
+            throw new FreezeThawException(
+                'Data was not frozen by music21j'
+            );
+        }
+        if (data['m21/version'] > freezeThaw.version) {
+            throw new FreezeThawException(
+                `Cannot thaw version ${data['m21/version']} data; `
+                + `this is version ${freezeThaw.version}`
+            );
+        }
+        const obj = this.thawValue(data.data);
+        for (const thawed of this.thawedObjects) {
+            for (const className of thawed.classes) {
+                const handler = freezeThaw.postThawHandlers[className];
+                if (handler !== undefined) {
+                    handler(thawed);
+                }
+            }
+        }
+        return obj;
+    }
+
+    /**
+     * @memberof music21.freezeThaw.JSONThawer
+     * @param {*} value
+     * @returns {*}
+     */
+    thawValue(value) {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(v => this.thawValue(v));
+        }
+        if (value['m21/undefined'] !== undefined) {
+            return undefined;
+        }
+        if (value['m21/ref'] !== undefined) {
+            if (!this.objectsById.has(value['m21/ref'])) {
+                throw new FreezeThawException(
+                    `Reference to unknown object ${value['m21/ref']}`
+                );
+            }
+            return this.objectsById.get(value['m21/ref']);
+        }
+        if (value['m21/class'] !== undefined) {
+            return this.thawObject(value);
+        }
+        const out = {};
+        for (const key of Object.keys(value)) {
+            out[key] = this.thawValue(value[key]);
+        }
+        return out;
+    }
+
+    /**
+     * @memberof music21.freezeThaw.JSONThawer
+     * @param {object} frozen
+     * @returns {music21.prebase.ProtoM21Object}
+     */
+    thawObject(frozen) {
+        const className = frozen['m21/class'];
+        const Ctor = this.classRegistry[className];
+        if (Ctor === undefined) {
+            throw new FreezeThawException(
+                `Cannot thaw unknown class ${className}`
+            );
+        }
+        const args = frozen['m21/args'] !== undefined
+            ? this.thawValue(frozen['m21/args'])
+            : [];
+        const obj = new Ctor(...args);
+        this.objectsById.set(frozen['m21/id'], obj);
+        this.thawedObjects.push(obj);
+        for (const key of Object.keys(frozen)) {
+            if (key.startsWith('m21/')) {
+                continue;
+            }
+            obj[key] = this.thawValue(frozen[key]);
+        }
+        return obj;
+    }
+}
+freezeThaw.JSONThawer = JSONThawer;
+
+/**
+ * Freezes a music21 object to a plain object; call `JSON.stringify` on the
+ * result to get a string.
+ *
+ * @function music21.freezeThaw.toJSON
+ * @memberof music21.freezeThaw
+ * @param {music21.prebase.ProtoM21Object} obj
+ * @returns {object}
+ */
+freezeThaw.toJSON = function toJSON(obj) {
+    return new JSONFreezer().freeze(obj);
+};
+
+/**
+ * Thaws an object frozen by {@link music21.freezeThaw.toJSON}, given as
+ * an object or a JSON string.  `music21.fromJSON(data)` calls this with
+ * all of music21's modules.
+ *
+ * @function music21.freezeThaw.fromJSON
+ * @memberof music21.freezeThaw
+ * @param {object|string} data
+ * @param {object} modules - see {@link music21.freezeThaw.JSONThawer}
+ * @returns {music21.prebase.ProtoM21Object}
+ */
+freezeThaw.fromJSON = function fromJSON(data, modules) {
+    return new JSONThawer(modules).thaw(data);
+};
@@ -21,6 +21,8 @@
  */
 import * as jsonpickle from 'jsonpickle';
 
+import { metadata } from './metadata.js';
+
 const jp = jsonpickle;
 /**
  * fromPython module -- see {@link music21.fromPython}
@@ -38,6 +40,7 @@ const unpickler = jp.unpickler;
  * @namespace music21.fromPython
  * @extends music21
  * @requires jsonpickle
+ * @requires music21/metadata
  */
 export const fromPython = {};
 
@@ -53,16 +56,12 @@ export class Converter {
     constructor() {
         this.debug = true;
         this.knownUnparsables = [
-            'music21.spanner.Line',
             'music21.instrument.Instrument',
             'music21.layout.StaffGroup',
             'music21.layout.StaffLayout',
             'music21.layout.SystemLayout',
             'music21.layout.PageLayout',
             'music21.expressions.TextExpression',
-            'music21.bar.Barline', // Soon...
-            'music21.tempo.MetronomeMark', // should be possible
-            'music21.metadata.Metadata', // Soon...
         ];
         this.handlers = {
             'music21.duration.Duration': {
@@ -71,6 +70,12 @@ export class Converter {
                     return d;
                 },
             },
+            'music21.tempo.MetronomeMark': {
+                post_restore: this.tempoIndicationPostRestore.bind(this),
+            },
+            'music21.tempo.TempoText': {
+                post_restore: this.tempoIndicationPostRestore.bind(this),
+            },
             'music21.meter.TimeSignature': {
                 post_restore: ts => {
                     ts._numerator = ts.displaySequence._numerator;
@@ -101,6 +106,12 @@ export class Converter {
             'music21.stream.Voice': {
                 post_restore: this.streamPostRestore.bind(this),
             },
+            'music21.metadata.Metadata': {
+                post_restore: this.metadataPostRestore.bind(this),
+            },
+            'music21.stream.SpannerStorage': {
+                post_restore: this.spannerStoragePostRestore.bind(this),
+            },
         };
         this.currentPart = undefined;
         this.lastClef = undefined;
@@ -178,6 +189,15 @@ export class Converter {
                         streamPart.keySignature = el;
                     }
                     appendEl = false;
+                } else if (thisClass === 'Barline') {
+                    // right barlines are stored at 'highestTime' in music21p
+                    if (el.location === 'left') {
+                        s.leftBarline = el;
+                        appendEl = false;
+                    } else if (el.location === 'right' || st[i][1] === 'highestTime') {
+                        s.rightBarline = el;
+                        appendEl = false;
+                    }
                 } else if (thisClass === 'Part') {
                     appendEl = false;
                     insertAtStart = true;
@@ -193,6 +213,94 @@ export class Converter {
         return s;
     }
 
+    /**
+     * Puts the spanned elements back into a SpannerStorage without
+     * changing their activeSite or offset.
+     *
+     * @method music21.fromPython.Converter#spannerStoragePostRestore
+     * @memberof music21.fromPython.Converter
+     * @param {music21.stream.SpannerStorage} ss - storage of a {@link music21.spanner.Spanner} after unpacking
+     * @returns {music21.stream.SpannerStorage}
+     */
+    spannerStoragePostRestore(ss) {
+        const st = ss._storedElementOffsetTuples;
+        if (st === undefined) {
+            return ss;
+        }
+        for (let i = 0; i < st.length; i++) {
+            ss.coreAppend(st[i][0]);
+        }
+        return ss;
+    }
+
+    /**
+     * Copies the text that music21p stores in a TextExpression (on a TempoText,
+     * or on the TempoText of a MetronomeMark) into `._text`, and turns
+     * Python's None into undefined.
+     *
+     * @method music21.fromPython.Converter#tempoIndicationPostRestore
+     * @memberof music21.fromPython.Converter
+     * @param {music21.tempo.TempoIndication} ti - MetronomeMark or TempoText after unpacking
+     * @returns {music21.tempo.TempoIndication}
+     */
+    tempoIndicationPostRestore(ti) {
+        if (ti._tempoText !== undefined && ti._tempoText !== null) {
+            ti._text = ti._tempoText._text;
+        } else if (ti._textExpression !== undefined && ti._textExpression !== null) {
+            ti._text = ti._textExpression._content;
+        }
+        delete ti._tempoText;
+        delete ti._textExpression;
+        if (ti._text === null) {
+            ti._text = undefined;
+        }
+        if (ti._number === null) {
+            ti._number = undefined;
+        }
+        return ti;
+    }
+
+    /**
+     * Copies the work ids, contributors, and copyright that music21p stores in
+     * `._workIds`, `._contributors`, and `._copyright` (as `Text` objects)
+     * onto the attributes of the music21j Metadata object.
+     *
+     * @method music21.fromPython.Converter#metadataPostRestore
+     * @memberof music21.fromPython.Converter
+     * @param {music21.metadata.Metadata} md - metadata after unpacking
+     * @returns {music21.metadata.Metadata}
+     */
+    metadataPostRestore(md) {
+        const textOf = t => {
+            if (t === undefined || t === null) {
+                return undefined;
+            } else if (typeof t === 'object') {
+                return t._data === undefined ? undefined : String(t._data);
+            } else {
+                return String(t);
+            }
+        };
+        const workIds = md._workIds || {};
+        for (const workId of metadata.workIdNames) {
+            const value = textOf(workIds[workId]);
+            if (value !== undefined) {
+                md[workId] = value;
+            }
+        }
+        if (md.contributors === undefined) {
+            md.contributors = [];
+        }
+        for (const c of md._contributors || []) {
+            const names = (c._names || []).map(textOf).filter(n => n !== undefined);
+            md.addContributor(new metadata.Contributor(c._role, names));
+        }
+        const copyright = textOf(md._copyright);
+        if (copyright !== undefined) {
+            md.copyright = copyright;
+        }
+        return md;
+    }
+
     /**
      * Run the main decoder
      *
@@ -1,5 +1,10 @@
+import { Music21Exception } from './exceptions21.js';
+
 import { chord } from './chord.js';
+import { interval } from './interval.js';
 import { key } from './key.js';
+import { pitch } from './pitch.js';
+import { prebase } from './prebase.js';
 
 class Harmony extends chord.Chord {
     constructor(figure, keywords) {
@@ -60,6 +65,23 @@ class Harmony extends chord.Chord {
         }
     }
 
+    /**
+     * Whether the Harmony is shown and played as a chord, rather than
+     * only as a symbol.  Turning it on gives a Harmony without a duration
+     * the length of a quarter note.
+     *
+     * @type {boolean}
+     */
+    get writeAsChord() {
+        return this._writeAsChord;
+    }
+    set writeAsChord(value) {
+        this._writeAsChord = value;
+        if (value && this.duration.quarterLength === 0) {
+            this.duration.quarterLength = 1.0;
+        }
+    }
+
     get key() {
         return this._key;
     }
@@ -75,8 +97,511 @@ class Harmony extends chord.Chord {
     findFigure() {
         return;
     }
+
+    /**
+     * Transposes the pitches and the key of the Harmony.
+     */
+    transpose(value, inPlace = false) {
+        const post = super.transpose(value, inPlace);
+        if (post.key !== undefined && post.key.transpose !== undefined) {
+            post.key = post.key.transpose(value);
+        }
+        return post;
+    }
+}
+
+class HarmonyException extends Music21Exception {}
+
+/**
+ * The kinds of chord that a {@link music21.harmony.ChordSymbol} can have, with
+ * the same names as the MusicXML `<kind>` tag.  Each kind has the chord
+ * degrees above the root ('-3' is a minor third, '--7' a diminished seventh)
+ * and the abbreviations that can follow the root in a figure.  The first
+ * abbreviation is the one used when writing a figure.
+ *
+ * @memberof music21.harmony
+ */
+const chordTypes = {
+    'major': ['1,3,5', ['', 'maj', 'M']],
+    'minor': ['1,-3,5', ['m', 'min']],
+    'augmented': ['1,3,#5', ['+', 'aug']],
+    'diminished': ['1,-3,-5', ['dim', 'o']],
+    'suspended-second': ['1,2,5', ['sus2']],
+    'suspended-fourth': ['1,4,5', ['sus4', 'sus']],
+    'power': ['1,5', ['5', 'power']],
+    'pedal': ['1', ['pedal']],
+    'major-sixth': ['1,3,5,6', ['6']],
+    'minor-sixth': ['1,-3,5,6', ['m6', 'min6']],
+    'dominant-seventh': ['1,3,5,-7', ['7', 'dom7']],
+    'major-seventh': ['1,3,5,7', ['maj7', 'M7', 'Maj7']],
+    'minor-seventh': ['1,-3,5,-7', ['m7', 'min7']],
+    'minor-major-seventh': ['1,-3,5,7', ['mM7', 'minmaj7', 'mmaj7', 'm(maj7)']],
+    'diminished-seventh': ['1,-3,-5,--7', ['dim7', 'o7']],
+    'half-diminished-seventh': ['1,-3,-5,-7', ['m7b5', 'ø7', 'ø']],
+    'augmented-seventh': ['1,3,#5,-7', ['7#5', '+7', 'aug7']],
+    'suspended-fourth-seventh': ['1,4,5,-7', ['7sus4', '7sus']],
+    'dominant-ninth': ['1,3,5,-7,9', ['9', 'dom9']],
+    'major-ninth': ['1,3,5,7,9', ['maj9', 'M9', 'Maj9']],
+    'minor-ninth': ['1,-3,5,-7,9', ['m9', 'min9']],
+    'dominant-11th': ['1,3,5,-7,9,11', ['11', 'dom11']],
+    'major-11th': ['1,3,5,7,9,11', ['maj11', 'M11', 'Maj11']],
+    'minor-11th': ['1,-3,5,-7,9,11', ['m11', 'min11']],
+    'dominant-13th': ['1,3,5,-7,9,11,13', ['13', 'dom13']],
+    'major-13th': ['1,3,5,7,9,11,13', ['maj13', 'M13', 'Maj13']],
+    'minor-13th': ['1,-3,5,-7,9,11,13', ['m13', 'min13']],
+};
+
+/**
+ * MusicXML `<kind>` values that are other names for a kind in
+ * {@link music21.harmony.chordTypes}.
+ *
+ * @memberof music21.harmony
+ */
+const chordTypeAliases = {
+    'dominant': 'dominant-seventh',
+    'half-diminished': 'half-diminished-seventh',
+    'major-minor': 'minor-major-seventh',
+};
+
+/**
+ * How to write the degree above the root that is a number of semitones
+ * away, when a chord is not one of the {@link music21.harmony.chordTypes}.
+ */
+const addedDegreeNames = {
+    1: [9, -1],
+    2: [9, 0],
+    3: [9, 1],
+    4: [3, 0],
+    5: [11, 0],
+    6: [11, 1],
+    7: [5, 0],
+    8: [13, -1],
+    9: [13, 0],
+    10: [7, -1],
+    11: [7, 0],
+};
+
+/**
+ * Returns the number of semitones above the root of a chord degree
+ * in a major scale: 3 gives 4, 9 gives 14.
+ */
+function semitonesForDegree(degree) {
+    const majorScale = [0, 2, 4, 5, 7, 9, 11];
+    return majorScale[(degree - 1) % 7] + 12 * Math.floor((degree - 1) / 7);
+}
+
+/**
+ * Parses a degree string from {@link music21.harmony.chordTypes} into an
+ * Array of `[degree, alter]` pairs: '1,-3,5' gives `[[1, 0], [3, -1], [5, 0]]`.
+ */
+function degreesFromString(degreeString) {
+    return degreeString.split(',').map(d => {
+        const [, accidentals, degree] = /^(-*|#*)(\d+)$/.exec(d);
+        const alter = accidentals[0] === '#' ? accidentals.length : -1 * accidentals.length;
+        return [parseInt(degree), alter];
+    });
+}
+
+/**
+ * Converts a root or bass in a chord symbol to a pitch name: 'Bb' gives 'B-'.
+ */
+function pitchNameFromSymbol(symbolName) {
+    return symbolName[0] + symbolName.slice(1).replace(/b/g, '-');
+}
+
+function accidentalStringForAlter(alter) {
+    if (alter < 0) {
+        return 'b'.repeat(-1 * alter);
+    }
+    return '#'.repeat(alter);
+}
+
+/**
+ * A change to the degrees of a {@link music21.harmony.ChordSymbol}, like the
+ * MusicXML `<degree>` tag.
+ *
+ * @class ChordStepModification
+ * @memberof music21.harmony
+ * @extends music21.prebase.ProtoM21Object
+ * @param {string} [modType] - 'add', 'subtract', or 'alter'
+ * @param {Int} [degree] - such as 9 or 11
+ * @param {Int} [alter=0] - semitones to raise (or if negative, lower)
+ *     the degree from where it is in a major scale (for add) or in the
+ *     chord (for alter).
+ */
+class ChordStepModification extends prebase.ProtoM21Object {
+    constructor(modType, degree, alter = 0) {
+        super();
+        this.modType = modType;
+        this.degree = degree;
+        this.alter = alter;
+    }
+
+    /**
+     * How the modification is written in a figure: 'add9', 'omit3', 'b9'.
+     *
+     * @memberof music21.harmony.ChordStepModification
+     * @returns {string}
+     */
+    figureString() {
+        if (this.modType === 'subtract') {
+            return 'omit' + this.degree.toString();
+        }
+        const degreeString = accidentalStringForAlter(this.alter) + this.degree.toString();
+        if (this.modType === 'add' && this.alter === 0) {
+            return 'add' + degreeString;
+        }
+        return degreeString;
+    }
+}
+
+/**
+ * Parses the modifications after the kind in a chord symbol figure, such as
+ * 'b9#11' or 'add9omit3'.  A degree with an accidental alters the degree if
+ * it is in the chord (given by kindDegrees) and otherwise adds it.
+ *
+ * Returns undefined if the string cannot be parsed.
+ */
+function modificationsFromString(modString, kindDegrees) {
+    const modifications = [];
+    const modificationRegex = /^\(?(add|omit|no)?(b+|#+|\+)?(\d+)\)?/;
+    let remaining = modString;
+    while (remaining.length > 0) {
+        const modMatch = modificationRegex.exec(remaining);
+        if (modMatch === null) {
+            return undefined;
+        }
+        const [, modWord, accidentals, degreeString] = modMatch;
+        const degree = parseInt(degreeString);
+        let alter = 0;
+        if (accidentals === '+') {
+            alter = 1;
+        } else if (accidentals !== undefined) {
+            alter = accidentals[0] === '#' ? accidentals.length : -1 * accidentals.length;
+        }
+        let modType = 'add';
+        if (modWord === 'omit' || modWord === 'no') {
+            modType = 'subtract';
+        } else if (modWord === undefined && kindDegrees.includes(degree)) {
+            modType = 'alter';
+        }
+        modifications.push(new ChordStepModification(modType, degree, alter));
+        remaining = remaining.slice(modMatch[0].length);
+    }
+    return modifications;
+}
+
+/**
+ * A chord symbol as used in jazz and popular music, such as 'Cmaj7',
+ * 'F#m7b5', 'Bb13#11/D' or 'Gsus4'.
+ *
+ * The figure gives a root (with 'b', '-', or '#' for accidentals), an
+ * abbreviation for the kind of chord (see {@link music21.harmony.chordTypes}),
+ * any changes to the chord ('b9', '#11', 'add9', 'omit3'), and possibly a bass
+ * after a slash.  The pitches start from the root in octave 3, with the bass
+ * beneath them.
+ *
+ * ChordSymbols are usually written only as text above the staff and take up
+ * no time; set `writeAsChord` to true to show and play them as chords.
+ *
+ * @class ChordSymbol
+ * @memberof music21.harmony
+ * @extends music21.harmony.Harmony
+ * @param {string} [figure] - such as 'Cmaj7'
+ * @param {object} [keywords] - instead of a figure, `{root, kind, bass,
+ *     chordStepModifications}` as in MusicXML, where root and bass are pitch
+ *     names or Pitches and kind is a key of {@link music21.harmony.chordTypes}
+ * @property {music21.pitch.Pitch|undefined} chordRoot
+ * @property {music21.pitch.Pitch|undefined} chordBass - undefined if the bass is the root
+ * @property {string|undefined} chordKind - such as 'dominant-seventh'
+ * @property {Array<music21.harmony.ChordStepModification>} chordStepModifications
+ * @example
+ * var cs = new music21.harmony.ChordSymbol('F#m7b5');
+ * cs.chordKind; // 'half-diminished-seventh'
+ * cs.pitches.map(p => p.nameWithOctave); // ['F#3', 'A3', 'C4', 'E4']
+ */
+class ChordSymbol extends Harmony {
+    constructor(figure, keywords) {
+        if (keywords === undefined) {
+            keywords = {};
+        }
+        super(figure, { parseFigure: false, updatePitches: false });
+        this.duration.quarterLength = 0.0;
+        this.chordRoot = undefined;
+        this.chordBass = undefined;
+        this.chordKind = undefined;
+        this._cloneCallbacks.chordStepModifications = function ChordSymbol_cloneCallbacks_chordStepModifications(
+            keyName,
+            newObj,
+            self
+        ) {
+            newObj[keyName] = self[keyName].map(csm => csm.clone());
+        };
+        if (this._figure !== undefined) {
+            this._parseFigure();
+        } else if (keywords.root !== undefined) {
+            this._setFromComponents(keywords.root, keywords.kind, keywords.bass);
+            if (keywords.chordStepModifications !== undefined) {
+                this.chordStepModifications = keywords.chordStepModifications;
+            }
+        }
+        if (this.chordRoot !== undefined) {
+            this._updatePitches();
+        }
+    }
+
+    _setFromComponents(root, kind = 'major', bass) {
+        if (typeof root === 'string') {
+            root = new pitch.Pitch(pitchNameFromSymbol(root));
+        }
+        if (typeof bass === 'string') {
+            bass = new pitch.Pitch(pitchNameFromSymbol(bass));
+        }
+        if (chordTypeAliases[kind] !== undefined) {
+            kind = chordTypeAliases[kind];
+        }
+        if (chordTypes[kind] === undefined) {
+            throw new HarmonyException('Unknown kind of chord: ' + kind);
+        }
+        this.chordRoot = root;
+        this.chordKind = kind;
+        this.chordBass = undefined;
+        if (bass !== undefined && bass.name !== root.name) {
+            this.chordBass = bass;
+        }
+    }
+
+    _parseFigure() {
+        const figure = this._figure.trim();
+        const rootMatch = /^([A-G])(b+|#+|-+)?/.exec(figure);
+        if (rootMatch === null) {
+            throw new HarmonyException('Chord symbol must begin with a root: ' + figure);
+        }
+        let remaining = figure.slice(rootMatch[0].length);
+        let bassName;
+        const bassMatch = /\/([A-G](b+|#+|-+)?)$/.exec(remaining);
+        if (bassMatch !== null) {
+            bassName = bassMatch[1];
+            remaining = remaining.slice(0, bassMatch.index);
+        }
+
+        // the longest abbreviation that leaves only modifications, so that
+        // 'Comit5' is not read as a diminished chord.
+        const candidates = [];
+        for (const [kindName, [unused, abbreviations]] of Object.entries(chordTypes)) {
+            for (const abbreviation of abbreviations) {
+                if (remaining.startsWith(abbreviation)) {
+                    candidates.push([abbreviation, kindName]);
+                }
+            }
+        }
+        candidates.sort((a, b) => b[0].length - a[0].length);
+        for (const [abbreviation, kindName] of candidates) {
+            const modifications = modificationsFromString(
+                remaining.slice(abbreviation.length),
+                degreesFromString(chordTypes[kindName][0]).map(d => d[0])
+            );
+            if (modifications !== undefined) {
+                this._setFromComponents(rootMatch[0], kindName, bassName);
+                this.chordStepModifications = modifications;
+                return;
+            }
+        }
+        throw new HarmonyException('Cannot parse chord symbol ' + figure);
+    }
+
+    /**
+     * Returns the `[degree, alter]` pairs of the chord after its
+     * chordStepModifications.
+     *
+     * @memberof music21.harmony.ChordSymbol
+     * @returns {Array<Array<Int>>}
+     */
+    chordDegrees() {
+        let degrees = degreesFromString(chordTypes[this.chordKind][0]);
+        for (const csm of this.chordStepModifications) {
+            if (csm.modType === 'subtract') {
+                degrees = degrees.filter(d => d[0] !== csm.degree);
+            } else if (csm.modType === 'alter') {
+                for (const d of degrees) {
+                    if (d[0] === csm.degree) {
+                        d[1] += csm.alter;
+                    }
+                }
+            } else if (!degrees.some(d => d[0] === csm.degree && d[1] === csm.alter)) {
+                degrees.push([csm.degree, csm.alter]);
+            }
+        }
+        degrees.sort((a, b) => a[0] - b[0]);
+        return degrees;
+    }
+
+    _updatePitches() {
+        const rootPitch = this.chordRoot.clone();
+        rootPitch.octave = 3;
+        let pitches = this.chordDegrees().map(([degree, alter]) => {
+            const intv = interval.intervalFromGenericAndChromatic(
+                degree,
+                semitonesForDegree(degree) + alter
+            );
+            return intv.transposePitch(rootPitch);
+        });
+        if (this.chordBass !== undefined) {
+            const bassPitch = this.chordBass.clone();
+            bassPitch.octave = rootPitch.octave;
+            while (bassPitch.ps >= rootPitch.ps) {
+                bassPitch.octave -= 1;
+            }
+            pitches = pitches.filter(p => p.name !== bassPitch.name);
+            pitches.unshift(bassPitch);
+        }
+        this.pitches = pitches;
+        this.root(this.pitches.find(p => p.name === rootPitch.name) || rootPitch);
+    }
+
+    /**
+     * Writes a figure from the root, kind, modifications, and bass.
+     * Used when the ChordSymbol was made without a figure.
+     *
+     * @memberof music21.harmony.ChordSymbol
+     * @returns {string|undefined}
+     */
+    findFigure() {
+        if (this.chordRoot === undefined) {
+            if (this.pitches.length === 0) {
+                return undefined;
+            }
+            return harmony.chordSymbolFigureFromChord(this);
+        }
+        let figure = this.chordRoot.name + chordTypes[this.chordKind][1][0];
+        for (const csm of this.chordStepModifications) {
+            figure += csm.figureString();
+        }
+        if (this.chordBass !== undefined) {
+            figure += '/' + this.chordBass.name;
+        }
+        return figure;
+    }
+
+    /**
+     * The figure as it is shown above the staff, with 'b' for flats.
+     *
+     * @memberof music21.harmony.ChordSymbol
+     * @returns {string}
+     */
+    displayFigure() {
+        const figure = this.figure;
+        if (figure === undefined) {
+            return '';
+        }
+        return figure.replace(
+            /(^|\/)([A-G])(-+|#+)?/g,
+            (match, slash, step, accidentals) => slash + step + (accidentals || '').replace(/-/g, 'b')
+        );
+    }
+
+    /**
+     * ChordSymbols that are not written as chords do not sound.
+     */
+    playMidi(tempo = 120, nextElement, options) {
+        if (!this.writeAsChord) {
+            return 0;
+        }
+        return super.playMidi(tempo, nextElement, options);
+    }
+
+    transpose(value, inPlace = false) {
+        const post = super.transpose(value, inPlace);
+        if (post.chordRoot === undefined) {
+            return post;
+        }
+        const intv = typeof value !== 'object' ? new interval.Interval(value) : value;
+        post.chordRoot = intv.transposePitch(post.chordRoot);
+        if (post.chordBass !== undefined) {
+            post.chordBass = intv.transposePitch(post.chordBass);
+        }
+        post._figure = undefined;
+        return post;
+    }
+}
+
+/**
+ * Returns the figure of a chord symbol for any Chord, such as 'C7' or
+ * 'Dm7/C'.  Chords that are not one of the {@link music21.harmony.chordTypes}
+ * use the largest kind that fits with added degrees, as in 'Cadd9'.
+ *
+ * @memberof music21.harmony
+ * @param {music21.chord.Chord} chordObj
+ * @returns {string}
+ * @example
+ * var c = new music21.chord.Chord('E3 G3 B-3 C4');
+ * music21.harmony.chordSymbolFigureFromChord(c); // 'C7/E'
+ */
+function chordSymbolFigureFromChord(chordObj) {
+    if (chordObj.pitches.length === 0) {
+        throw new HarmonyException('Cannot make a chord symbol from an empty Chord');
+    }
+    const root = chordObj.root();
+    const bass = chordObj.bass();
+    const semitoneSet = new Set(
+        chordObj.pitches.map(p => ((Math.round(p.ps - root.ps) % 12) + 12) % 12)
+    );
+    const kindSemitones = kindName => new Set(
+        degreesFromString(chordTypes[kindName][0]).map(
+            ([degree, alter]) => (semitonesForDegree(degree) + alter) % 12
+        )
+    );
+
+    let bestKind;
+    let bestSize = -1;
+    for (const kindName of Object.keys(chordTypes)) {
+        const kindSet = kindSemitones(kindName);
+        const fits = Array.from(kindSet).every(st => semitoneSet.has(st));
+        if (!fits) {
+            continue;
+        }
+        if (kindSet.size === semitoneSet.size) {
+            bestKind = kindName;
+            break;
+        }
+        if (kindSet.size > bestSize) {
+            bestKind = kindName;
+            bestSize = kindSet.size;
+        }
+    }
+
+    let figure = root.name + chordTypes[bestKind][1][0];
+    const bestSet = kindSemitones(bestKind);
+    const added = Array.from(semitoneSet).filter(st => !bestSet.has(st));
+    added.sort((a, b) => addedDegreeNames[a][0] - addedDegreeNames[b][0]);
+    for (const st of added) {
+        const [degree, alter] = addedDegreeNames[st];
+        figure += new ChordStepModification('add', degree, alter).figureString();
+    }
+    if (bass.name !== root.name) {
+        figure += '/' + bass.name;
+    }
+    return figure;
+}
+
+/**
+ * Returns a {@link music21.harmony.ChordSymbol} with the figure of the Chord.
+ *
+ * @memberof music21.harmony
+ * @param {music21.chord.Chord} chordObj
+ * @returns {music21.harmony.ChordSymbol}
+ */
+function chordSymbolFromChord(chordObj) {
+    return new ChordSymbol(chordSymbolFigureFromChord(chordObj));
 }
 
 export const harmony = {
     Harmony,
+    HarmonyException,
+    ChordStepModification,
+    ChordSymbol,
+    chordTypes,
+    chordTypeAliases,
+    chordSymbolFigureFromChord,
+    chordSymbolFromChord,
 };
@@ -42,7 +42,9 @@ export const instrument = {};
  * @property {Int|undefined} midiChannel
  * @property {Int|undefined} lowestNote
  * @property {Int|undefined} highestNote
- * @property {music21.interval.Interval|undefined} transposition
+ * @property {music21.interval.Interval|undefined} transposition - the interval from
+ *     written to sounding pitch, such as `new music21.interval.Interval('-M2')` for a
+ *     B-flat clarinet
  * @property {Boolean} inGMPercMap=false
  * @property {string|undefined} soundfontFn
  * @property {string|undefined} oggSoundfont - url of oggSoundfont for this instrument
@@ -66,7 +68,9 @@ class Instrument extends base.Music21Object {
         this.lowestNote = undefined;
         this.highestNote = undefined;
 
-        this.transpostion = undefined;
+        this.transposition = undefined;
+        // Intervals are not changed in place, so they can be shared.
+        this._cloneCallbacks.transposition = true;
 
         this.inGMPercMap = false;
         this.soundfontFn = undefined;
@@ -79,8 +83,11 @@ class Instrument extends base.Music21Object {
      * Assign an instrument to an unused midi channel.
      *
      * Will use the global list of used channels (`music21.instrument.Instrument.usedChannels`)
-     * if not given.  Assigns up to `music21.instrument.maxMidi` channels (16)
-     * Skips 10 unless this.inGMPercMap is true
+     * if not given.  Assigns up to `music21.instrument.maxMidi` channels (16).
+     * Instruments with the same midiProgram share a channel.
+     * General MIDI percussion (this.inGMPercMap is true) always gets
+     * `music21.instrument.percussionChannel` (channel 10, counting from 1),
+     * which is skipped for everything else.
      *
      * @memberof music21.instrument.Instrument
      * @param {Array<Int>} [usedChannels]
@@ -90,12 +97,12 @@ class Instrument extends base.Music21Object {
         if (usedChannels === undefined) {
             usedChannels = instrument.usedChannels;
         }
-        let startChannel = 0;
         if (this.inGMPercMap) {
-            startChannel = 10;
+            this.midiChannel = instrument.percussionChannel;
+            return this.midiChannel;
         }
-        for (let ch = startChannel; ch < instrument.maxMidi; ch++) {
-            if (ch % 16 === 10 && this.inGMPercMap !== true) {
+        for (let ch = 0; ch < instrument.maxMidi; ch++) {
+            if (ch % 16 === instrument.percussionChannel) {
                 continue; // skip 10 / percussion.
             }
             if (
@@ -130,6 +137,13 @@ instrument.Instrument = Instrument;
 
 instrument.usedChannels = []; // differs from m21p -- stored midiProgram numbers
 instrument.maxMidi = 16;
+/**
+ * The channel for General MIDI percussion: 9, which is channel 10 counting from 1.
+ *
+ * @memberof music21.instrument
+ * @type {Int}
+ */
+instrument.percussionChannel = 9;
 
 instrument.info = [
     { fn: 'acoustic_grand_piano', name: 'Acoustic Grand Piano', midiNumber: 0 },
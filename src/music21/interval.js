@@ -752,10 +752,46 @@ interval.convertDiatonicNumberToStep = function convertDiatonicNumberToStep(
     return [stepName, octave];
 };
 
+/**
+ * Given a number of semitones, returns the most common specifier and generic
+ * interval for that distance; the tritone is a diminished fifth.
+ *
+ * @function music21.interval.convertSemitoneToSpecifierGeneric
+ * @memberof music21.interval
+ * @param {Int} count - semitones, negative for descending
+ * @returns {Array} two element array of {string} specifier and {Int} generic
+ * @example
+ * music21.interval.convertSemitoneToSpecifierGeneric(-15); // ['m', -10]
+ */
+interval.convertSemitoneToSpecifierGeneric = function convertSemitoneToSpecifierGeneric(
+    count
+) {
+    const dirScale = count < 0 ? -1 : 1;
+    const size = Math.abs(count) % 12;
+    const octave = Math.floor(Math.abs(count) / 12);
+    const semitoneNames = [
+        ['P', 1],
+        ['m', 2],
+        ['M', 2],
+        ['m', 3],
+        ['M', 3],
+        ['P', 4],
+        ['d', 5],
+        ['P', 5],
+        ['m', 6],
+        ['M', 6],
+        ['m', 7],
+        ['M', 7],
+    ];
+    const [specifier, generic] = semitoneNames[size];
+    return [specifier, (generic + 7 * octave) * dirScale];
+};
+
 /**
  * This is the main, powerful Interval class.
  *
- * Instantiate with either a string ("M3") or two {@link music21.pitch.Pitch} or two {@link music21.note.Note}
+ * Instantiate with either a string ("M3"), a number of semitones (4 = "M3"),
+ * or two {@link music21.pitch.Pitch} or two {@link music21.note.Note}
  *
  * See music21p instructions for usage.
  *
@@ -789,6 +825,14 @@ export class Interval extends prebase.ProtoM21Object {
                 const dI = new interval.DiatonicInterval(specifier, gI);
                 this.diatonic = dI;
                 this.chromatic = this.diatonic.getChromatic();
+            } else if (typeof arg0 === 'number') {
+                const [
+                    specifier,
+                    generic,
+                ] = interval.convertSemitoneToSpecifierGeneric(arg0);
+                const gI = new interval.GenericInterval(generic);
+                this.diatonic = new interval.DiatonicInterval(specifier, gI);
+                this.chromatic = this.diatonic.getChromatic();
             } else if (arg0.specifier !== undefined) {
                 // assume diatonic...
                 this.diatonic = arg0;
@@ -861,7 +905,26 @@ export class Interval extends prebase.ProtoM21Object {
         }
     }
 
-    //  todo general: microtones
+    /**
+     * Returns a new Interval of the same size in the opposite direction.
+     *
+     * @memberof music21.interval.Interval
+     * @returns {music21.interval.Interval}
+     * @example
+     * var i = new music21.interval.Interval('-M2');
+     * i.reverse().directedName; // 'M2'
+     */
+    reverse() {
+        let generic = this.generic.directed * -1;
+        if (this.generic.undirected === 1) {
+            generic = 1;
+        }
+        return interval.intervalFromGenericAndChromatic(
+            generic,
+            this.chromatic.semitones * -1
+        );
+    }
+
     /**
      * @memberof music21.interval.Interval
      * @param {music21.pitch.Pitch} p - pitch to transpose
@@ -878,9 +941,13 @@ export class Interval extends prebase.ProtoM21Object {
          */
         const pitch2 = this.diatonic.generic.transposePitch(p);
         pitch2.accidental = undefined;
+        if (p.microtone !== undefined) {
+            pitch2.microtone = p.microtone.clone();
+        }
         // step and octave are right now, but not necessarily accidental
+        // (rounded to the quarter tone, since microtones cancel out)
         const halfStepsToFix
-            = this.chromatic.semitones - parseInt(pitch2.ps - p.ps);
+            = this.chromatic.semitones - Math.round((pitch2.ps - p.ps) * 2) / 2;
         if (halfStepsToFix !== 0) {
             pitch2.accidental = new pitch.Accidental(halfStepsToFix);
         }
@@ -54,6 +54,35 @@ key.convertKeyStringToMusic21KeyString = function convertKeyStringToMusic21KeySt
     return textString;
 };
 
+/**
+ * The number of sharps (negative for flats) in the key signature of a
+ * key with the given tonic and mode.
+ *
+ * @memberof music21.key
+ * @param {string|music21.pitch.Pitch} value - the tonic
+ * @param {string} [mode='major']
+ * @returns {Int}
+ * @example
+ * music21.key.pitchToSharps('E-'); // -3
+ * music21.key.pitchToSharps('e', 'minor'); // 1
+ * music21.key.pitchToSharps('B#'); // 12
+ */
+key.pitchToSharps = function pitchToSharps(value, mode = 'major') {
+    if (typeof value === 'string') {
+        value = new pitch.Pitch(value);
+    }
+    const stepFifths = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+    if (stepFifths[value.step] === undefined) {
+        throw new Music21Exception('Cannot find the key for ' + value.name);
+    }
+    let alter = 0;
+    if (value.accidental !== undefined) {
+        alter = value.accidental.alter;
+    }
+    const modeShift = key.modeSharpsAlter[mode] || 0;
+    return stepFifths[value.step] + 7 * alter + modeShift;
+};
+
 /**
  * @class KeySignature
  * @memberof music21.key
@@ -111,7 +140,7 @@ export class KeySignature extends base.Music21Object {
         return this._sharps;
     }
     set sharps(s) {
-        this._alteredPitchesCache = [];
+        this._alteredPitchesCache = undefined;
         this._sharps = s;
     }
     /**
@@ -268,6 +297,29 @@ export class KeySignature extends base.Music21Object {
         }
         return newPitch;
     }
+
+    /**
+     * Transpose the KeySignature by an interval, treating it as a major key.
+     *
+     * @memberof music21.key.KeySignature
+     * @param {music21.interval.Interval|string|Int} value - an Interval, an
+     *     interval name such as 'M3' or '-P5', or a number of semitones
+     * @param {boolean} [inPlace=false] - if false, transposes a copy
+     * @returns {music21.key.KeySignature} the transposed KeySignature (this if inPlace)
+     * @example
+     * var ks = new music21.key.KeySignature(-3);
+     * ks.transpose('M2').sharps; // -1
+     */
+    transpose(value, inPlace = false) {
+        let intv = value;
+        if (typeof value !== 'object') {
+            intv = new interval.Interval(value);
+        }
+        const post = inPlace ? this : this.clone(true);
+        const newTonic = intv.transposePitch(new pitch.Pitch(this.majorName()));
+        post.sharps = key.pitchToSharps(newTonic);
+        return post;
+    }
 }
 key.KeySignature = KeySignature;
 
@@ -282,6 +334,10 @@ key.KeySignature = KeySignature;
  * @extends music21.key.KeySignature
  * @param {string} keyName -- a pitch name representing the key (w/ "-" for flat)
  * @param {string} [mode] -- if not given then the CASE of the keyName will be used ("C" => "major", "c" => "minor")
+ * @property {number|undefined} correlationCoefficient -- for a Key found by
+ *     {@link music21.stream.Stream#analyze}, how well the Stream fits the key (-1 to 1)
+ * @property {Array<music21.key.Key>} alternateInterpretations -- for a Key found by
+ *     analysis, the other possible keys, most likely first
  */
 export class Key extends KeySignature {
     constructor(keyName, mode) {
@@ -297,15 +353,7 @@ export class Key extends KeySignature {
             }
         }
 
-        const sharpsArray = 'A-- E-- B-- F- C- G- D- A- E- B- F C G D A E B F# C# G# D# A# E# B#'.split(
-            ' '
-        );
-        const sharpsIndex = sharpsArray.indexOf(keyName.toUpperCase());
-        if (sharpsIndex === -1) {
-            throw new Music21Exception('Cannot find the key for ' + keyName);
-        }
-        const modeShift = key.modeSharpsAlter[mode] || 0;
-        const sharps = sharpsIndex + modeShift - 11;
+        const sharps = key.pitchToSharps(keyName, mode);
         if (debug) {
             console.log('Found sharps ' + sharps + ' for key: ' + keyName);
         }
@@ -314,6 +362,8 @@ export class Key extends KeySignature {
         this.tonic = new pitch.Pitch(keyName);
         this.mode = mode;
         this._scale = this.getScale();
+        this.correlationCoefficient = undefined;
+        this.alternateInterpretations = [];
     }
     /**
      * returns a {@link music21.scale.MajorScale} or {@link music21.scale.MinorScale}
@@ -341,6 +391,33 @@ export class Key extends KeySignature {
         }
     }
 
+    /**
+     * Transpose the Key by an interval, moving the tonic and keeping the mode.
+     *
+     * @memberof music21.key.Key
+     * @param {music21.interval.Interval|string|Int} value - an Interval, an
+     *     interval name such as 'M3' or '-P5', or a number of semitones
+     * @param {boolean} [inPlace=false] - if false, transposes a copy
+     * @returns {music21.key.Key} the transposed Key (this if inPlace)
+     * @example
+     * var k = new music21.key.Key('e');
+     * var k2 = k.transpose('-m3');
+     * k2.tonic.name; // 'C#'
+     * k2.mode; // 'minor'
+     * k2.sharps; // 4
+     */
+    transpose(value, inPlace = false) {
+        let intv = value;
+        if (typeof value !== 'object') {
+            intv = new interval.Interval(value);
+        }
+        const post = inPlace ? this : this.clone(true);
+        post.tonic = intv.transposePitch(this.tonic);
+        post.sharps = key.pitchToSharps(post.tonic, post.mode);
+        post._scale = post.getScale();
+        return post;
+    }
+
     // when scale.js adds functionality, it must be added here.
     get isConcrete() {
         return this._scale.isConcrete;
@@ -0,0 +1,242 @@
+/**
+ * music21j -- Javascript reimplementation of Core music21p features.
+ * music21/metadata -- titles, composers, and other information about a work
+ *
+ * Copyright (c) 2013-18, Michael Scott Cuthbert and cuthbertLab
+ * Based on music21 (=music21p), Copyright (c) 2006–18, Michael Scott Cuthbert and cuthbertLab
+ *
+ */
+import { base } from './base.js';
+import { prebase } from './prebase.js';
+
+/**
+ * Metadata module. See {@link music21.metadata} namespace
+ *
+ * @exports music21/metadata
+ */
+/**
+ * Information about a work such as its title and composer.  A
+ * {@link music21.metadata.Metadata} object is stored at the beginning of a
+ * Score and found through {@link music21.stream.Stream#metadata}.
+ *
+ * @namespace music21.metadata
+ * @memberof music21
+ * @requires music21/base
+ * @requires music21/prebase
+ */
+export const metadata = {};
+
+/**
+ * The names of the work id attributes on {@link music21.metadata.Metadata}.
+ *
+ * @memberof music21.metadata
+ */
+metadata.workIdNames = [
+    'title',
+    'alternativeTitle',
+    'movementName',
+    'movementNumber',
+    'number',
+    'opusNumber',
+];
+
+/**
+ * A person who contributed to a work, such as its composer.
+ *
+ * @class Contributor
+ * @memberof music21.metadata
+ * @extends music21.prebase.ProtoM21Object
+ * @param {string} [role] - such as 'composer', 'lyricist', or 'arranger'
+ * @param {string|Array<string>} [names] - one or more names for the same person
+ * @property {string|undefined} role
+ * @property {Array<string>} names
+ * @property {string|undefined} name - the first of the names
+ */
+export class Contributor extends prebase.ProtoM21Object {
+    constructor(role, names = []) {
+        super();
+        this.role = role;
+        if (!Array.isArray(names)) {
+            names = [names];
+        }
+        this.names = names.slice();
+    }
+
+    get name() {
+        return this.names[0];
+    }
+
+    set name(newName) {
+        this.names = [newName];
+    }
+}
+metadata.Contributor = Contributor;
+
+/**
+ * Metadata for a Score.
+ *
+ * The work ids (see {@link music21.metadata.workIdNames}) and `copyright` are
+ * simple strings.  People are stored as {@link music21.metadata.Contributor}
+ * objects; `composer` and `lyricist` get or set the first Contributor with
+ * that role.
+ *
+ * @class Metadata
+ * @memberof music21.metadata
+ * @extends music21.base.Music21Object
+ * @property {string|undefined} title
+ * @property {string|undefined} alternativeTitle
+ * @property {string|undefined} movementName
+ * @property {string|undefined} movementNumber
+ * @property {string|undefined} number - the work number
+ * @property {string|undefined} opusNumber
+ * @property {string|undefined} copyright
+ * @property {string|undefined} date
+ * @property {Array<music21.metadata.Contributor>} contributors
+ * @property {Array<object>} credits - text printed on the score, as objects of the form
+ *     `{words: string, creditType: string|undefined, page: Int}`
+ * @example
+ * var md = new music21.metadata.Metadata();
+ * md.title = 'Nocturne';
+ * md.composer = 'Fanny Hensel';
+ * md.contributors[0].role; // 'composer'
+ * var s = new music21.stream.Score();
+ * s.metadata = md;
+ * s.metadata.title; // 'Nocturne'
+ */
+export class Metadata extends base.Music21Object {
+    constructor() {
+        super();
+        this.classSortOrder = -10;
+        this.duration.quarterLength = 0.0;
+        for (const workId of metadata.workIdNames) {
+            this[workId] = undefined;
+        }
+        this.copyright = undefined;
+        this.date = undefined;
+        this.contributors = [];
+        this.credits = [];
+        this._cloneCallbacks.contributors = function Metadata_cloneCallbacks_contributors(
+            keyName,
+            newObj,
+            self
+        ) {
+            newObj[keyName] = self[keyName].map(c => c.clone());
+        };
+        this._cloneCallbacks.credits = function Metadata_cloneCallbacks_credits(
+            keyName,
+            newObj,
+            self
+        ) {
+            newObj[keyName] = self[keyName].map(c => Object.assign({}, c));
+        };
+    }
+
+    get composer() {
+        return this.getContributorNameByRole('composer');
+    }
+
+    set composer(name) {
+        this.setContributorNameByRole('composer', name);
+    }
+
+    /**
+     * @memberof music21.metadata.Metadata
+     * @type {Array<string>} the names of all the composers.
+     */
+    get composers() {
+        return this.getContributorsByRole('composer').map(c => c.name);
+    }
+
+    get lyricist() {
+        return this.getContributorNameByRole('lyricist');
+    }
+
+    set lyricist(name) {
+        this.setContributorNameByRole('lyricist', name);
+    }
+
+    /**
+     * @memberof music21.metadata.Metadata
+     * @param {music21.metadata.Contributor} c
+     */
+    addContributor(c) {
+        this.contributors.push(c);
+    }
+
+    /**
+     * @memberof music21.metadata.Metadata
+     * @param {string} role
+     * @returns {Array<music21.metadata.Contributor>}
+     */
+    getContributorsByRole(role) {
+        return this.contributors.filter(c => c.role === role);
+    }
+
+    /**
+     * @memberof music21.metadata.Metadata
+     * @param {string} role
+     * @returns {string|undefined} the name of the first Contributor with this role
+     */
+    getContributorNameByRole(role) {
+        const found = this.getContributorsByRole(role);
+        if (found.length === 0) {
+            return undefined;
+        }
+        return found[0].name;
+    }
+
+    /**
+     * Sets the name of the first Contributor with this role, adding a
+     * Contributor if there is none.  Setting undefined removes all
+     * Contributors with the role.
+     *
+     * @memberof music21.metadata.Metadata
+     * @param {string} role
+     * @param {string|undefined} name
+     */
+    setContributorNameByRole(role, name) {
+        if (name === undefined) {
+            this.contributors = this.contributors.filter(c => c.role !== role);
+            return;
+        }
+        const found = this.getContributorsByRole(role);
+        if (found.length > 0) {
+            found[0].name = name;
+        } else {
+            this.addContributor(new Contributor(role, name));
+        }
+    }
+
+    /**
+     * Returns the names and values of all the work ids, contributors, and
+     * copyright that are set, sorted by name.
+     *
+     * @memberof music21.metadata.Metadata
+     * @returns {Array<Array<string>>} Array of `[name, value]` pairs
+     * @example
+     * var md = new music21.metadata.Metadata();
+     * md.title = 'Nocturne';
+     * md.composer = 'Fanny Hensel';
+     * md.all(); // [['composer', 'Fanny Hensel'], ['title', 'Nocturne']]
+     */
+    all() {
+        const allOut = [];
+        for (const workId of metadata.workIdNames) {
+            if (this[workId] !== undefined) {
+                allOut.push([workId, this[workId]]);
+            }
+        }
+        for (const c of this.contributors) {
+            allOut.push([c.role, c.name]);
+        }
+        if (this.copyright !== undefined) {
+            allOut.push(['copyright', this.copyright]);
+        }
+        if (this.date !== undefined) {
+            allOut.push(['date', this.date]);
+        }
+        allOut.sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+        return allOut;
+    }
+}
+metadata.Metadata = Metadata;
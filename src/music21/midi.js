@@ -0,0 +1,1154 @@
+/**
+ * music21j -- Javascript reimplementation of Core music21p features.
+ * music21/midi -- reading and writing Standard MIDI Files
+ *
+ * Copyright (c) 2013-18, Michael Scott Cuthbert and cuthbertLab
+ * Based on music21 (=music21p), Copyright (c) 2006–18, Michael Scott Cuthbert and cuthbertLab
+ *
+ */
+import { Music21Exception } from './exceptions21.js';
+
+import { chord } from './chord.js';
+import { clef } from './clef.js';
+import { common } from './common.js';
+import { instrument } from './instrument.js';
+import { key } from './key.js';
+import { meter } from './meter.js';
+import { note } from './note.js';
+import { playback } from './playback.js';
+import { stream } from './stream.js';
+import { tempo } from './tempo.js';
+import { tie } from './tie.js';
+
+/**
+ * midi module. See {@link music21.midi} namespace
+ *
+ * @exports music21/midi
+ */
+/**
+ * Objects for reading and writing Standard MIDI Files (SMF, types 0 and 1)
+ * and for translating them to and from {@link music21.stream.Score} objects.
+ *
+ * For live MIDI input and MIDI.js playback see {@link music21.miditools}.
+ *
+ * @namespace music21.midi
+ * @memberof music21
+ * @requires music21/chord
+ * @requires music21/instrument
+ * @requires music21/key
+ * @requires music21/meter
+ * @requires music21/note
+ * @requires music21/stream
+ * @property {Int} [ticksPerQuarter=1024] - resolution of MIDI files written by music21j
+ */
+export const midi = {};
+
+export class MidiException extends Music21Exception {}
+midi.MidiException = MidiException;
+
+midi.ticksPerQuarter = 1024;
+
+/**
+ * Maps the upper nibble of a channel voice status byte to an event type.
+ *
+ * @memberof music21.midi
+ * @type {object}
+ */
+midi.channelVoiceMessages = {
+    0x80: 'NOTE_OFF',
+    0x90: 'NOTE_ON',
+    0xA0: 'POLYPHONIC_KEY_PRESSURE',
+    0xB0: 'CONTROLLER_CHANGE',
+    0xC0: 'PROGRAM_CHANGE',
+    0xD0: 'CHANNEL_KEY_PRESSURE',
+    0xE0: 'PITCH_BEND',
+};
+
+/**
+ * Maps the type byte of a meta event (after 0xFF) to an event type.
+ *
+ * @memberof music21.midi
+ * @type {object}
+ */
+midi.metaEvents = {
+    0x00: 'SEQUENCE_NUMBER',
+    0x01: 'TEXT_EVENT',
+    0x02: 'COPYRIGHT_NOTICE',
+    0x03: 'SEQUENCE_TRACK_NAME',
+    0x04: 'INSTRUMENT_NAME',
+    0x05: 'LYRIC',
+    0x06: 'MARKER',
+    0x07: 'CUE_POINT',
+    0x20: 'MIDI_CHANNEL_PREFIX',
+    0x21: 'MIDI_PORT',
+    0x2F: 'END_OF_TRACK',
+    0x51: 'SET_TEMPO',
+    0x54: 'SMPTE_OFFSET',
+    0x58: 'TIME_SIGNATURE',
+    0x59: 'KEY_SIGNATURE',
+    0x7F: 'SEQUENCER_SPECIFIC_META_EVENT',
+};
+
+function statusForType(lookup, type) {
+    for (const k in lookup) {
+        if (lookup[k] === type) {
+            return parseInt(k);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Read a variable-length quantity from bytes starting at index.
+ *
+ * @memberof music21.midi
+ * @param {Uint8Array|Array<Int>} bytes
+ * @param {Int} index
+ * @returns {Array<Int>} [value, index of the next unread byte]
+ */
+midi.getVariableLengthNumber = function getVariableLengthNumber(bytes, index) {
+    let value = 0;
+    let i = index;
+    while (i < bytes.length) {
+        const b = bytes[i];
+        i += 1;
+        value = (value * 128) + (b % 128);
+        if (b < 128) {
+            return [value, i];
+        }
+    }
+    throw new MidiException('MIDI data ended in the middle of a variable-length number');
+};
+
+/**
+ * Encode a non-negative integer as a variable-length quantity.
+ *
+ * @memberof music21.midi
+ * @param {Int} value
+ * @returns {Array<Int>} bytes, most significant first
+ * @example
+ * music21.midi.putVariableLengthNumber(128);
+ * // [0x81, 0x00]
+ */
+midi.putVariableLengthNumber = function putVariableLengthNumber(value) {
+    if (value < 0) {
+        throw new MidiException('Cannot encode a negative variable-length number: ' + value);
+    }
+    const post = [value % 128];
+    value = Math.floor(value / 128);
+    while (value > 0) {
+        post.unshift((value % 128) + 128);
+        value = Math.floor(value / 128);
+    }
+    return post;
+};
+
+/**
+ * Read a big-endian unsigned integer of `length` bytes.
+ *
+ * @memberof music21.midi
+ * @param {Uint8Array|Array<Int>} bytes
+ * @param {Int} index
+ * @param {Int} length
+ * @returns {Int}
+ */
+midi.getNumber = function getNumber(bytes, index, length) {
+    let value = 0;
+    for (let i = index; i < index + length; i++) {
+        value = (value * 256) + bytes[i];
+    }
+    return value;
+};
+
+/**
+ * Encode an unsigned integer as `length` big-endian bytes.
+ *
+ * @memberof music21.midi
+ * @param {Int} value
+ * @param {Int} length
+ * @returns {Array<Int>}
+ */
+midi.putNumber = function putNumber(value, length) {
+    const post = [];
+    for (let i = 0; i < length; i++) {
+        post.unshift(value % 256);
+        value = Math.floor(value / 256);
+    }
+    return post;
+};
+
+function chunkId(bytes, index) {
+    return String.fromCharCode(...bytes.slice(index, index + 4));
+}
+
+function stringToBytes(text) {
+    const post = [];
+    for (let i = 0; i < text.length; i++) {
+        post.push(text.charCodeAt(i) % 256);
+    }
+    return post;
+}
+
+/**
+ * A single event in a {@link music21.midi.MidiTrack}.
+ *
+ * Times are absolute, in ticks from the start of the track; delta times
+ * are computed when the track is written.
+ *
+ * @class MidiEvent
+ * @memberof music21.midi
+ * @param {music21.midi.MidiTrack} [track]
+ * @param {string} [type] - e.g., 'NOTE_ON', 'SET_TEMPO'
+ * @param {Int} [time=0] - absolute time in ticks
+ * @param {Int} [channel] - 0-15, same numbering as {@link music21.instrument.Instrument#midiChannel}
+ * @property {Int|undefined} pitch - for note events
+ * @property {Int|undefined} velocity - for note events
+ * @property {Int|Array<Int>|undefined} data - the program number for PROGRAM_CHANGE,
+ *     otherwise an Array of the data bytes
+ * @property {Int|undefined} metaByte - the type byte of an UNKNOWN_META_EVENT, so that
+ *     it can be written back out
+ */
+export class MidiEvent {
+    constructor(track, type, time = 0, channel) {
+        this.track = track;
+        this.type = type;
+        this.time = time;
+        this.channel = channel;
+        this.pitch = undefined;
+        this.velocity = undefined;
+        this.data = undefined;
+        this.metaByte = undefined;
+    }
+
+    get isNoteOn() {
+        return this.type === 'NOTE_ON' && this.velocity > 0;
+    }
+
+    get isNoteOff() {
+        return (
+            this.type === 'NOTE_OFF'
+            || (this.type === 'NOTE_ON' && this.velocity === 0)
+        );
+    }
+
+    get isMeta() {
+        return this.getMetaByte() !== undefined;
+    }
+
+    /**
+     * Returns the meta event type byte (0x00-0x7F) of the event, or undefined
+     * if it is not a meta event.
+     *
+     * @memberof music21.midi.MidiEvent
+     * @returns {Int|undefined}
+     */
+    getMetaByte() {
+        const metaByte = statusForType(midi.metaEvents, this.type);
+        if (metaByte === undefined && this.type === 'UNKNOWN_META_EVENT') {
+            return this.metaByte;
+        }
+        return metaByte;
+    }
+
+    /**
+     * Returns the bytes of the event, not including its delta time.
+     *
+     * @memberof music21.midi.MidiEvent
+     * @returns {Array<Int>}
+     */
+    getBytes() {
+        const commandByte = statusForType(midi.channelVoiceMessages, this.type);
+        if (commandByte !== undefined) {
+            const status = commandByte + (this.channel || 0);
+            if (this.type === 'NOTE_ON' || this.type === 'NOTE_OFF') {
+                return [status, this.pitch, this.velocity];
+            } else if (this.type === 'PROGRAM_CHANGE' || this.type === 'CHANNEL_KEY_PRESSURE') {
+                return [status, this.data];
+            } else {
+                return [status, ...this.data];
+            }
+        }
+        const data = this.data || [];
+        const metaByte = this.getMetaByte();
+        if (metaByte !== undefined) {
+            return [0xFF, metaByte, ...midi.putVariableLengthNumber(data.length), ...data];
+        } else if (this.type === 'SYSEX') {
+            return [0xF0, ...midi.putVariableLengthNumber(data.length), ...data];
+        }
+        throw new MidiException('Cannot write a MidiEvent of type ' + this.type);
+    }
+}
+midi.MidiEvent = MidiEvent;
+
+/**
+ * A track (MTrk chunk) of a {@link music21.midi.MidiFile}
+ *
+ * @class MidiTrack
+ * @memberof music21.midi
+ * @param {Int} [index=0] - the position of this track in the file
+ * @property {Array<music21.midi.MidiEvent>} events
+ */
+export class MidiTrack {
+    constructor(index = 0) {
+        this.index = index;
+        this.events = [];
+    }
+
+    /**
+     * Parse an MTrk chunk from bytes starting at index.
+     *
+     * @memberof music21.midi.MidiTrack
+     * @param {Uint8Array|Array<Int>} bytes
+     * @param {Int} [index=0]
+     * @returns {Int} the index just after the chunk
+     */
+    read(bytes, index = 0) {
+        if (chunkId(bytes, index) !== 'MTrk') {
+            throw new MidiException('Expected a MTrk chunk at byte ' + index);
+        }
+        const length = midi.getNumber(bytes, index + 4, 4);
+        let i = index + 8;
+        const end = i + length;
+        let time = 0;
+        let runningStatus;
+        while (i < end) {
+            const [delta, statusIndex] = midi.getVariableLengthNumber(bytes, i);
+            i = statusIndex;
+            time += delta;
+            let status = bytes[i];
+            if (status < 0x80) {
+                if (runningStatus === undefined) {
+                    throw new MidiException('Data byte found without a status byte at ' + i);
+                }
+                status = runningStatus;
+            } else {
+                i += 1;
+            }
+            let ev;
+            if (status === 0xFF) {
+                const metaByte = bytes[i];
+                const [dataLength, dataIndex] = midi.getVariableLengthNumber(bytes, i + 1);
+                i = dataIndex;
+                if (midi.metaEvents[metaByte] !== undefined) {
+                    ev = new MidiEvent(this, midi.metaEvents[metaByte], time);
+                } else {
+                    ev = new MidiEvent(this, 'UNKNOWN_META_EVENT', time);
+                    ev.metaByte = metaByte;
+                }
+                ev.data = Array.from(bytes.slice(i, i + dataLength));
+                i += dataLength;
+            } else if (status === 0xF0 || status === 0xF7) {
+                const [dataLength, dataIndex] = midi.getVariableLengthNumber(bytes, i);
+                i = dataIndex;
+                ev = new MidiEvent(this, 'SYSEX', time);
+                ev.data = Array.from(bytes.slice(i, i + dataLength));
+                i += dataLength;
+            } else {
+                runningStatus = status;
+                const command = status - (status % 16);
+                ev = new MidiEvent(this, midi.channelVoiceMessages[command], time, status % 16);
+                if (command === 0xC0 || command === 0xD0) {
+                    ev.data = bytes[i];
+                    i += 1;
+                } else if (command === 0x80 || command === 0x90) {
+                    ev.pitch = bytes[i];
+                    ev.velocity = bytes[i + 1];
+                    i += 2;
+                } else {
+                    ev.data = [bytes[i], bytes[i + 1]];
+                    i += 2;
+                }
+            }
+            this.events.push(ev);
+        }
+        return end;
+    }
+
+    /**
+     * Returns the complete MTrk chunk, sorting events by time and
+     * adding an END_OF_TRACK event if there is not one.
+     *
+     * @memberof music21.midi.MidiTrack
+     * @returns {Array<Int>}
+     */
+    getBytes() {
+        // meta events, then note offs, then everything else at the same time.
+        const priority = ev => {
+            if (ev.isMeta) {
+                return ev.type === 'END_OF_TRACK' ? 3 : 0;
+            } else if (ev.isNoteOff) {
+                return 1;
+            }
+            return 2;
+        };
+        const sortedEvents = this.events
+            .map((ev, i) => [ev, i])
+            .sort((a, b) => (
+                a[0].time - b[0].time
+                || priority(a[0]) - priority(b[0])
+                || a[1] - b[1]
+            ))
+            .map(pair => pair[0]);
+        const lastEvent = sortedEvents[sortedEvents.length - 1];
+        if (lastEvent === undefined || lastEvent.type !== 'END_OF_TRACK') {
+            const endTime = lastEvent === undefined ? 0 : lastEvent.time;
+            sortedEvents.push(new MidiEvent(this, 'END_OF_TRACK', endTime));
+        }
+        const data = [];
+        let lastTime = 0;
+        for (const ev of sortedEvents) {
+            if (ev.type === 'END_OF_TRACK' && ev !== sortedEvents[sortedEvents.length - 1]) {
+                continue;
+            }
+            data.push(...midi.putVariableLengthNumber(ev.time - lastTime));
+            data.push(...ev.getBytes());
+            lastTime = ev.time;
+        }
+        return [...stringToBytes('MTrk'), ...midi.putNumber(data.length, 4), ...data];
+    }
+}
+midi.MidiTrack = MidiTrack;
+
+/**
+ * A Standard MIDI File.
+ *
+ * @class MidiFile
+ * @memberof music21.midi
+ * @property {Int} [format=1] - 0 or 1 (type 2 files are read as type 1)
+ * @property {Int} ticksPerQuarterNote
+ * @property {Array<music21.midi.MidiTrack>} tracks
+ * @example
+ * var mf = new music21.midi.MidiFile();
+ * mf.readBytes(uint8ArrayFromServer);
+ * var s = music21.midi.midiFileToStream(mf);
+ */
+export class MidiFile {
+    constructor() {
+        this.format = 1;
+        this.ticksPerQuarterNote = midi.ticksPerQuarter;
+        this.tracks = [];
+    }
+
+    /**
+     * Read a complete file.
+     *
+     * @memberof music21.midi.MidiFile
+     * @param {Uint8Array|ArrayBuffer|Array<Int>|string} data - the file; strings are treated as binary strings
+     * @returns {this}
+     */
+    readBytes(data) {
+        let bytes = data;
+        if (typeof data === 'string') {
+            bytes = stringToBytes(data);
+        } else if (data instanceof ArrayBuffer) {
+            bytes = new Uint8Array(data);
+        }
+        if (chunkId(bytes, 0) !== 'MThd') {
+            throw new MidiException('Not a MIDI file: no MThd header');
+        }
+        const headerLength = midi.getNumber(bytes, 4, 4);
+        this.format = midi.getNumber(bytes, 8, 2);
+        const numTracks = midi.getNumber(bytes, 10, 2);
+        const division = midi.getNumber(bytes, 12, 2);
+        if (division >= 0x8000) {
+            throw new MidiException('SMPTE time division is not supported');
+        }
+        this.ticksPerQuarterNote = division;
+        this.tracks = [];
+        let i = 8 + headerLength;
+        while (this.tracks.length < numTracks && i < bytes.length) {
+            if (chunkId(bytes, i) !== 'MTrk') {
+                // skip unknown chunks
+                i += 8 + midi.getNumber(bytes, i + 4, 4);
+                continue;
+            }
+            const track = new MidiTrack(this.tracks.length);
+            i = track.read(bytes, i);
+            this.tracks.push(track);
+        }
+        return this;
+    }
+
+    /**
+     * Returns the complete file as bytes.
+     *
+     * @memberof music21.midi.MidiFile
+     * @returns {Uint8Array}
+     */
+    writeBytes() {
+        if (this.format === 0 && this.tracks.length !== 1) {
+            throw new MidiException('A type 0 MIDI file must have exactly one track');
+        }
+        const data = [
+            ...stringToBytes('MThd'),
+            ...midi.putNumber(6, 4),
+            ...midi.putNumber(this.format, 2),
+            ...midi.putNumber(this.tracks.length, 2),
+            ...midi.putNumber(this.ticksPerQuarterNote, 2),
+        ];
+        for (const track of this.tracks) {
+            data.push(...track.getBytes());
+        }
+        return new Uint8Array(data);
+    }
+}
+midi.MidiFile = MidiFile;
+
+/* ------------- translation to and from Streams -------------- */
+
+/**
+ * Round a quarterLength to the nearest value on the grid of
+ * 1/divisor for any of the divisors.
+ *
+ * @memberof music21.midi
+ * @param {number} ql
+ * @param {Array<Int>} [divisors=[4, 3]] - 4 = sixteenth notes, 3 = eighth-note triplets
+ * @returns {number}
+ */
+midi.quantize = function quantize(ql, divisors = [4, 3]) {
+    let best = ql;
+    let bestError;
+    for (const divisor of divisors) {
+        const candidate = Math.round(ql * divisor) / divisor;
+        const error = Math.abs(candidate - ql);
+        if (bestError === undefined || error < bestError - 0.000001) {
+            best = candidate;
+            bestError = error;
+        }
+    }
+    return best;
+};
+
+/**
+ * Pair up the note on and note off events in a track.
+ *
+ * @memberof music21.midi
+ * @param {music21.midi.MidiTrack} track
+ * @returns {Array<object>} objects with start, end (in ticks), pitch, velocity, and channel,
+ *     sorted by start time
+ */
+midi.getNotesFromTrack = function getNotesFromTrack(track) {
+    const sounding = {};
+    const notes = [];
+    for (const ev of track.events) {
+        if (ev.isNoteOn) {
+            const k = ev.channel + ':' + ev.pitch;
+            if (sounding[k] === undefined) {
+                sounding[k] = [];
+            }
+            sounding[k].push(ev);
+        } else if (ev.isNoteOff) {
+            const k = ev.channel + ':' + ev.pitch;
+            if (sounding[k] === undefined || sounding[k].length === 0) {
+                continue;
+            }
+            const onEvent = sounding[k].shift();
+            notes.push({
+                start: onEvent.time,
+                end: ev.time,
+                pitch: ev.pitch,
+                velocity: onEvent.velocity,
+                channel: ev.channel,
+            });
+        }
+    }
+    notes.sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+    return notes;
+};
+
+function bytesToText(data) {
+    return String.fromCharCode(...data);
+}
+
+function signedByte(b) {
+    return b > 127 ? b - 256 : b;
+}
+
+/**
+ * Returns the offsets and TimeSignatures of the measures needed to hold
+ * `endOffset` quarter notes, given [offset, TimeSignature] pairs sorted by offset.
+ *
+ * A time signature change that does not fall on a barline starts a new measure.
+ */
+function measureBoundaries(timeSignatures, endOffset) {
+    const boundaries = [];
+    let tsIndex = 0;
+    let ts = timeSignatures[0][1];
+    let o = 0.0;
+    while (boundaries.length === 0 || o < endOffset - 0.000001) {
+        while (tsIndex + 1 < timeSignatures.length
+                && timeSignatures[tsIndex + 1][0] <= o + 0.000001) {
+            tsIndex += 1;
+            ts = timeSignatures[tsIndex][1];
+        }
+        boundaries.push([o, ts]);
+        let next = o + ts.barDuration.quarterLength;
+        if (tsIndex + 1 < timeSignatures.length && timeSignatures[tsIndex + 1][0] < next) {
+            next = timeSignatures[tsIndex + 1][0];
+        }
+        o = next;
+    }
+    return boundaries;
+}
+
+/**
+ * Returns the index of the last entry in an Array of [offset, ...] pairs sorted
+ * by offset that begins at or before `offset`.
+ */
+function indexAtOrBefore(pairs, offset) {
+    let index = 0;
+    while (index + 1 < pairs.length && pairs[index + 1][0] <= offset + 0.000001) {
+        index += 1;
+    }
+    return index;
+}
+
+/**
+ * Split a Note, Chord, or Rest that crosses a barline into pieces, tying Notes and Chords.
+ *
+ * boundaries is from measureBoundaries; returns an Array of [offset, element] pairs.
+ */
+function splitAtBarlines(el, offset, boundaries) {
+    const post = [];
+    let remaining = el.duration.quarterLength;
+    let currentOffset = offset;
+    let i = 0;
+    while (remaining > 0.000001) {
+        const measureIndex = indexAtOrBefore(boundaries, currentOffset);
+        let pieceQL = remaining;
+        if (measureIndex + 1 < boundaries.length) {
+            pieceQL = Math.min(remaining, boundaries[measureIndex + 1][0] - currentOffset);
+        }
+        const piece = i === 0 ? el : el.clone(true);
+        piece.duration.quarterLength = pieceQL;
+        post.push([currentOffset, piece]);
+        remaining -= pieceQL;
+        currentOffset += pieceQL;
+        i += 1;
+    }
+    if (post.length > 1 && !el.isClassOrSubclass('Rest')) {
+        for (let j = 0; j < post.length; j++) {
+            let tieType = 'continue';
+            if (j === 0) {
+                tieType = 'start';
+            } else if (j === post.length - 1) {
+                tieType = 'stop';
+            }
+            post[j][1].tie = new tie.Tie(tieType);
+        }
+    }
+    return post;
+}
+
+/**
+ * Translate the notes in a MidiTrack into a Part with Measures.
+ *
+ * Notes sounding at the same quantized offset become Chords; overlapping notes are
+ * shortened to the start of the next attack, and gaps are filled with Rests.
+ *
+ * Time signature, key signature, and tempo changes are given as Arrays of
+ * [offset, element] pairs sorted by offset; `options.timeSignature` and
+ * `options.keySignature` are shortcuts for a single one at offset 0.
+ *
+ * @memberof music21.midi
+ * @param {music21.midi.MidiTrack} track
+ * @param {Int} ticksPerQuarter
+ * @param {object} [options]
+ * @param {music21.meter.TimeSignature} [options.timeSignature]
+ * @param {music21.key.KeySignature} [options.keySignature]
+ * @param {Array<Array>} [options.timeSignatures] - [offset, TimeSignature] pairs
+ * @param {Array<Array>} [options.keySignatures] - [offset, KeySignature] pairs
+ * @param {Array<Array>} [options.metronomeMarks] - [offset, MetronomeMark] pairs
+ * @param {Int} [options.channel] - only translate the notes on this channel
+ * @param {Array<Int>} [options.quarterLengthDivisors=[4, 3]]
+ * @returns {music21.stream.Part|undefined} undefined if the track has no notes
+ */
+midi.midiTrackToPart = function midiTrackToPart(track, ticksPerQuarter, options) {
+    const params = {
+        timeSignature: undefined,
+        keySignature: undefined,
+        timeSignatures: undefined,
+        keySignatures: undefined,
+        metronomeMarks: [],
+        channel: undefined,
+        quarterLengthDivisors: [4, 3],
+    };
+    common.merge(params, options);
+    const divisors = params.quarterLengthDivisors;
+    const minimumQL = 1 / Math.max(...divisors);
+
+    let midiNotes = midi.getNotesFromTrack(track);
+    if (params.channel !== undefined) {
+        midiNotes = midiNotes.filter(mn => mn.channel === params.channel);
+    }
+    if (midiNotes.length === 0) {
+        return undefined;
+    }
+    const groups = [];
+    for (const mn of midiNotes) {
+        const offset = midi.quantize(mn.start / ticksPerQuarter, divisors);
+        let ql = midi.quantize((mn.end - mn.start) / ticksPerQuarter, divisors);
+        if (ql < minimumQL) {
+            ql = minimumQL;
+        }
+        const lastGroup = groups[groups.length - 1];
+        if (lastGroup !== undefined && lastGroup.offset === offset) {
+            if (!lastGroup.pitches.includes(mn.pitch)) {
+                lastGroup.pitches.push(mn.pitch);
+            }
+            lastGroup.ql = Math.max(lastGroup.ql, ql);
+        } else {
+            groups.push({ offset, ql, pitches: [mn.pitch], velocity: mn.velocity });
+        }
+    }
+    for (let i = 0; i < groups.length - 1; i++) {
+        const g = groups[i];
+        if (g.offset + g.ql > groups[i + 1].offset) {
+            g.ql = groups[i + 1].offset - g.offset;
+        }
+    }
+    const lastGroup = groups[groups.length - 1];
+    const endOffset = lastGroup.offset + lastGroup.ql;
+
+    let timeSignatures = params.timeSignatures;
+    if (params.timeSignature !== undefined) {
+        timeSignatures = [[0.0, params.timeSignature]];
+    } else if (timeSignatures === undefined || timeSignatures.length === 0) {
+        timeSignatures = [[0.0, new meter.TimeSignature('4/4')]];
+    }
+    let keySignatures = params.keySignatures || [];
+    if (params.keySignature !== undefined) {
+        keySignatures = [[0.0, params.keySignature]];
+    }
+    const boundaries = measureBoundaries(timeSignatures, endOffset);
+
+    const elementsAndOffsets = [];
+    let currentOffset = 0.0;
+    for (const g of groups) {
+        if (g.offset > currentOffset) {
+            const r = new note.Rest(g.offset - currentOffset);
+            elementsAndOffsets.push(...splitAtBarlines(r, currentOffset, boundaries));
+        }
+        let el;
+        if (g.pitches.length === 1) {
+            el = new note.Note('C', g.ql);
+            el.pitch.ps = g.pitches[0];
+        } else {
+            const notes = g.pitches.map(ps => {
+                const n = new note.Note('C');
+                n.pitch.ps = ps;
+                return n;
+            });
+            el = new chord.Chord(notes);
+            el.duration.quarterLength = g.ql;
+        }
+        el.volume = g.velocity;
+        elementsAndOffsets.push(...splitAtBarlines(el, g.offset, boundaries));
+        currentOffset = g.offset + g.ql;
+    }
+
+    const flatNotes = new stream.Stream();
+    for (const [offset, el] of elementsAndOffsets) {
+        flatNotes.insert(offset, el);
+    }
+    const clefObj = clef.bestClef(flatNotes);
+
+    const p = new stream.Part();
+    const measures = [];
+    for (let i = 0; i < boundaries.length; i++) {
+        const [offset, ts] = boundaries[i];
+        const m = new stream.Measure();
+        m.number = i + 1;
+        m.clef = clefObj;
+        m.timeSignature = ts.clone();
+        if (keySignatures.length > 0 && keySignatures[0][0] <= offset + 0.000001) {
+            m.keySignature = keySignatures[indexAtOrBefore(keySignatures, offset)][1];
+        }
+        p.insert(offset, m);
+        measures.push(m);
+    }
+    measures[measures.length - 1].rightBarline = 'final';
+    const measureElements = [
+        ...params.metronomeMarks.filter(([offset]) => offset < endOffset),
+        ...elementsAndOffsets,
+    ];
+    for (const [offset, el] of measureElements) {
+        const measureIndex = indexAtOrBefore(boundaries, offset);
+        measures[measureIndex].insert(offset - boundaries[measureIndex][0], el);
+    }
+
+    p.clef = clefObj;
+    p.timeSignature = timeSignatures[0][1];
+    if (keySignatures.length > 0) {
+        p.keySignature = keySignatures[0][1];
+    }
+
+    for (const ev of track.events) {
+        if (ev.type === 'SEQUENCE_TRACK_NAME') {
+            p.partName = bytesToText(ev.data);
+            break;
+        }
+    }
+    const channel = midiNotes[0].channel;
+    let inst;
+    if (channel === instrument.percussionChannel) {
+        inst = new instrument.Instrument();
+        inst.inGMPercMap = true;
+    } else {
+        let program = 0;
+        for (const ev of track.events) {
+            if (ev.type === 'PROGRAM_CHANGE' && ev.channel === channel) {
+                program = ev.data;
+                break;
+            }
+        }
+        for (const info of instrument.info) {
+            if (info.midiNumber === program) {
+                inst = new instrument.Instrument(info.fn);
+                break;
+            }
+        }
+    }
+    if (inst !== undefined) {
+        inst.midiChannel = channel;
+        p.instrument = inst;
+    }
+    return p;
+};
+
+/**
+ * Translate a {@link music21.midi.MidiFile} into a Score with one Part for
+ * each channel of each track that contains notes, so that a type 0 file
+ * gets a Part for each of its instruments.
+ *
+ * Every tempo, time signature, and key signature event in any track is
+ * put in the Parts at its offset; tempos become
+ * {@link music21.tempo.MetronomeMark} objects in the first Part, and the
+ * Score's tempo is set from the first one.
+ *
+ * @memberof music21.midi
+ * @param {music21.midi.MidiFile} mf
+ * @param {object} [options] - passed to {@link music21.midi.midiTrackToPart}
+ * @returns {music21.stream.Score}
+ */
+midi.midiFileToStream = function midiFileToStream(mf, options) {
+    const s = new stream.Score();
+    const tpq = mf.ticksPerQuarterNote;
+    const divisors = (options && options.quarterLengthDivisors) || [4, 3];
+    const conductorEvents = [];
+    for (const track of mf.tracks) {
+        for (const ev of track.events) {
+            if (['SET_TEMPO', 'TIME_SIGNATURE', 'KEY_SIGNATURE'].includes(ev.type)) {
+                conductorEvents.push(ev);
+            }
+        }
+    }
+    conductorEvents.sort((a, b) => a.time - b.time);
+
+    const timeSignatures = [];
+    const keySignatures = [];
+    const metronomeMarks = [];
+    for (const ev of conductorEvents) {
+        const offset = midi.quantize(ev.time / tpq, divisors);
+        let pairs;
+        let el;
+        if (ev.type === 'SET_TEMPO') {
+            const microsecondsPerQuarter = midi.getNumber(ev.data, 0, 3);
+            el = new tempo.MetronomeMark(undefined, Math.round(60000000 / microsecondsPerQuarter));
+            pairs = metronomeMarks;
+        } else if (ev.type === 'TIME_SIGNATURE') {
+            const [numerator, denominatorPower] = ev.data;
+            el = new meter.TimeSignature(
+                numerator.toString() + '/' + (2 ** denominatorPower).toString()
+            );
+            pairs = timeSignatures;
+        } else {
+            el = new key.KeySignature(signedByte(ev.data[0]));
+            pairs = keySignatures;
+        }
+        // a later event at the same offset (e.g., in another track) replaces an earlier one
+        if (pairs.length > 0 && pairs[pairs.length - 1][0] === offset) {
+            pairs.pop();
+        }
+        pairs.push([offset, el]);
+    }
+    if (metronomeMarks.length > 0) {
+        s.tempo = metronomeMarks[0][1].number;
+    }
+
+    const params = { timeSignatures, keySignatures };
+    common.merge(params, options);
+    for (const track of mf.tracks) {
+        const channels = [];
+        for (const mn of midi.getNotesFromTrack(track)) {
+            if (!channels.includes(mn.channel)) {
+                channels.push(mn.channel);
+            }
+        }
+        channels.sort((a, b) => a - b);
+        for (const channel of channels) {
+            const partParams = Object.assign({}, params, { channel });
+            if (s.parts.length === 0) {
+                partParams.metronomeMarks = metronomeMarks;
+            }
+            const p = midi.midiTrackToPart(track, tpq, partParams);
+            s.insert(0, p);
+        }
+    }
+    return s;
+};
+
+/**
+ * Read the bytes of a MIDI file and return a Score.
+ *
+ * @memberof music21.midi
+ * @param {Uint8Array|ArrayBuffer|Array<Int>|string} data
+ * @param {object} [options] - see {@link music21.midi.midiTrackToPart}
+ * @returns {music21.stream.Score}
+ */
+midi.midiBytesToStream = function midiBytesToStream(data, options) {
+    const mf = new MidiFile();
+    mf.readBytes(data);
+    return midi.midiFileToStream(mf, options);
+};
+
+function firstOfStreamOrPart(s, attribute) {
+    let value = s[attribute];
+    if (value === undefined && s.parts.length > 0) {
+        const p = s.parts.get(0);
+        value = p[attribute];
+        if (value === undefined && p.measures.length > 0) {
+            value = p.measures.get(0)[attribute];
+        }
+    }
+    return value;
+}
+
+// [offset, value] pairs, in offset order, for the value of `attribute`
+// at the start of s, each change of it on the Measures of s (or of its
+// Parts), and each element of `className` in them.  Elements win over
+// Measures at the same offset.
+function conductorChanges(s, attribute, className) {
+    const changes = new Map();
+    const first = firstOfStreamOrPart(s, attribute);
+    if (first !== undefined) {
+        changes.set(0, first);
+    }
+    const parts = playback.playableParts(s);
+    for (const part of parts) {
+        const partOffset = part === s ? 0 : part.offset;
+        for (const m of part.getElementsByClass('Measure')) {
+            const value = m['_' + attribute];
+            if (value !== undefined) {
+                changes.set(partOffset + m.offset, value);
+            }
+        }
+    }
+    for (const part of parts) {
+        const partOffset = part === s ? 0 : part.offset;
+        for (const el of part.flat.getElementsByClass(className)) {
+            changes.set(partOffset + el.offset, el);
+        }
+    }
+    return Array.from(changes).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Make the conductor track (tempo, time and key signatures) for a Stream.
+ *
+ * Every change is written at its own time: Measures with a tempo, time
+ * or key signature of their own, and each
+ * {@link music21.tempo.MetronomeMark} (or
+ * {@link music21.tempo.TempoText} with common text such as "Allegro"),
+ * {@link music21.meter.TimeSignature} and {@link music21.key.KeySignature}
+ * in the Stream or its Parts.  A value that does not change (as each Part
+ * has its own) is written once.
+ *
+ * @memberof music21.midi
+ * @param {music21.stream.Stream} s
+ * @param {Int} [ticksPerQuarter=music21.midi.ticksPerQuarter]
+ * @returns {music21.midi.MidiTrack}
+ */
+midi.streamToConductorTrack = function streamToConductorTrack(s, ticksPerQuarter) {
+    if (ticksPerQuarter === undefined) {
+        ticksPerQuarter = midi.ticksPerQuarter;
+    }
+    const track = new MidiTrack(0);
+    const addChanges = (type, changes, toData) => {
+        let lastData;
+        for (const [offset, value] of changes) {
+            const data = toData(value);
+            if (
+                data === undefined
+                || (lastData !== undefined && common.arrayEquals(data, lastData))
+            ) {
+                continue;
+            }
+            const ev = new MidiEvent(track, type, Math.round(offset * ticksPerQuarter));
+            ev.data = data;
+            track.events.push(ev);
+            lastData = data;
+        }
+    };
+
+    addChanges('SET_TEMPO', conductorChanges(s, 'tempo', 'TempoIndication'), t => {
+        let quarterBPM = t;
+        if (typeof t !== 'number') {
+            const mm = t.isClassOrSubclass('TempoText') ? t.getMetronomeMark() : t;
+            quarterBPM = mm !== undefined ? mm.getQuarterBPM() : undefined;
+        }
+        if (quarterBPM === undefined) {
+            return undefined;
+        }
+        return midi.putNumber(Math.round(60000000 / quarterBPM), 3);
+    });
+    addChanges(
+        'TIME_SIGNATURE',
+        conductorChanges(s, 'timeSignature', 'TimeSignature'),
+        ts => [ts.numerator, Math.round(Math.log2(ts.denominator)), 24, 8]
+    );
+    addChanges(
+        'KEY_SIGNATURE',
+        conductorChanges(s, 'keySignature', 'KeySignature'),
+        ks => [(ks.sharps + 256) % 256, ks.mode === 'minor' ? 1 : 0]
+    );
+    track.events.sort((a, b) => a.time - b.time);
+    return track;
+};
+
+/**
+ * Make a track of note events for a Part (or any Stream of notes).
+ *
+ * Tied notes are joined into a single note.  The program, and the
+ * channel unless given, come from the Part's
+ * {@link music21.instrument.Instrument}.  A Part
+ * of a transposing instrument at written pitch (`atSoundingPitch` is false)
+ * is written at sounding pitch.  Grace notes are left out.
+ *
+ * @memberof music21.midi
+ * @param {music21.stream.Stream} p
+ * @param {Int} [trackIndex=1]
+ * @param {Int} [ticksPerQuarter=music21.midi.ticksPerQuarter]
+ * @param {Int} [channel]
+ * @returns {music21.midi.MidiTrack}
+ */
+midi.streamToMidiTrack = function streamToMidiTrack(p, trackIndex = 1, ticksPerQuarter, channel) {
+    if (ticksPerQuarter === undefined) {
+        ticksPerQuarter = midi.ticksPerQuarter;
+    }
+    const track = new MidiTrack(trackIndex);
+    const inst = p.instrument;
+    if (channel === undefined && inst !== undefined) {
+        channel = inst.midiChannel;
+    } else if (channel === undefined) {
+        channel = (trackIndex - 1) % 16;
+        if (channel >= 9) {
+            channel = (channel + 1) % 16; // skip percussion
+        }
+    }
+    let trackName = p.partName;
+    if (trackName === undefined && inst !== undefined) {
+        trackName = inst.instrumentName;
+    }
+    if (p.atSoundingPitch === false) {
+        p = p.toSoundingPitch();
+    }
+    if (trackName !== undefined) {
+        const nameEvent = new MidiEvent(track, 'SEQUENCE_TRACK_NAME', 0);
+        nameEvent.data = stringToBytes(trackName);
+        track.events.push(nameEvent);
+    }
+    if (inst !== undefined && inst.midiProgram !== undefined && !inst.inGMPercMap) {
+        const programEvent = new MidiEvent(track, 'PROGRAM_CHANGE', 0, channel);
+        programEvent.data = inst.midiProgram;
+        track.events.push(programEvent);
+    }
+
+    const addNote = (pitchNum, start, end, velocity) => {
+        const onEvent = new MidiEvent(track, 'NOTE_ON', start, channel);
+        onEvent.pitch = pitchNum;
+        onEvent.velocity = velocity;
+        const offEvent = new MidiEvent(track, 'NOTE_OFF', end, channel);
+        offEvent.pitch = pitchNum;
+        offEvent.velocity = 0;
+        track.events.push(onEvent, offEvent);
+    };
+
+    const tiedStarts = {};
+    let lastEnd = 0;
+    for (const el of p.flat.notesAndRests) {
+        if (
+            el.isClassOrSubclass('Rest')
+            || el.duration.isGrace
+            || (el.isClassOrSubclass('ChordSymbol') && !el.writeAsChord)
+        ) {
+            continue;
+        }
+        const start = Math.round(el.offset * ticksPerQuarter);
+        const end = Math.round((el.offset + el.duration.quarterLength) * ticksPerQuarter);
+        lastEnd = Math.max(lastEnd, end);
+        const velocity = Math.min(127, Math.max(1, el.midiVolume));
+        let pitchesAndTies;
+        if (el.isClassOrSubclass('Chord')) {
+            pitchesAndTies = el._notes.map(n => [n.pitch.midi, n.tie || el.tie]);
+        } else {
+            pitchesAndTies = [[el.pitch.midi, el.tie]];
+        }
+        for (const [pitchNum, t] of pitchesAndTies) {
+            const tieType = t === undefined ? undefined : t.type;
+            if (tiedStarts[pitchNum] !== undefined
+                    && (tieType === 'stop' || tieType === 'continue')) {
+                if (tieType === 'stop') {
+                    const [tiedStart, tiedVelocity] = tiedStarts[pitchNum];
+                    addNote(pitchNum, tiedStart, end, tiedVelocity);
+                    tiedStarts[pitchNum] = undefined;
+                }
+            } else if (tieType === 'start') {
+                tiedStarts[pitchNum] = [start, velocity];
+            } else {
+                addNote(pitchNum, start, end, velocity);
+            }
+        }
+    }
+    for (const pitchNum in tiedStarts) {
+        if (tiedStarts[pitchNum] !== undefined) {
+            // tie that never stopped
+            const [tiedStart, tiedVelocity] = tiedStarts[pitchNum];
+            addNote(parseInt(pitchNum), tiedStart, lastEnd, tiedVelocity);
+        }
+    }
+    return track;
+};
+
+/**
+ * Translate a Stream (usually a Score) into a type 1 {@link music21.midi.MidiFile}
+ * with a conductor track followed by one track per Part.
+ *
+ * Each Part gets its own channel, as in playback (see
+ * {@link music21.playback.partChannels}), so Parts with the same program
+ * can still be told apart; General MIDI percussion is on channel 10.
+ *
+ * @memberof music21.midi
+ * @param {music21.stream.Stream} s
+ * @returns {music21.midi.MidiFile}
+ * @example
+ * var s = music21.tinyNotation.TinyNotation('4/4 c4 d e f g1');
+ * var bytes = music21.midi.streamToMidiFile(s).writeBytes();
+ */
+midi.streamToMidiFile = function streamToMidiFile(s) {
+    const mf = new MidiFile();
+    mf.format = 1;
+    mf.ticksPerQuarterNote = midi.ticksPerQuarter;
+    mf.tracks.push(midi.streamToConductorTrack(s, mf.ticksPerQuarterNote));
+    const parts = playback.playableParts(s);
+    const channels = playback.partChannels(parts.map(p => p.instrument));
+    for (let i = 0; i < parts.length; i++) {
+        mf.tracks.push(midi.streamToMidiTrack(
+            parts[i],
+            i + 1,
+            mf.ticksPerQuarterNote,
+            channels[i]
+        ));
+    }
+    return mf;
+};
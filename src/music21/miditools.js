@@ -428,32 +428,87 @@ miditools.loadSoundfont = function loadSoundfont(soundfont, callback) {
         // soundfont we have not seen before:
         // set its status to loading and then load it.
         miditools.loadedSoundfonts[soundfont] = 'loading';
-        if (debug) {
-            console.log('waiting for document ready');
+        loadPluginWithMessage(
+            soundfont,
+            miditools.postLoadCallback.bind(MIDI, soundfont, callback)
+        );
+    }
+};
+
+/**
+ * Load several soundfonts at once: those not loaded or loading already are
+ * requested from MIDI.js together.  When all are ready, callback is called
+ * with an Array of their Instrument objects.
+ *
+ * @memberof music21.miditools
+ * @param {Array<String>} soundfonts The names of the soundfonts, such as 'clarinet'
+ * @param {function} [callback] A function to be called after all are loaded.
+ * @example
+ * music21.miditools.loadSoundfonts(['flute', 'cello'], instruments => {
+ *     console.log(instruments.map(i => i.midiChannel));
+ * });
+ */
+miditools.loadSoundfonts = function loadSoundfonts(soundfonts, callback) {
+    const toLoad = soundfonts.filter(
+        (soundfont, i) => soundfonts.indexOf(soundfont) === i
+            && miditools.loadedSoundfonts[soundfont] === undefined
+    );
+    const callWhenAllLoaded = () => {
+        // loadSoundfont waits for any still loading elsewhere.
+        const instrumentObjs = [];
+        let remaining = soundfonts.length;
+        if (remaining === 0 && callback !== undefined) {
+            callback(instrumentObjs);
         }
-        $(document).ready(() => {
-            if (debug) {
-                console.log('document ready, waiting to load soundfont');
-            }
-            $(document.body).append(
-                $(
-                    "<div class='loadingSoundfont'><b>Loading MIDI Instrument</b>: "
-                        + 'audio will begin when this message disappears.</div>'
-                )
-            );
-            MIDI.loadPlugin({
-                soundfontUrl: common.urls.soundfontUrl,
-                instrument: soundfont,
-                onsuccess: miditools.postLoadCallback.bind(
-                    MIDI,
-                    soundfont,
-                    callback
-                ),
+        soundfonts.forEach((soundfont, i) => {
+            miditools.loadSoundfont(soundfont, instrumentObj => {
+                instrumentObjs[i] = instrumentObj;
+                remaining -= 1;
+                if (remaining === 0 && callback !== undefined) {
+                    callback(instrumentObjs);
+                }
             });
         });
+    };
+    if (toLoad.length === 0) {
+        callWhenAllLoaded();
+        return;
+    }
+    for (const soundfont of toLoad) {
+        miditools.loadedSoundfonts[soundfont] = 'loading';
     }
+    loadPluginWithMessage(toLoad, () => {
+        for (const soundfont of toLoad) {
+            miditools.postLoadCallback.call(MIDI, soundfont);
+        }
+        callWhenAllLoaded();
+    });
 };
 
+// asks MIDI.js to load one soundfont or an Array of them, showing a message
+// until postLoadCallback removes it.
+function loadPluginWithMessage(soundfonts, onsuccess) {
+    if (debug) {
+        console.log('waiting for document ready');
+    }
+    $(document).ready(() => {
+        if (debug) {
+            console.log('document ready, waiting to load soundfont');
+        }
+        $(document.body).append(
+            $(
+                "<div class='loadingSoundfont'><b>Loading MIDI Instrument</b>: "
+                    + 'audio will begin when this message disappears.</div>'
+            )
+        );
+        MIDI.loadPlugin({
+            soundfontUrl: common.urls.soundfontUrl,
+            instrument: soundfonts,
+            onsuccess,
+        });
+    });
+}
+
 /**
  * MidiPlayer -- an embedded midi player including the ability to create a
  * playback device.
@@ -1,13 +1,22 @@
 import * as $ from 'jquery';
 
+import { Music21Exception } from './exceptions21.js';
+
+import { bar } from './bar.js';
 import { chord } from './chord.js';
 import { clef } from './clef.js';
 import { duration } from './duration.js';
+import { harmony } from './harmony.js';
+import { instrument } from './instrument.js';
+import { interval } from './interval.js';
 import { key } from './key.js';
+import { metadata } from './metadata.js';
 import { meter } from './meter.js';
 import { note } from './note.js';
 import { pitch } from './pitch.js';
+import { spanner } from './spanner.js';
 import { stream } from './stream.js';
+import { tempo } from './tempo.js';
 import { tie } from './tie.js';
 
 const DEFAULTS = {
@@ -55,6 +64,7 @@ export class ScoreParser {
         this.m21PartObjectsById = {};
         this.partGroupList = [];
         this.parts = [];
+        this.spannerBundle = new spanner.SpannerBundle();
 
         this.musicXmlVersion = '1.0';
     }
@@ -85,7 +95,10 @@ export class ScoreParser {
         }
         // version
         // defaults
-        // credit
+        const md = this.xmlMetadata($mxScore);
+        if (md.all().length > 0 || md.credits.length > 0) {
+            s.metadata = md;
+        }
         this.parsePartList($mxScore);
         for (const p of $mxScore.children('part')) {
             const $p = $(p);
@@ -103,12 +116,94 @@ export class ScoreParser {
             }
         }
         // partGroups;
-        // spanners;
+        for (const sp of this.spannerBundle.getByCompleteStatus(true)) {
+            s.insert(0.0, sp);
+        }
         // definesExplicitSystemreaks, etc.
         // sort
         return s;
     }
 
+    /**
+     * Makes a {@link music21.metadata.Metadata} object from the `<work>`,
+     * `<movement-number>`, `<movement-title>`, `<identification>`, and
+     * `<credit>` tags of a score.
+     *
+     * @param {jQueryDOMObject} $mxScore
+     * @returns {music21.metadata.Metadata}
+     */
+    xmlMetadata($mxScore) {
+        const md = new metadata.Metadata();
+        const $mxWork = $mxScore.children('work');
+        if ($mxWork.length > 0) {
+            seta(md, $mxWork, 'work-title', 'title');
+            seta(md, $mxWork, 'work-number', 'number');
+        }
+        seta(md, $mxScore, 'movement-number');
+        seta(md, $mxScore, 'movement-title', 'movementName');
+        const $mxIdentification = $mxScore.children('identification');
+        if ($mxIdentification.length > 0) {
+            this.xmlIdentificationToMetadata($mxIdentification, md);
+        }
+        for (const mxCredit of $mxScore.children('credit')) {
+            this.xmlCreditToMetadata($(mxCredit), md);
+        }
+        return md;
+    }
+
+    xmlIdentificationToMetadata($mxIdentification, md) {
+        for (const mxCreator of $mxIdentification.children('creator')) {
+            const $mxCreator = $(mxCreator);
+            const name = $mxCreator.text().trim();
+            if (name !== '') {
+                md.addContributor(
+                    new metadata.Contributor($mxCreator.attr('type'), name)
+                );
+            }
+        }
+        const rights = $mxIdentification.children('rights').first().text().trim();
+        if (rights !== '') {
+            md.copyright = rights;
+        }
+    }
+
+    /**
+     * Stores the text of a `<credit>` in `md.credits`.  A credit with a
+     * `<credit-type>` of 'title', 'composer', 'lyricist', or 'rights' also
+     * fills in that field if the `<work>` and `<identification>` did not.
+     *
+     * @param {jQueryDOMObject} $mxCredit
+     * @param {music21.metadata.Metadata} md
+     */
+    xmlCreditToMetadata($mxCredit, md) {
+        const wordList = [];
+        for (const mxWords of $mxCredit.children('credit-words')) {
+            const words = $(mxWords).text().trim();
+            if (words !== '') {
+                wordList.push(words);
+            }
+        }
+        if (wordList.length === 0) {
+            return;
+        }
+        const words = wordList.join(' ');
+        const creditType = $mxCredit.children('credit-type').first().text().trim() || undefined;
+        md.credits.push({
+            words,
+            creditType,
+            page: parseInt($mxCredit.attr('page') || '1'),
+        });
+        if (creditType === 'title' && md.title === undefined) {
+            md.title = words;
+        } else if (creditType === 'composer' && md.composer === undefined) {
+            md.composer = words;
+        } else if (creditType === 'lyricist' && md.lyricist === undefined) {
+            md.lyricist = words;
+        } else if (creditType === 'rights' && md.copyright === undefined) {
+            md.copyright = words;
+        }
+    }
+
     xmlPartToPart($mxPart, $mxScorePart) {
         const parser = new PartParser($mxPart, $mxScorePart, this);
         parser.parse();
@@ -135,12 +230,16 @@ export class PartParser {
     constructor($mxPart, $mxScorePart, parent) {
         this.$mxPart = $mxPart;
         this.$mxScorePart = $mxScorePart;
-        // ignore parent for now
+        this.parent = parent;
         if ($mxPart !== undefined) {
             this.partId = $mxPart.attr('id');
             // ignore empty partId for now
         }
-        // spannerBundles
+        if (parent !== undefined) {
+            this.spannerBundle = parent.spannerBundle;
+        } else {
+            this.spannerBundle = new spanner.SpannerBundle();
+        }
         this.stream = new stream.Part();
         this.atSoundingPitch = true;
         this.staffReferenceList = [];
@@ -174,8 +273,13 @@ export class PartParser {
     parse() {
         this.parseXmlScorePart();
         this.parseMeasures();
-        // atSoundingPitch;
-        // spannerBundles
+        this.stream.atSoundingPitch = this.atSoundingPitch;
+        if (this.parent === undefined) {
+            // otherwise the ScoreParser inserts the spanners in the Score.
+            for (const sp of this.spannerBundle.getByCompleteStatus(true)) {
+                this.stream.insert(0.0, sp);
+            }
+        }
         // partStaves;
     }
 
@@ -206,7 +310,9 @@ export class PartParser {
         }
         this.lastMeasureParser = measureParser;
         // max staves
-        // transposition
+        if (measureParser.transposition !== undefined) {
+            this.updateTransposition(measureParser.transposition);
+        }
         this.firstMeasureParsed = true;
         // staffReferenceList
 
@@ -221,6 +327,24 @@ export class PartParser {
         this.adjustTimeAttributesFromMeasure(m);
     }
 
+    /**
+     * Stores a transposition from a `<transpose>` tag on the instrument of the
+     * Part (creating one if needed); the Part is then at written pitch.
+     *
+     * Only one instrument per Part is supported, so a later change of
+     * transposition replaces an earlier one.
+     *
+     * @param {music21.interval.Interval} newTransposition
+     */
+    updateTransposition(newTransposition) {
+        if (this.activeInstrument === undefined) {
+            this.activeInstrument = new instrument.Instrument(this.stream.partName);
+            this.stream.instrument = this.activeInstrument;
+        }
+        this.activeInstrument.transposition = newTransposition;
+        this.atSoundingPitch = false;
+    }
+
     setLastMeasureInfo(m) {
         if (m.number !== this.lastMeasureNumber) {
             this.lastMeasureNumber = m.number;
@@ -251,7 +375,11 @@ export class MeasureParser {
         this.parent = parent;
 
         this.transposition = undefined;
-        // spannerBundles
+        if (parent !== undefined) {
+            this.spannerBundle = parent.spannerBundle;
+        } else {
+            this.spannerBundle = new spanner.SpannerBundle();
+        }
         this.staffReference = {};
         // activeTuplets
         this.useVoices = false;
@@ -299,12 +427,12 @@ export class MeasureParser {
             note: 'xmlToNote',
             // 'backup': 'xmlBackup',
             // 'forward': 'xmlForward',
-            // 'direction': 'xmlDirection',
+            direction: 'xmlDirection',
             attributes: 'parseAttributesTag',
-            // 'harmony': 'xmlHarmony',
+            harmony: 'xmlHarmony',
             // 'figured-bass': undefined,
-            // 'sound': undefined,
-            // 'barline': 'xmlBarline',
+            sound: 'xmlSound',
+            barline: 'xmlBarline',
             // 'grouping': undefined,
             // 'link': undefined,
             // 'bookmark': undefined,
@@ -335,14 +463,19 @@ export class MeasureParser {
             }
             i += 1;
         }
+        // a volta ending spans every measure between its start and stop.
+        for (const rb of this.spannerBundle.getByClass('RepeatBracket')) {
+            if (!rb.completeStatus) {
+                rb.addSpannedElements(this.stream);
+            }
+        }
         // useVoices
         // fullMeasureRest
     }
 
     insertInMeasureOrVoice($mxObj, el) {
-        // TODO: offsets!
-        // this.stream.insert(this.offsetMeasureNote, el);
-        this.stream.append(el);
+        // not append: directions such as tempo marks take no time.
+        this.stream.insert(this.offsetMeasureNote, el);
     }
 
     xmlToNote($mxNote) {
@@ -392,7 +525,7 @@ export class MeasureParser {
             this.nLast = n;
         }
 
-        if (this.$mxNoteList && !nextNoteIsChord) {
+        if (this.$mxNoteList.length > 0 && !nextNoteIsChord) {
             const c = this.xmlToChord(this.$mxNoteList);
             // update lyrics
             // addToStaffRest;
@@ -416,10 +549,14 @@ export class MeasureParser {
             notes.push(this.xmlToSimpleNote($mxNote, freeSpanners));
         }
         const c = new chord.Chord(notes);
+        c.duration = notes[0].duration.clone();
         // move beams from first note;
         // move articulations;
         // move expressions;
-        // move spanners;
+        for (const n of notes) {
+            this.spannerBundle.replaceSpannedElement(n, c);
+        }
+        this.spannerBundle.freePendingSpannedElementAssignment(c);
 
         return c;
     }
@@ -458,7 +595,7 @@ export class MeasureParser {
         seta(p, $mxPitch, 'octave', undefined, parseInt);
         const $mxAlter = $mxPitch.children('alter');
         let accAlter;
-        if ($mxAlter) {
+        if ($mxAlter.length > 0) {
             accAlter = parseFloat($mxAlter.text().trim());
         }
 
@@ -470,9 +607,17 @@ export class MeasureParser {
             p.accidental.displayStatus = true;
             // independent accidental from alter
         } else if (accAlter !== undefined) {
-            p.accidental = new pitch.Accidental(accAlter);
+            // alters that are not quarter tones become microtones
+            const accidentalAlter = Math.round(accAlter * 2) / 2;
+            p.accidental = new pitch.Accidental(accidentalAlter);
             p.accidental.displayStatus = false;
         }
+        if (accAlter !== undefined && p.accidental !== undefined) {
+            const cents = Math.round((accAlter - p.accidental.alter) * 100);
+            if (cents !== 0) {
+                p.microtone = cents;
+            }
+        }
         return p;
     }
 
@@ -483,7 +628,7 @@ export class MeasureParser {
             .text()
             .trim()
             .toLowerCase();
-        acc.set(name);
+        acc.set(mxAccidentalNameToM21[name] || name);
 
         // set print style
         // parentheses
@@ -504,21 +649,32 @@ export class MeasureParser {
         if (freeSpanners === undefined) {
             freeSpanners = true;
         }
-        // spanners
+        if (freeSpanners) {
+            this.spannerBundle.freePendingSpannedElementAssignment(n);
+        }
         // setPrintStyle
         // print-object
         // dynamics
         // pizzacato
-        // grace
         this.xmlToDuration($mxNote, n.duration);
+        const $mxGrace = $mxNote.children('grace');
+        if ($mxGrace.length > 0) {
+            n.getGrace({
+                appoggiatura: $mxGrace.attr('slash') !== 'yes',
+                inPlace: true,
+            });
+        }
         // type styles
         // color
         // position
         if ($mxNote.children('tie').length > 0) {
             n.tie = this.xmlToTie($mxNote);
         }
-        // grace
-        // notations
+        const $mxNotations = $mxNote.children('notations');
+        if ($mxNotations.length > 0) {
+            // other notations
+            this.xmlNotationsToSpanners($mxNotations, n);
+        }
         // editorial
         return n;
     }
@@ -558,17 +714,147 @@ export class MeasureParser {
         return d;
     }
 
-    // xmlGraceToGrace
     // xmlNotations
     // xmlTechnicalToArticulation
     // setHarmonic
     // handleFingering
     // xmlToArticulation
     // xmlOrnamentToExpression
-    // xmlDirectionTypeToSpanners
-    // xmlNotationsToSpanners
+
+    /**
+     * Adds the note or chord `n` to the slurs and glissandos that start,
+     * continue, or stop in `<notations>`.
+     */
+    xmlNotationsToSpanners($mxNotations, n) {
+        for (const mxObj of $mxNotations.children('slur')) {
+            const $mxObj = $(mxObj);
+            const sl = this.xmlOneSpanner($mxObj, n, spanner.Slur);
+            if ($mxObj.attr('type') === 'start') {
+                sl.placement = $mxObj.attr('placement');
+                const lineType = $mxObj.attr('line-type');
+                if (lineType !== undefined) {
+                    sl.lineType = lineType;
+                }
+            }
+        }
+        for (const tag of ['glissando', 'slide']) {
+            for (const mxObj of $mxNotations.children(tag)) {
+                const $mxObj = $(mxObj);
+                const gliss = this.xmlOneSpanner($mxObj, n, spanner.Glissando);
+                if ($mxObj.attr('type') === 'start') {
+                    const lineType = $mxObj.attr('line-type');
+                    if (lineType !== undefined) {
+                        gliss.lineType = lineType;
+                    }
+                    if (tag === 'slide') {
+                        gliss.slideType = 'continuous';
+                    }
+                    const label = $mxObj.text().trim();
+                    if (label !== '') {
+                        gliss.label = label;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Makes spanners from a child of `<direction-type>`: `<wedge>` and
+     * `<octave-shift>`.  Other tags are ignored.
+     *
+     * Since a direction comes before the note that it applies to, the
+     * spanner is given the next note or chord parsed.
+     *
+     * @param {jQueryDOMObject} $mxObj - e.g., a `<wedge>` tag
+     * @param {string} [placement] - the placement of the surrounding `<direction>`
+     * @returns {music21.spanner.Spanner|undefined}
+     */
+    xmlDirectionTypeToSpanners($mxObj, placement) {
+        const tag = $mxObj[0].tagName;
+        const mType = $mxObj.attr('type');
+        let sp;
+        if (tag === 'wedge') {
+            if (mType === 'crescendo' || mType === 'diminuendo') {
+                const spannerClass = mType === 'crescendo'
+                    ? spanner.Crescendo
+                    : spanner.Diminuendo;
+                sp = this.xmlOneSpanner($mxObj, undefined, spannerClass);
+                const spread = $mxObj.attr('spread');
+                if (spread !== undefined) {
+                    sp.spread = parseFloat(spread);
+                }
+                if (placement !== undefined) {
+                    sp.placement = placement;
+                }
+            } else if (mType === 'stop') {
+                const idFound = $mxObj.attr('number') || '1';
+                sp = this.spannerBundle
+                    .getByClassIdLocalComplete('DynamicWedge', idFound, false)
+                    .get(0);
+                if (sp === undefined) {
+                    return undefined;
+                }
+                sp.completeStatus = true;
+            } else {
+                return undefined;
+            }
+            this.spannerBundle.setPendingSpannedElementAssignment(sp, 'GeneralNote');
+        } else if (tag === 'octave-shift') {
+            if (mType === 'up' || mType === 'down') {
+                sp = this.xmlOneSpanner($mxObj, undefined, spanner.Ottava);
+                const size = $mxObj.attr('size') || '8';
+                // notes are written lower than they sound under an 8va
+                // (MusicXML type 'down') and higher under an 8vb.
+                const suffixes = { 8: ['va', 'vb'], 15: ['ma', 'mb'], 22: ['da', 'db'] };
+                const suffixPair = suffixes[size] || suffixes[8];
+                sp.type = size + (mType === 'down' ? suffixPair[0] : suffixPair[1]);
+                this.spannerBundle.setPendingSpannedElementAssignment(sp, 'GeneralNote');
+            } else if (mType === 'stop') {
+                // the octave shift ends with the last note parsed.
+                sp = this.xmlOneSpanner($mxObj, this.nLast, spanner.Ottava);
+                if (this.nLast === undefined) {
+                    this.spannerBundle.setPendingSpannedElementAssignment(sp, 'GeneralNote');
+                }
+            }
+        }
+        return sp;
+    }
+
     // xmlToTremolo
-    // xmlOneSpanner
+
+    /**
+     * Finds the open spanner of class spannerClass with the same `number`
+     * attribute as $mxObj (or makes a new one) and adds target to it.
+     * A `type="stop"` completes the spanner.
+     *
+     * @param {jQueryDOMObject} $mxObj
+     * @param {music21.base.Music21Object|undefined} target
+     * @param {function} spannerClass - e.g., music21.spanner.Slur
+     * @returns {music21.spanner.Spanner}
+     */
+    xmlOneSpanner($mxObj, target, spannerClass) {
+        const idFound = $mxObj.attr('number') || '1';
+        const sb = this.spannerBundle.getByClassIdLocalComplete(
+            spannerClass.name,
+            idFound,
+            false
+        );
+        let sp;
+        if (sb.length > 0) {
+            sp = sb.get(0);
+        } else {
+            sp = new spannerClass();
+            sp.idLocal = idFound;
+            this.spannerBundle.append(sp);
+        }
+        if (target !== undefined) {
+            sp.addSpannedElements(target);
+        }
+        if ($mxObj.attr('type') === 'stop') {
+            sp.completeStatus = true;
+        }
+        return sp;
+    }
 
     xmlToTie($mxNote) {
         const t = new tie.Tie();
@@ -583,6 +869,216 @@ export class MeasureParser {
         return t;
     }
 
+    /**
+     * Parses a `<direction>` tag.  For now, only spanners and tempo marks
+     * are supported.
+     *
+     * @param {jQueryDOMObject} $mxDirection
+     */
+    xmlDirection($mxDirection) {
+        const placement = $mxDirection.attr('placement');
+        for (const mxDirectionType of $mxDirection.children('direction-type')) {
+            for (const mxDir of $(mxDirectionType).children()) {
+                this.xmlDirectionTypeToSpanners($(mxDir), placement);
+            }
+        }
+        this.xmlDirectionToTempo($mxDirection);
+    }
+
+    /**
+     * Inserts a {@link music21.tempo.MetronomeMark} from the `<metronome>`
+     * and `<sound tempo>` of a `<direction>` (with any `<words>` as its text),
+     * or a {@link music21.tempo.TempoText} from `<words>` that are a common
+     * tempo such as "Allegro", at the current offset.
+     *
+     * @param {jQueryDOMObject} $mxDirection
+     */
+    xmlDirectionToTempo($mxDirection) {
+        const $mxDirectionTypes = $mxDirection.children('direction-type');
+        const text = $mxDirectionTypes.children('words').first().text().trim() || undefined;
+        const $mxMetronome = $mxDirectionTypes.children('metronome').first();
+        const soundTempo = parseFloat($mxDirection.children('sound').attr('tempo'));
+        let ti;
+        if ($mxMetronome.length > 0) {
+            ti = this.xmlToMetronomeMark($mxMetronome, text);
+        }
+        if (ti === undefined && !Number.isNaN(soundTempo)) {
+            ti = new tempo.MetronomeMark(text);
+            ti.setQuarterBPM(soundTempo, true);
+        } else if (ti === undefined && tempo.tempoTextToQuarterBPM(text) !== undefined) {
+            ti = new tempo.TempoText(text);
+        }
+        if (ti === undefined) {
+            return;
+        }
+        let offset = this.offsetMeasureNote;
+        const $mxOffset = $mxDirection.children('offset');
+        if ($mxOffset.length > 0) {
+            offset += parseFloat($mxOffset.text()) / this.divisions;
+        }
+        this.stream.insert(offset, ti);
+    }
+
+    /**
+     * Returns a MetronomeMark from a `<metronome>` tag with one `<beat-unit>`
+     * and a `<per-minute>` number, or undefined for other metronome marks
+     * (such as metric modulations).
+     *
+     * @param {jQueryDOMObject} $mxMetronome
+     * @param {string} [text]
+     * @returns {music21.tempo.MetronomeMark|undefined}
+     */
+    xmlToMetronomeMark($mxMetronome, text) {
+        const $mxBeatUnits = $mxMetronome.children('beat-unit');
+        // per-minute can be text such as 'c. 120'
+        const perMinute = parseFloat(
+            $mxMetronome.children('per-minute').text().replace(/^[^\d.]+/, '')
+        );
+        if ($mxBeatUnits.length !== 1 || Number.isNaN(perMinute)) {
+            return undefined;
+        }
+        const referent = new duration.Duration();
+        const beatUnit = $mxBeatUnits.text().trim();
+        referent.type = beatUnit === 'long' ? 'longa' : beatUnit;
+        referent.dots = $mxMetronome.children('beat-unit-dot').length;
+        const parentheses = $mxMetronome.attr('parentheses') === 'yes';
+        return new tempo.MetronomeMark(text, perMinute, referent, parentheses);
+    }
+
+    /**
+     * Parses a `<sound>` tag outside of a `<direction>`: its `tempo` becomes a
+     * MetronomeMark whose number is not shown.
+     *
+     * @param {jQueryDOMObject} $mxSound
+     */
+    xmlSound($mxSound) {
+        const soundTempo = parseFloat($mxSound.attr('tempo'));
+        if (Number.isNaN(soundTempo)) {
+            return;
+        }
+        const mm = new tempo.MetronomeMark();
+        mm.setQuarterBPM(soundTempo, true);
+        this.stream.insert(this.offsetMeasureNote, mm);
+    }
+
+    /**
+     * Parses a `<harmony>` tag into a {@link music21.harmony.ChordSymbol}
+     * at the current offset.  Harmonies without a root (such as function
+     * analyses) and kinds that ChordSymbol does not know are skipped.
+     *
+     * @param {jQueryDOMObject} $mxHarmony
+     */
+    xmlHarmony($mxHarmony) {
+        const $mxRoot = $mxHarmony.children('root');
+        let kind = $mxHarmony.children('kind').text().trim() || 'major';
+        if (harmony.chordTypeAliases[kind] !== undefined) {
+            kind = harmony.chordTypeAliases[kind];
+        }
+        if ($mxRoot.length === 0 || harmony.chordTypes[kind] === undefined) {
+            return;
+        }
+        const root = this.xmlToChordSymbolPitch($mxRoot, 'root');
+        let bass;
+        const $mxBass = $mxHarmony.children('bass');
+        if ($mxBass.length > 0) {
+            bass = this.xmlToChordSymbolPitch($mxBass, 'bass');
+        }
+        const chordStepModifications = [];
+        for (const mxDegree of $mxHarmony.children('degree')) {
+            const $mxDegree = $(mxDegree);
+            chordStepModifications.push(new harmony.ChordStepModification(
+                $mxDegree.children('degree-type').text().trim(),
+                parseInt($mxDegree.children('degree-value').text()),
+                parseInt($mxDegree.children('degree-alter').text()) || 0
+            ));
+        }
+        const cs = new harmony.ChordSymbol(undefined, {
+            root,
+            kind,
+            bass,
+            chordStepModifications,
+        });
+        let offset = this.offsetMeasureNote;
+        const $mxOffset = $mxHarmony.children('offset');
+        if ($mxOffset.length > 0) {
+            offset += parseFloat($mxOffset.text()) / this.divisions;
+        }
+        this.stream.insert(offset, cs);
+    }
+
+    /**
+     * Returns the Pitch from the `<root>` or `<bass>` tag of a `<harmony>`.
+     *
+     * @param {jQueryDOMObject} $mxRootOrBass
+     * @param {string} tagPrefix - 'root' or 'bass'
+     * @returns {music21.pitch.Pitch}
+     */
+    xmlToChordSymbolPitch($mxRootOrBass, tagPrefix) {
+        const p = new pitch.Pitch($mxRootOrBass.children(tagPrefix + '-step').text().trim());
+        const $mxAlter = $mxRootOrBass.children(tagPrefix + '-alter');
+        if ($mxAlter.length > 0) {
+            p.accidental = new pitch.Accidental(parseFloat($mxAlter.text().trim()));
+        }
+        return p;
+    }
+
+    /**
+     * Parses a `<barline>` tag into the leftBarline or rightBarline of the
+     * Measure, and any `<ending>` into a {@link music21.spanner.RepeatBracket}.
+     *
+     * @param {jQueryDOMObject} $mxBarline
+     */
+    xmlBarline($mxBarline) {
+        const location = $mxBarline.attr('location') || 'right';
+        let barObject;
+        if ($mxBarline.children('repeat').length > 0) {
+            barObject = this.xmlToRepeat($mxBarline);
+        } else if ($mxBarline.children('bar-style').length > 0) {
+            barObject = this.xmlToBarline($mxBarline);
+        }
+        if (barObject !== undefined) {
+            if (location === 'left') {
+                this.stream.leftBarline = barObject;
+            } else if (location === 'right') {
+                this.stream.rightBarline = barObject;
+            } else {
+                barObject.location = location;
+                this.insertInMeasureOrVoice($mxBarline, barObject);
+            }
+        }
+        const $mxEnding = $mxBarline.children('ending');
+        if ($mxEnding.length > 0) {
+            this.xmlToRepeatBracket($($mxEnding[0]));
+        }
+    }
+
+    xmlToBarline($mxBarline) {
+        const barStyle = $mxBarline.children('bar-style').text().trim();
+        return new bar.Barline(barStyle || 'regular');
+    }
+
+    xmlToRepeat($mxBarline) {
+        const $mxRepeat = $($mxBarline.children('repeat')[0]);
+        const direction = $mxRepeat.attr('direction') === 'backward' ? 'end' : 'start';
+        const r = new bar.Repeat(direction, $mxRepeat.attr('times'));
+        const barStyle = $mxBarline.children('bar-style').text().trim();
+        if (barStyle !== '') {
+            r.type = barStyle;
+        }
+        return r;
+    }
+
+    xmlToRepeatBracket($mxEnding) {
+        const rb = this.xmlOneSpanner($mxEnding, this.stream, spanner.RepeatBracket);
+        const mType = $mxEnding.attr('type');
+        if (mType === 'start') {
+            rb.number = $mxEnding.attr('number');
+        } else if (mType === 'discontinue') {
+            rb.completeStatus = true;
+        }
+        return rb;
+    }
+
     insertIntoMeasureOrVoice($mxElement, el) {
         this.stream.insert(this.offsetMeasureNote, el);
     }
@@ -605,7 +1101,7 @@ export class MeasureParser {
     parseAttributesTag($mxAttributes) {
         this.attributesAreInternal = false;
         this.$activeAttributes = $mxAttributes;
-        for (const mxSub of $mxAttributes) {
+        for (const mxSub of $mxAttributes.children()) {
             const tag = mxSub.tagName;
             const $mxSub = $(mxSub);
             const methName = this.attributeTagsToMethods[tag];
@@ -615,15 +1111,35 @@ export class MeasureParser {
                 this.staves = parseInt($mxSub.text());
             } else if (tag === 'divisions') {
                 this.divisions = parseFloat($mxSub.text());
+            } else if (tag === 'transpose') {
+                this.transposition = this.xmlTransposeToInterval($mxSub);
             }
-            // transpose;
         }
         if (this.parent !== undefined) {
             this.parent.lastDivisions = this.divisions;
             this.parent.$activeAttributes = this.$activeAttributes;
         }
     }
-    // xmlTransposeToInterval
+
+    /**
+     * Converts a `<transpose>` tag to the Interval from written to sounding pitch.
+     *
+     * @param {jQueryDOMObject} $mxTranspose
+     * @returns {music21.interval.Interval}
+     */
+    xmlTransposeToInterval($mxTranspose) {
+        const diatonic = parseInt($mxTranspose.children('diatonic').text());
+        const chromatic = parseInt($mxTranspose.children('chromatic').text()) || 0;
+        const octaveChange = parseInt($mxTranspose.children('octave-change').text()) || 0;
+        const semitones = chromatic + 12 * octaveChange;
+        if (Number.isNaN(diatonic)) {
+            // no spelling given; may not be the right one.
+            return new interval.Interval(semitones);
+        }
+        const staffDistance = diatonic + 7 * octaveChange;
+        const generic = interval.convertStaffDistanceToInterval(staffDistance);
+        return interval.intervalFromGenericAndChromatic(generic, semitones);
+    }
 
     handleTimeSignature($mxTime) {
         const ts = this.xmlToTimeSignature($mxTime);
@@ -684,8 +1200,1083 @@ export class MeasureParser {
     }
 }
 
+/* ------------------- export ---------------------- */
+
+const XML_HEADER = '<?xml version="1.0" encoding="utf-8"?>\n'
+    + '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.0 Partwise//EN"'
+    + ' "http://www.musicxml.org/dtds/partwise.dtd">\n';
+
+const clefNameToSignLine = {
+    treble: ['G', 2],
+    soprano: ['C', 1],
+    'mezzo-soprano': ['C', 2],
+    alto: ['C', 3],
+    tenor: ['C', 4],
+    bass: ['F', 4],
+    percussion: ['percussion', undefined],
+};
+
+const accidentalNameToMx = {
+    'double-flat': 'flat-flat',
+    'half-sharp': 'quarter-sharp',
+    'one-and-a-half-sharp': 'three-quarters-sharp',
+    'half-flat': 'quarter-flat',
+    'one-and-a-half-flat': 'three-quarters-flat',
+};
+
+const mxAccidentalNameToM21 = {};
+for (const [m21Name, mxName] of Object.entries(accidentalNameToMx)) {
+    mxAccidentalNameToM21[mxName] = m21Name;
+}
+
+const articulationNameToMx = {
+    'strong accent': 'strong-accent',
+    marcato: 'strong-accent',
+};
+
+const stemDirectionToMx = {
+    up: 'up',
+    down: 'down',
+    double: 'double',
+    noStem: 'none',
+    none: 'none',
+};
+
+// ChordSymbol kinds that MusicXML writes with another name, or as another
+// kind with an added degree.
+const chordKindToMx = {
+    'dominant-seventh': ['dominant'],
+    'half-diminished-seventh': ['half-diminished'],
+    'minor-major-seventh': ['major-minor'],
+    'suspended-fourth-seventh': ['suspended-fourth', [7, -1]],
+};
+
+function subElement(parentEl, tag, text) {
+    const el = parentEl.ownerDocument.createElement(tag);
+    if (text !== undefined) {
+        el.textContent = text.toString();
+    }
+    parentEl.appendChild(el);
+    return el;
+}
+
+function typeToMusicXMLType(value) {
+    if (value === 'longa') {
+        return 'long';
+    } else if (value === '2048th') {
+        throw new Music21Exception('Cannot convert "2048th" duration to MusicXML (too short).');
+    } else {
+        return value;
+    }
+}
+
+/**
+ * Takes any Music21Object (a Note, a Measure, a Part, a Score...) and
+ * returns the text of a complete partwise MusicXML document.
+ *
+ * Streams that are not Scores are wrapped (after a deep copy) in
+ * the Parts, Measures, and Scores needed to make a valid document.
+ *
+ * @example
+ * var s = music21.tinyNotation.TinyNotation('4/4 c4 d e f g1');
+ * var gex = new music21.musicxml.GeneralObjectExporter(s);
+ * var xmlText = gex.parse();
+ */
+export class GeneralObjectExporter {
+    constructor(obj) {
+        this.generalObj = obj;
+    }
+
+    parse(obj) {
+        if (obj === undefined) {
+            obj = this.generalObj;
+        }
+        const outObj = this.fromGeneralObject(obj);
+        const scoreExporter = new ScoreExporter(outObj);
+        scoreExporter.parse();
+        return scoreExporter.asText();
+    }
+
+    fromGeneralObject(obj) {
+        const classes = obj.classes;
+        if (classes.includes('Score')) {
+            return obj;
+        } else if (classes.includes('Part')) {
+            return this.fromPart(obj);
+        } else if (classes.includes('Measure')) {
+            return this.fromMeasure(obj);
+        } else if (classes.includes('Stream')) {
+            return this.fromStream(obj);
+        } else if (classes.includes('GeneralNote')) {
+            return this.fromGeneralNote(obj);
+        } else {
+            throw new Music21Exception(
+                'Cannot translate the object ' + obj.toString() + ' to a complete musicXML document'
+            );
+        }
+    }
+
+    fromPart(p) {
+        const s = new stream.Score();
+        s.insert(0, p.clone(true));
+        return s;
+    }
+
+    fromMeasure(m) {
+        const p = new stream.Part();
+        p.append(m.clone(true));
+        return this.fromPart(p);
+    }
+
+    fromStream(st) {
+        const p = new stream.Part();
+        for (const el of st.clone(true)) {
+            p.insert(el.offset, el);
+        }
+        p.clef = st.clef;
+        p.keySignature = st.keySignature;
+        p.timeSignature = st.timeSignature;
+        p.instrument = st.instrument;
+        return this.fromPart(p);
+    }
+
+    fromGeneralNote(n) {
+        const st = new stream.Stream();
+        st.append(n.clone(true));
+        return this.fromStream(st);
+    }
+}
+
+/**
+ * Converts a Score (or a Stream of Parts) into an XML DOM tree
+ * with a <score-partwise> root.
+ *
+ * @param {music21.stream.Score} score
+ * @property {Document} xmlDoc - the XML document being written to
+ * @property {Element} xmlRoot - the <score-partwise> element.
+ * @property {Array<music21.musicxml.PartExporter>} partExporterList
+ */
+export class ScoreExporter {
+    constructor(score) {
+        this.stream = score;
+        this.xmlDoc = undefined;
+        this.xmlRoot = undefined;
+        this.partExporterList = [];
+        this.musicXmlVersion = '3.0';
+        this.divisionsPerQuarter = DEFAULTS.divisionsPerQuarter;
+    }
+
+    parse() {
+        this.xmlDoc = document.implementation.createDocument(
+            null,
+            'score-partwise',
+            null
+        );
+        this.xmlRoot = this.xmlDoc.documentElement;
+        this.xmlRoot.setAttribute('version', this.musicXmlVersion);
+        this.setPartExporterList();
+        this.setScoreHeader();
+        for (const pex of this.partExporterList) {
+            pex.parse();
+            this.xmlRoot.appendChild(pex.xmlRoot);
+        }
+        return this.xmlRoot;
+    }
+
+    setPartExporterList() {
+        let parts = this.stream.parts;
+        if (parts.length === 0) {
+            // a Score without parts -- treat the whole thing as a part.
+            parts = [this.stream];
+        }
+        let i = 1;
+        for (const p of parts) {
+            const pex = new PartExporter(p, this);
+            pex.partId = 'P' + i.toString();
+            this.partExporterList.push(pex);
+            i += 1;
+        }
+    }
+
+    setScoreHeader() {
+        const md = this.stream.metadata;
+        this.setTitles(md);
+        this.setIdentification(md);
+        // defaults
+        this.setCredits(md);
+        this.setPartList();
+    }
+
+    setTitles(md) {
+        if (md === undefined) {
+            return;
+        }
+        if (md.title !== undefined || md.number !== undefined) {
+            const mxWork = subElement(this.xmlRoot, 'work');
+            if (md.number !== undefined) {
+                subElement(mxWork, 'work-number', md.number);
+            }
+            if (md.title !== undefined) {
+                subElement(mxWork, 'work-title', md.title);
+            }
+        }
+        if (md.movementNumber !== undefined) {
+            subElement(this.xmlRoot, 'movement-number', md.movementNumber);
+        }
+        if (md.movementName !== undefined) {
+            subElement(this.xmlRoot, 'movement-title', md.movementName);
+        }
+    }
+
+    setIdentification(md) {
+        const mxId = subElement(this.xmlRoot, 'identification');
+        if (md !== undefined) {
+            for (const c of md.contributors) {
+                const mxCreator = subElement(mxId, 'creator', c.name);
+                if (c.role !== undefined) {
+                    mxCreator.setAttribute('type', c.role);
+                }
+            }
+            if (md.copyright !== undefined) {
+                subElement(mxId, 'rights', md.copyright);
+            }
+        }
+        const mxEncoding = subElement(mxId, 'encoding');
+        subElement(mxEncoding, 'software', 'music21j');
+        const today = new Date();
+        subElement(mxEncoding, 'encoding-date', today.toISOString().slice(0, 10));
+        return mxId;
+    }
+
+    setCredits(md) {
+        if (md === undefined) {
+            return;
+        }
+        for (const credit of md.credits) {
+            const mxCredit = subElement(this.xmlRoot, 'credit');
+            mxCredit.setAttribute('page', (credit.page || 1).toString());
+            if (credit.creditType !== undefined) {
+                subElement(mxCredit, 'credit-type', credit.creditType);
+            }
+            subElement(mxCredit, 'credit-words', credit.words);
+        }
+    }
+
+    setPartList() {
+        const mxPartList = subElement(this.xmlRoot, 'part-list');
+        for (const pex of this.partExporterList) {
+            mxPartList.appendChild(pex.getXmlScorePart());
+        }
+        return mxPartList;
+    }
+
+    /**
+     * Returns the document as a string, with the XML declaration and
+     * MusicXML doctype prepended.  Call after `.parse()`
+     *
+     * @returns {string}
+     */
+    asText() {
+        if (this.xmlRoot === undefined) {
+            this.parse();
+        }
+        const serializer = new XMLSerializer();
+        return XML_HEADER + serializer.serializeToString(this.xmlRoot);
+    }
+}
+
+/**
+ * Converts a Part into a <part> element.  Parts without Measures
+ * are given measures (on a copy) first.
+ *
+ * @param {music21.stream.Part} partObj
+ * @param {music21.musicxml.ScoreExporter} [parent]
+ */
+export class PartExporter {
+    constructor(partObj, parent) {
+        this.stream = partObj;
+        this.parent = parent;
+        this.partId = 'P1';
+        this.xmlRoot = undefined;
+        this.lastClef = undefined;
+        this.lastKeySignature = undefined;
+        this.lastTimeSignature = undefined;
+        if (parent !== undefined) {
+            this.divisionsPerQuarter = parent.divisionsPerQuarter;
+        } else {
+            this.divisionsPerQuarter = DEFAULTS.divisionsPerQuarter;
+        }
+    }
+
+    get xmlDoc() {
+        if (this.parent !== undefined && this.parent.xmlDoc !== undefined) {
+            return this.parent.xmlDoc;
+        }
+        if (this._xmlDoc === undefined) {
+            this._xmlDoc = document.implementation.createDocument(null, 'part', null);
+        }
+        return this._xmlDoc;
+    }
+
+    parse() {
+        this.xmlRoot = this.xmlDoc.createElement('part');
+        this.xmlRoot.setAttribute('id', this.partId);
+        this.lastClef = undefined;
+        this.lastKeySignature = undefined;
+        this.lastTimeSignature = undefined;
+        let measureStream = this.stream.getElementsByClass('Measure');
+        if (measureStream.length === 0) {
+            let partToMeasure = this.stream;
+            if (partToMeasure.timeSignature === undefined) {
+                partToMeasure = partToMeasure.clone(false);
+                partToMeasure.timeSignature = new meter.TimeSignature('4/4');
+            }
+            measureStream = partToMeasure.makeMeasures().getElementsByClass('Measure');
+        }
+        let i = 1;
+        for (const m of measureStream) {
+            const measureExporter = new MeasureExporter(m, this);
+            measureExporter.isFirstMeasure = i === 1;
+            if (m.number === undefined || m.number === 0) {
+                measureExporter.measureNumber = i;
+            }
+            measureExporter.parse();
+            this.xmlRoot.appendChild(measureExporter.xmlRoot);
+            i += 1;
+        }
+        return this.xmlRoot;
+    }
+
+    getXmlScorePart() {
+        const part = this.stream;
+        const inst = part.instrument;
+        const mxScorePart = this.xmlDoc.createElement('score-part');
+        mxScorePart.setAttribute('id', this.partId);
+        let partName = part.partName;
+        if (partName === undefined && inst !== undefined) {
+            partName = inst.partName || inst.instrumentName;
+        }
+        subElement(mxScorePart, 'part-name', partName || '');
+        if (inst === undefined) {
+            return mxScorePart;
+        }
+        const instId = this.partId + '-I1';
+        const mxScoreInstrument = subElement(mxScorePart, 'score-instrument');
+        mxScoreInstrument.setAttribute('id', instId);
+        subElement(mxScoreInstrument, 'instrument-name', inst.instrumentName || '');
+        if (inst.midiProgram !== undefined) {
+            const mxMidiInstrument = subElement(mxScorePart, 'midi-instrument');
+            mxMidiInstrument.setAttribute('id', instId);
+            // musicxml midi-channel and midi-program are 1-indexed
+            subElement(mxMidiInstrument, 'midi-channel', inst.midiChannel + 1);
+            subElement(mxMidiInstrument, 'midi-program', inst.midiProgram + 1);
+        }
+        return mxScorePart;
+    }
+}
+
+/**
+ * Converts a Measure into a <measure> element.
+ *
+ * @param {music21.stream.Measure} measureObj
+ * @param {music21.musicxml.PartExporter} [parent]
+ */
+export class MeasureExporter {
+    constructor(measureObj, parent) {
+        this.stream = measureObj;
+        this.parent = parent;
+        this.xmlRoot = undefined;
+        this.measureNumber = measureObj.number;
+        this.offsetInMeasure = 0.0;
+        this.currentVoiceId = undefined;
+        this.beamsByElement = new Map();
+        this.accidentalsByPitch = new Map();
+        this.activeTuplet = undefined;
+        this.activeTupletLength = 0.0;
+        // the first measure of its part gets <divisions> and <transpose>
+        this.isFirstMeasure = true;
+        if (parent !== undefined) {
+            this.divisionsPerQuarter = parent.divisionsPerQuarter;
+        } else {
+            this.divisionsPerQuarter = DEFAULTS.divisionsPerQuarter;
+        }
+
+        // the reverse of MeasureParser.musicDataMethods; first match wins.
+        this.classesToMethods = [
+            ['Note', 'noteToXml'],
+            ['ChordSymbol', 'chordSymbolToXml'],
+            ['Chord', 'chordToXml'],
+            ['Rest', 'restToXml'],
+            ['Clef', 'midMeasureClefToXml'],
+            ['KeySignature', 'midMeasureKeySignatureToXml'],
+            ['TimeSignature', 'midMeasureTimeSignatureToXml'],
+            ['TempoIndication', 'tempoIndicationToXml'],
+        ];
+    }
+
+    get xmlDoc() {
+        if (this.parent !== undefined) {
+            return this.parent.xmlDoc;
+        }
+        if (this._xmlDoc === undefined) {
+            this._xmlDoc = document.implementation.createDocument(null, 'measure', null);
+        }
+        return this._xmlDoc;
+    }
+
+    parse() {
+        this.xmlRoot = this.xmlDoc.createElement('measure');
+        this.xmlRoot.setAttribute('number', this.measureNumber.toString());
+        this.setMxAttributesObjectForStartOfMeasure();
+        this.setBarline('left');
+        this.setBeams();
+        this.setAccidentals();
+        this.mainElementsParse();
+        this.setBarline('right');
+        return this.xmlRoot;
+    }
+
+    mainElementsParse() {
+        const m = this.stream;
+        const voices = m.getElementsByClass('Voice');
+        if (voices.length === 0) {
+            this.parseFlatElements(m);
+            return;
+        }
+        // non-voice elements such as clefs
+        this.parseFlatElements(
+            m.getElementsByClass([
+                'Clef', 'KeySignature', 'TimeSignature', 'ChordSymbol', 'TempoIndication',
+            ])
+        );
+        let voiceNumber = 1;
+        for (const v of voices) {
+            const backupAmount = this.offsetInMeasure;
+            if (backupAmount > 0) {
+                const mxBackup = subElement(this.xmlRoot, 'backup');
+                subElement(mxBackup, 'duration', this.divisions(backupAmount));
+                this.offsetInMeasure = 0.0;
+            }
+            this.currentVoiceId = voiceNumber;
+            this.parseFlatElements(v, v.getOffsetBySite(m));
+            voiceNumber += 1;
+        }
+        this.currentVoiceId = undefined;
+    }
+
+    parseFlatElements(s, startOffset = 0.0) {
+        for (const el of s) {
+            const elOffset = startOffset + el.offset;
+            if (elOffset > this.offsetInMeasure + 0.0001) {
+                const mxForward = subElement(this.xmlRoot, 'forward');
+                subElement(mxForward, 'duration', this.divisions(elOffset - this.offsetInMeasure));
+                this.offsetInMeasure = elOffset;
+            }
+            for (const [className, methName] of this.classesToMethods) {
+                if (el.isClassOrSubclass(className)) {
+                    this[methName](el);
+                    break;
+                }
+            }
+        }
+    }
+
+    divisions(quarterLength) {
+        return Math.round(quarterLength * this.divisionsPerQuarter);
+    }
+
+    /**
+     * Finds which accidentals to show, for pitches whose accidental has no
+     * displayStatus yet, by running makeAccidentals on a copy of the notes
+     * (so that the notes themselves are not changed): an accidental in the
+     * key signature, or repeated in the measure, is not shown, and a
+     * natural cancelling one is.
+     */
+    setAccidentals() {
+        const m = this.stream;
+        const copy = new stream.Stream();
+        copy.keySignature = m.keySignature;
+        const pairs = [];
+        for (const n of m.flat.notes) {
+            if (n.isClassOrSubclass('ChordSymbol') && !n.writeAsChord) {
+                continue;
+            }
+            const nCopy = n.clone(true);
+            copy.insert(n.offset, nCopy);
+            if (n._notes !== undefined) {
+                for (let i = 0; i < n._notes.length; i++) {
+                    pairs.push([n._notes[i].pitch, nCopy._notes[i].pitch]);
+                }
+            } else if (n.pitch !== undefined) {
+                pairs.push([n.pitch, nCopy.pitch]);
+            }
+        }
+        copy.makeAccidentals();
+        for (const [p, pCopy] of pairs) {
+            if (p.accidental === undefined || p.accidental.displayStatus === undefined) {
+                this.accidentalsByPitch.set(p, pCopy.accidental);
+            }
+        }
+    }
+
+    /**
+     * Finds the Beams for each note: either those already set on the notes, or, if
+     * the Stream uses autoBeam, ones computed from the TimeSignature
+     * without changing the notes themselves.
+     */
+    setBeams() {
+        const m = this.stream;
+        const noteStream = (m.hasVoices() ? m.flat.notesAndRests : m.notesAndRests)
+            .getElementsNotOfClass('ChordSymbol');
+        let hasBeams = false;
+        for (const n of noteStream) {
+            if (n.beams !== undefined && n.beams.getTypes().some(t => t !== undefined)) {
+                hasBeams = true;
+            }
+        }
+        if (hasBeams) {
+            for (const n of noteStream) {
+                if (n.beams !== undefined) {
+                    this.beamsByElement.set(n, n.beams);
+                }
+            }
+            return;
+        }
+        const ts = m.timeSignature;
+        if (!m.autoBeam || ts === undefined || m.hasVoices() || noteStream.length === 0) {
+            return;
+        }
+        // grace notes are not beamed with the notes around them.
+        noteStream.elements = noteStream.elements.filter(n => !n.duration.isGrace);
+        const barQL = ts.barDuration.quarterLength;
+        if (noteStream.highestTime > barQL) {
+            return;
+        }
+        let measureStartOffset = 0.0;
+        if (m.paddingLeft !== 0.0 && m.paddingLeft !== undefined) {
+            measureStartOffset = m.paddingLeft;
+        } else if (noteStream.highestTime < barQL) {
+            measureStartOffset = barQL - noteStream.highestTime;
+        }
+        const beamsList = ts.getBeams(noteStream, { measureStartOffset });
+        for (let i = 0; i < noteStream.length; i++) {
+            if (beamsList[i] !== undefined) {
+                this.beamsByElement.set(noteStream.get(i), beamsList[i]);
+            }
+        }
+    }
+
+    setMxAttributesObjectForStartOfMeasure() {
+        const m = this.stream;
+        const pex = this.parent;
+        const mxAttributes = this.xmlDoc.createElement('attributes');
+        const isFirstMeasure = this.isFirstMeasure;
+        if (isFirstMeasure) {
+            subElement(mxAttributes, 'divisions', this.divisionsPerQuarter);
+        }
+        const ks = m.keySignature;
+        if (ks !== undefined
+                && (pex === undefined || pex.lastKeySignature === undefined
+                    || pex.lastKeySignature.sharps !== ks.sharps)) {
+            mxAttributes.appendChild(this.keySignatureToXml(ks));
+        }
+        const ts = m.timeSignature;
+        if (ts !== undefined
+                && (pex === undefined || pex.lastTimeSignature === undefined
+                    || pex.lastTimeSignature.ratioString !== ts.ratioString)) {
+            mxAttributes.appendChild(this.timeSignatureToXml(ts));
+        }
+        const clefObj = m.clef;
+        if (clefObj !== undefined
+                && (pex === undefined || pex.lastClef === undefined
+                    || pex.lastClef.name !== clefObj.name
+                    || pex.lastClef.octaveChange !== clefObj.octaveChange)) {
+            mxAttributes.appendChild(this.clefToXml(clefObj));
+        }
+        const partObj = pex !== undefined ? pex.stream : m;
+        const inst = partObj.instrument;
+        if (isFirstMeasure
+                && partObj.atSoundingPitch === false
+                && inst !== undefined
+                && inst.transposition !== undefined) {
+            mxAttributes.appendChild(this.intervalToXmlTranspose(inst.transposition));
+        }
+        if (pex !== undefined) {
+            pex.lastKeySignature = ks;
+            pex.lastTimeSignature = ts;
+            pex.lastClef = clefObj;
+        }
+        if (mxAttributes.childNodes.length > 0) {
+            this.xmlRoot.appendChild(mxAttributes);
+        }
+        return mxAttributes;
+    }
+
+    /**
+     * Converts the Interval from written to sounding pitch to a `<transpose>` tag.
+     *
+     * @param {music21.interval.Interval} intv
+     * @returns {Element}
+     */
+    intervalToXmlTranspose(intv) {
+        const mxTranspose = this.xmlDoc.createElement('transpose');
+        const semitones = intv.chromatic.semitones;
+        const directionSign = semitones < 0 ? -1 : 1;
+        const octaves = Math.floor(Math.abs(semitones) / 12) * directionSign;
+        const genericDirected = intv.generic.directed;
+        const staffDistance = genericDirected > 0 ? genericDirected - 1 : genericDirected + 1;
+        subElement(mxTranspose, 'diatonic', staffDistance - 7 * octaves);
+        subElement(mxTranspose, 'chromatic', semitones - 12 * octaves);
+        if (octaves !== 0) {
+            subElement(mxTranspose, 'octave-change', octaves);
+        }
+        return mxTranspose;
+    }
+
+    /**
+     * Appends a `<barline>` for the Measure's leftBarline or rightBarline,
+     * including the start or end of any RepeatBracket.
+     *
+     * @param {string} location - 'left' or 'right'
+     * @returns {Element|undefined}
+     */
+    setBarline(location) {
+        const m = this.stream;
+        const barObject = location === 'left' ? m.leftBarline : m.rightBarline;
+        let rb;
+        let endingType;
+        for (const thisRb of m.getSpannerSites('RepeatBracket')) {
+            if (location === 'left' && thisRb.isFirst(m)) {
+                rb = thisRb;
+                endingType = 'start';
+            } else if (location === 'right' && thisRb.isLast(m)) {
+                rb = thisRb;
+                const isEndRepeat = barObject !== undefined
+                    && barObject.isClassOrSubclass('Repeat');
+                endingType = isEndRepeat ? 'stop' : 'discontinue';
+            }
+        }
+        if (barObject === undefined && rb === undefined) {
+            return undefined;
+        }
+        const mxBarline = subElement(this.xmlRoot, 'barline');
+        mxBarline.setAttribute('location', location);
+        if (barObject !== undefined) {
+            subElement(mxBarline, 'bar-style', barObject.musicXMLBarStyle());
+        }
+        if (rb !== undefined) {
+            const mxEnding = subElement(mxBarline, 'ending');
+            mxEnding.setAttribute('number', rb.number || '1');
+            mxEnding.setAttribute('type', endingType);
+        }
+        if (barObject !== undefined && barObject.isClassOrSubclass('Repeat')) {
+            const mxRepeat = subElement(mxBarline, 'repeat');
+            mxRepeat.setAttribute(
+                'direction',
+                barObject.direction === 'start' ? 'forward' : 'backward'
+            );
+            if (barObject.times !== undefined) {
+                mxRepeat.setAttribute('times', barObject.times.toString());
+            }
+        }
+        return mxBarline;
+    }
+
+    midMeasureClefToXml(clefObj) {
+        if (this.offsetInMeasure === 0 && this.parent !== undefined
+                && this.parent.lastClef === clefObj) {
+            return;
+        }
+        const mxAttributes = subElement(this.xmlRoot, 'attributes');
+        mxAttributes.appendChild(this.clefToXml(clefObj));
+        if (this.parent !== undefined) {
+            this.parent.lastClef = clefObj;
+        }
+    }
+
+    midMeasureKeySignatureToXml(ks) {
+        if (this.offsetInMeasure === 0 && this.parent !== undefined
+                && this.parent.lastKeySignature === ks) {
+            return;
+        }
+        const mxAttributes = subElement(this.xmlRoot, 'attributes');
+        mxAttributes.appendChild(this.keySignatureToXml(ks));
+        if (this.parent !== undefined) {
+            this.parent.lastKeySignature = ks;
+        }
+    }
+
+    midMeasureTimeSignatureToXml(ts) {
+        if (this.offsetInMeasure === 0 && this.parent !== undefined
+                && this.parent.lastTimeSignature === ts) {
+            return;
+        }
+        const mxAttributes = subElement(this.xmlRoot, 'attributes');
+        mxAttributes.appendChild(this.timeSignatureToXml(ts));
+        if (this.parent !== undefined) {
+            this.parent.lastTimeSignature = ts;
+        }
+    }
+
+    clefToXml(clefObj) {
+        const mxClef = this.xmlDoc.createElement('clef');
+        let signLine = clefNameToSignLine[clefObj.name];
+        if (signLine === undefined) {
+            signLine = clefNameToSignLine.treble;
+        }
+        const [sign, line] = signLine;
+        subElement(mxClef, 'sign', sign);
+        if (line !== undefined) {
+            subElement(mxClef, 'line', line);
+        }
+        if (clefObj.octaveChange !== undefined && clefObj.octaveChange !== 0) {
+            subElement(mxClef, 'clef-octave-change', clefObj.octaveChange);
+        }
+        return mxClef;
+    }
+
+    keySignatureToXml(ks) {
+        const mxKey = this.xmlDoc.createElement('key');
+        subElement(mxKey, 'fifths', ks.sharps);
+        if (ks.mode !== undefined) {
+            subElement(mxKey, 'mode', ks.mode);
+        }
+        return mxKey;
+    }
+
+    timeSignatureToXml(ts) {
+        const mxTime = this.xmlDoc.createElement('time');
+        subElement(mxTime, 'beats', ts.numerator);
+        subElement(mxTime, 'beat-type', ts.denominator);
+        return mxTime;
+    }
+
+    noteToXml(n, noteIndexInChord = 0, chordParent) {
+        const mxNote = subElement(this.xmlRoot, 'note');
+        // the chord supplies duration and all notations for its notes.
+        const durationObj = chordParent === undefined ? n : chordParent;
+        const isGrace = durationObj.duration.isGrace;
+        if (isGrace) {
+            const mxGrace = subElement(mxNote, 'grace');
+            if (durationObj.duration.slash) {
+                mxGrace.setAttribute('slash', 'yes');
+            }
+        }
+        if (noteIndexInChord !== 0) {
+            subElement(mxNote, 'chord');
+        }
+        if (n.isClassOrSubclass('Rest')) {
+            subElement(mxNote, 'rest');
+        } else {
+            mxNote.appendChild(this.pitchToXml(n.pitch));
+        }
+        if (!isGrace) {
+            subElement(mxNote, 'duration', this.divisions(durationObj.duration.quarterLength));
+        }
+
+        let tieObj = n.tie;
+        if (tieObj === undefined && chordParent !== undefined) {
+            tieObj = chordParent.tie;
+        }
+        const tieTypes = this.tieToTypes(tieObj);
+        for (const tieType of tieTypes) {
+            const mxTie = subElement(mxNote, 'tie');
+            mxTie.setAttribute('type', tieType);
+        }
+        if (this.currentVoiceId !== undefined) {
+            subElement(mxNote, 'voice', this.currentVoiceId);
+        }
+        this.durationToXml(mxNote, durationObj.duration);
+        if (!n.isClassOrSubclass('Rest')) {
+            let acc = n.pitch.accidental;
+            if (this.accidentalsByPitch.has(n.pitch)) {
+                acc = this.accidentalsByPitch.get(n.pitch);
+            }
+            const mxAccidental = this.accidentalToXml(acc);
+            if (mxAccidental !== undefined) {
+                mxNote.appendChild(mxAccidental);
+            }
+        }
+        const tuplet = durationObj.duration.tuplets[0];
+        if (tuplet !== undefined) {
+            const mxTimeModification = subElement(mxNote, 'time-modification');
+            subElement(mxTimeModification, 'actual-notes', tuplet.numberNotesActual);
+            subElement(mxTimeModification, 'normal-notes', tuplet.numberNotesNormal);
+        }
+        const stemDirection = stemDirectionToMx[durationObj.stemDirection];
+        if (stemDirection !== undefined) {
+            subElement(mxNote, 'stem', stemDirection);
+        }
+        if (noteIndexInChord !== 0) {
+            // everything else is written only on the first note of a chord
+            this.appendNotations(mxNote, tieTypes, []);
+            return mxNote;
+        }
+        const beamsObj = this.beamsByElement.get(durationObj);
+        if (beamsObj !== undefined) {
+            for (const b of beamsObj.beamsList) {
+                const mxBeam = this.beamToXml(b);
+                if (mxBeam !== undefined) {
+                    mxNote.appendChild(mxBeam);
+                }
+            }
+        }
+        const tupletTypes = this.tupletTypesForElement(durationObj);
+        this.appendNotations(mxNote, tieTypes, tupletTypes, durationObj);
+        for (const l of durationObj.lyrics) {
+            mxNote.appendChild(this.lyricToXml(l));
+        }
+        this.offsetInMeasure += durationObj.duration.quarterLength;
+        return mxNote;
+    }
+
+    chordToXml(c) {
+        const mxNoteList = [];
+        let i = 0;
+        for (const n of c._notes) {
+            mxNoteList.push(this.noteToXml(n, i, c));
+            i += 1;
+        }
+        // first note in chord is the one that advances the offset.
+        return mxNoteList;
+    }
+
+    restToXml(r) {
+        return this.noteToXml(r);
+    }
+
+    /**
+     * Writes a `<harmony>` tag for a ChordSymbol, followed by its notes if it
+     * is written as a chord.
+     *
+     * @param {music21.harmony.ChordSymbol} cs
+     * @returns {Element} the `<harmony>` tag
+     */
+    chordSymbolToXml(cs) {
+        let csComponents = cs;
+        if (cs.chordRoot === undefined) {
+            csComponents = harmony.chordSymbolFromChord(cs);
+        }
+        const mxHarmony = subElement(this.xmlRoot, 'harmony');
+        const pitchToTags = (p, tagPrefix) => {
+            const mxRootOrBass = subElement(mxHarmony, tagPrefix);
+            subElement(mxRootOrBass, tagPrefix + '-step', p.step);
+            if (p.accidental !== undefined && p.accidental.alter !== 0) {
+                subElement(mxRootOrBass, tagPrefix + '-alter', p.accidental.alter);
+            }
+        };
+        pitchToTags(csComponents.chordRoot, 'root');
+        const [mxKind, addedDegree] = chordKindToMx[csComponents.chordKind]
+            || [csComponents.chordKind];
+        subElement(mxHarmony, 'kind', mxKind);
+        if (csComponents.chordBass !== undefined) {
+            pitchToTags(csComponents.chordBass, 'bass');
+        }
+        const modifications = csComponents.chordStepModifications.slice();
+        if (addedDegree !== undefined) {
+            modifications.unshift(new harmony.ChordStepModification('add', ...addedDegree));
+        }
+        for (const csm of modifications) {
+            const mxDegree = subElement(mxHarmony, 'degree');
+            subElement(mxDegree, 'degree-value', csm.degree);
+            subElement(mxDegree, 'degree-alter', csm.alter);
+            subElement(mxDegree, 'degree-type', csm.modType);
+        }
+        if (cs.writeAsChord) {
+            this.chordToXml(cs);
+        }
+        return mxHarmony;
+    }
+
+    /**
+     * Writes a `<direction>` for a MetronomeMark or TempoText, with its
+     * text as `<words>`, its number as `<metronome>` (unless implicit), and
+     * its tempo for playback as `<sound tempo>`.  A mark with nothing to show
+     * is written as a `<sound>` tag alone (at the current position).
+     *
+     * @param {music21.tempo.TempoIndication} ti
+     * @returns {Element|undefined} the `<direction>` or `<sound>` tag
+     */
+    tempoIndicationToXml(ti) {
+        const mm = ti.isClassOrSubclass('TempoText') ? ti.getMetronomeMark() : ti;
+        const quarterBPM = mm !== undefined ? mm.getQuarterBPM() : undefined;
+        const showText = ti.text !== undefined && !ti.textImplicit;
+        const showNumber = ti.isClassOrSubclass('MetronomeMark')
+            && ti.number !== undefined
+            && !ti.numberImplicit;
+        const roundNumber = n => Math.round(n * 100) / 100;
+        if (!showText && !showNumber) {
+            if (quarterBPM === undefined) {
+                return undefined;
+            }
+            const mxSound = subElement(this.xmlRoot, 'sound');
+            mxSound.setAttribute('tempo', roundNumber(quarterBPM));
+            return mxSound;
+        }
+        const mxDirection = subElement(this.xmlRoot, 'direction');
+        mxDirection.setAttribute('placement', 'above');
+        if (showText) {
+            const mxDirectionType = subElement(mxDirection, 'direction-type');
+            subElement(mxDirectionType, 'words', ti.text);
+        }
+        if (showNumber) {
+            const mxDirectionType = subElement(mxDirection, 'direction-type');
+            const mxMetronome = subElement(mxDirectionType, 'metronome');
+            mxMetronome.setAttribute('parentheses', ti.parentheses ? 'yes' : 'no');
+            subElement(mxMetronome, 'beat-unit', typeToMusicXMLType(ti.referent.type));
+            for (let i = 0; i < ti.referent.dots; i++) {
+                subElement(mxMetronome, 'beat-unit-dot');
+            }
+            subElement(mxMetronome, 'per-minute', roundNumber(ti.number));
+        }
+        if (quarterBPM !== undefined) {
+            const mxSound = subElement(mxDirection, 'sound');
+            mxSound.setAttribute('tempo', roundNumber(quarterBPM));
+        }
+        return mxDirection;
+    }
+
+    pitchToXml(p) {
+        const mxPitch = this.xmlDoc.createElement('pitch');
+        subElement(mxPitch, 'step', p.step);
+        let alter = 0;
+        if (p.accidental !== undefined) {
+            alter += p.accidental.alter;
+        }
+        if (p.microtone !== undefined) {
+            alter += p.microtone.alter;
+        }
+        if (alter !== 0) {
+            subElement(mxPitch, 'alter', alter);
+        }
+        subElement(mxPitch, 'octave', p.octave);
+        return mxPitch;
+    }
+
+    accidentalToXml(acc) {
+        if (acc === undefined) {
+            return undefined;
+        }
+        const shown = (acc.name !== 'natural' && acc.displayStatus !== false)
+            || acc.displayType === 'always'
+            || acc.displayStatus === true;
+        if (!shown) {
+            return undefined;
+        }
+        const mxAccidental = this.xmlDoc.createElement('accidental');
+        mxAccidental.textContent = accidentalNameToMx[acc.name] || acc.name;
+        return mxAccidental;
+    }
+
+    durationToXml(mxNote, d) {
+        if (d.type === 'zero') {
+            return;
+        }
+        subElement(mxNote, 'type', typeToMusicXMLType(d.type));
+        for (let i = 0; i < d.dots; i++) {
+            subElement(mxNote, 'dot');
+        }
+    }
+
+    tieToTypes(t) {
+        if (t === undefined) {
+            return [];
+        } else if (t.type === 'continue') {
+            return ['stop', 'start'];
+        } else {
+            return [t.type];
+        }
+    }
+
+    beamToXml(b) {
+        if (b.type === undefined) {
+            return undefined;
+        }
+        const mxBeam = this.xmlDoc.createElement('beam');
+        mxBeam.setAttribute('number', b.number);
+        let beamType = b.type;
+        if (beamType === 'partial') {
+            beamType = b.direction === 'left' ? 'backward hook' : 'forward hook';
+        }
+        mxBeam.textContent = beamType;
+        return mxBeam;
+    }
+
+    /**
+     * Determine whether el starts or stops a tuplet, in the same way that
+     * vfShow.Renderer.vexflowNotes groups tuplets: by adding up
+     * quarterLengths until the tuplet's total length is reached.
+     */
+    tupletTypesForElement(el) {
+        const tuplet = el.duration.tuplets[0];
+        if (tuplet === undefined) {
+            return [];
+        }
+        const types = [];
+        if (this.activeTuplet === undefined) {
+            this.activeTuplet = tuplet;
+            this.activeTupletLength = 0.0;
+            types.push('start');
+        }
+        this.activeTupletLength += el.duration.quarterLength;
+        const totalLength = this.activeTuplet.totalTupletLength();
+        if (this.activeTupletLength >= totalLength
+                || Math.abs(this.activeTupletLength - totalLength) < 0.001) {
+            types.push('stop');
+            this.activeTuplet = undefined;
+            this.activeTupletLength = 0.0;
+        }
+        return types;
+    }
+
+    appendNotations(mxNote, tieTypes, tupletTypes, el) {
+        const mxNotations = this.xmlDoc.createElement('notations');
+        for (const tieType of tieTypes) {
+            const mxTied = subElement(mxNotations, 'tied');
+            mxTied.setAttribute('type', tieType);
+        }
+        for (const tupletType of tupletTypes) {
+            const mxTuplet = subElement(mxNotations, 'tuplet');
+            mxTuplet.setAttribute('type', tupletType);
+        }
+        if (el !== undefined) {
+            for (const expression of el.expressions) {
+                if (expression.isClassOrSubclass('Fermata')) {
+                    subElement(mxNotations, 'fermata');
+                }
+            }
+            if (el.articulations.length > 0) {
+                const mxArticulations = subElement(mxNotations, 'articulations');
+                for (const a of el.articulations) {
+                    subElement(mxArticulations, articulationNameToMx[a.name] || a.name);
+                }
+            }
+        }
+        if (mxNotations.childNodes.length > 0) {
+            mxNote.appendChild(mxNotations);
+        }
+        return mxNotations;
+    }
+
+    lyricToXml(l) {
+        const mxLyric = this.xmlDoc.createElement('lyric');
+        if (l.number !== undefined) {
+            mxLyric.setAttribute('number', l.number);
+        }
+        if (l.syllabic !== undefined) {
+            subElement(mxLyric, 'syllabic', l.syllabic);
+        }
+        subElement(mxLyric, 'text', l.text);
+        return mxLyric;
+    }
+}
+
 export const musicxml = {
     ScoreParser,
     PartParser,
     MeasureParser,
+    GeneralObjectExporter,
+    ScoreExporter,
+    PartExporter,
+    MeasureExporter,
 };
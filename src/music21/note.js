@@ -12,9 +12,11 @@ import * as Vex from 'vexflow';
 import { prebase } from './prebase.js';
 import { base } from './base.js';
 import { debug } from './debug.js';
+import { interval } from './interval.js';
 import { pitch } from './pitch.js';
 import { beam } from './beam.js';
 import { common } from './common.js';
+import { duration } from './duration.js';
 
 /**
  * Module for note classes. See the namespace {@link music21.note}
@@ -24,6 +26,7 @@ import { common } from './common.js';
  * @requires music21/base
  * @requires music21/pitch
  * @requires music21/beam
+ * @requires music21/duration
  * @exports music21/note
  */
 /**
@@ -220,7 +223,7 @@ export class GeneralNote extends base.Music21Object {
         this.lyrics = [];
         this.tie = undefined;
         /* TODO: editorial objects, color, addLyric, insertLyric, hasLyrics */
-        /* Later: augmentOrDiminish, getGrace, */
+        /* Later: augmentOrDiminish */
     }
     get lyric() {
         if (this.lyrics.length > 0) {
@@ -236,7 +239,27 @@ export class GeneralNote extends base.Music21Object {
         }
     }
     get midiVolume() {
+        return this.getMidiVolume();
+    }
+    /**
+     * How loud this note is as a MIDI velocity (0-127) at a dynamic level of
+     * `volumeScalar`, taking into account articulations such as accents.
+     * If `volumeScalar` is undefined, `.volume` is used instead.
+     *
+     * @memberof music21.note.GeneralNote
+     * @param {number} [volumeScalar] - 0 to 1, such as {@link music21.dynamics.Dynamic#volumeScalar}
+     * @returns {Int}
+     * @example
+     * var n = new music21.note.Note('C');
+     * n.getMidiVolume(0.5); // 63
+     * n.articulations.push(new music21.articulations.Accent());
+     * n.getMidiVolume(0.5); // 95
+     */
+    getMidiVolume(volumeScalar) {
         let volume = this.volume;
+        if (volumeScalar !== undefined) {
+            volume = volumeScalar * 127;
+        }
         if (volume === undefined) {
             volume = 60;
         }
@@ -253,6 +276,64 @@ export class GeneralNote extends base.Music21Object {
         volume = Math.floor(volume);
         return volume;
     }
+    /**
+     * The fraction of its written length that this note sounds for:
+     * the product of the `lengthScale` of its articulations, so 0.5 for
+     * a {@link music21.articulations.Staccato}.
+     *
+     * @memberof music21.note.GeneralNote
+     * @type {number}
+     */
+    get articulationLengthScale() {
+        let lengthScale = 1.0;
+        for (const a of this.articulations) {
+            lengthScale *= a.lengthScale;
+        }
+        return lengthScale;
+    }
+    /**
+     * How many times its written length this note is held, making the
+     * music wait for it: the product of the `lengthScale` of its expressions,
+     * so 2 for a {@link music21.expressions.Fermata}.
+     *
+     * @memberof music21.note.GeneralNote
+     * @type {number}
+     */
+    get expressionLengthScale() {
+        let lengthScale = 1.0;
+        for (const e of this.expressions) {
+            if (e.lengthScale !== undefined) {
+                lengthScale *= e.lengthScale;
+            }
+        }
+        return lengthScale;
+    }
+    /**
+     * Returns a grace note version of this note: one with a
+     * {@link music21.duration.GraceDuration} of the same type and dots.
+     *
+     * @memberof music21.note.GeneralNote
+     * @param {object} [options]
+     * @param {boolean} [options.appoggiatura=false] - if true, the grace note has no slash
+     * @param {boolean} [options.inPlace=false]
+     * @returns {music21.note.GeneralNote} the grace note (this if inPlace)
+     * @example
+     * var n = new music21.note.Note('D5', 0.25);
+     * var g = n.getGrace();
+     * g.duration.type; // '16th'
+     * g.duration.quarterLength; // 0
+     * g.duration.slash; // true
+     */
+    getGrace(options) {
+        const params = { appoggiatura: false, inPlace: false };
+        common.merge(params, options);
+        const post = params.inPlace ? this : this.clone(true);
+        const gd = new duration.GraceDuration(post.duration.type);
+        gd.dots = post.duration.dots;
+        gd.slash = !params.appoggiatura;
+        post.duration = gd;
+        return post;
+    }
     /**
      * Add a {@link music21.note.Lyric} object to the Note
      *
@@ -351,10 +432,14 @@ export class GeneralNote extends base.Music21Object {
     /**
      * Play the current element as a MIDI note.
      *
+     * The volume follows the {@link music21.dynamics.Dynamic} in context,
+     * if any, and articulations; staccatos are shortened and
+     * fermatas lengthened.
+     *
      * @memberof music21.note.GeneralNote
      * @param {number} [tempo=120] - tempo in bpm
      * @param {(base.Music21Object)} [nextElement] - for determining the length to play in case of tied notes, etc.
-     * @param {object} [options] - other options (currently just `{instrument: {@link music21.instrument.Instrument} }`)
+     * @param {object} [options] - other options (currently `{instrument: {@link music21.instrument.Instrument}, tuning: {@link music21.tuning.TuningSystem}, dynamic: {@link music21.dynamics.Dynamic} }`); pass `dynamic` when playing many notes of a part to skip the context search for each one
      * @returns {Number} - delay time in milliseconds until the next element (may be ignored)
      */
     playMidi(tempo = 120, nextElement, options) {
@@ -362,56 +447,79 @@ export class GeneralNote extends base.Music21Object {
         // case that can't be determined otherwise.
         if (options === undefined) {
             let inst;
+            let tuningSystem;
             if (this.activeSite !== undefined) {
                 inst = this.activeSite.instrument;
+                tuningSystem = this.activeSite.tuning;
             }
-            options = { instrument: inst };
+            options = { instrument: inst, tuning: tuningSystem };
         }
 
-        const volume = this.midiVolume;
+        let dynamic = options.dynamic;
+        if (dynamic === undefined) {
+            dynamic = this.getContextByClass('Dynamic');
+        }
+        const volume = this.getMidiVolume(
+            dynamic !== undefined ? dynamic.volumeScalar : undefined
+        );
+        const lengthScale = this.articulationLengthScale;
         let channel = 0;
         if (options !== undefined && options.instrument !== undefined) {
             channel = options.instrument.midiChannel;
         }
         let milliseconds = 60 * 1000 / tempo;
         const ql = this.duration.quarterLength;
-        milliseconds = 60 * ql * 1000 / tempo;
+        milliseconds = 60 * ql * 1000 / tempo * this.expressionLengthScale;
         let midNum;
         if (this.isClassOrSubclass('Note')) {
             // Note, not rest
             midNum = this.pitch.midi;
-            let stopTime = milliseconds / 1000;
-            if (
-                nextElement !== undefined
-                && nextElement.isClassOrSubclass('Note')
-            ) {
-                if (nextElement.pitch.midi !== this.pitch.midi) {
-                    stopTime += 60 * 0.25 / tempo; // legato -- play 16th note longer
-                } else if (
-                    this.tie !== undefined
-                    && (this.tie.type === 'start' || this.tie.type === 'continue')
+            let stopTime = lengthScale * milliseconds / 1000;
+            // detached notes (lengthScale < 1) get no legato
+            if (lengthScale >= 1) {
+                if (
+                    nextElement !== undefined
+                    && nextElement.isClassOrSubclass('Note')
                 ) {
-                    stopTime += 60 * nextElement.duration.quarterLength / tempo;
-                    // this does not take into account 3 or more notes tied.
-                    // TODO: look ahead at next nexts, etc.
+                    if (nextElement.pitch.midi !== this.pitch.midi) {
+                        stopTime += 60 * 0.25 / tempo; // legato -- play 16th note longer
+                    } else if (
+                        this.tie !== undefined
+                        && (this.tie.type === 'start' || this.tie.type === 'continue')
+                    ) {
+                        stopTime += 60 * nextElement.duration.quarterLength / tempo;
+                        // this does not take into account 3 or more notes tied.
+                        // TODO: look ahead at next nexts, etc.
+                    }
+                } else if (nextElement === undefined) {
+                    // let last note ring an extra beat...
+                    stopTime += 60 * 1 / tempo;
                 }
-            } else if (nextElement === undefined) {
-                // let last note ring an extra beat...
-                stopTime += 60 * 1 / tempo;
             }
             // console.log(stopTime);
             // console.log(this.tie);
             if (this.tie === undefined || this.tie.type === 'start') {
                 // console.log(volume);
+                note.sendPitchBend(
+                    channel,
+                    this.pitch.getMidiPitchBend(options.tuning)
+                );
                 MIDI.noteOn(channel, midNum, volume, 0);
                 MIDI.noteOff(channel, midNum, stopTime);
             } // else { console.log ('not going to play ', this.nameWithOctave); }
         } else if (this.isClassOrSubclass('Chord')) {
             // TODO: Tied Chords.
+            // one bend per channel, so microtones follow the first note only.
+            if (this._notes.length > 0) {
+                note.sendPitchBend(
+                    channel,
+                    this._notes[0].pitch.getMidiPitchBend(options.tuning)
+                );
+            }
             for (let j = 0; j < this._notes.length; j++) {
                 midNum = this._notes[j].pitch.midi;
                 MIDI.noteOn(channel, midNum, volume, 0);
-                MIDI.noteOff(channel, midNum, milliseconds / 1000);
+                MIDI.noteOff(channel, midNum, lengthScale * milliseconds / 1000);
             }
         } // it's a note.Rest -- do nothing -- milliseconds takes care of it...
         return milliseconds;
@@ -419,6 +527,35 @@ export class GeneralNote extends base.Music21Object {
 }
 note.GeneralNote = GeneralNote;
 
+/**
+ * The last pitch bend sent to each MIDI channel by
+ * {@link music21.note.sendPitchBend}.
+ *
+ * @memberof music21.note
+ */
+note.channelPitchBends = {};
+
+/**
+ * Sends a pitch bend (14-bit, 8192 = none) to MIDI.js if the channel is
+ * not already bent by that amount, so that microtonal notes sound in tune
+ * and following notes return to equal temperament.
+ *
+ * @memberof music21.note
+ * @param {number} channel
+ * @param {number} [bend=8192]
+ */
+note.sendPitchBend = function sendPitchBend(channel, bend = 8192) {
+    let currentBend = note.channelPitchBends[channel];
+    if (currentBend === undefined) {
+        currentBend = 8192;
+    }
+    if (bend === currentBend || MIDI.pitchBend === undefined) {
+        return;
+    }
+    MIDI.pitchBend(channel, bend, 0);
+    note.channelPitchBends[channel] = bend;
+};
+
 /**
  * Specifies that a GeneralNote is not a rest (Unpitched, Note, Chord).
  *
@@ -462,7 +599,7 @@ note.NotRest = NotRest;
  * and {@link music21.prebase.ProtoM21Object} (or in general, the **extends** list below) for other
  * things you can do with a `Note` object.
  *
- * Missing from music21p: `microtone, pitchClass, pitchClassString, transpose(), fullName`.
+ * Missing from music21p: `microtone, pitchClass, pitchClassString, fullName`.
  *
  * @class Note
  * @memberof music21.note
@@ -510,14 +647,59 @@ export class Note extends NotRest {
     set step(nn) {
         this.pitch.step = nn;
     }
-    // no Frequency
+    /**
+     * The frequency in Hz of the Note's pitch in the tuning of its
+     * activeSite (see {@link music21.stream.Stream#tuning}), or, outside a
+     * Stream, in {@link music21.pitch.defaultTuning}.  `this.pitch.frequency`
+     * always uses the default tuning.
+     *
+     * @memberof music21.note.Note#
+     * @type {number}
+     * @readonly
+     * @example
+     * var n = new music21.note.Note('E4');
+     * var s = new music21.stream.Stream();
+     * s.tuning = new music21.tuning.JustIntonation('C');
+     * s.append(n);
+     * n.frequency; // 330
+     * n.pitch.frequency; // 329.63 (equal temperament)
+     */
+    get frequency() {
+        const tuningSystem = this.activeSite !== undefined
+            ? this.activeSite.tuning
+            : undefined;
+        return this.pitch.getFrequency(tuningSystem);
+    }
     get octave() {
         return this.pitch.octave;
     }
     set octave(nn) {
         this.pitch.octave = nn;
     }
-    /* TODO: transpose, fullName, microtone, pitchclass, pitchClassString */
+    /* TODO: fullName, microtone, pitchclass, pitchClassString */
+
+    /**
+     * Transpose the Note by an interval.
+     *
+     * @memberof music21.note.Note
+     * @param {music21.interval.Interval|string|Int} value - an Interval, an
+     *     interval name such as 'M3' or '-P5', or a number of semitones
+     * @param {boolean} [inPlace=false] - if false, transposes a copy
+     * @returns {music21.note.Note} the transposed Note (this if inPlace)
+     * @example
+     * var n = new music21.note.Note('E4');
+     * n.transpose('m3').nameWithOctave; // 'G4'
+     * n.transpose(-1).nameWithOctave; // 'E-4'
+     */
+    transpose(value, inPlace = false) {
+        let intv = value;
+        if (typeof value !== 'object') {
+            intv = new interval.Interval(value);
+        }
+        const post = inPlace ? this : this.clone(true);
+        post.pitch = intv.transposePitch(this.pitch);
+        return post;
+    }
     /**
      * Change stem direction according to clef.
      *
@@ -585,10 +767,12 @@ export class Note extends NotRest {
                 : Vex.Flow.StaveNote.STEM_UP;
 
         //        const vfnStemDirection = -1;
-        const vfn = new Vex.Flow.StaveNote({
+        const VexNoteClass = this.duration.isGrace ? Vex.Flow.GraceNote : Vex.Flow.StaveNote;
+        const vfn = new VexNoteClass({
             keys: [vexflowKey],
             duration: vfd,
             stem_direction: vfnStemDirection,
+            slash: this.duration.slash,
         });
         this.vexflowAccidentalsAndDisplay(vfn, params); // clean up stuff...
         if (this.pitch.accidental !== undefined) {
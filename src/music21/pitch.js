@@ -130,6 +130,42 @@ export class Accidental extends prebase.ProtoM21Object {
             this._alter = 4.0;
             this._modifier = '####';
             this._unicodeModifier = '&#x1d12a;';
+        } else if (
+            accName === 'half-sharp'
+            || accName === '~'
+            || accName === 0.5
+        ) {
+            this._name = 'half-sharp';
+            this._alter = 0.5;
+            this._modifier = '~';
+            this._unicodeModifier = '&#x1d132;';
+        } else if (
+            accName === 'one-and-a-half-sharp'
+            || accName === '#~'
+            || accName === 1.5
+        ) {
+            this._name = 'one-and-a-half-sharp';
+            this._alter = 1.5;
+            this._modifier = '#~';
+            this._unicodeModifier = '&#x1d130;';
+        } else if (
+            accName === 'half-flat'
+            || accName === '`'
+            || accName === -0.5
+        ) {
+            this._name = 'half-flat';
+            this._alter = -0.5;
+            this._modifier = '`';
+            this._unicodeModifier = '&#x1d133;';
+        } else if (
+            accName === 'one-and-a-half-flat'
+            || accName === '-`'
+            || accName === -1.5
+        ) {
+            this._name = 'one-and-a-half-flat';
+            this._alter = -1.5;
+            this._modifier = '-`';
+            this._unicodeModifier = '&#x1d12d;';
         } else {
             throw new Music21Exception('Accidental is not supported: ' + accName);
         }
@@ -185,22 +221,9 @@ export class Accidental extends prebase.ProtoM21Object {
      * @readonly
      */
     get vexflowModifier() {
-        // todo -- rewrite with mapping.
         const m = this.modifier;
-        if (m === '') {
-            return 'n';
-        } else if (m === '#') {
-            return '#';
-        } else if (m === '-') {
-            return 'b';
-        } else if (m === '##') {
-            return '##';
-        } else if (m === '--') {
-            return 'bb';
-        } else if (m === '###') {
-            return '###';
-        } else if (m === '---') {
-            return 'bbb';
+        if (m in pitch.vexflowModifiers) {
+            return pitch.vexflowModifiers[m];
         } else {
             throw new Music21Exception('Vexflow does not support: ' + m);
         }
@@ -219,6 +242,86 @@ export class Accidental extends prebase.ProtoM21Object {
 }
 pitch.Accidental = Accidental;
 
+/**
+ * Maps accidental modifiers to the names vexflow uses for them.
+ *
+ * @memberof music21.pitch
+ */
+pitch.vexflowModifiers = {
+    '': 'n',
+    '#': '#',
+    '-': 'b',
+    '##': '##',
+    '--': 'bb',
+    '###': '###',
+    '---': 'bbb',
+    '~': '+',
+    '#~': '++',
+    '`': 'd',
+    '-`': 'db',
+};
+
+/**
+ * A deviation from a pitch, in cents (hundredths of a semitone).
+ *
+ * @class Microtone
+ * @memberof music21.pitch
+ * @param {number|string} [centsOrString=0] - a number of cents, or a
+ *     string such as '+20', '-33c', or '(+20c)'
+ * @extends music21.prebase.ProtoM21Object
+ * @property {number} cents - the number of cents
+ * @property {number} alter - the shift in semitones (cents / 100); readonly
+ * @example
+ * var m = new music21.pitch.Microtone('(-33c)');
+ * m.cents; // -33
+ * m.toString(); // '(-33c)'
+ */
+export class Microtone extends prebase.ProtoM21Object {
+    constructor(centsOrString = 0) {
+        super();
+        this._cents = 0;
+        if (typeof centsOrString === 'string') {
+            this._parseString(centsOrString);
+        } else {
+            this.cents = centsOrString;
+        }
+    }
+
+    _parseString(value) {
+        const match = /^\(?\s*([+-]?\d*\.?\d+)\s*c?\s*\)?$/.exec(value.trim());
+        if (match === null) {
+            throw new Music21Exception('Cannot parse microtone: ' + value);
+        }
+        this.cents = parseFloat(match[1]);
+    }
+
+    get cents() {
+        return this._cents;
+    }
+    set cents(c) {
+        this._cents = c;
+    }
+
+    get alter() {
+        return this._cents / 100;
+    }
+
+    toString() {
+        const sign = this._cents >= 0 ? '+' : '';
+        return '(' + sign + this._cents.toString() + 'c)';
+    }
+}
+pitch.Microtone = Microtone;
+
+/**
+ * The {@link music21.tuning.TuningSystem} used for frequencies and playback
+ * when none is given; `undefined` is equal temperament at A4 = 440.  Set
+ * it with {@link music21.tuning.setDefaultTuning}.
+ *
+ * @memberof music21.pitch
+ */
+pitch.defaultTuning = undefined;
+
 pitch.nameToMidi = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
 pitch.nameToSteps = { C: 0, D: 1, E: 2, F: 3, G: 4, A: 5, B: 6 };
 pitch.stepsToName = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
@@ -249,13 +352,16 @@ pitch.midiToName = [
  * - Octave may be specified after the name + accidental: "C#4" etc.
  * - Octave can be arbitrarily high ("C10") but only as low as "C0" because "C-1" would be interpreted as C-flat octave 1; shift octave later for very low notes.
  * - If octave is not specified, the system will usually use octave 4, but might adjust according to context. If you do not like this behavior, give an octave always.
- * - Microtones are not supported in music21j (they are in music21p)
+ * - Quarter tones are written with "~" (half-sharp) and "`" (half-flat): "C~4", "E-`4"
+ * - Other microtones may be given as cents in parentheses at the end: "C4(+20c)"
  *
  * @class Pitch
  * @memberof music21.pitch
  * @param {string} pn - name of the pitch, with or without octave, see above.
  * @extends music21.prebase.ProtoM21Object
  * @property {music21.pitch.Accidental|undefined} accidental - link to an accidental
+ * @property {music21.pitch.Microtone|undefined} microtone - a deviation in cents from the
+ *     pitch given by step, octave, and accidental; can be set with a number of cents or a string.
  * @property {number} diatonicNoteNum - diatonic number of the pitch, where 29 = C4, C#4, C-4, etc.; 30 = D-4, D4, D#4, etc. updates other properties.
  * @property {number} midi - midi number of the pitch (C4 = 60); readonly. See {@link music21.pitch.Pitch#ps} for setable version.
  * @property {string} name - letter name of pitch + accidental modifier; e.g., B-flat = 'B-'; changes automatically w/ step and accidental
@@ -270,7 +376,13 @@ export class Pitch extends prebase.ProtoM21Object {
         this._step = 'C';
         this._octave = 4;
         this._accidental = undefined;
+        this._microtone = undefined;
         /* pn can be a nameWithOctave */
+        if (typeof pn === 'string' && pn.match(/\)$/)) {
+            const microtoneStart = pn.lastIndexOf('(');
+            this.microtone = pn.slice(microtoneStart);
+            pn = pn.slice(0, microtoneStart);
+        }
         if (typeof pn === 'number') {
             if (pn < 12) {
                 pn += 60; // pitchClass
@@ -306,6 +418,15 @@ export class Pitch extends prebase.ProtoM21Object {
         }
         this._accidental = a;
     }
+    get microtone() {
+        return this._microtone;
+    }
+    set microtone(m) {
+        if (m !== undefined && typeof m !== 'object') {
+            m = new pitch.Microtone(m);
+        }
+        this._microtone = m;
+    }
     get name() {
         if (this.accidental === undefined) {
             return this.step;
@@ -345,25 +466,103 @@ export class Pitch extends prebase.ProtoM21Object {
         this.step = pitch.stepsToName[newDNN % 7];
     }
     get frequency() {
-        return 440 * Math.pow(2, (this.ps - 69) / 12);
+        return this.getFrequency();
+    }
+
+    /**
+     * Returns the frequency in Hz of the pitch in a tuning system, or in
+     * {@link music21.pitch.defaultTuning} if none is given, or in equal
+     * temperament at A4 = 440 if that is undefined.  `.frequency` calls
+     * this with no arguments.
+     *
+     * @memberof music21.pitch.Pitch#
+     * @param {music21.tuning.TuningSystem} [tuningSystem]
+     * @returns {number}
+     */
+    getFrequency(tuningSystem) {
+        if (tuningSystem === undefined) {
+            tuningSystem = pitch.defaultTuning;
+        }
+        if (tuningSystem !== undefined) {
+            return tuningSystem.frequency(this);
+        }
+        return 440 * 2 ** ((this.ps - 69) / 12);
     }
     get midi() {
-        return Math.floor(this.ps);
+        return Math.round(this.ps);
     }
     get ps() {
         let accidentalAlter = 0;
         if (this.accidental !== undefined) {
-            accidentalAlter = parseInt(this.accidental.alter);
+            accidentalAlter = this.accidental.alter;
+        }
+        let microtoneAlter = 0;
+        if (this.microtone !== undefined) {
+            microtoneAlter = this.microtone.alter;
         }
         return (
             (this.octave + 1) * 12
             + pitch.nameToMidi[this.step]
             + accidentalAlter
+            + microtoneAlter
         );
     }
     set ps(ps) {
-        this.name = pitch.midiToName[ps % 12];
-        this.octave = Math.floor(ps / 12) - 1;
+        // quarter tones are spelled with accidentals, anything else
+        // gets a microtone.
+        const quarterTones = Math.round(ps * 2);
+        let semitones = Math.round(ps);
+        if (quarterTones % 2 !== 0 && Math.abs(ps * 2 - quarterTones) < 0.001) {
+            semitones = Math.floor(quarterTones / 2);
+        }
+        const pitchClass = ((semitones % 12) + 12) % 12;
+        this.name = pitch.midiToName[pitchClass];
+        this.octave = Math.floor(semitones / 12) - 1;
+        this.microtone = undefined;
+        const remainder = ps - semitones;
+        if (Math.abs(remainder - 0.5) < 0.001) {
+            const alter = this.accidental !== undefined ? this.accidental.alter : 0;
+            this.accidental = new pitch.Accidental(alter + 0.5);
+        } else if (Math.abs(remainder) >= 0.001) {
+            this.microtone = Math.round(remainder * 100 * 1000) / 1000;
+        }
+    }
+
+    /**
+     * The pitch bend, as a 14-bit MIDI value (8192 = no bend), needed to
+     * sound this pitch starting from `.midi`, assuming the default bend
+     * range of two semitones.  Uses {@link music21.pitch.defaultTuning}
+     * if it is set.
+     *
+     * @memberof music21.pitch.Pitch#
+     * @type {number}
+     * @readonly
+     * @example
+     * new music21.pitch.Pitch('C~4').midiPitchBend; // 6144
+     * new music21.pitch.Pitch('C4').midiPitchBend; // 8192
+     */
+    get midiPitchBend() {
+        return this.getMidiPitchBend();
+    }
+
+    /**
+     * Returns the pitch bend (see {@link music21.pitch.Pitch#midiPitchBend})
+     * needed to sound this pitch in a tuning system.
+     *
+     * @memberof music21.pitch.Pitch#
+     * @param {music21.tuning.TuningSystem} [tuningSystem=music21.pitch.defaultTuning]
+     * @returns {number}
+     */
+    getMidiPitchBend(tuningSystem) {
+        if (tuningSystem === undefined) {
+            tuningSystem = pitch.defaultTuning;
+        }
+        if (tuningSystem !== undefined) {
+            return tuningSystem.midiPitchBend(this);
+        }
+        const semitonesOff = this.ps - this.midi;
+        const bend = Math.round(8192 + semitonesOff * 4096);
+        return Math.min(Math.max(bend, 0), 16383);
     }
 
     /**
@@ -382,7 +581,7 @@ export class Pitch extends prebase.ProtoM21Object {
         if (p.accidental === undefined) {
             p.accidental = new Accidental(0);
         }
-        while (p.ps % 12 !== this.ps % 12) { // octaveless
+        while (Math.round(p.ps - this.ps) % 12 !== 0) { // octaveless
             p.accidental.alter += -1 * directionInt;
         }
 
@@ -391,7 +590,7 @@ export class Pitch extends prebase.ProtoM21Object {
         }
         this.step = p.step;
         this.accidental = p.accidental;
-        if (p.microtone === undefined) {
+        if (p.microtone !== undefined) {
             this.microtone = p.microtone;
         }
         if (!octaveStored) {
@@ -409,6 +608,43 @@ export class Pitch extends prebase.ProtoM21Object {
     getLowerEnharmonic(inPlace=false) {
         return this._getEnharmonicHelper(inPlace, -1);
     }
+
+    /**
+     * Returns a Pitch spelled without double (or more) sharps or flats, and
+     * without E#, B#, C-, or F-.  If mostCommon is true, also respells
+     * D#, A#, G-, and D- as E-, B-, F#, and C#.  Sounding pitch is unchanged.
+     *
+     * @memberof music21.pitch.Pitch#
+     * @param {boolean} [inPlace=false]
+     * @param {boolean} [mostCommon=false]
+     * @returns {music21.pitch.Pitch}
+     * @example
+     * var p = new music21.pitch.Pitch('B#4');
+     * p.simplifyEnharmonic().nameWithOctave; // 'C5'
+     * new music21.pitch.Pitch('F--').simplifyEnharmonic().name; // 'E-'
+     * new music21.pitch.Pitch('A#').simplifyEnharmonic(false, true).name; // 'B-'
+     */
+    simplifyEnharmonic(inPlace=false, mostCommon=false) {
+        const p = inPlace ? this : this.clone();
+        const alter = p.accidental !== undefined ? p.accidental.alter : 0;
+        const awkwardNames = ['E#', 'B#', 'C-', 'F-'];
+        const uncommonNames = ['D#', 'A#', 'G-', 'D-'];
+        if (
+            Math.abs(alter) >= 2
+            || awkwardNames.includes(p.name)
+            || (mostCommon && uncommonNames.includes(p.name))
+        ) {
+            const octaveStored = p.octave !== undefined;
+            if (!octaveStored) {
+                p.octave = 4;
+            }
+            p.ps = p.ps; // respells from pitch.midiToName
+            if (!octaveStored) {
+                p.octave = undefined;
+            }
+        }
+        return p;
+    }
     /* TODO: isEnharmonic, getEnharmonic, getAllCommonEnharmonics */
 
     /**
@@ -0,0 +1,1271 @@
+/**
+ * music21j -- Javascript reimplementation of Core music21p features.
+ * music21/playback -- scheduling the playback of Streams
+ *
+ * Copyright (c) 2013-18, Michael Scott Cuthbert and cuthbertLab
+ * Based on music21 (=music21p), Copyright (c) 2006–18, Michael Scott Cuthbert and cuthbertLab
+ *
+ */
+import * as MIDI from 'MIDI';
+
+import { Music21Exception } from './exceptions21.js';
+
+import { common } from './common.js';
+import { dynamics } from './dynamics.js';
+import { instrument } from './instrument.js';
+import { miditools } from './miditools.js';
+import { note } from './note.js';
+
+/**
+ * playback module. See {@link music21.playback} namespace
+ *
+ * @exports music21/playback
+ */
+/**
+ * Playback of Streams through MIDI.js, scheduled ahead of time.
+ *
+ * A {@link music21.playback.Scheduler} turns a Stream into a list of
+ * {@link music21.playback.PlaybackEvent} objects (all parts together,
+ * with tied notes joined and every tempo change applied through a
+ * {@link music21.playback.TempoMap}).  Each note is as loud as the
+ * Dynamics and hairpins around it (see {@link music21.playback.DynamicMap})
+ * and its articulations say, and is shortened by staccatos; fermatas
+ * make the music wait.  While playing, it wakes up every
+ * few milliseconds and sends MIDI.js the notes that begin within the next
+ * `lookAhead` seconds, each with its exact delay, so that timing does not
+ * depend on when the browser runs the timer.  Time comes from a clock:
+ * the Web Audio clock that MIDI.js plays on, or a
+ * {@link music21.playback.FakeClock} for testing.
+ *
+ * Usually created by {@link music21.stream.Stream#playStream}.
+ *
+ * @namespace music21.playback
+ * @memberof music21
+ * @requires music21/common
+ * @requires music21/dynamics
+ * @requires music21/miditools
+ * @requires music21/note
+ * @requires MIDI
+ * @example
+ * var p = music21.tinyNotation.TinyNotation('4/4 c4 d e f g1 a4 b c\'2');
+ * p.playStream();
+ * var sched = p.playbackScheduler;
+ * sched.pause();
+ * sched.seekToMeasure(2);
+ * sched.setLoop(4, 8); // play the second measure over and over
+ * sched.play();
+ * p.stopPlayStream();
+ */
+export const playback = {};
+
+export class PlaybackException extends Music21Exception {}
+playback.PlaybackException = PlaybackException;
+
+/**
+ * The default output of a Scheduler: sends to MIDI.js.  Any object with
+ * `noteOn`, `noteOff` and `pitchBend` methods can be used instead;
+ * `programChange` and `loadSoundfonts` are optional.
+ *
+ * @memberof music21.playback
+ */
+playback.midiOutput = {
+    noteOn(channel, midiNumber, velocity, delay) {
+        MIDI.noteOn(channel, midiNumber, velocity, delay);
+    },
+    noteOff(channel, midiNumber, delay) {
+        MIDI.noteOff(channel, midiNumber, delay);
+    },
+    pitchBend(channel, bend, delay) {
+        if (MIDI.pitchBend === undefined) {
+            return;
+        }
+        MIDI.pitchBend(channel, bend, delay);
+        note.channelPitchBends[channel] = bend;
+    },
+    programChange(channel, program) {
+        if (MIDI.programChange === undefined) {
+            return;
+        }
+        MIDI.programChange(channel, program);
+    },
+    loadSoundfonts(soundfonts, callback) {
+        miditools.loadSoundfonts(soundfonts, callback);
+    },
+};
+
+/**
+ * A clock reading the time of a Web Audio AudioContext (by default the one
+ * MIDI.js plays on), so that scheduled notes line up with the audio
+ * hardware.  Without an AudioContext, `performance.now()` is used.
+ *
+ * @class WebAudioClock
+ * @memberof music21.playback
+ * @param {AudioContext} [audioContext]
+ */
+export class WebAudioClock {
+    constructor(audioContext) {
+        if (
+            audioContext === undefined
+            && MIDI !== undefined
+            && MIDI.WebAudio !== undefined
+            && MIDI.WebAudio.getContext !== undefined
+        ) {
+            audioContext = MIDI.WebAudio.getContext();
+        }
+        this.audioContext = audioContext;
+    }
+
+    /**
+     * @memberof music21.playback.WebAudioClock
+     * @type {number} seconds
+     */
+    get currentTime() {
+        if (this.audioContext !== undefined) {
+            return this.audioContext.currentTime;
+        }
+        return performance.now() / 1000;
+    }
+
+    setInterval(callback, milliseconds) {
+        return setInterval(callback, milliseconds);
+    }
+
+    clearInterval(timerId) {
+        clearInterval(timerId);
+    }
+}
+playback.WebAudioClock = WebAudioClock;
+
+/**
+ * A clock that only moves when told to, for testing Schedulers.
+ *
+ * @class FakeClock
+ * @memberof music21.playback
+ * @param {number} [currentTime=0] - seconds
+ * @example
+ * var clock = new music21.playback.FakeClock();
+ * var ticks = 0;
+ * clock.setInterval(() => { ticks += 1; }, 100);
+ * clock.advance(1.0);
+ * ticks; // 10
+ * clock.currentTime; // 1.0
+ */
+export class FakeClock {
+    constructor(currentTime = 0) {
+        this.currentTime = currentTime;
+        this.timers = new Map();
+        this.nextTimerId = 1;
+    }
+
+    setInterval(callback, milliseconds) {
+        const timerId = this.nextTimerId;
+        this.nextTimerId += 1;
+        const interval = milliseconds / 1000;
+        this.timers.set(timerId, {
+            callback,
+            interval,
+            nextTime: this.currentTime + interval,
+        });
+        return timerId;
+    }
+
+    clearInterval(timerId) {
+        this.timers.delete(timerId);
+    }
+
+    /**
+     * Moves the clock forward, calling each interval callback as its time
+     * arrives.
+     *
+     * @memberof music21.playback.FakeClock
+     * @param {number} seconds
+     */
+    advance(seconds) {
+        const endTime = this.currentTime + seconds;
+        for (;;) {
+            let nextTimer;
+            for (const timer of this.timers.values()) {
+                if (
+                    timer.nextTime <= endTime + 1e-9
+                    && (nextTimer === undefined || timer.nextTime < nextTimer.nextTime)
+                ) {
+                    nextTimer = timer;
+                }
+            }
+            if (nextTimer === undefined) {
+                break;
+            }
+            this.currentTime = nextTimer.nextTime;
+            nextTimer.nextTime += nextTimer.interval;
+            nextTimer.callback();
+        }
+        this.currentTime = endTime;
+    }
+}
+playback.FakeClock = FakeClock;
+
+/**
+ * Converts between offsets (in quarter notes) and seconds for a Stream
+ * whose tempo (quarter notes per minute) changes.
+ *
+ * @class TempoMap
+ * @memberof music21.playback
+ * @param {number} [initialTempo=120]
+ * @property {Array<object>} changes - sorted list of `{offset, tempo, seconds}`
+ * @example
+ * var tm = new music21.playback.TempoMap(60);
+ * tm.addTempo(4, 120);
+ * tm.secondsAtOffset(6); // 5
+ * tm.offsetAtSeconds(5); // 6
+ */
+export class TempoMap {
+    constructor(initialTempo = 120) {
+        this.changes = [{ offset: 0, tempo: initialTempo, seconds: 0 }];
+    }
+
+    /**
+     * Changes the tempo from `offset` onward.
+     *
+     * @memberof music21.playback.TempoMap
+     * @param {number} offset
+     * @param {number} tempoValue - quarter notes per minute
+     */
+    addTempo(offset, tempoValue) {
+        this.changes = this.changes.filter(c => c.offset !== offset);
+        this.changes.push({ offset, tempo: tempoValue, seconds: 0 });
+        this.changes.sort((a, b) => a.offset - b.offset);
+        for (let i = 1; i < this.changes.length; i++) {
+            const prev = this.changes[i - 1];
+            this.changes[i].seconds = prev.seconds
+                + (this.changes[i].offset - prev.offset) * 60 / prev.tempo;
+        }
+    }
+
+    _changeAtOffset(offset) {
+        let found = this.changes[0];
+        for (const c of this.changes) {
+            if (c.offset <= offset) {
+                found = c;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * @memberof music21.playback.TempoMap
+     * @param {number} offset
+     * @returns {number} quarter notes per minute
+     */
+    tempoAtOffset(offset) {
+        return this._changeAtOffset(offset).tempo;
+    }
+
+    /**
+     * @memberof music21.playback.TempoMap
+     * @param {number} offset
+     * @returns {number}
+     */
+    secondsAtOffset(offset) {
+        const c = this._changeAtOffset(offset);
+        return c.seconds + (offset - c.offset) * 60 / c.tempo;
+    }
+
+    /**
+     * @memberof music21.playback.TempoMap
+     * @param {number} seconds
+     * @returns {number}
+     */
+    offsetAtSeconds(seconds) {
+        let found = this.changes[0];
+        for (const c of this.changes) {
+            if (c.seconds <= seconds) {
+                found = c;
+            }
+        }
+        return found.offset + (seconds - found.seconds) * found.tempo / 60;
+    }
+}
+playback.TempoMap = TempoMap;
+
+/**
+ * The dynamic level of one part at each offset, as a `volumeScalar` from 0
+ * to 1 (see {@link music21.dynamics.Dynamic#volumeScalar}): it steps at each
+ * level added and ramps straight to a level added with `ramp` set.
+ *
+ * @class DynamicMap
+ * @memberof music21.playback
+ * @param {number} [wedgeChange=0.2] - how much a hairpin with no Dynamic
+ *     at its end changes the level
+ * @property {Array<object>} levels - sorted list of `{offset, volumeScalar, ramp}`
+ * @example
+ * var dm = new music21.playback.DynamicMap();
+ * dm.addLevel(0, 0.35);
+ * dm.addWedge(0, 4, 'crescendo');
+ * dm.volumeScalarAtOffset(2); // 0.45
+ * dm.volumeScalarAtOffset(6); // 0.55
+ */
+export class DynamicMap {
+    constructor(wedgeChange = 0.2) {
+        this.wedgeChange = wedgeChange;
+        this.levels = [];
+    }
+
+    /**
+     * Sets the level at `offset`.
+     *
+     * @memberof music21.playback.DynamicMap
+     * @param {number} offset
+     * @param {number} volumeScalar
+     * @param {boolean} [ramp=false] - change gradually from the level before
+     */
+    addLevel(offset, volumeScalar, ramp = false) {
+        this.levels = this.levels.filter(l => l.offset !== offset);
+        this.levels.push({ offset, volumeScalar, ramp });
+        this.levels.sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Adds a hairpin from `start` to `end`.  It ramps to the first level
+     * after `start` and no later than `end` (so add the levels of the
+     * Dynamics first) or else by `wedgeChange`, which is held afterwards.
+     *
+     * @memberof music21.playback.DynamicMap
+     * @param {number} start
+     * @param {number} end
+     * @param {string} type - 'crescendo' or 'diminuendo'
+     */
+    addWedge(start, end, type) {
+        let startScalar = this.volumeScalarAtOffset(start);
+        if (startScalar === undefined) {
+            startScalar = dynamics.dynamicStrToScalar.None[0];
+        }
+        if (!this.levels.some(l => l.offset === start)) {
+            this.addLevel(start, startScalar);
+        }
+        const target = this.levels.find(l => l.offset > start && l.offset <= end);
+        if (target !== undefined) {
+            target.ramp = true;
+            return;
+        }
+        const change = type === 'diminuendo' ? -this.wedgeChange : this.wedgeChange;
+        const endScalar = Math.min(1, Math.max(0, startScalar + change));
+        this.addLevel(end, endScalar, true);
+    }
+
+    /**
+     * @memberof music21.playback.DynamicMap
+     * @param {number} offset
+     * @returns {number|undefined} undefined before the first level
+     */
+    volumeScalarAtOffset(offset) {
+        let index = -1;
+        for (let i = 0; i < this.levels.length; i++) {
+            if (this.levels[i].offset <= offset) {
+                index = i;
+            }
+        }
+        if (index === -1) {
+            return undefined;
+        }
+        const prev = this.levels[index];
+        const next = this.levels[index + 1];
+        if (next === undefined || !next.ramp) {
+            return prev.volumeScalar;
+        }
+        const fraction = (offset - prev.offset) / (next.offset - prev.offset);
+        return prev.volumeScalar + fraction * (next.volumeScalar - prev.volumeScalar);
+    }
+}
+playback.DynamicMap = DynamicMap;
+
+/**
+ * Returns the parts of a Stream to play: its Parts, or else the
+ * Stream itself.
+ *
+ * @memberof music21.playback
+ * @param {music21.stream.Stream} s
+ * @returns {Array<music21.stream.Stream>}
+ */
+playback.playableParts = function playableParts(s) {
+    const parts = s.parts.elements;
+    if (parts.length === 0) {
+        return [s];
+    }
+    return parts;
+};
+
+/**
+ * Makes a TempoMap for a Stream, starting at `initialTempo` and changing
+ * at each Measure whose tempo is set and at each
+ * {@link music21.tempo.MetronomeMark} with a number (or
+ * {@link music21.tempo.TempoText} with common text such as "Allegro").
+ * A mark wins over a Measure tempo at the same offset.
+ *
+ * Notes with a {@link music21.expressions.Fermata} (or other expression
+ * with a `lengthScale`) are slowed down so that they, and everything in
+ * other parts at the same time, last that many times as long.
+ *
+ * @memberof music21.playback
+ * @param {music21.stream.Stream} s
+ * @param {number} initialTempo
+ * @returns {music21.playback.TempoMap}
+ */
+playback.tempoMapFromStream = function tempoMapFromStream(s, initialTempo) {
+    const tm = new TempoMap(initialTempo);
+    for (const part of playback.playableParts(s)) {
+        const partOffset = part === s ? 0 : part.offset;
+        for (const m of part.getElementsByClass('Measure')) {
+            if (m._tempo !== undefined) {
+                tm.addTempo(partOffset + m.offset, m._tempo);
+            }
+        }
+    }
+    for (const part of playback.playableParts(s)) {
+        const partOffset = part === s ? 0 : part.offset;
+        for (const ti of part.flat.getElementsByClass('TempoIndication')) {
+            const mm = ti.isClassOrSubclass('TempoText') ? ti.getMetronomeMark() : ti;
+            const quarterBPM = mm !== undefined ? mm.getQuarterBPM() : undefined;
+            if (quarterBPM !== undefined) {
+                tm.addTempo(partOffset + ti.offset, quarterBPM);
+            }
+        }
+    }
+    const holds = new Map(); // offset to {end, lengthScale}
+    for (const part of playback.playableParts(s)) {
+        const partOffset = part === s ? 0 : part.offset;
+        for (const el of part.flat.notesAndRests) {
+            const lengthScale = el.expressionLengthScale;
+            const ql = el.duration.quarterLength;
+            if (lengthScale === 1 || ql === 0) {
+                continue;
+            }
+            const offset = partOffset + el.offset;
+            const hold = holds.get(offset);
+            if (hold === undefined || hold.end < offset + ql) {
+                holds.set(offset, { end: offset + ql, lengthScale });
+            }
+        }
+    }
+    for (const [offset, hold] of holds) {
+        const tempoAfter = tm.tempoAtOffset(hold.end);
+        if (!tm.changes.some(c => c.offset === hold.end)) {
+            tm.addTempo(hold.end, tempoAfter);
+        }
+        tm.addTempo(offset, tm.tempoAtOffset(offset) / hold.lengthScale);
+    }
+    return tm;
+};
+
+/**
+ * Makes a DynamicMap for a part (or other Stream) from its
+ * {@link music21.dynamics.Dynamic} objects and its
+ * {@link music21.spanner.DynamicWedge} hairpins, which run from the
+ * start of their first note to the end of their last.
+ *
+ * @memberof music21.playback
+ * @param {music21.stream.Stream} part
+ * @param {Map} [sourceElements] - copied notes to the notes that the
+ *     hairpins span, as made by {@link music21.playback.mapCopiedElements}
+ * @returns {music21.playback.DynamicMap}
+ */
+playback.dynamicMapFromPart = function dynamicMapFromPart(part, sourceElements = new Map()) {
+    const dm = new DynamicMap();
+    const flat = part.flat;
+    for (const d of flat.getElementsByClass('Dynamic')) {
+        if (d.volumeScalar !== undefined) {
+            dm.addLevel(d.offset, d.volumeScalar);
+        }
+    }
+    const wedges = Array.from(part.spannerBundle.getByClass('DynamicWedge'));
+    if (wedges.length === 0) {
+        return dm;
+    }
+    // with repeats, a hairpin may be played more than once.
+    const wedgeStarts = new Map();
+    const spans = [];
+    for (const el of flat.notesAndRests) {
+        const source = sourceElements.has(el) ? sourceElements.get(el) : el;
+        for (const w of wedges) {
+            if (w.isFirst(el) || w.isFirst(source)) {
+                wedgeStarts.set(w, el.offset);
+            }
+            if ((w.isLast(el) || w.isLast(source)) && wedgeStarts.has(w)) {
+                spans.push({
+                    start: wedgeStarts.get(w),
+                    end: el.offset + el.duration.quarterLength,
+                    type: w.type,
+                });
+                wedgeStarts.delete(w);
+            }
+        }
+    }
+    spans.sort((a, b) => a.start - b.start);
+    for (const span of spans) {
+        dm.addWedge(span.start, span.end, span.type);
+    }
+    return dm;
+};
+
+/**
+ * Records in `sourceElements` that each element of `copy` (a Stream or
+ * other Music21Object, and everything inside it) was copied from the element
+ * in the same place in `original`, or from whatever that was copied from.
+ *
+ * @memberof music21.playback
+ * @param {music21.base.Music21Object} copy
+ * @param {music21.base.Music21Object} original
+ * @param {Map} sourceElements
+ */
+playback.mapCopiedElements = function mapCopiedElements(copy, original, sourceElements) {
+    const source = sourceElements.has(original)
+        ? sourceElements.get(original)
+        : original;
+    sourceElements.set(copy, source);
+    if (!copy.isClassOrSubclass('Stream')) {
+        return;
+    }
+    const copiedEls = copy.elements;
+    const originalEls = original.elements;
+    for (let i = 0; i < copiedEls.length && i < originalEls.length; i++) {
+        mapCopiedElements(copiedEls[i], originalEls[i], sourceElements);
+    }
+};
+
+/**
+ * The MIDI channel for each part playing with the given instruments
+ * (`undefined` for none), so that every part can be muted, balanced and
+ * pitch-bent on its own.
+ *
+ * A part plays on its instrument's channel (0 without an instrument)
+ * unless an earlier part already has that channel, in which case it gets
+ * the lowest free one.  General MIDI percussion always plays on
+ * `music21.instrument.percussionChannel`, which no other part gets.  Only
+ * past 15 parts do parts share channels.
+ *
+ * @memberof music21.playback
+ * @param {Array<music21.instrument.Instrument|undefined>} instruments
+ * @returns {Array<Int>}
+ */
+playback.partChannels = function partChannels(instruments) {
+    const taken = new Set();
+    const channels = [];
+    for (const inst of instruments) {
+        if (inst !== undefined && inst.inGMPercMap) {
+            channels.push(instrument.percussionChannel);
+            continue;
+        }
+        let channel = inst !== undefined ? inst.midiChannel : 0;
+        if (taken.has(channel)) {
+            for (let ch = 0; ch < instrument.maxMidi; ch++) {
+                if (ch !== instrument.percussionChannel && !taken.has(ch)) {
+                    channel = ch;
+                    break;
+                }
+            }
+        }
+        taken.add(channel);
+        channels.push(channel);
+    }
+    return channels;
+};
+
+/**
+ * One note, chord or rest of a Stream, with its time in seconds.
+ *
+ * A note tied from earlier has no entries in `notes`, since the earlier
+ * note's entry lasts through it.
+ *
+ * @class PlaybackEvent
+ * @memberof music21.playback
+ * @property {music21.note.GeneralNote} element - the element as found in
+ *     the Stream that was asked to play (not a copy made for playback)
+ * @property {number} offset - in quarter notes from the start of the Stream
+ * @property {number} quarterLength
+ * @property {number} time - seconds from the start of the Stream
+ * @property {number} duration - seconds
+ * @property {Int} partIndex
+ * @property {Int} channel - MIDI channel
+ * @property {Int} volume - MIDI velocity
+ * @property {Array<object>} notes - `{midi, pitchBend, duration}` for each
+ *     pitch that begins to sound, duration in seconds including ties
+ */
+export class PlaybackEvent {
+    constructor(element, offset) {
+        this.element = element;
+        this.offset = offset;
+        this.quarterLength = element.duration.quarterLength;
+        this.time = 0;
+        this.duration = 0;
+        this.partIndex = 0;
+        this.channel = 0;
+        this.volume = 0;
+        this.notes = [];
+    }
+}
+playback.PlaybackEvent = PlaybackEvent;
+
+/**
+ * Plays a Stream (all of its Parts together) with a look-ahead clock.
+ *
+ * `options` can contain:
+ * - tempo: number (default, the Stream's `tempo`) -- Measures with their
+ *   own tempo change it
+ * - instrument: {@link music21.instrument.Instrument} (default, the
+ *   Stream's; Parts of a Score use their own)
+ * - tuning: {@link music21.tuning.TuningSystem} (default, the Stream's)
+ * - clock: (default, a new {@link music21.playback.WebAudioClock})
+ * - output: (default, {@link music21.playback.midiOutput})
+ * - lookAhead: seconds to schedule ahead (default 0.1)
+ * - interval: milliseconds between scheduling (default 25)
+ * - done: function called when playback reaches the end
+ * - noteOn, noteOff: functions added to `callbacks`
+ * - sourceElements: Map from copied elements in `s` to the elements to
+ *   report in events (see {@link music21.playback.mapCopiedElements})
+ * - partControls: Array of `{mute, solo, volume}` objects, one for each
+ *   part, as in `partControls`
+ *
+ * Each part plays on its own MIDI channel (see
+ * {@link music21.playback.partChannels}; General MIDI percussion on
+ * channel 10), set to the instrument's program when playback starts.  The first `play()` waits for the output to load the soundfonts
+ * of all the instruments.
+ *
+ * Each function in `callbacks.noteOn` is called with the element
+ * (a Note, Chord or Rest, including notes continuing a tie), its
+ * {@link music21.playback.PlaybackEvent} and the Scheduler when the
+ * element begins to sound, and each in `callbacks.noteOff` when it ends
+ * or playback is paused or stopped.  They are called on the clock's
+ * timer, so they may run up to `interval` milliseconds late.
+ *
+ * @class Scheduler
+ * @memberof music21.playback
+ * @param {music21.stream.Stream} s - the Stream to play (already expanded
+ *     and at sounding pitch)
+ * @param {object} [options]
+ * @property {Array<music21.playback.PlaybackEvent>} events - sorted by time
+ * @property {music21.playback.TempoMap} tempoMap
+ * @property {number} totalSeconds
+ * @property {boolean} isPlaying
+ * @property {number|undefined} loopStart - seconds
+ * @property {number|undefined} loopEnd - seconds
+ * @property {object} callbacks - `{noteOn: Array<function>, noteOff: Array<function>}`
+ * @property {Array<music21.stream.Stream>} parts - see {@link music21.playback.playableParts}
+ * @property {Array<object>} partControls - for each part, `{mute: false,
+ *     solo: false, volume: 1.0}`; change with `setPartMute`, etc.  While
+ *     any part is soloed, only soloed parts sound.  Volume multiplies
+ *     the velocity of each note.
+ * @property {Map} channelPrograms - MIDI channel to program number
+ * @property {Array<string>} soundfonts - names of the soundfonts needed
+ * @property {boolean} isLoading - waiting for soundfonts before playing
+ * @example
+ * var clock = new music21.playback.FakeClock();
+ * var played = [];
+ * var output = {
+ *     noteOn: (ch, midi, vel, delay) => played.push([midi, clock.currentTime + delay]),
+ *     noteOff: () => {},
+ *     pitchBend: () => {},
+ * };
+ * var s = music21.tinyNotation.TinyNotation('c4 d e f');
+ * var sched = new music21.playback.Scheduler(s, { tempo: 60, clock, output });
+ * sched.play();
+ * clock.advance(2.5);
+ * played; // [[60, 0], [62, 1], [64, 2]]
+ */
+export class Scheduler {
+    constructor(s, options) {
+        const params = {
+            tempo: s.tempo,
+            instrument: s.instrument,
+            tuning: s.tuning,
+            clock: undefined,
+            output: undefined,
+            lookAhead: 0.1,
+            interval: 25,
+            done: undefined,
+            noteOn: undefined,
+            noteOff: undefined,
+            sourceElements: undefined,
+            partControls: undefined,
+        };
+        common.merge(params, options);
+        this.stream = s;
+        this.params = params;
+        this.clock = params.clock !== undefined ? params.clock : new WebAudioClock();
+        // not merged into the default, since outputs are plain objects.
+        this.output = params.output !== undefined ? params.output : playback.midiOutput;
+        this.lookAhead = params.lookAhead;
+        this.interval = params.interval;
+        this.sourceElements = params.sourceElements !== undefined
+            ? params.sourceElements
+            : new Map();
+        this.callbacks = {
+            noteOn: [],
+            noteOff: [],
+        };
+        if (params.noteOn !== undefined) {
+            this.callbacks.noteOn.push(params.noteOn);
+        }
+        if (params.noteOff !== undefined) {
+            this.callbacks.noteOff.push(params.noteOff);
+        }
+
+        this.parts = playback.playableParts(s);
+        this.partControls = this.parts.map((p, i) => {
+            const control = { mute: false, solo: false, volume: 1.0 };
+            if (params.partControls !== undefined) {
+                Object.assign(control, params.partControls[i]);
+            }
+            return control;
+        });
+
+        this.tempoMap = playback.tempoMapFromStream(s, params.tempo);
+        this.events = [];
+        this.totalSeconds = 0;
+        this.channelPrograms = new Map();
+        this.soundfonts = [];
+        this.buildEvents();
+
+        this.isPlaying = false;
+        this.position = 0; // seconds, while paused
+        this.startTime = 0; // clock time of position 0, while playing
+        this.nextEventIndex = 0;
+        this.timerId = undefined;
+        this.scheduledNotes = [];
+        this.pendingCallbacks = [];
+        this.soundingEvents = new Set();
+        this.channelBends = {};
+        this.loopStart = undefined;
+        this.loopEnd = undefined;
+        this.pendingWraps = []; // {time, length} of loop wraps scheduled ahead
+        this.isLoading = false;
+        this.soundfontsLoaded = false;
+    }
+
+    /**
+     * Fills `events` from the Stream.
+     *
+     * @memberof music21.playback.Scheduler
+     */
+    buildEvents() {
+        const s = this.stream;
+        const tm = this.tempoMap;
+        const events = [];
+        let lastOffset = 0;
+        const parts = this.parts;
+        this.channelPrograms.clear();
+        this.soundfonts = [];
+        const instruments = parts.map(part => (
+            part !== s && part.instrument !== undefined
+                ? part.instrument
+                : this.params.instrument
+        ));
+        const channels = playback.partChannels(instruments);
+        for (let partIndex = 0; partIndex < parts.length; partIndex++) {
+            const part = parts[partIndex];
+            const partOffset = part === s ? 0 : part.offset;
+            const inst = instruments[partIndex];
+            const channel = channels[partIndex];
+            const tuningSystem = part !== s ? part.tuning : this.params.tuning;
+            if (inst !== undefined && !inst.inGMPercMap && inst.midiProgram !== undefined) {
+                this.channelPrograms.set(channel, inst.midiProgram);
+            }
+            if (
+                inst !== undefined
+                && !inst.inGMPercMap
+                && inst.soundfontFn !== undefined
+                && !this.soundfonts.includes(inst.soundfontFn)
+            ) {
+                this.soundfonts.push(inst.soundfontFn);
+            }
+            const dm = playback.dynamicMapFromPart(part, this.sourceElements);
+            const openTies = new Map(); // midi number to note entry
+
+            for (const el of part.flat.notesAndRests) {
+                const offset = partOffset + el.offset;
+                const endOffset = offset + el.duration.quarterLength;
+                lastOffset = Math.max(lastOffset, endOffset);
+                const source = this.sourceElements.get(el);
+                const ev = new PlaybackEvent(source !== undefined ? source : el, offset);
+                ev.time = tm.secondsAtOffset(offset);
+                ev.duration = tm.secondsAtOffset(endOffset) - ev.time;
+                ev.partIndex = partIndex;
+                ev.channel = channel;
+                ev.volume = el.getMidiVolume(dm.volumeScalarAtOffset(el.offset));
+                events.push(ev);
+                // grace notes take no time, so are not played.
+                if (el.isRest || el.duration.isGrace) {
+                    continue;
+                }
+                // staccatos, etc.
+                const soundingDuration = ev.duration * el.articulationLengthScale;
+                const noteList = el.isClassOrSubclass('Chord') ? el._notes : [el];
+                for (const n of noteList) {
+                    const tieObj = n.tie !== undefined ? n.tie : el.tie;
+                    const midi = n.pitch.midi;
+                    if (
+                        tieObj !== undefined
+                        && tieObj.type !== 'start'
+                        && openTies.has(midi)
+                    ) {
+                        const tiedFrom = openTies.get(midi);
+                        tiedFrom.duration = ev.time + soundingDuration - tiedFrom.time;
+                        if (tieObj.type === 'stop') {
+                            openTies.delete(midi);
+                        }
+                        continue;
+                    }
+                    const noteEntry = {
+                        midi,
+                        pitchBend: n.pitch.getMidiPitchBend(tuningSystem),
+                        duration: soundingDuration,
+                        time: ev.time,
+                    };
+                    ev.notes.push(noteEntry);
+                    if (tieObj !== undefined && tieObj.type !== 'stop') {
+                        openTies.set(midi, noteEntry);
+                    } else {
+                        openTies.delete(midi);
+                    }
+                }
+            }
+        }
+        events.sort((a, b) => a.time - b.time || a.partIndex - b.partIndex);
+        this.events = events;
+        this.totalSeconds = tm.secondsAtOffset(lastOffset);
+    }
+
+    /**
+     * The playback position in quarter notes.
+     *
+     * @memberof music21.playback.Scheduler
+     * @type {number}
+     */
+    get currentOffset() {
+        return this.tempoMap.offsetAtSeconds(this.currentSeconds());
+    }
+
+    /**
+     * The playback position in seconds.
+     *
+     * @memberof music21.playback.Scheduler
+     * @returns {number}
+     */
+    currentSeconds() {
+        if (!this.isPlaying) {
+            return this.position;
+        }
+        const now = this.clock.currentTime;
+        let seconds = now - this.startTime;
+        // the loop may already have been scheduled to wrap around.
+        for (const wrap of this.pendingWraps) {
+            if (now < wrap.time) {
+                seconds += wrap.length;
+            }
+        }
+        return seconds;
+    }
+
+    /**
+     * Index of the first event at or after `seconds`.
+     *
+     * @memberof music21.playback.Scheduler
+     * @param {number} seconds
+     * @returns {Int}
+     */
+    eventIndexAtSeconds(seconds) {
+        const index = this.events.findIndex(ev => ev.time >= seconds - 1e-6);
+        return index === -1 ? this.events.length : index;
+    }
+
+    /**
+     * Starts or resumes playback from the current position.
+     *
+     * @memberof music21.playback.Scheduler
+     * @returns {this}
+     */
+    play() {
+        if (this.isPlaying || this.isLoading) {
+            return this;
+        }
+        if (!this.soundfontsLoaded && this.output.loadSoundfonts !== undefined) {
+            this.isLoading = true;
+            this.output.loadSoundfonts(this.soundfonts, () => {
+                this.soundfontsLoaded = true;
+                if (this.isLoading) { // not paused while loading
+                    this.isLoading = false;
+                    this.play();
+                }
+            });
+            return this;
+        }
+        this.isPlaying = true;
+        if (this.output.programChange !== undefined) {
+            for (const [channel, program] of this.channelPrograms) {
+                this.output.programChange(channel, program);
+            }
+        }
+        this.channelBends = Object.assign({}, note.channelPitchBends);
+        this.startTime = this.clock.currentTime - this.position;
+        this.pendingWraps = [];
+        this.nextEventIndex = this.eventIndexAtSeconds(this.position);
+        this.tick();
+        if (this.isPlaying) {
+            this.timerId = this.clock.setInterval(() => this.tick(), this.interval);
+        }
+        return this;
+    }
+
+    /**
+     * Stops playback, remembering the position.
+     *
+     * @memberof music21.playback.Scheduler
+     * @returns {this}
+     */
+    pause() {
+        this.isLoading = false;
+        if (!this.isPlaying) {
+            return this;
+        }
+        this.position = this.currentSeconds();
+        this._stopTimerAndNotes();
+        return this;
+    }
+
+    /**
+     * Stops playback and returns to the beginning.
+     *
+     * @memberof music21.playback.Scheduler
+     * @returns {this}
+     */
+    stop() {
+        this.pause();
+        this.position = 0;
+        return this;
+    }
+
+    _stopTimerAndNotes() {
+        this.isPlaying = false;
+        if (this.timerId !== undefined) {
+            this.clock.clearInterval(this.timerId);
+            this.timerId = undefined;
+        }
+        const now = this.clock.currentTime;
+        for (const sn of this.scheduledNotes) {
+            if (sn.endTime > now) {
+                this.output.noteOff(sn.channel, sn.midi, 0);
+            }
+        }
+        this.scheduledNotes = [];
+        this.pendingCallbacks = [];
+        for (const ev of this.soundingEvents) {
+            this.callCallbacks('noteOff', ev);
+        }
+        this.soundingEvents.clear();
+    }
+
+    /**
+     * Moves playback (playing or not) to an offset in quarter notes.
+     *
+     * @memberof music21.playback.Scheduler
+     * @param {number} offset
+     * @returns {this}
+     */
+    seek(offset) {
+        const wasPlaying = this.isPlaying;
+        this.pause();
+        this.position = this.tempoMap.secondsAtOffset(offset);
+        if (wasPlaying) {
+            this.play();
+        }
+        return this;
+    }
+
+    /**
+     * Moves playback to the start of a measure, found by its `.number`, or
+     * if no measure has that number, by counting from 1.
+     *
+     * @memberof music21.playback.Scheduler
+     * @param {Int} measureNumber
+     * @returns {this}
+     */
+    seekToMeasure(measureNumber) {
+        const part = playback.playableParts(this.stream)[0];
+        const measures = part.getElementsByClass('Measure').elements;
+        let m = measures.find(mm => mm.number === measureNumber);
+        if (m === undefined) {
+            m = measures[measureNumber - 1];
+        }
+        if (m === undefined) {
+            throw new PlaybackException(`No measure ${measureNumber} to seek to`);
+        }
+        const partOffset = part === this.stream ? 0 : part.offset;
+        return this.seek(partOffset + m.offset);
+    }
+
+    /**
+     * Plays the region between two offsets (in quarter notes) over and over.
+     *
+     * @memberof music21.playback.Scheduler
+     * @param {number} startOffset
+     * @param {number} endOffset
+     * @returns {this}
+     */
+    setLoop(startOffset, endOffset) {
+        if (endOffset <= startOffset) {
+            throw new PlaybackException(
+                'The end of a loop must be after its start'
+            );
+        }
+        this.loopStart = this.tempoMap.secondsAtOffset(startOffset);
+        this.loopEnd = this.tempoMap.secondsAtOffset(endOffset);
+        return this;
+    }
+
+    /**
+     * Stops looping; playback continues to the end.
+     *
+     * @memberof music21.playback.Scheduler
+     * @returns {this}
+     */
+    clearLoop() {
+        this.loopStart = undefined;
+        this.loopEnd = undefined;
+        return this;
+    }
+
+    /**
+     * Called by the clock: sends every note beginning before
+     * `lookAhead` seconds from now, wrapping around a loop, and finishes
+     * at the end of the Stream.
+     *
+     * @memberof music21.playback.Scheduler
+     */
+    tick() {
+        const now = this.clock.currentTime;
+        const horizon = now + this.lookAhead;
+        for (;;) {
+            const timelineHorizon = horizon - this.startTime;
+            while (this.nextEventIndex < this.events.length) {
+                const ev = this.events[this.nextEventIndex];
+                if (
+                    ev.time >= timelineHorizon
+                    || (this.loopEnd !== undefined && ev.time >= this.loopEnd)
+                ) {
+                    break;
+                }
+                this.scheduleEvent(ev, now);
+                this.nextEventIndex += 1;
+            }
+            if (this.loopEnd === undefined || timelineHorizon < this.loopEnd) {
+                break;
+            }
+            const loopLength = this.loopEnd - this.loopStart;
+            this.pendingWraps.push({
+                time: this.startTime + this.loopEnd,
+                length: loopLength,
+            });
+            this.startTime += loopLength;
+            this.nextEventIndex = this.eventIndexAtSeconds(this.loopStart);
+        }
+        this.pendingWraps = this.pendingWraps.filter(wrap => wrap.time > now);
+        this.scheduledNotes = this.scheduledNotes.filter(sn => sn.endTime > now);
+        this.dispatchCallbacks(now);
+        if (
+            this.loopEnd === undefined
+            && this.nextEventIndex >= this.events.length
+            && now - this.startTime >= this.totalSeconds
+        ) {
+            this.finish();
+        }
+    }
+
+    /**
+     * The index in `parts` of `part`: an index already, a part of the
+     * Stream being played, or the Part that it was copied from.
+     *
+     * @memberof music21.playback.Scheduler
+     * @param {Int|music21.stream.Stream} part
+     * @returns {Int}
+     */
+    partIndex(part) {
+        if (typeof part === 'number') {
+            return part;
+        }
+        const index = this.parts.findIndex(
+            p => p === part || this.sourceElements.get(p) === part
+        );
+        if (index === -1) {
+            throw new PlaybackException('Cannot find this part in the Stream being played');
+        }
+        return index;
+    }
+
+    /**
+     * Silences a part, or lets it be heard again if `mute` is false.
+     *
+     * @memberof music21.playback.Scheduler
+     * @param {Int|music21.stream.Stream} part - see `partIndex`
+     * @param {boolean} [mute=true]
+     * @returns {this}
+     */
+    setPartMute(part, mute = true) {
+        this.partControls[this.partIndex(part)].mute = mute;
+        this._silenceInaudibleParts();
+        return this;
+    }
+
+    /**
+     * Solos a part (several can be soloed at once), or unsolos it if
+     * `solo` is false.
+     *
+     * @memberof music21.playback.Scheduler
+     * @param {Int|music21.stream.Stream} part - see `partIndex`
+     * @param {boolean} [solo=true]
+     * @returns {this}
+     */
+    setPartSolo(part, solo = true) {
+        this.partControls[this.partIndex(part)].solo = solo;
+        this._silenceInaudibleParts();
+        return this;
+    }
+
+    /**
+     * Sets the volume of a part from notes not yet sent to the output on.
+     *
+     * @memberof music21.playback.Scheduler
+     * @param {Int|music21.stream.Stream} part - see `partIndex`
+     * @param {number} volume - multiplies note velocities; 1.0 is unchanged
+     * @returns {this}
+     */
+    setPartVolume(part, volume) {
+        this.partControls[this.partIndex(part)].volume = volume;
+        return this;
+    }
+
+    /**
+     * @memberof music21.playback.Scheduler
+     * @param {Int} partIndex
+     * @returns {boolean} false if the part is muted or another part is soloed
+     */
+    isPartAudible(partIndex) {
+        const control = this.partControls[partIndex];
+        if (control.mute) {
+            return false;
+        }
+        return control.solo || !this.partControls.some(c => c.solo);
+    }
+
+    _silenceInaudibleParts() {
+        const now = this.clock.currentTime;
+        this.scheduledNotes = this.scheduledNotes.filter(sn => {
+            if (this.isPartAudible(sn.partIndex)) {
+                return true;
+            }
+            if (sn.endTime > now) {
+                this.output.noteOff(sn.channel, sn.midi, 0);
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Sends the notes of one event to the output.
+     *
+     * @memberof music21.playback.Scheduler
+     * @param {music21.playback.PlaybackEvent} ev
+     * @param {number} now - the clock's current time
+     */
+    scheduleEvent(ev, now) {
+        const eventTime = this.startTime + ev.time;
+        const delay = Math.max(0, eventTime - now);
+        let eventDuration = ev.duration;
+        if (this.loopEnd !== undefined) {
+            eventDuration = Math.min(eventDuration, this.loopEnd - ev.time);
+        }
+        this.pendingCallbacks.push(
+            { time: eventTime, type: 'noteOn', ev },
+            { time: eventTime + eventDuration, type: 'noteOff', ev }
+        );
+        if (!this.isPartAudible(ev.partIndex)) {
+            return;
+        }
+        const velocity = Math.min(
+            127,
+            Math.round(ev.volume * this.partControls[ev.partIndex].volume)
+        );
+        for (const noteEntry of ev.notes) {
+            let duration = noteEntry.duration;
+            if (this.loopEnd !== undefined) {
+                duration = Math.min(duration, this.loopEnd - ev.time);
+            }
+            let currentBend = this.channelBends[ev.channel];
+            if (currentBend === undefined) {
+                currentBend = 8192;
+            }
+            if (noteEntry.pitchBend !== currentBend) {
+                this.output.pitchBend(ev.channel, noteEntry.pitchBend, delay);
+                this.channelBends[ev.channel] = noteEntry.pitchBend;
+            }
+            this.output.noteOn(ev.channel, noteEntry.midi, velocity, delay);
+            this.output.noteOff(ev.channel, noteEntry.midi, delay + duration);
+            this.scheduledNotes.push({
+                partIndex: ev.partIndex,
+                channel: ev.channel,
+                midi: noteEntry.midi,
+                endTime: eventTime + duration,
+            });
+        }
+    }
+
+    /**
+     * Calls the callbacks for events that have begun or ended by `now`,
+     * in order (endings first at the same time).
+     *
+     * @memberof music21.playback.Scheduler
+     * @param {number} now - the clock's current time
+     */
+    dispatchCallbacks(now) {
+        const isDue = pc => pc.time <= now + 1e-9;
+        const due = this.pendingCallbacks.filter(isDue);
+        if (due.length === 0) {
+            return;
+        }
+        this.pendingCallbacks = this.pendingCallbacks.filter(pc => !isDue(pc));
+        const typeOrder = { noteOff: 0, noteOn: 1 };
+        due.sort((a, b) => a.time - b.time || typeOrder[a.type] - typeOrder[b.type]);
+        for (const pc of due) {
+            if (pc.type === 'noteOn') {
+                this.soundingEvents.add(pc.ev);
+            } else if (this.soundingEvents.has(pc.ev)) {
+                this.soundingEvents.delete(pc.ev);
+            } else {
+                continue;
+            }
+            this.callCallbacks(pc.type, pc.ev);
+        }
+    }
+
+    /**
+     * @memberof music21.playback.Scheduler
+     * @param {string} eventType - 'noteOn' or 'noteOff'
+     * @param {music21.playback.PlaybackEvent} ev
+     */
+    callCallbacks(eventType, ev) {
+        for (const callback of this.callbacks[eventType]) {
+            callback(ev.element, ev, this);
+        }
+    }
+
+    /**
+     * Called when playback reaches the end.
+     *
+     * @memberof music21.playback.Scheduler
+     */
+    finish() {
+        this._stopTimerAndNotes();
+        this.position = 0;
+        if (this.params.done !== undefined) {
+            this.params.done.call();
+        }
+    }
+}
+playback.Scheduler = Scheduler;
@@ -66,9 +66,12 @@ export class RenderOptions {
                 dblclick: undefined,
                 // resize
             },
+            playbackCursor: 'note', // or 'measure' or false; see vfShow.PlaybackCursor
             startNewSystem: false,
             startNewPage: false,
             showMeasureNumber: undefined,
+            showMetadata: false,
+            metadataHeight: 80,
         };
         common.merge(this, defaultOptions);
     }
@@ -865,3 +865,204 @@ export class RomanNumeral extends harmony.Harmony {
     }
 }
 roman.RomanNumeral = RomanNumeral;
+
+/**
+ * The figure (without the Roman numeral) for the inversion and quality of
+ * a chord, such as '6', 'o65', or '/o7'.
+ *
+ * @memberof music21.roman
+ * @param {music21.chord.Chord} chordObj
+ * @returns {string}
+ * @example
+ * var c = new music21.chord.Chord('F3 G3 B3 D4');
+ * music21.roman.figureSuffixFromChord(c); // '42'
+ * var c2 = new music21.chord.Chord('D3 F3 A-3 B3');
+ * music21.roman.figureSuffixFromChord(c2); // 'o65'
+ */
+roman.figureSuffixFromChord = function figureSuffixFromChord(chordObj) {
+    let inversion = chordObj.inversion();
+    if (inversion === undefined) {
+        inversion = 0;
+    }
+    let inversionString;
+    if (chordObj.seventh !== undefined) {
+        inversionString = ['7', '65', '43', '42'][inversion];
+    } else {
+        inversionString = ['', '6', '64'][inversion];
+    }
+    if (inversionString === undefined) {
+        inversionString = '';
+    }
+    return roman.correctSuffixForChordQuality(chordObj, inversionString);
+};
+
+/**
+ * Returns true if every pitch in the chord has a name found in the key
+ * (including the raised sixth and seventh degrees in minor).
+ *
+ * @memberof music21.roman
+ * @param {music21.chord.Chord} chordObj
+ * @param {music21.key.Key} keyObj
+ * @returns {Boolean}
+ */
+roman.chordIsDiatonic = function chordIsDiatonic(chordObj, keyObj) {
+    const keyNames = keyObj.getPitches().map(p => p.name);
+    if (keyObj.mode === 'minor') {
+        const raise = new interval.Interval('A1');
+        keyNames.push(raise.transposePitch(keyObj.pitchFromDegree(6)).name);
+        keyNames.push(raise.transposePitch(keyObj.pitchFromDegree(7)).name);
+    }
+    return chordObj.pitches.every(p => keyNames.includes(p.name));
+};
+
+/**
+ * The Roman numeral (with any flats or sharps before it and in the case
+ * of the chord's quality) for a chord whose root is `rootPitch` in a key.
+ *
+ * In minor keys, lowercase vi and vii are raised automatically, so the
+ * leading-tone chord is 'vii' and not '#vii'.
+ *
+ * @memberof music21.roman
+ * @param {music21.chord.Chord} chordObj
+ * @param {music21.key.Key} keyObj
+ * @returns {string}
+ */
+roman.romanNumeralAloneFromChord = function romanNumeralAloneFromChord(
+    chordObj,
+    keyObj
+) {
+    const root = chordObj.root();
+    const degree
+        = common.posMod(root.diatonicNoteNum - keyObj.tonic.diatonicNoteNum, 7)
+        + 1;
+    let romanNumeralAlone = roman.romanToNumber[degree];
+    const isMinorCase = chordObj.semitonesFromChordStep(3) === 3;
+    if (!isMinorCase) {
+        romanNumeralAlone = romanNumeralAlone.toUpperCase();
+    }
+    const scalePitch = keyObj.pitchFromDegree(degree);
+    let alteration = common.posMod(root.ps - scalePitch.ps + 6, 12) - 6;
+    if (keyObj.mode === 'minor' && isMinorCase && (degree === 6 || degree === 7)) {
+        alteration -= 1;
+    }
+    let frontAlteration = '';
+    if (alteration > 0) {
+        frontAlteration = '#'.repeat(alteration);
+    } else if (alteration < 0) {
+        frontAlteration = 'b'.repeat(-1 * alteration);
+    }
+    return frontAlteration + romanNumeralAlone;
+};
+
+/**
+ * Returns true if every pitch name in the chord is in the RomanNumeral.
+ * Used to check a figure found by {@link music21.roman.romanNumeralFromChord}.
+ *
+ * @memberof music21.roman
+ * @param {music21.chord.Chord} chordObj
+ * @param {music21.roman.RomanNumeral} rn
+ * @returns {Boolean}
+ */
+roman.chordMatchesRomanNumeral = function chordMatchesRomanNumeral(chordObj, rn) {
+    const rnNames = rn.pitches.map(p => p.name);
+    return chordObj.pitches.every(p => rnNames.includes(p.name));
+};
+
+/**
+ * The chords that applied (secondary) chords may be applied to in each mode.
+ *
+ * @memberof music21.roman
+ */
+roman.appliedChordTargets = {
+    major: ['V', 'ii', 'IV', 'vi', 'iii'],
+    minor: ['V', 'iv', 'III', 'VI', 'VII'],
+};
+
+/**
+ * Finds the figure for a chromatic chord that is a secondary dominant or
+ * leading-tone chord (such as 'V7/V' or 'viio7/ii') in the key, or undefined
+ * if it is neither.
+ *
+ * @memberof music21.roman
+ * @param {music21.chord.Chord} chordObj
+ * @param {music21.key.Key} keyObj
+ * @returns {string|undefined}
+ */
+roman.appliedFigureFromChord = function appliedFigureFromChord(chordObj, keyObj) {
+    const thirdSemitones = chordObj.semitonesFromChordStep(3);
+    const fifthSemitones = chordObj.semitonesFromChordStep(5);
+    let primary;
+    if (thirdSemitones === 4 && fifthSemitones === 7) {
+        primary = 'V';
+    } else if (thirdSemitones === 3 && fifthSemitones === 6) {
+        primary = 'vii';
+    } else {
+        return undefined;
+    }
+    const figureSuffix = roman.figureSuffixFromChord(chordObj);
+    let targets = roman.appliedChordTargets[keyObj.mode];
+    if (targets === undefined) {
+        targets = roman.appliedChordTargets.major;
+    }
+    for (const target of targets) {
+        const figure = primary + figureSuffix + '/' + target;
+        const rn = new RomanNumeral(figure, keyObj);
+        if (
+            roman.chordMatchesRomanNumeral(chordObj, rn)
+            && rn.root().name === chordObj.root().name
+        ) {
+            return figure;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Returns a RomanNumeral for a chord in a key, with inversion figures, and,
+ * for chromatic chords, secondary dominants and leading-tone chords
+ * ('V65/V', 'viio7/ii') or alterations ('bII6', 'bVI').  The RomanNumeral
+ * keeps the pitches (and voicing) and duration of the chord.
+ *
+ * @memberof music21.roman
+ * @param {music21.chord.Chord} chordObj
+ * @param {music21.key.Key|string} [keyObj] - if not given, the key of the
+ *     root of the chord is used, so the figure is always I or i.
+ * @returns {music21.roman.RomanNumeral}
+ * @example
+ * var c = new music21.chord.Chord('B3 D4 F4 G4');
+ * var rn = music21.roman.romanNumeralFromChord(c, 'C');
+ * rn.figure; // 'V65'
+ * var c2 = new music21.chord.Chord('C4 D4 F#4 A4');
+ * music21.roman.romanNumeralFromChord(c2, 'C').figure; // 'V42/V'
+ * var c3 = new music21.chord.Chord('F3 A-3 D-4');
+ * music21.roman.romanNumeralFromChord(c3, 'c').figure; // 'bII6'
+ */
+roman.romanNumeralFromChord = function romanNumeralFromChord(chordObj, keyObj) {
+    if (chordObj.pitches.length === 0) {
+        throw new Music21Exception('Cannot make a RomanNumeral from an empty Chord');
+    }
+    if (keyObj === undefined) {
+        const root = chordObj.root();
+        let mode = 'major';
+        if (chordObj.semitonesFromChordStep(3) === 3) {
+            mode = 'minor';
+        }
+        keyObj = new key.Key(root.name, mode);
+    } else if (typeof keyObj === 'string') {
+        keyObj = new key.Key(keyObj);
+    }
+
+    let figure;
+    if (!roman.chordIsDiatonic(chordObj, keyObj)) {
+        figure = roman.appliedFigureFromChord(chordObj, keyObj);
+    }
+    if (figure === undefined) {
+        figure
+            = roman.romanNumeralAloneFromChord(chordObj, keyObj)
+            + roman.figureSuffixFromChord(chordObj);
+    }
+    const rn = new RomanNumeral(figure, keyObj);
+    rn.pitches = chordObj.pitches.map(p => p.clone());
+    rn.duration.quarterLength = chordObj.duration.quarterLength;
+    return rn;
+};
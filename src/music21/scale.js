@@ -16,9 +16,9 @@ import { pitch } from './pitch.js';
 
 import { Music21Exception } from './exceptions21.js';
 
-// const DIRECTION_BI = 'bi';
-// const DIRECTION_DESCENDING = 'descending';
-// const DIRECTION_ASCENDING = 'ascending';
+export const DIRECTION_BI = 'bi';
+export const DIRECTION_DESCENDING = 'descending';
+export const DIRECTION_ASCENDING = 'ascending';
 
 /**
  * Scale module. See {@link music21.scale} namespace
@@ -55,11 +55,12 @@ export class AbstractScale extends Scale {
     constructor() {
         super();
         this._net = []; // simplified -- no IntervalNetwork, just list of intervals
+        this._netDescending = undefined; // if different from _net
         this.tonicDegree = 1;
         this.octaveDuplicating = true;
         this.deterministic = true;
         this._alteredDegrees = {};
-        this._oneOctaveRealizationCache = undefined;
+        this._realizationCache = {};
     }
 
     equals(other) {
@@ -67,6 +68,10 @@ export class AbstractScale extends Scale {
             common.arrayEquals(this.classes, other.classes)
             && this.tonicDegree === other.tonicDegree
             && common.arrayEquals(this._net, other._net)
+            && common.arrayEquals(
+                this._netDescending || [],
+                other._netDescending || []
+            )
         ) {
             return true;
         } else {
@@ -74,7 +79,71 @@ export class AbstractScale extends Scale {
         }
     }
 
-    buildNetworkFromPitches(pitchList) {
+    /**
+     * True if the scale is different ascending and descending.
+     *
+     * @type {boolean}
+     */
+    get isDirectional() {
+        return this._netDescending !== undefined;
+    }
+
+    /**
+     * Returns the list of intervals used for a direction.  Descending
+     * networks are stored from the bottom up, just like ascending ones.
+     *
+     * @param {string} [direction='ascending']
+     * @returns {Array<music21.interval.Interval>}
+     */
+    getNetwork(direction) {
+        if (direction === DIRECTION_DESCENDING && this._netDescending !== undefined) {
+            return this._netDescending;
+        } else {
+            return this._net;
+        }
+    }
+
+    /**
+     * Sets the network for a direction from a list of interval names
+     * such as ['M2', 'm2', ...] or Interval objects.
+     *
+     * @param {Array<string|music21.interval.Interval>} intervalList
+     * @param {string} [direction='bi'] - 'ascending', 'descending' or 'bi'
+     */
+    buildNetworkFromIntervals(intervalList, direction) {
+        const net = [];
+        for (const intV of intervalList) {
+            if (typeof intV === 'string') {
+                net.push(new interval.Interval(intV));
+            } else {
+                net.push(intV);
+            }
+        }
+        this._setNetwork(net, direction);
+    }
+
+    _setNetwork(net, direction) {
+        if (direction === DIRECTION_DESCENDING) {
+            this._netDescending = net;
+        } else if (direction === DIRECTION_ASCENDING) {
+            this._net = net;
+        } else {
+            this._net = net;
+            this._netDescending = undefined;
+        }
+        this._realizationCache = {};
+    }
+
+    /**
+     * Builds the network from a list of pitches (or pitch names or notes)
+     * spanning one cycle of the scale.  If the last pitch is not an octave
+     * above the first, the octave is added.  A descending list of pitches
+     * is reversed before building.
+     *
+     * @param {Array<string|music21.pitch.Pitch|music21.note.Note>} pitchList
+     * @param {string} [direction='bi'] - 'ascending', 'descending' or 'bi'
+     */
+    buildNetworkFromPitches(pitchList, direction) {
         const pitchListReal = [];
         for (const p of pitchList) {
             if (typeof p === 'string') {
@@ -86,19 +155,21 @@ export class AbstractScale extends Scale {
             }
         }
         pitchList = pitchListReal;
+        if (
+            pitchList.length > 1
+            && pitchList[pitchList.length - 1].ps < pitchList[0].ps
+        ) {
+            pitchList.reverse();
+        }
 
         const pLast = pitchList[pitchList.length - 1];
-        if (pLast.name === pitchList[0]) {
+        if (
+            this.octaveDuplicating
+            && (pitchList.length === 1 || pLast.name !== pitchList[0].name)
+        ) {
             const p = pitchList[0].clone();
-            if (pLast.ps > pitchList[0]) {
-                // ascending;
-                while (p.ps < pLast.ps) {
-                    p.octave += 1;
-                }
-            } else {
-                while (p.ps < pLast.ps) {
-                    p.octave += -1;
-                }
+            while (p.ps <= pLast.ps) {
+                p.octave += 1;
             }
             pitchList.push(p);
         }
@@ -111,7 +182,7 @@ export class AbstractScale extends Scale {
             );
             intervalList.push(thisInterval);
         }
-        this._net = intervalList;
+        this._setNetwork(intervalList, direction);
     }
 
     getDegreeMaxUnique() {
@@ -123,12 +194,9 @@ export class AbstractScale extends Scale {
         unused_stepOfPitch,
         unused_minPitch,
         unused_maxPitch,
-        unused_direction,
+        direction,
         unused_reverse
     ) {
-        // if (direction === undefined) {
-        //     direction = DIRECTION_ASCENDING;
-        // }
         // if (stepOfPitch === undefined) {
         //     stepOfPitch = 1;
         // }
@@ -138,17 +206,23 @@ export class AbstractScale extends Scale {
             pitchObj = pitchObj.clone();
         }
         const post = [pitchObj];
-        for (const intV of this._net) {
+        for (const intV of this.getNetwork(direction)) {
             pitchObj = intV.transposePitch(pitchObj);
             post.push(pitchObj);
         }
         return post;
     }
 
-    getPitchFromNodeDegree(pitchReference, unused_nodeName, nodeDegreeTarget) {
+    getPitchFromNodeDegree(
+        pitchReference,
+        unused_nodeName,
+        nodeDegreeTarget,
+        direction
+    ) {
+        const net = this.getNetwork(direction);
         const zeroIndexDegree = nodeDegreeTarget - 1;
         for (let i = 0; i < zeroIndexDegree; i++) {
-            const thisIntv = this._net[i % this._net.length];
+            const thisIntv = net[i % net.length];
             pitchReference = thisIntv.transposePitch(pitchReference);
         }
         return pitchReference;
@@ -159,17 +233,39 @@ export class AbstractScale extends Scale {
         unused_nodeName,
         pitchTarget,
         unused_comparisonAttribute,
-        unused_direction
+        direction
     ) {
         if (typeof pitchTarget === 'string') {
             pitchTarget = new pitch.Pitch(pitchTarget);
         }
-        let realizedPitches;
-        if (this._oneOctaveRealizationCache !== undefined) {
-            realizedPitches = this._oneOctaveRealizationCache;
-        } else {
-            realizedPitches = this.getRealization(pitchReference);
-            this._oneOctaveRealizationCache = realizedPitches;
+        if (direction === undefined || direction === DIRECTION_BI) {
+            const ascendingDegree = this.getRelativeNodeDegree(
+                pitchReference,
+                unused_nodeName,
+                pitchTarget,
+                unused_comparisonAttribute,
+                DIRECTION_ASCENDING
+            );
+            if (ascendingDegree !== undefined || !this.isDirectional) {
+                return ascendingDegree;
+            }
+            direction = DIRECTION_DESCENDING;
+        }
+        const refName
+            = typeof pitchReference === 'string'
+                ? pitchReference
+                : pitchReference.nameWithOctave;
+        const cacheKey = refName + ' ' + direction;
+        let realizedPitches = this._realizationCache[cacheKey];
+        if (realizedPitches === undefined) {
+            realizedPitches = this.getRealization(
+                pitchReference,
+                undefined,
+                undefined,
+                undefined,
+                direction
+            );
+            this._realizationCache[cacheKey] = realizedPitches;
         }
         const realizedNames = [];
         for (const p of realizedPitches) {
@@ -249,14 +345,267 @@ export class AbstractAscendingMelodicMinorScale extends AbstractScale {
     }
 }
 
+/**
+ * Melodic minor as a bidirectional scale: raised sixth and seventh
+ * ascending, natural minor descending.
+ *
+ * @class AbstractMelodicMinorScale
+ * @memberof music21.scale
+ * @extends music21.scale.AbstractScale
+ */
+export class AbstractMelodicMinorScale extends AbstractScale {
+    constructor() {
+        super();
+        this.type = 'Abstract melodic minor';
+        this.octaveDuplicating = true;
+        this._buildNetwork();
+    }
+    _buildNetwork() {
+        this.buildNetworkFromIntervals(
+            ['M2', 'm2', 'M2', 'M2', 'M2', 'M2', 'm2'],
+            DIRECTION_ASCENDING
+        );
+        this.buildNetworkFromIntervals(
+            ['M2', 'm2', 'M2', 'M2', 'm2', 'M2', 'M2'],
+            DIRECTION_DESCENDING
+        );
+    }
+}
+
+/**
+ * A scale made by repeating a list of intervals.  The intervals
+ * should add up to an octave if `octaveDuplicating` is to be meaningful.
+ *
+ * @class AbstractCyclicalScale
+ * @memberof music21.scale
+ * @extends music21.scale.AbstractScale
+ * @param {Array<string|music21.interval.Interval>} [intervalList=['m2']]
+ */
+export class AbstractCyclicalScale extends AbstractScale {
+    constructor(intervalList) {
+        super();
+        this.type = 'Abstract cyclical';
+        this.octaveDuplicating = false;
+        if (intervalList === undefined) {
+            intervalList = ['m2'];
+        } else if (!Array.isArray(intervalList)) {
+            intervalList = [intervalList];
+        }
+        this.buildNetworkFromIntervals(intervalList);
+    }
+}
+
+/**
+ * Whole-tone scale, spelled C D E F# G# B- on C.
+ *
+ * @class AbstractWholeToneScale
+ * @memberof music21.scale
+ * @extends music21.scale.AbstractScale
+ */
+export class AbstractWholeToneScale extends AbstractScale {
+    constructor() {
+        super();
+        this.type = 'Abstract whole-tone';
+        this.octaveDuplicating = true;
+        this.buildNetworkFromIntervals(['M2', 'M2', 'M2', 'M2', 'd3', 'M2']);
+    }
+}
+
+/**
+ * Octatonic scale.  Mode 1 (default) begins with a whole step,
+ * mode 2 with a half step.
+ *
+ * @class AbstractOctatonicScale
+ * @memberof music21.scale
+ * @extends music21.scale.AbstractScale
+ * @param {number} [mode=1]
+ */
+export class AbstractOctatonicScale extends AbstractScale {
+    constructor(mode) {
+        super();
+        this.type = 'Abstract octatonic';
+        this.octaveDuplicating = true;
+        this._buildNetwork(mode);
+    }
+    _buildNetwork(mode) {
+        if (mode === undefined || mode === 1) {
+            this.buildNetworkFromIntervals(
+                ['M2', 'm2', 'M2', 'm2', 'M2', 'A1', 'M2', 'm2']
+            );
+        } else if (mode === 2) {
+            this.buildNetworkFromIntervals(
+                ['m2', 'M2', 'm2', 'M2', 'A1', 'M2', 'm2', 'M2']
+            );
+        } else {
+            throw new Music21Exception(
+                'Octatonic mode must be 1 or 2, not ' + mode
+            );
+        }
+    }
+}
+
+/**
+ * Pentatonic scale, either 'major' (default) or 'minor'.
+ *
+ * @class AbstractPentatonicScale
+ * @memberof music21.scale
+ * @extends music21.scale.AbstractScale
+ * @param {string} [mode='major']
+ */
+export class AbstractPentatonicScale extends AbstractScale {
+    constructor(mode) {
+        super();
+        this.type = 'Abstract pentatonic';
+        this.octaveDuplicating = true;
+        this._buildNetwork(mode);
+    }
+    _buildNetwork(mode) {
+        if (mode === undefined || mode === 'major') {
+            this.buildNetworkFromIntervals(['M2', 'M2', 'm3', 'M2', 'm3']);
+        } else if (mode === 'minor') {
+            this.buildNetworkFromIntervals(['m3', 'M2', 'M2', 'm3', 'M2']);
+        } else {
+            throw new Music21Exception(
+                'Pentatonic mode must be major or minor, not ' + mode
+            );
+        }
+    }
+}
+
+/**
+ * Hexatonic blues scale: minor pentatonic plus the raised fourth.
+ *
+ * @class AbstractBluesScale
+ * @memberof music21.scale
+ * @extends music21.scale.AbstractScale
+ */
+export class AbstractBluesScale extends AbstractScale {
+    constructor() {
+        super();
+        this.type = 'Abstract blues';
+        this.octaveDuplicating = true;
+        this.buildNetworkFromIntervals(['m3', 'M2', 'A1', 'm2', 'm3', 'M2']);
+    }
+}
+
+/**
+ * Chromatic scale, spelled C C# D E- E F F# G G# A B- B on C.
+ *
+ * @class AbstractChromaticScale
+ * @memberof music21.scale
+ * @extends music21.scale.AbstractScale
+ */
+export class AbstractChromaticScale extends AbstractScale {
+    constructor() {
+        super();
+        this.type = 'Abstract chromatic';
+        this.octaveDuplicating = true;
+        this.buildNetworkFromPitches(
+            ['C4', 'C#4', 'D4', 'E-4', 'E4', 'F4',
+                'F#4', 'G4', 'G#4', 'A4', 'B-4', 'B4']
+        );
+    }
+}
+
+/**
+ * A scale with different pitches ascending and descending, given
+ * (relative to C) as two lists of pitch names running from the tonic
+ * up, such as the Hindustani ragas.
+ *
+ * @class AbstractDirectionalScale
+ * @memberof music21.scale
+ * @extends music21.scale.AbstractScale
+ * @param {Array<string>} ascendingPitches
+ * @param {Array<string>} descendingPitches
+ */
+export class AbstractDirectionalScale extends AbstractScale {
+    constructor(ascendingPitches, descendingPitches) {
+        super();
+        this.type = 'Abstract directional';
+        this.octaveDuplicating = true;
+        if (ascendingPitches !== undefined) {
+            this.buildNetworkFromPitches(ascendingPitches, DIRECTION_ASCENDING);
+        }
+        if (descendingPitches !== undefined) {
+            this.buildNetworkFromPitches(
+                descendingPitches,
+                DIRECTION_DESCENDING
+            );
+        }
+    }
+}
+
+/**
+ * Rag Asawari: S R m P d S ascending, S n d P m g R S descending.
+ *
+ * @class AbstractRagAsawari
+ * @memberof music21.scale
+ * @extends music21.scale.AbstractDirectionalScale
+ */
+export class AbstractRagAsawari extends AbstractDirectionalScale {
+    constructor() {
+        super(
+            ['C4', 'D4', 'F4', 'G4', 'A-4'],
+            ['C5', 'B-4', 'A-4', 'G4', 'F4', 'E-4', 'D4', 'C4']
+        );
+        this.type = 'Abstract Rag Asawari';
+    }
+}
+
+/**
+ * Rag Jaunpuri: as Asawari but with the flat seventh ascending.
+ *
+ * @class AbstractRagJaunpuri
+ * @memberof music21.scale
+ * @extends music21.scale.AbstractDirectionalScale
+ */
+export class AbstractRagJaunpuri extends AbstractDirectionalScale {
+    constructor() {
+        super(
+            ['C4', 'D4', 'F4', 'G4', 'A-4', 'B-4'],
+            ['C5', 'B-4', 'A-4', 'G4', 'F4', 'E-4', 'D4', 'C4']
+        );
+        this.type = 'Abstract Rag Jaunpuri';
+    }
+}
+
+/**
+ * A scale with a tonic.  If `pitches` are given, an AbstractScale is built
+ * from them, otherwise subclasses set `.abstract`.
+ *
+ * @class ConcreteScale
+ * @memberof music21.scale
+ * @extends music21.scale.Scale
+ * @param {string|music21.pitch.Pitch} [tonic]
+ * @param {Array<string|music21.pitch.Pitch>} [pitches]
+ */
 export class ConcreteScale extends Scale {
-    constructor(tonic) {
+    constructor(tonic, pitches) {
         super();
         if (typeof tonic === 'string') {
             tonic = new pitch.Pitch(tonic);
         }
-        this.tonic = tonic;
         this.abstract = undefined;
+        if (pitches !== undefined && pitches.length) {
+            this.abstract = new AbstractScale();
+            this.abstract.buildNetworkFromPitches(pitches);
+            if (tonic === undefined) {
+                tonic = pitches[0];
+                if (typeof tonic === 'string') {
+                    tonic = new pitch.Pitch(tonic);
+                } else if (tonic.classes.includes('Note')) {
+                    tonic = tonic.pitch;
+                }
+            }
+        }
+        this.tonic = tonic;
+    }
+
+    get name() {
+        if (this.tonic === undefined) {
+            return this.type;
+        }
+        return this.tonic.name + ' ' + this.type;
     }
 
     // when adding functionality here, must also be added to key.Key.
@@ -268,6 +617,10 @@ export class ConcreteScale extends Scale {
         }
     }
 
+    get isDirectional() {
+        return this.abstract !== undefined && this.abstract.isDirectional;
+    }
+
     getTonic() {
         return this.tonic;
     }
@@ -279,39 +632,48 @@ export class ConcreteScale extends Scale {
     //     return new roman.RomanNumeral(degree, this);
     // }
 
-    getPitches(unused_minPitch, unused_maxPitch, unused_direction) {
+    getPitches(unused_minPitch, unused_maxPitch, direction) {
         let pitchObj;
         if (this.tonic === undefined) {
             pitchObj = new pitch.Pitch('C4');
         } else {
             pitchObj = this.tonic;
         }
-        return this.abstract.getRealization(pitchObj);
+        return this.abstract.getRealization(
+            pitchObj,
+            undefined,
+            undefined,
+            undefined,
+            direction
+        );
     }
 
     pitchFromDegree(
         degree,
         unused_minPitch,
         unused_maxPitch,
-        unused_direction,
+        direction,
         unused_equateTermini
     ) {
         return this.abstract.getPitchFromNodeDegree(
             this.tonic,
             this.abstract.tonicDegree,
-            degree
+            degree,
+            direction
         );
     }
 
     getScaleDegreeFromPitch(
         pitchTarget,
-        unused_direction,
+        direction,
         unused_comparisonAttribute
     ) {
         return this.abstract.getRelativeNodeDegree(
             this.tonic,
             this.abstract.tonicDegree,
-            pitchTarget
+            pitchTarget,
+            undefined,
+            direction
         );
     }
 }
@@ -351,11 +713,108 @@ export class HarmonicMinorScale extends ConcreteScale {
 export class AscendingMelodicMinorScale extends ConcreteScale {
     constructor(tonic) {
         super(tonic); // a.k.a. ^2 :-)
-        this.type = 'harmonic minor';
+        this.type = 'ascending melodic minor';
         this.abstract = new AbstractAscendingMelodicMinorScale();
     }
 }
 
+export class MelodicMinorScale extends ConcreteScale {
+    constructor(tonic) {
+        super(tonic);
+        this.type = 'melodic minor';
+        this.abstract = new AbstractMelodicMinorScale();
+    }
+}
+
+/**
+ * A scale built by cycling through a list of intervals from the tonic.
+ *
+ * @class CyclicalScale
+ * @memberof music21.scale
+ * @extends music21.scale.ConcreteScale
+ * @param {string|music21.pitch.Pitch} [tonic]
+ * @param {Array<string|music21.interval.Interval>} [intervalList=['m2']]
+ * @example
+ * const sc = new music21.scale.CyclicalScale('C4', ['P5']);
+ * sc.pitchFromDegree(3).nameWithOctave;
+ * // 'D5'
+ */
+export class CyclicalScale extends ConcreteScale {
+    constructor(tonic, intervalList) {
+        super(tonic);
+        this.type = 'cyclical';
+        this.abstract = new AbstractCyclicalScale(intervalList);
+    }
+}
+
+export class WholeToneScale extends ConcreteScale {
+    constructor(tonic) {
+        super(tonic);
+        this.type = 'whole-tone';
+        this.abstract = new AbstractWholeToneScale();
+    }
+}
+
+export class OctatonicScale extends ConcreteScale {
+    constructor(tonic, mode) {
+        super(tonic);
+        this.type = 'octatonic';
+        this.abstract = new AbstractOctatonicScale(mode);
+    }
+}
+
+export class PentatonicScale extends ConcreteScale {
+    constructor(tonic, mode = 'major') {
+        super(tonic);
+        this.type = mode + ' pentatonic';
+        this.abstract = new AbstractPentatonicScale(mode);
+    }
+}
+
+export class MajorPentatonicScale extends PentatonicScale {
+    constructor(tonic) {
+        super(tonic, 'major');
+    }
+}
+
+export class MinorPentatonicScale extends PentatonicScale {
+    constructor(tonic) {
+        super(tonic, 'minor');
+    }
+}
+
+export class BluesScale extends ConcreteScale {
+    constructor(tonic) {
+        super(tonic);
+        this.type = 'blues';
+        this.abstract = new AbstractBluesScale();
+    }
+}
+
+export class ChromaticScale extends ConcreteScale {
+    constructor(tonic) {
+        super(tonic);
+        this.type = 'chromatic';
+        this.abstract = new AbstractChromaticScale();
+    }
+}
+
+export class RagAsawari extends ConcreteScale {
+    constructor(tonic) {
+        super(tonic);
+        this.type = 'Rag Asawari';
+        this.abstract = new AbstractRagAsawari();
+    }
+}
+
+export class RagJaunpuri extends ConcreteScale {
+    constructor(tonic) {
+        super(tonic);
+        this.type = 'Rag Jaunpuri';
+        this.abstract = new AbstractRagJaunpuri();
+    }
+}
+
 /**
  * Function, not class
  *
@@ -437,18 +896,149 @@ export function ScaleSimpleMinor(tonic, minorType) {
     return SimpleDiatonicScale(tonic, scaleSteps);
 }
 
+/**
+ * The scale classes searched by {@link music21.scale.findScalesContaining}
+ * by default, in the order results are returned.
+ *
+ * @memberof music21.scale
+ * @type {Array<function>}
+ */
+export const scaleCatalog = [
+    MajorScale,
+    MinorScale,
+    HarmonicMinorScale,
+    MelodicMinorScale,
+    MajorPentatonicScale,
+    MinorPentatonicScale,
+    BluesScale,
+    WholeToneScale,
+    OctatonicScale,
+    RagAsawari,
+    RagJaunpuri,
+    ChromaticScale,
+];
+
+const catalogTonics = [
+    'C', 'D-', 'D', 'E-', 'E', 'F', 'F#', 'G', 'A-', 'A', 'B-', 'B',
+];
+
+function pitchClassOf(p) {
+    return ((Math.round(p.ps) % 12) + 12) % 12;
+}
+
+function pitchListFrom(pitches) {
+    if (pitches.classes !== undefined && pitches.classes.includes('Stream')) {
+        pitches = pitches.flat.notes.getElementsNotOfClass('ChordSymbol');
+    }
+    const pitchList = [];
+    for (const p of pitches) {
+        if (typeof p === 'string') {
+            pitchList.push(new pitch.Pitch(p));
+        } else if (p.classes.includes('Pitch')) {
+            pitchList.push(p);
+        } else if (p.classes.includes('Note')) {
+            pitchList.push(p.pitch);
+        } else if (p.classes.includes('Chord')) {
+            pitchList.push(...p.pitches);
+        }
+    }
+    return pitchList;
+}
+
+/**
+ * Returns every scale (on each of twelve tonics) that contains all the
+ * pitch classes of a melody, in the order of `scaleClasses` and then
+ * by tonic.  Directional scales match if a pitch appears in either
+ * direction.  Symmetrical scales (whole-tone, octatonic, chromatic)
+ * are only listed once per collection.
+ *
+ * @function music21.scale.findScalesContaining
+ * @param {Array<string|music21.pitch.Pitch|music21.note.NotRest>|music21.stream.Stream} pitches
+ * @param {Array<function>} [scaleClasses=music21.scale.scaleCatalog]
+ *     ConcreteScale subclasses taking a tonic as their only argument.
+ * @returns {Array<music21.scale.ConcreteScale>}
+ * @example
+ * const found = music21.scale.findScalesContaining(['C4', 'E-4', 'F#4']);
+ * found[0].name;
+ * // 'D- major'
+ */
+export function findScalesContaining(pitches, scaleClasses = scaleCatalog) {
+    const searchPcs = new Set(pitchListFrom(pitches).map(pitchClassOf));
+    const post = [];
+    for (const ScaleClass of scaleClasses) {
+        const seenCollections = [];
+        for (const tonicName of catalogTonics) {
+            const sc = new ScaleClass(tonicName + '4');
+            const scalePitches = sc.getPitches();
+            if (sc.isDirectional) {
+                scalePitches.push(
+                    ...sc.getPitches(undefined, undefined, DIRECTION_DESCENDING)
+                );
+            }
+            const scalePcs = new Set(scalePitches.map(pitchClassOf));
+            let containsAll = true;
+            for (const pc of searchPcs) {
+                if (!scalePcs.has(pc)) {
+                    containsAll = false;
+                    break;
+                }
+            }
+            if (!containsAll) {
+                continue;
+            }
+            const collection = Array.from(scalePcs)
+                .sort((a, b) => a - b)
+                .join(',');
+            if (seenCollections.includes(collection)) {
+                continue;
+            }
+            seenCollections.push(collection);
+            post.push(sc);
+        }
+    }
+    return post;
+}
+
 export const scale = {
     Scale,
     AbstractScale,
     AbstractDiatonicScale,
     AbstractHarmonicMinorScale,
     AbstractAscendingMelodicMinorScale,
+    AbstractMelodicMinorScale,
+    AbstractCyclicalScale,
+    AbstractWholeToneScale,
+    AbstractOctatonicScale,
+    AbstractPentatonicScale,
+    AbstractBluesScale,
+    AbstractChromaticScale,
+    AbstractDirectionalScale,
+    AbstractRagAsawari,
+    AbstractRagJaunpuri,
     ConcreteScale,
     DiatonicScale,
     MajorScale,
     MinorScale,
     HarmonicMinorScale,
     AscendingMelodicMinorScale,
+    MelodicMinorScale,
+    CyclicalScale,
+    WholeToneScale,
+    OctatonicScale,
+    PentatonicScale,
+    MajorPentatonicScale,
+    MinorPentatonicScale,
+    BluesScale,
+    ChromaticScale,
+    RagAsawari,
+    RagJaunpuri,
+
+    DIRECTION_BI,
+    DIRECTION_DESCENDING,
+    DIRECTION_ASCENDING,
+
+    scaleCatalog,
+    findScalesContaining,
 
     ScaleSimpleMinor,
     ScaleSimpleMajor,
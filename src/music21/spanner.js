@@ -0,0 +1,638 @@
+/**
+ * music21j -- Javascript reimplementation of Core music21p features.
+ * music21/spanner -- Spanner, Slur, DynamicWedge, Ottava, etc.
+ *
+ * Copyright (c) 2013-18, Michael Scott Cuthbert and cuthbertLab
+ * Based on music21 (=music21p), Copyright (c) 2006–18, Michael Scott Cuthbert and cuthbertLab
+ *
+ */
+import * as Vex from 'vexflow';
+
+import { Music21Exception } from './exceptions21.js';
+
+import { base } from './base.js';
+import { prebase } from './prebase.js';
+import { stream } from './stream.js';
+
+/**
+ * Spanner module. See {@link music21.spanner} namespace
+ *
+ * @exports music21/spanner
+ */
+/**
+ * Spanners are objects that connect two or more elements, such as
+ * {@link music21.spanner.Slur} or {@link music21.spanner.Crescendo} objects.
+ *
+ * The spanned elements are stored in the Spanner's `spannerStorage`; the
+ * Spanner itself is placed in a Stream (usually the Part or Score) and can be
+ * found through {@link music21.stream.Stream#spannerBundle}.
+ *
+ * @namespace music21.spanner
+ * @memberof music21
+ * @requires music21/base
+ * @requires music21/prebase
+ * @requires music21/stream
+ */
+export const spanner = {};
+
+export class SpannerException extends Music21Exception {}
+spanner.SpannerException = SpannerException;
+
+/**
+ * Base class for all Spanners.
+ *
+ * @class Spanner
+ * @memberof music21.spanner
+ * @extends music21.base.Music21Object
+ * @param {...music21.base.Music21Object|Array<music21.base.Music21Object>} spannedElements
+ * @property {music21.stream.SpannerStorage} spannerStorage - holds the spanned elements without being their activeSite
+ * @property {string|Int|undefined} idLocal - the id of the spanner in a file, such as the `number` attribute in MusicXML
+ * @property {Boolean} completeStatus - whether all the spanned elements have been added (used while parsing)
+ * @example
+ * var n1 = new music21.note.Note('C');
+ * var n2 = new music21.note.Note('D');
+ * var sl = new music21.spanner.Slur(n1, n2);
+ * sl.getFirst() === n1; // true
+ * sl.isLast(n2); // true
+ */
+export class Spanner extends base.Music21Object {
+    constructor(...spannedElements) {
+        super();
+        this.spannerStorage = new stream.SpannerStorage(this);
+        this.idLocal = undefined;
+        this.completeStatus = false;
+        this.addSpannedElements(...spannedElements);
+
+        // a cloned Spanner points to the same elements as the original;
+        // Stream.clone() replaces them with the cloned elements.
+        this._cloneCallbacks.spannerStorage = function Spanner_cloneCallbacks_spannerStorage(
+            keyName,
+            newObj,
+            self
+        ) {
+            const newStorage = new stream.SpannerStorage(newObj);
+            for (const el of self.spannerStorage.elements) {
+                newStorage.coreAppend(el);
+            }
+            newObj[keyName] = newStorage;
+        };
+    }
+
+    get length() {
+        return this.spannerStorage.length;
+    }
+
+    /**
+     * Return an Array of the spanned elements, in the order they were added.
+     *
+     * @memberof music21.spanner.Spanner
+     * @returns {Array<music21.base.Music21Object>}
+     */
+    getSpannedElements() {
+        return this.spannerStorage.elements.slice();
+    }
+
+    /**
+     * Add one or more elements (or Arrays of elements) to the Spanner.
+     * Elements already in the Spanner are not added again.
+     *
+     * @memberof music21.spanner.Spanner
+     * @param {...music21.base.Music21Object|Array<music21.base.Music21Object>} spannedElements
+     * @returns {this}
+     */
+    addSpannedElements(...spannedElements) {
+        for (const elOrList of spannedElements) {
+            if (elOrList === undefined) {
+                continue;
+            }
+            if (Array.isArray(elOrList)) {
+                this.addSpannedElements(...elOrList);
+                continue;
+            }
+            if (!this.hasSpannedElement(elOrList)) {
+                this.spannerStorage.coreAppend(elOrList);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * @memberof music21.spanner.Spanner
+     * @param {music21.base.Music21Object} el
+     * @returns {Boolean}
+     */
+    hasSpannedElement(el) {
+        return this.spannerStorage.elements.includes(el);
+    }
+
+    /**
+     * Replace one spanned element with another, keeping its position.
+     * Does nothing if `oldEl` is not spanned; if `newEl` is already
+     * spanned, `oldEl` is just removed.
+     *
+     * @memberof music21.spanner.Spanner
+     * @param {music21.base.Music21Object} oldEl
+     * @param {music21.base.Music21Object} newEl
+     * @returns {this}
+     */
+    replaceSpannedElement(oldEl, newEl) {
+        if (this.hasSpannedElement(newEl)) {
+            this.spannerStorage.coreRemove(oldEl);
+        } else {
+            this.spannerStorage.coreReplace(oldEl, newEl);
+        }
+        return this;
+    }
+
+    getFirst() {
+        return this.spannerStorage.elements[0];
+    }
+
+    getLast() {
+        const els = this.spannerStorage.elements;
+        return els[els.length - 1];
+    }
+
+    isFirst(el) {
+        return this.length > 0 && this.getFirst() === el;
+    }
+
+    isLast(el) {
+        return this.length > 0 && this.getLast() === el;
+    }
+
+    /**
+     * Returns a Vexflow object for drawing the spanner from vfFirstNote to vfLastNote
+     * or undefined if this spanner cannot be drawn.
+     *
+     * The object is drawn by {@link music21.vfShow.Renderer#drawSpanners}
+     * after the notes have been formatted.
+     *
+     * @memberof music21.spanner.Spanner
+     * @param {Vex.Flow.StaveNote} vfFirstNote
+     * @param {Vex.Flow.StaveNote} vfLastNote
+     * @returns {Vex.Flow.Element|undefined}
+     */
+    vexflow(vfFirstNote, vfLastNote) {
+        return undefined;
+    }
+}
+spanner.Spanner = Spanner;
+
+/**
+ * A collection of Spanners with methods for finding them by class,
+ * by spanned element, or by `idLocal` while parsing.
+ *
+ * Usually obtained from {@link music21.stream.Stream#spannerBundle}.
+ *
+ * @class SpannerBundle
+ * @memberof music21.spanner
+ * @extends music21.prebase.ProtoM21Object
+ * @param {Array<music21.spanner.Spanner>} [spanners]
+ */
+export class SpannerBundle extends prebase.ProtoM21Object {
+    constructor(spanners = []) {
+        super();
+        this._storage = spanners.slice();
+        this._pendingSpannedElementAssignment = [];
+    }
+
+    * [Symbol.iterator]() {
+        yield* this._storage;
+    }
+
+    get length() {
+        return this._storage.length;
+    }
+
+    get(index) {
+        return this._storage[index];
+    }
+
+    append(sp) {
+        this._storage.push(sp);
+        return this;
+    }
+
+    remove(sp) {
+        const i = this._storage.indexOf(sp);
+        if (i === -1) {
+            throw new SpannerException('Spanner is not in this SpannerBundle');
+        }
+        this._storage.splice(i, 1);
+        return this;
+    }
+
+    /**
+     * Return a new SpannerBundle of the spanners that include `el`.
+     *
+     * @memberof music21.spanner.SpannerBundle
+     * @param {music21.base.Music21Object} el
+     * @returns {music21.spanner.SpannerBundle}
+     */
+    getBySpannedElement(el) {
+        return new SpannerBundle(this._storage.filter(sp => sp.hasSpannedElement(el)));
+    }
+
+    /**
+     * @memberof music21.spanner.SpannerBundle
+     * @param {string|Array<string>} classList
+     * @returns {music21.spanner.SpannerBundle}
+     */
+    getByClass(classList) {
+        return new SpannerBundle(this._storage.filter(sp => sp.isClassOrSubclass(classList)));
+    }
+
+    /**
+     * @memberof music21.spanner.SpannerBundle
+     * @param {Boolean} completeStatus
+     * @returns {music21.spanner.SpannerBundle}
+     */
+    getByCompleteStatus(completeStatus) {
+        return new SpannerBundle(
+            this._storage.filter(sp => sp.completeStatus === completeStatus)
+        );
+    }
+
+    /**
+     * Used while parsing to find the open spanner with a given number.
+     *
+     * @memberof music21.spanner.SpannerBundle
+     * @param {string|Array<string>} classList
+     * @param {string|Int|undefined} idLocal
+     * @param {Boolean} completeStatus
+     * @returns {music21.spanner.SpannerBundle}
+     */
+    getByClassIdLocalComplete(classList, idLocal, completeStatus) {
+        return new SpannerBundle(
+            this._storage.filter(
+                sp => sp.isClassOrSubclass(classList)
+                    && sp.idLocal === idLocal
+                    && sp.completeStatus === completeStatus
+            )
+        );
+    }
+
+    /**
+     * Replace oldEl with newEl in every spanner that spans oldEl.
+     *
+     * @memberof music21.spanner.SpannerBundle
+     * @param {music21.base.Music21Object} oldEl
+     * @param {music21.base.Music21Object} newEl
+     * @returns {Array<music21.spanner.Spanner>} the spanners that changed
+     */
+    replaceSpannedElement(oldEl, newEl) {
+        const replacedSpanners = [];
+        for (const sp of this._storage) {
+            if (sp.hasSpannedElement(oldEl)) {
+                sp.replaceSpannedElement(oldEl, newEl);
+                replacedSpanners.push(sp);
+            }
+        }
+        return replacedSpanners;
+    }
+
+    /**
+     * Mark `sp` as waiting for the next element of class `className`;
+     * see {@link music21.spanner.SpannerBundle#freePendingSpannedElementAssignment}.
+     * Used for spanners (such as wedges in MusicXML) that begin before the
+     * element that they span has been created.
+     *
+     * @memberof music21.spanner.SpannerBundle
+     * @param {music21.spanner.Spanner} sp
+     * @param {string} className
+     */
+    setPendingSpannedElementAssignment(sp, className) {
+        if (!this._storage.includes(sp)) {
+            throw new SpannerException(
+                'Cannot add a pending assignment for a Spanner not in this bundle'
+            );
+        }
+        this._pendingSpannedElementAssignment.push({ spanner: sp, className });
+    }
+
+    /**
+     * Add `el` to every spanner waiting for an element of its class.
+     *
+     * @memberof music21.spanner.SpannerBundle
+     * @param {music21.base.Music21Object} el
+     */
+    freePendingSpannedElementAssignment(el) {
+        const stillPending = [];
+        for (const pending of this._pendingSpannedElementAssignment) {
+            if (el.isClassOrSubclass(pending.className)) {
+                pending.spanner.addSpannedElements(el);
+            } else {
+                stillPending.push(pending);
+            }
+        }
+        this._pendingSpannedElementAssignment = stillPending;
+    }
+}
+spanner.SpannerBundle = SpannerBundle;
+
+/**
+ * A slur between two or more notes.
+ *
+ * @class Slur
+ * @memberof music21.spanner
+ * @extends music21.spanner.Spanner
+ * @property {string|undefined} placement - 'above', 'below', or undefined (automatic)
+ * @property {string} [lineType='solid'] - 'solid', 'dashed', or 'dotted'
+ */
+export class Slur extends Spanner {
+    constructor(...spannedElements) {
+        super(...spannedElements);
+        this.placement = undefined;
+        this.lineType = 'solid';
+    }
+
+    vexflow(vfFirstNote, vfLastNote) {
+        const options = {};
+        if (this.placement === 'above') {
+            options.position = Vex.Flow.Curve.Position.NEAR_TOP;
+            options.position_end = Vex.Flow.Curve.Position.NEAR_TOP;
+            options.invert = true;
+        }
+        return new Vex.Flow.Curve(vfFirstNote, vfLastNote, options);
+    }
+}
+spanner.Slur = Slur;
+
+/**
+ * A line between elements, such as a bracket.  Can be restored from music21p
+ * but is not created by the MusicXML parser.
+ *
+ * @class Line
+ * @memberof music21.spanner
+ * @extends music21.spanner.Spanner
+ * @property {string} [lineType='solid'] - 'solid', 'dashed', 'dotted', or 'wavy'
+ * @property {string} [placement='above']
+ * @property {string} [startTick='down'] - 'up', 'down', 'arrow', or 'none'
+ * @property {string} [endTick='down']
+ */
+export class Line extends Spanner {
+    constructor(...spannedElements) {
+        super(...spannedElements);
+        this.lineType = 'solid';
+        this.placement = 'above';
+        this.startTick = 'down';
+        this.endTick = 'down';
+    }
+
+    vexflow(vfFirstNote, vfLastNote) {
+        const vfLine = new Vex.Flow.StaveLine({
+            first_note: vfFirstNote,
+            last_note: vfLastNote,
+        });
+        if (this.lineType === 'dashed' || this.lineType === 'dotted') {
+            vfLine.render_options.line_dash = this.lineType === 'dashed' ? [5, 5] : [1, 3];
+        }
+        return vfLine;
+    }
+}
+spanner.Line = Line;
+
+/**
+ * A hairpin: the base class of {@link music21.spanner.Crescendo} and
+ * {@link music21.spanner.Diminuendo}.
+ *
+ * @class DynamicWedge
+ * @memberof music21.spanner
+ * @extends music21.spanner.Spanner
+ * @property {string|undefined} type - 'crescendo' or 'diminuendo'
+ * @property {string} [placement='below'] - 'above' or 'below'
+ * @property {number} [spread=15] - the opening of the wedge in tenths of a staff space (as in MusicXML)
+ */
+export class DynamicWedge extends Spanner {
+    constructor(...spannedElements) {
+        super(...spannedElements);
+        this.type = undefined;
+        this.placement = 'below';
+        this.spread = 15;
+    }
+
+    vexflow(vfFirstNote, vfLastNote) {
+        let hairpinType;
+        if (this.type === 'crescendo') {
+            hairpinType = Vex.Flow.StaveHairpin.type.CRESC;
+        } else if (this.type === 'diminuendo') {
+            hairpinType = Vex.Flow.StaveHairpin.type.DECRESC;
+        } else {
+            return undefined;
+        }
+        const vfHairpin = new Vex.Flow.StaveHairpin(
+            { first_note: vfFirstNote, last_note: vfLastNote },
+            hairpinType
+        );
+        if (this.placement === 'above') {
+            vfHairpin.setPosition(Vex.Flow.Modifier.Position.ABOVE);
+        } else {
+            vfHairpin.setPosition(Vex.Flow.Modifier.Position.BELOW);
+        }
+        return vfHairpin;
+    }
+}
+spanner.DynamicWedge = DynamicWedge;
+
+/**
+ * @class Crescendo
+ * @memberof music21.spanner
+ * @extends music21.spanner.DynamicWedge
+ */
+export class Crescendo extends DynamicWedge {
+    constructor(...spannedElements) {
+        super(...spannedElements);
+        this.type = 'crescendo';
+    }
+}
+spanner.Crescendo = Crescendo;
+
+/**
+ * @class Diminuendo
+ * @memberof music21.spanner
+ * @extends music21.spanner.DynamicWedge
+ */
+export class Diminuendo extends DynamicWedge {
+    constructor(...spannedElements) {
+        super(...spannedElements);
+        this.type = 'diminuendo';
+    }
+}
+spanner.Diminuendo = Diminuendo;
+
+spanner.validOttavaTypes = ['8va', '8vb', '15ma', '15mb', '22da', '22db'];
+
+/**
+ * An octave-shift line.  The spanned notes are stored at their sounding pitch
+ * when `transposing` is false and at their written pitch when it is true (default).
+ *
+ * @class Ottava
+ * @memberof music21.spanner
+ * @extends music21.spanner.Spanner
+ * @property {string} [type='8va'] - one of '8va', '8vb', '15ma', '15mb', '22da', '22db'.  Setting the type also sets `placement`.
+ * @property {string} placement - 'above' for the upward shifts, 'below' for the downward ones
+ * @property {Boolean} [transposing=true]
+ * @example
+ * var ott = new music21.spanner.Ottava();
+ * ott.type = '15mb';
+ * ott.shiftMagnitude(); // 15
+ * ott.shiftDirection(); // 'down'
+ * ott.placement; // 'below'
+ */
+export class Ottava extends Spanner {
+    constructor(...spannedElements) {
+        super(...spannedElements);
+        this._type = undefined;
+        this.placement = 'above';
+        this.transposing = true;
+        this.type = '8va';
+    }
+
+    get type() {
+        return this._type;
+    }
+
+    set type(newType) {
+        if (!spanner.validOttavaTypes.includes(newType)) {
+            throw new SpannerException('Cannot make an Ottava of type ' + newType);
+        }
+        this._type = newType;
+        this.placement = this.shiftDirection() === 'up' ? 'above' : 'below';
+    }
+
+    /**
+     * @memberof music21.spanner.Ottava
+     * @returns {Int} 8, 15, or 22
+     */
+    shiftMagnitude() {
+        return parseInt(this.type);
+    }
+
+    /**
+     * @memberof music21.spanner.Ottava
+     * @param {Boolean} [reverse=false] - return the direction needed to go from sounding to written
+     * @returns {string} 'up' or 'down'
+     */
+    shiftDirection(reverse = false) {
+        let direction = this.type.endsWith('a') ? 'up' : 'down';
+        if (reverse) {
+            direction = direction === 'up' ? 'down' : 'up';
+        }
+        return direction;
+    }
+
+    vexflow(vfFirstNote, vfLastNote) {
+        const magnitude = this.shiftMagnitude().toString();
+        const superscript = this.type.slice(magnitude.length);
+        return new Vex.Flow.TextBracket({
+            start: vfFirstNote,
+            stop: vfLastNote,
+            text: magnitude,
+            superscript,
+            position: this.placement === 'above'
+                ? Vex.Flow.TextBracket.Positions.TOP
+                : Vex.Flow.TextBracket.Positions.BOTTOM,
+        });
+    }
+}
+spanner.Ottava = Ottava;
+
+/**
+ * A glissando or slide between two notes.
+ *
+ * @class Glissando
+ * @memberof music21.spanner
+ * @extends music21.spanner.Spanner
+ * @property {string} [lineType='wavy'] - 'solid', 'dashed', 'dotted', or 'wavy'
+ * @property {string|undefined} label - text to display along the line, such as 'gliss.'
+ * @property {string} [slideType='chromatic'] - 'chromatic', 'continuous', 'white', 'black'
+ */
+export class Glissando extends Spanner {
+    constructor(...spannedElements) {
+        super(...spannedElements);
+        this.lineType = 'wavy';
+        this.label = undefined;
+        this.slideType = 'chromatic';
+    }
+
+    vexflow(vfFirstNote, vfLastNote) {
+        const vfLine = new Vex.Flow.StaveLine({
+            first_note: vfFirstNote,
+            last_note: vfLastNote,
+        });
+        if (this.label !== undefined) {
+            vfLine.setText(this.label);
+        }
+        if (this.lineType === 'dashed' || this.lineType === 'dotted') {
+            vfLine.render_options.line_dash = this.lineType === 'dashed' ? [5, 5] : [1, 3];
+        }
+        return vfLine;
+    }
+}
+spanner.Glissando = Glissando;
+
+/**
+ * A volta (first/second ending) bracket over one or more Measures.
+ *
+ * @class RepeatBracket
+ * @memberof music21.spanner
+ * @extends music21.spanner.Spanner
+ * @property {string|undefined} number - the ending number(s), such as '1', '1, 2', or '1-3'.
+ *     Can be set with an Int also.
+ * @example
+ * var m1 = new music21.stream.Measure();
+ * var rb = new music21.spanner.RepeatBracket(m1);
+ * rb.number = '1, 2';
+ * rb.getNumberList(); // [1, 2]
+ */
+export class RepeatBracket extends Spanner {
+    constructor(...spannedElements) {
+        super(...spannedElements);
+        this._number = undefined;
+        this._numberRange = [];
+    }
+
+    get number() {
+        return this._number;
+    }
+
+    set number(value) {
+        if (value === undefined || value === '') {
+            this._number = undefined;
+            this._numberRange = [];
+            return;
+        }
+        value = value.toString().trim();
+        const numberRange = [];
+        for (const part of value.split(/[,\s]+/)) {
+            if (part === '') {
+                continue;
+            }
+            const rangeParts = part.split('-');
+            if (rangeParts.length === 2) {
+                const start = parseInt(rangeParts[0]);
+                const end = parseInt(rangeParts[1]);
+                for (let i = start; i <= end; i++) {
+                    numberRange.push(i);
+                }
+            } else {
+                numberRange.push(parseInt(part));
+            }
+        }
+        if (numberRange.some(n => Number.isNaN(n))) {
+            throw new SpannerException('cannot set RepeatBracket number to: ' + value);
+        }
+        this._number = value;
+        this._numberRange = numberRange;
+    }
+
+    /**
+     * @memberof music21.spanner.RepeatBracket
+     * @returns {Array<Int>} the passes through the repeat that this ending is played on.
+     */
+    getNumberList() {
+        return this._numberRange.slice();
+    }
+}
+spanner.RepeatBracket = RepeatBracket;
@@ -13,16 +13,27 @@ import * as MIDI from 'MIDI';
 
 import { Music21Exception } from './exceptions21.js';
 
+import { analysis } from './analysis.js';
+import { bar } from './bar.js';
 import { base } from './base.js';
 import { beam } from './beam.js';
+import { chord } from './chord.js';
 import { clef } from './clef.js';
 import { common } from './common.js';
 import { debug } from './debug.js';
 import { duration } from './duration.js';
+import { freezeThaw } from './freezeThaw.js';
 import { instrument } from './instrument.js';
+import { interval } from './interval.js';
+import { key } from './key.js';
 import { meter } from './meter.js';
+import { note } from './note.js';
 import { pitch } from './pitch.js';
+import { playback } from './playback.js';
 import { renderOptions } from './renderOptions.js';
+import { spanner } from './spanner.js';
+import { tie } from './tie.js';
+import { tuning } from './tuning.js';
 import { vfShow } from './vfShow.js';
 
 /**
@@ -39,6 +50,7 @@ import { vfShow } from './vfShow.js';
  *
  * @namespace music21.stream
  * @memberof music21
+ * @requires music21/bar
  * @requires music21/base
  * @requires music21/renderOptions
  * @requires music21/clef
@@ -47,6 +59,8 @@ import { vfShow } from './vfShow.js';
  * @requires music21/common
  * @requires music21/meter
  * @requires music21/pitch
+ * @requires music21/spanner
+ * @requires music21/tuning
  * @requires jquery
  */
 export const stream = {};
@@ -81,6 +95,7 @@ stream.StreamException = StreamException;
  * @property {music21.stream.Stream} measures - (readonly) a filter on the Stream to just get the measures (NON-recursive)
  * @property {number} tempo - tempo in beats per minute (will become more sophisticated later, but for now the whole stream has one tempo
  * @property {music21.instrument.Instrument|undefined} instrument - an instrument object associated with the stream (can be set with a string also, but will return an `Instrument` object)
+ * @property {boolean|string} [atSoundingPitch='unknown'] - for a Part of a transposing instrument, false if the notes are at written pitch, true if they are at sounding pitch.  See {@link music21.stream.Stream#toSoundingPitch}
  * @property {Boolean} autoBeam - whether the notes should be beamed automatically or not (will be moved to `renderOptions` soon)
  * @property {Int} [staffLines=5] - number of staff lines
  * @property {function|undefined} changedCallbackFunction - function to call when the Stream changes through a standard interface
@@ -105,16 +120,19 @@ export class Stream extends base.Music21Object {
         this._keySignature = undefined; // a music21.key.KeySignature object
         this._timeSignature = undefined; // a music21.meter.TimeSignature object
         this._instrument = undefined;
+        this.atSoundingPitch = 'unknown';
 
         this._autoBeam = undefined;
         this.activeVFStave = undefined;
         this.activeVFRenderer = undefined;
         this.renderOptions = new renderOptions.RenderOptions();
         this._tempo = undefined;
+        this._tuning = undefined;
 
         this.staffLines = 5;
 
-        this._stopPlaying = false;
+        this.playbackScheduler = undefined; // a music21.playback.Scheduler
+        this._cloneCallbacks.playbackScheduler = false;
         this._allowMultipleSimultaneousPlays = true; // not implemented yet.
         this.changedCallbackFunction = undefined; // for editable svges
         /**
@@ -229,6 +247,28 @@ export class Stream extends base.Music21Object {
     set tempo(newTempo) {
         this._tempo = newTempo;
     }
+    /**
+     * The {@link music21.tuning.TuningSystem} used to play this Stream and
+     * give the `frequency` of the Notes in it ({@link music21.note.Note#frequency};
+     * `Pitch.frequency` does not know its Stream and uses
+     * {@link music21.pitch.defaultTuning}).  If not set, the tuning of the
+     * activeSite, or else {@link music21.tuning.getDefaultTuning}.
+     *
+     * @memberof music21.stream.Stream#
+     * @type {music21.tuning.TuningSystem}
+     */
+    get tuning() {
+        if (this._tuning === undefined && this.activeSite !== undefined) {
+            return this.activeSite.tuning;
+        } else if (this._tuning === undefined) {
+            return tuning.getDefaultTuning();
+        } else {
+            return this._tuning;
+        }
+    }
+    set tuning(newTuning) {
+        this._tuning = newTuning;
+    }
     get instrument() {
         if (this._instrument === undefined && this.activeSite !== undefined) {
             return this.activeSite.instrument;
@@ -317,6 +357,54 @@ export class Stream extends base.Music21Object {
     get voices() {
         return this.getElementsByClass('Voice');
     }
+    /**
+     * A {@link music21.spanner.SpannerBundle} of all the Spanners in this
+     * Stream or any Stream within it.
+     *
+     * @memberof music21.stream.Stream
+     * @type {music21.spanner.SpannerBundle}
+     */
+    get spannerBundle() {
+        const found = [];
+        const collectSpanners = s => {
+            for (const el of s._elements) {
+                if (el.isStream) {
+                    collectSpanners(el);
+                } else if (el.isClassOrSubclass('Spanner')) {
+                    found.push(el);
+                }
+            }
+        };
+        collectSpanners(this);
+        return new spanner.SpannerBundle(found);
+    }
+    /**
+     * The {@link music21.metadata.Metadata} object at the start of this
+     * Stream, if any.  Setting it replaces any existing Metadata.
+     *
+     * @memberof music21.stream.Stream
+     * @type {music21.metadata.Metadata|undefined}
+     */
+    get metadata() {
+        return this.getElementsByClass('Metadata').get(0);
+    }
+    set metadata(md) {
+        const oldMd = this.metadata;
+        if (oldMd !== undefined) {
+            const i = this._elements.indexOf(oldMd);
+            this._elements.splice(i, 1);
+            this._elementOffsets.splice(i, 1);
+            oldMd.sites.remove(this);
+        }
+        if (md !== undefined) {
+            // before anything else at offset 0, as in music21p's classSortOrder.
+            this._elements.unshift(md);
+            this._elementOffsets.unshift(0.0);
+            md.offset = 0.0;
+            md.sites.add(this);
+            md.activeSite = this;
+        }
+    }
 
     get length() {
         return this._elements.length;
@@ -420,9 +508,63 @@ export class Stream extends base.Music21Object {
                 ret[key] = this[key];
             }
         }
+        if (deep) {
+            ret._replaceSpannedElementsWithClones(this);
+        }
         return ret;
     }
 
+    /**
+     * After a deep clone, Spanners in the clone still point to the elements
+     * of the original; point them to the cloned elements instead.
+     *
+     * @memberof music21.stream.Stream
+     * @param {music21.stream.Stream} original - the Stream that this was cloned from
+     */
+    _replaceSpannedElementsWithClones(original) {
+        const spanners = this.spannerBundle;
+        if (spanners.length === 0) {
+            return;
+        }
+        const clonesByElement = new Map();
+        const mapClones = (origStream, cloneStream) => {
+            for (let i = 0; i < origStream._elements.length; i++) {
+                const origEl = origStream._elements[i];
+                const cloneEl = cloneStream._elements[i];
+                clonesByElement.set(origEl, cloneEl);
+                if (origEl.isStream) {
+                    mapClones(origEl, cloneEl);
+                }
+            }
+        };
+        mapClones(original, this);
+        for (const sp of spanners) {
+            for (const el of sp.getSpannedElements()) {
+                if (clonesByElement.has(el)) {
+                    sp.replaceSpannedElement(el, clonesByElement.get(el));
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns a plain object representing the Stream and everything in it
+     * (see {@link music21.freezeThaw}), so that `JSON.stringify(s)` saves
+     * the Stream.  Restore it with `music21.fromJSON`.
+     *
+     * @memberof music21.stream.Stream
+     * @returns {object}
+     * @example
+     * var s = new music21.stream.Measure();
+     * s.append(new music21.note.Note('D5', 2));
+     * var s2 = music21.fromJSON(JSON.stringify(s));
+     * s2.get(0).nameWithOctave; // 'D5'
+     * s2.get(0).activeSite === s2; // true
+     */
+    toJSON() {
+        return freezeThaw.toJSON(this);
+    }
+
     /**
      * Add an element to the end of the stream, setting its `.offset` accordingly
      *
@@ -475,6 +617,10 @@ export class Stream extends base.Music21Object {
     /**
      * Add an element to the specified place in the stream, setting its `.offset` accordingly
      *
+     * Among elements at the same offset, it goes after those with a lower
+     * `priority`, or the same priority and a lower or equal `classSortOrder`
+     * (so a MetronomeMark inserted at the offset of a Note goes before it).
+     *
      * @memberof music21.stream.Stream
      * @param {number} offset - offset to place.
      * @param {music21.base.Music21Object} el - element to append
@@ -491,12 +637,21 @@ export class Stream extends base.Music21Object {
             }
             for (let i = 0; i < this._elements.length; i++) {
                 const testOffset = this._elementOffsets[i];
-                if (testOffset <= offset) {
+                const testEl = this._elements[i];
+                if (testOffset < offset) {
+                    continue;
+                } else if (
+                    testOffset === offset
+                    && (testEl.priority < el.priority
+                        || (testEl.priority === el.priority
+                            && !(el.classSortOrder < testEl.classSortOrder)))
+                ) {
                     continue;
                 } else {
                     this._elementOffsets.splice(i, 0, offset);
                     this._elements.splice(i, 0, el);
                     el.offset = offset;
+                    el.sites.add(this);
                     el.activeSite = this;
                     return this;
                 }
@@ -764,6 +919,15 @@ export class Stream extends base.Music21Object {
             insertStream.insert(oNew, e);
         }
         // set barlines, etc.
+        const lastIndex = post.length - 1;
+        if (params.innerBarline !== undefined) {
+            for (let i = 0; i < lastIndex; i++) {
+                post.get(i).rightBarline = params.innerBarline;
+            }
+        }
+        if (params.finalBarline !== undefined && lastIndex >= 0) {
+            post.get(lastIndex).rightBarline = params.finalBarline;
+        }
         if (params.inPlace !== true) {
             return post;
         } else {
@@ -777,6 +941,656 @@ export class Stream extends base.Music21Object {
         }
     }
 
+    /**
+     * Returns a new Stream of the same class with the Measures inside
+     * {@link music21.bar.Repeat} barlines written out as many times as they
+     * are played.  Measures under a {@link music21.spanner.RepeatBracket}
+     * (volta ending) are only kept on the passes listed in its number.
+     *
+     * The Measures in the new Stream are deep copies whose repeat barlines have
+     * been removed.  Other elements of the Stream (such as Spanners) are not copied.
+     *
+     * @memberof music21.stream.Stream
+     * @returns {music21.stream.Stream}
+     * @example
+     * var p = music21.tinyNotation.TinyNotation('2/4 c2 d2 e2');
+     * p.get(0).leftBarline = new music21.bar.Repeat('start');
+     * p.get(1).rightBarline = new music21.bar.Repeat('end');
+     * var ex = p.expandRepeats();
+     * ex.length; // 5
+     */
+    expandRepeats() {
+        const measures = this.getElementsByClass('Measure');
+        if (measures.length === 0) {
+            throw new StreamException(
+                'cannot expand repeats on a Stream without Measures'
+            );
+        }
+        const post = new this.constructor();
+        post._clef = this._clef;
+        post._keySignature = this._keySignature;
+        post._timeSignature = this._timeSignature;
+        post._instrument = this._instrument;
+        post.atSoundingPitch = this.atSoundingPitch;
+
+        const isRepeat = (bl, direction) => bl !== undefined
+            && bl.isClassOrSubclass('Repeat')
+            && bl.direction === direction;
+        let offset = 0.0;
+        for (const i of this._expandedMeasureIndices()) {
+            const mNew = measures.get(i).clone(true);
+            if (isRepeat(mNew.leftBarline, 'start')) {
+                mNew.leftBarline = undefined;
+            }
+            if (isRepeat(mNew.rightBarline, 'end')) {
+                mNew.rightBarline = undefined;
+            }
+            post.insert(offset, mNew);
+            offset += mNew.duration.quarterLength;
+        }
+        return post;
+    }
+
+    /**
+     * Returns the indices (in `.getElementsByClass('Measure')`) of the Measures
+     * in the order that {@link music21.stream.Stream#expandRepeats} plays them.
+     *
+     * @memberof music21.stream.Stream
+     * @returns {Array<Int>}
+     */
+    _expandedMeasureIndices() {
+        const measures = this.getElementsByClass('Measure');
+        const isRepeat = (bl, direction) => bl !== undefined
+            && bl.isClassOrSubclass('Repeat')
+            && bl.direction === direction;
+        const order = [];
+        const jumpsByMeasureIndex = new Map();
+        let repeatStart = 0;
+        let pass = 1;
+        let jumped = false;
+        let afterSection = false; // just finished a repeat or a set of endings
+        let i = 0;
+        while (i < measures.length) {
+            const m = measures.get(i);
+            const brackets = m.getSpannerSites('RepeatBracket');
+            if (!jumped) {
+                if (isRepeat(m.leftBarline, 'start')) {
+                    repeatStart = i;
+                    pass = 1;
+                    afterSection = false;
+                } else if (afterSection && brackets.length === 0) {
+                    // an end repeat without a start repeat goes back to here.
+                    repeatStart = i;
+                    pass = 1;
+                    afterSection = false;
+                }
+            }
+            jumped = false;
+
+            if (brackets.length > 0) {
+                afterSection = true;
+                let playedOnThisPass = false;
+                for (const rb of brackets) {
+                    if (rb.getNumberList().includes(pass)) {
+                        playedOnThisPass = true;
+                    }
+                }
+                if (!playedOnThisPass) {
+                    i += 1;
+                    continue;
+                }
+            }
+
+            order.push(i);
+
+            if (isRepeat(m.rightBarline, 'end')) {
+                let times = m.rightBarline.times;
+                if (times === undefined) {
+                    times = 2;
+                    for (const rb of brackets) {
+                        times = Math.max(times, ...rb.getNumberList().map(n => n + 1));
+                    }
+                }
+                const jumpsSoFar = jumpsByMeasureIndex.get(i) || 0;
+                if (jumpsSoFar < times - 1) {
+                    jumpsByMeasureIndex.set(i, jumpsSoFar + 1);
+                    pass += 1;
+                    jumped = true;
+                    afterSection = false;
+                    i = repeatStart;
+                    continue;
+                }
+                afterSection = true;
+            }
+            i += 1;
+        }
+        return order;
+    }
+
+    /**
+     * Transpose every Note, Chord (including Harmony objects such as
+     * RomanNumerals), and KeySignature in this Stream and its substreams.
+     *
+     * `value` may also be a {@link music21.key.Key} to transpose to: the Stream
+     * is moved by the nearest interval from the tonic of its first Key (or
+     * KeySignature, read in the target's mode; C if there is none) to the
+     * tonic of the target.
+     *
+     * Unless `simplifyEnharmonics` is false, an interval that would put the
+     * first key in more than six sharps or flats (B# major, say) is respelled
+     * to give the simpler enharmonic key (C major), and pitches with double
+     * sharps or flats are respelled.
+     *
+     * @memberof music21.stream.Stream
+     * @param {music21.interval.Interval|string|Int|music21.key.Key} value - an
+     *     Interval, an interval name such as 'M3' or '-P5', a number of
+     *     semitones, or a Key to transpose to
+     * @param {object} [options]
+     * @param {boolean} [options.inPlace=false]
+     * @param {boolean} [options.simplifyEnharmonics=true]
+     * @returns {music21.stream.Stream} the transposed Stream (this if inPlace)
+     * @example
+     * var s = music21.tinyNotation.TinyNotation('4/4 c4 e g b');
+     * s.keySignature = new music21.key.Key('C');
+     * var s2 = s.transpose('M2');
+     * s2.notes.get(1).name; // 'F#'
+     * s2.keySignature.sharps; // 2
+     * var s3 = s.transpose(new music21.key.Key('A-'));
+     * s3.notes.get(0).nameWithOctave; // 'A-3'
+     * s.transpose('A1').keySignature.tonic.name; // 'D-', not 'C#'
+     */
+    transpose(value, options) {
+        const params = { inPlace: false, simplifyEnharmonics: true };
+        common.merge(params, options);
+        const sourceKey = this._firstKeySignature();
+        let intv;
+        if (typeof value === 'object' && value.isClassOrSubclass('Key')) {
+            intv = this._intervalToKey(sourceKey, value);
+        } else {
+            intv = value;
+            if (typeof value !== 'object') {
+                intv = new interval.Interval(value);
+            }
+            if (params.simplifyEnharmonics && sourceKey !== undefined) {
+                intv = this._simplifyKeyInterval(sourceKey, intv);
+            }
+        }
+        const post = params.inPlace ? this : this.clone(true);
+        post._transposeRecursive(intv, params.simplifyEnharmonics, new Set());
+        return post;
+    }
+
+    /**
+     * The first KeySignature (or Key) in this Stream, looking at the
+     * `.keySignature` of each substream and at elements, depth first.
+     *
+     * @memberof music21.stream.Stream
+     * @returns {music21.key.KeySignature|undefined}
+     */
+    _firstKeySignature() {
+        if (this._keySignature !== undefined) {
+            return this._keySignature;
+        }
+        for (const el of this._elements) {
+            if (el.isStream) {
+                const found = el._firstKeySignature();
+                if (found !== undefined) {
+                    return found;
+                }
+            } else if (el.isClassOrSubclass('KeySignature')) {
+                return el;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * The nearest interval (at most a tritone up or down) from the tonic of
+     * sourceKey to the tonic of targetKey.
+     *
+     * @memberof music21.stream.Stream
+     * @param {music21.key.KeySignature|undefined} sourceKey
+     * @param {music21.key.Key} targetKey
+     * @returns {music21.interval.Interval}
+     */
+    _intervalToKey(sourceKey, targetKey) {
+        let sourceName = 'C';
+        if (sourceKey !== undefined && sourceKey.tonic !== undefined) {
+            sourceName = sourceKey.tonic.name;
+        } else if (sourceKey !== undefined && targetKey.mode === 'minor') {
+            sourceName = sourceKey.minorName();
+        } else if (sourceKey !== undefined) {
+            sourceName = sourceKey.majorName();
+        }
+        const start = new pitch.Pitch(sourceName);
+        const end = new pitch.Pitch(targetKey.tonic.name);
+        start.octave = 4;
+        end.octave = 4;
+        let intv = new interval.Interval(start, end);
+        if (intv.semitones > 6) {
+            end.octave = 3;
+            intv = new interval.Interval(start, end);
+        } else if (intv.semitones < -6) {
+            end.octave = 5;
+            intv = new interval.Interval(start, end);
+        }
+        return intv;
+    }
+
+    /**
+     * If transposing sourceKey by intv gives more than six sharps or flats,
+     * returns the enharmonically equivalent interval giving the simpler key;
+     * otherwise returns intv.
+     *
+     * @memberof music21.stream.Stream
+     * @param {music21.key.KeySignature} sourceKey
+     * @param {music21.interval.Interval} intv
+     * @returns {music21.interval.Interval}
+     */
+    _simplifyKeyInterval(sourceKey, intv) {
+        let mode = 'major';
+        let sourceTonic;
+        if (sourceKey.tonic !== undefined) {
+            mode = sourceKey.mode;
+            sourceTonic = new pitch.Pitch(sourceKey.tonic.name);
+        } else {
+            sourceTonic = new pitch.Pitch(sourceKey.majorName());
+        }
+        sourceTonic.octave = 4;
+        const newTonic = intv.transposePitch(sourceTonic);
+        const newSharps = key.pitchToSharps(newTonic, mode);
+        if (newSharps > 6) {
+            return new interval.Interval(sourceTonic, newTonic.getHigherEnharmonic());
+        } else if (newSharps < -6) {
+            return new interval.Interval(sourceTonic, newTonic.getLowerEnharmonic());
+        }
+        return intv;
+    }
+
+    /**
+     * Transposes everything in this Stream and its substreams in place.
+     *
+     * @memberof music21.stream.Stream
+     * @param {music21.interval.Interval} intv
+     * @param {boolean} simplifyEnharmonics - respell double sharps and flats
+     * @param {Set} done - objects already transposed, since a KeySignature
+     *     can be shared among several Measures
+     */
+    _transposeRecursive(intv, simplifyEnharmonics, done) {
+        const transposeOnce = obj => {
+            if (obj === undefined || done.has(obj)) {
+                return;
+            }
+            done.add(obj);
+            obj.transpose(intv, true);
+            // the pitches of a Harmony object are spelled from its key.
+            if (
+                !simplifyEnharmonics
+                || obj.isClassOrSubclass(['KeySignature', 'Harmony'])
+            ) {
+                return;
+            }
+            const pitches = obj.pitches !== undefined ? obj.pitches : [obj.pitch];
+            for (const p of pitches) {
+                if (p.accidental !== undefined && Math.abs(p.accidental.alter) >= 2) {
+                    p.simplifyEnharmonic(true);
+                }
+            }
+        };
+        transposeOnce(this._keySignature);
+        for (const el of this._elements) {
+            if (el.isStream) {
+                el._transposeRecursive(intv, simplifyEnharmonics, done);
+            } else if (el.transpose !== undefined) {
+                transposeOnce(el);
+            }
+        }
+    }
+
+    /**
+     * If this Stream is at written pitch (`atSoundingPitch` is false), transposes
+     * it by the `transposition` of its instrument so that it is at sounding
+     * pitch.  For a Score, each Part is converted.
+     *
+     * @memberof music21.stream.Stream
+     * @param {object} [options]
+     * @param {boolean} [options.inPlace=false]
+     * @returns {music21.stream.Stream} the Stream at sounding pitch (this if inPlace)
+     * @example
+     * var p = new music21.stream.Part();
+     * p.append(new music21.note.Note('D4'));
+     * p.instrument = 'Clarinet';
+     * p.instrument.transposition = new music21.interval.Interval('-M2');
+     * p.atSoundingPitch = false;
+     * var sounding = p.toSoundingPitch();
+     * sounding.get(0).nameWithOctave; // 'C4'
+     * sounding.atSoundingPitch; // true
+     */
+    toSoundingPitch(options) {
+        const params = { inPlace: false };
+        common.merge(params, options);
+        const post = params.inPlace ? this : this.clone(true);
+        if (post.parts.length > 0) {
+            for (const p of post.parts) {
+                p.toSoundingPitch({ inPlace: true });
+            }
+        } else if (post.atSoundingPitch === false) {
+            post._transposeByInstrument(false);
+            post.atSoundingPitch = true;
+        }
+        return post;
+    }
+
+    /**
+     * If this Stream is at sounding pitch (`atSoundingPitch` is true), transposes
+     * it by the reverse of the `transposition` of its instrument so that it is
+     * at written pitch.  For a Score, each Part is converted.
+     *
+     * @memberof music21.stream.Stream
+     * @param {object} [options]
+     * @param {boolean} [options.inPlace=false]
+     * @returns {music21.stream.Stream} the Stream at written pitch (this if inPlace)
+     */
+    toWrittenPitch(options) {
+        const params = { inPlace: false };
+        common.merge(params, options);
+        const post = params.inPlace ? this : this.clone(true);
+        if (post.parts.length > 0) {
+            for (const p of post.parts) {
+                p.toWrittenPitch({ inPlace: true });
+            }
+        } else if (post.atSoundingPitch === true) {
+            post._transposeByInstrument(true);
+            post.atSoundingPitch = false;
+        }
+        return post;
+    }
+
+    /**
+     * Transposes this Stream in place by the transposition of its instrument,
+     * or by its reverse.
+     *
+     * @memberof music21.stream.Stream
+     * @param {boolean} reverse - true to go from sounding to written pitch
+     */
+    _transposeByInstrument(reverse) {
+        const inst = this.instrument;
+        if (inst === undefined || inst.transposition === undefined) {
+            return;
+        }
+        let intv = inst.transposition;
+        if (reverse) {
+            intv = intv.reverse();
+        }
+        this.transpose(intv, { inPlace: true, simplifyEnharmonics: false });
+    }
+
+    /**
+     * Reduces the Stream to a single Part of {@link music21.chord.Chord} objects
+     * holding every pitch sounding at each moment.  A new Chord (or a
+     * {@link music21.note.Rest} where nothing sounds) begins wherever a note
+     * begins or ends in any Part, Voice, or other substream, and at every
+     * barline.
+     *
+     * Chords keep the offsets of the original notes.  Notes tied together
+     * in the original are treated as one note, and each note that sounds
+     * across more than one Chord is tied from one Chord to the next (the
+     * Ties are on the notes inside the Chord; the Chord's own `.tie` is set
+     * when all of its notes are tied the same way).
+     *
+     * If the Stream (or its first Part) has Measures, the new Part has
+     * Measures with the same offsets, numbers, clefs, key and time
+     * signatures, and barlines.
+     *
+     * @memberof music21.stream.Stream
+     * @returns {music21.stream.Part}
+     * @example
+     * var sop = music21.tinyNotation.TinyNotation('4/4 e2 d4 c4 d1');
+     * var bass = music21.tinyNotation.TinyNotation('4/4 C2 G2 G1');
+     * var s = new music21.stream.Score();
+     * s.insert(0, sop);
+     * s.insert(0, bass);
+     * var chords = s.chordify();
+     * chords.getElementsByClass('Measure').length; // 2
+     * var c = chords.flat.notes.get(1);
+     * c.pitches.map(p => p.nameWithOctave); // ['G3', 'D4']
+     * c.offset; // 2
+     * c._notes[0].tie.type; // 'start'
+     */
+    chordify() {
+        let sources = this.parts.elements;
+        if (sources.length === 0) {
+            sources = [this];
+        }
+        const measureTemplate = sources[0].getElementsByClass('Measure');
+
+        const events = [];
+        for (let i = 0; i < sources.length; i++) {
+            const lines = {};
+            Stream._chordifyLines(sources[i], 0.0, String(i), lines);
+            for (const line of Object.values(lines)) {
+                events.push(...Stream._chordifyTiedEvents(line));
+            }
+        }
+
+        const slicePoints = new Set([0.0]);
+        for (const e of events) {
+            slicePoints.add(e.offset);
+            slicePoints.add(e.endTime);
+        }
+        const measureSpans = [];
+        for (let i = 0; i < measureTemplate.length; i++) {
+            const m = measureTemplate.get(i);
+            const mStart = m.offset;
+            let mEnd;
+            if (i < measureTemplate.length - 1) {
+                mEnd = measureTemplate.get(i + 1).offset;
+            } else if (m.timeSignature !== undefined) {
+                mEnd = mStart + Math.max(
+                    m.timeSignature.barDuration.quarterLength,
+                    m.highestTime
+                );
+            } else {
+                mEnd = mStart + m.highestTime;
+            }
+            if (mEnd <= mStart) {
+                continue;
+            }
+            measureSpans.push([m, mStart, mEnd]);
+            slicePoints.add(mStart);
+            slicePoints.add(mEnd);
+        }
+        const offsets = Array.from(slicePoints).sort((a, b) => a - b);
+
+        const post = new Part();
+        const newMeasures = [];
+        for (const [m, mStart] of measureSpans) {
+            const newMeasure = new Measure();
+            newMeasure.number = m.number;
+            for (const attr of ['_clef', '_keySignature', '_timeSignature']) {
+                if (m[attr] !== undefined) {
+                    newMeasure[attr] = m[attr].clone();
+                }
+            }
+            if (m.leftBarline !== undefined) {
+                newMeasure.leftBarline = m.leftBarline.clone();
+            }
+            if (m.rightBarline !== undefined) {
+                newMeasure.rightBarline = m.rightBarline.clone();
+            }
+            post.insert(mStart, newMeasure);
+            newMeasures.push(newMeasure);
+        }
+
+        for (let i = 0; i < offsets.length - 1; i++) {
+            const offset = offsets[i];
+            const endTime = offsets[i + 1];
+            const sliceEl = Stream._chordifySlice(events, offset, endTime);
+            let insertStream = post;
+            let insertOffset = offset;
+            for (let j = 0; j < measureSpans.length; j++) {
+                const [, mStart, mEnd] = measureSpans[j];
+                if (offset >= mStart && offset < mEnd) {
+                    insertStream = newMeasures[j];
+                    insertOffset = offset - mStart;
+                    break;
+                }
+            }
+            insertStream.insert(insertOffset, sliceEl);
+        }
+        return post;
+    }
+
+    /**
+     * Gathers the notes of a Stream for chordify into `lines`, an object
+     * mapping an id for each Part and Voice to an Array of
+     * `[offset, note]` pairs.  Notes in Chords are listed separately.
+     *
+     * @memberof music21.stream.Stream
+     * @param {music21.stream.Stream} s
+     * @param {number} offsetShift - the offset of `s` in the Stream being chordified
+     * @param {string} lineId
+     * @param {object} lines
+     * @private
+     */
+    static _chordifyLines(s, offsetShift, lineId, lines) {
+        if (lines[lineId] === undefined) {
+            lines[lineId] = [];
+        }
+        let voiceIndex = 0;
+        for (const el of s) {
+            const offset = offsetShift + el.offset;
+            if (el.isClassOrSubclass('Voice')) {
+                Stream._chordifyLines(el, offset, lineId + '-' + voiceIndex, lines);
+                voiceIndex += 1;
+            } else if (el.isStream) {
+                Stream._chordifyLines(el, offset, lineId, lines);
+            } else if (el.isClassOrSubclass('ChordSymbol') && !el.writeAsChord) {
+                // chord symbols shown only as text do not sound.
+                continue;
+            } else if (el.isChord) {
+                for (const n of el._notes) {
+                    const chordNote = n.clone(true);
+                    chordNote.duration.quarterLength = el.duration.quarterLength;
+                    if (chordNote.tie === undefined && el.tie !== undefined) {
+                        chordNote.tie = el.tie;
+                    }
+                    lines[lineId].push([offset, chordNote]);
+                }
+            } else if (el.isClassOrSubclass('Note')) {
+                lines[lineId].push([offset, el]);
+            }
+        }
+    }
+
+    /**
+     * Joins tied notes in one line from {@link music21.stream.Stream._chordifyLines}
+     * into single events.
+     *
+     * @memberof music21.stream.Stream
+     * @param {Array<Array>} line - `[offset, note]` pairs
+     * @returns {Array<music21.stream.OffsetMap>} one OffsetMap per sounding pitch
+     * @private
+     */
+    static _chordifyTiedEvents(line) {
+        line.sort((a, b) => a[0] - b[0]);
+        const events = [];
+        const openTies = {};
+        for (const [offset, n] of line) {
+            const endTime = offset + n.duration.quarterLength;
+            const tieType = n.tie === undefined ? undefined : n.tie.type;
+            const ps = n.pitch.ps;
+            const openEvent = openTies[ps];
+            if (
+                openEvent !== undefined
+                && (tieType === 'stop' || tieType === 'continue')
+                && Math.abs(openEvent.endTime - offset) < 0.0001
+            ) {
+                openEvent.endTime = endTime;
+                if (tieType === 'stop') {
+                    openTies[ps] = undefined;
+                }
+                continue;
+            }
+            const event = new stream.OffsetMap(n, offset, endTime, undefined);
+            events.push(event);
+            if (tieType === 'start' || tieType === 'continue') {
+                openTies[ps] = event;
+            } else {
+                openTies[ps] = undefined;
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Makes the Chord (or Rest) sounding from offset to endTime for chordify.
+     *
+     * @memberof music21.stream.Stream
+     * @param {Array<music21.stream.OffsetMap>} events
+     * @param {number} offset
+     * @param {number} endTime
+     * @returns {music21.chord.Chord|music21.note.Rest}
+     * @private
+     */
+    static _chordifySlice(events, offset, endTime) {
+        const sliceNotes = [];
+        for (const e of events) {
+            if (e.offset > offset || e.endTime <= offset) {
+                continue;
+            }
+            const n = new note.Note();
+            n.pitch = e.element.pitch.clone();
+            const startsBefore = e.offset < offset;
+            const endsAfter = e.endTime > endTime;
+            if (startsBefore && endsAfter) {
+                n.tie = new tie.Tie('continue');
+            } else if (startsBefore) {
+                n.tie = new tie.Tie('stop');
+            } else if (endsAfter) {
+                n.tie = new tie.Tie('start');
+            }
+            sliceNotes.push(n);
+        }
+        let sliceEl;
+        if (sliceNotes.length === 0) {
+            sliceEl = new note.Rest();
+        } else {
+            sliceEl = new chord.Chord(sliceNotes);
+            const tieTypes = new Set(
+                sliceNotes.map(n => (n.tie === undefined ? undefined : n.tie.type))
+            );
+            if (tieTypes.size === 1 && sliceNotes[0].tie !== undefined) {
+                sliceEl.tie = new tie.Tie(sliceNotes[0].tie.type);
+            }
+        }
+        sliceEl.duration.quarterLength = endTime - offset;
+        return sliceEl;
+    }
+
+    /**
+     * Runs an analysis method on the Stream; see {@link music21.analysis}.
+     *
+     * 'key' (or 'key.krumhansl') finds the key with the Krumhansl-Schmuckler
+     * algorithm; 'key.temperley' and 'key.bellman' use the Temperley-Kostka-Payne
+     * and Bellman-Budge weights instead.
+     *
+     * @memberof music21.stream.Stream
+     * @param {string} [method='key']
+     * @returns {music21.key.Key|undefined} for the key methods, the most likely Key,
+     *     with a `correlationCoefficient` and `alternateInterpretations`; undefined
+     *     if there are no notes
+     * @example
+     * var s = music21.tinyNotation.TinyNotation('3/4 e4 f# g a b c\'# d\'2.');
+     * var k = s.analyze('key');
+     * k.tonic.name; // 'D'
+     * k.mode; // 'major'
+     * k.alternateInterpretations[0].tonic.name; // 'B'
+     */
+    analyze(method = 'key') {
+        return analysis.analyzeStream(this, method);
+    }
+
     /**
      * Return a new Stream or modify this stream
      * to have beams.
@@ -811,12 +1625,14 @@ export class Stream extends base.Music21Object {
             if (m.length <= 1) {
                 continue; // nothing to beam.
             }
-            const noteStream = m.notesAndRests;
+            // chord symbols and grace notes are not beamed.
+            const noteStream = m.notesAndRests.getElementsNotOfClass('ChordSymbol');
+            noteStream.elements = noteStream.elements.filter(n => !n.duration.isGrace);
             const durList = [];
             for (const n of noteStream) {
                 durList.push(n.duration);
             }
-            const durSum = durList.map(a => a.quarterLength).reduce((total, val) => total + val);
+            const durSum = durList.map(a => a.quarterLength).reduce((total, val) => total + val, 0);
             const barQL = lastTimeSignature.barDuration.quarterLength;
             if (durSum > barQL) {
                 continue;
@@ -920,6 +1736,26 @@ export class Stream extends base.Music21Object {
         newSt.elements = tempEls;
         return newSt;
     }
+
+    /**
+     * Find all elements that are not of a certain class (or, if an Array
+     * is given, of any of the classes).
+     *
+     * @memberof music21.stream.Stream
+     * @param {Array<string>|string} classList - a list of classes to leave out
+     * @returns {music21.stream.Stream}
+     */
+    getElementsNotOfClass(classList) {
+        const tempEls = [];
+        for (const thisEl of this) {
+            if (!thisEl.isClassOrSubclass(classList)) {
+                tempEls.push(thisEl);
+            }
+        }
+        const newSt = this.clone(false);
+        newSt.elements = tempEls;
+        return newSt;
+    }
     /**
      * Sets Pitch.accidental.displayStatus for every element with a
      * pitch or pitches in the stream. If a natural needs to be displayed
@@ -1130,7 +1966,7 @@ export class Stream extends base.Music21Object {
         }
         let numSystems;
         if (this.isClassOrSubclass('Score')) {
-            const numParts = this.length;
+            const numParts = this.parts.length;
             numSystems = this.numSystems();
             if (numSystems === undefined || ignoreSystems) {
                 numSystems = 1;
@@ -1222,9 +2058,34 @@ export class Stream extends base.Music21Object {
     /**
      * Plays the Stream through the MIDI/sound playback (for now, only MIDI.js is supported)
      *
+     * Playback is scheduled by a {@link music21.playback.Scheduler}, which is
+     * stored in `this.playbackScheduler` so that it can be paused, moved with
+     * `seek(offset)` or `seekToMeasure(number)`, or looped with
+     * `setLoop(startOffset, endOffset)`.  Its `callbacks.noteOn` and
+     * `callbacks.noteOff` are called with each element as it sounds.
+     *
+     * If the Stream has been rendered, a {@link music21.vfShow.PlaybackCursor}
+     * highlights what is playing, as set by `renderOptions.playbackCursor`
+     * ('note', 'measure', or false for none).
+     *
      * `options` can be an object containing:
      * - instrument: {@link music21.instrument.Instrument} object (default, `this.instrument`)
-     * - tempo: number (default, `this.tempo`)
+     * - tempo: number (default, `this.tempo`) -- Measures with their own tempo change it
+     * - tuning: {@link music21.tuning.TuningSystem} (default, `this.tuning`)
+     * - expandRepeats: boolean (default true) -- play repeats and volta endings as written out
+     *   by {@link music21.stream.Stream#expandRepeats}
+     * - startNote: Int -- index in `this.flat.elements` to start playing from (the
+     *   first time it is played, if repeats are expanded)
+     * - done: function called when playback reaches the end
+     * - noteOn, noteOff: functions called with each element as it begins and stops sounding
+     * - partControls: mute, solo and volume for each Part (default, those of the last
+     *   playback, changed by `this.playbackScheduler.setPartMute()`, etc.)
+     * - clock, output, lookAhead, interval: see {@link music21.playback.Scheduler}
+     *
+     * The soundfonts of all the instruments are loaded before playing begins.
+     *
+     * Parts of transposing instruments that are at written pitch are played
+     * at sounding pitch (see {@link music21.stream.Stream#toSoundingPitch}).
      *
      * @memberof music21.stream.Stream
      * @param {object} [options] - object of playback options
@@ -1232,59 +2093,94 @@ export class Stream extends base.Music21Object {
      */
     playStream(options) {
         const params = {
-            instrument: this.instrument,
-            tempo: this.tempo,
-            done: undefined,
             startNote: undefined,
+            partControls: undefined,
         };
         common.merge(params, options);
-        const startNoteIndex = params.startNote;
-        let currentNoteIndex = 0;
-        if (startNoteIndex !== undefined) {
-            currentNoteIndex = startNoteIndex;
-        }
-        const flatEls = this.flat.elements;
-        const lastNoteIndex = flatEls.length - 1;
-        this._stopPlaying = false;
-        const thisStream = this;
-
-        const playNext = function playNext(elements, params) {
-            if (currentNoteIndex <= lastNoteIndex && !thisStream._stopPlaying) {
-                const el = elements[currentNoteIndex];
-                let nextNote;
-                let playDuration;
-                if (currentNoteIndex < lastNoteIndex) {
-                    nextNote = elements[currentNoteIndex + 1];
-                    playDuration = nextNote.offset - el.offset;
-                } else {
-                    playDuration = el.duration.quarterLength;
-                }
-                const milliseconds = playDuration * 1000 * 60 / params.tempo;
-                if (debug) {
-                    console.log(
-                        'playing: ',
-                        el,
-                        playDuration,
-                        milliseconds,
-                        params.tempo
-                    );
-                }
-
-                if (el.playMidi !== undefined) {
-                    el.playMidi(params.tempo, nextNote, params);
+        if (this.playbackScheduler !== undefined) {
+            this.playbackScheduler.stop();
+            if (params.partControls === undefined) {
+                params.partControls = this.playbackScheduler.partControls;
+            }
+        }
+        const scheduler = this.getPlaybackScheduler(params);
+        if (params.startNote !== undefined) {
+            // events report the elements of this Stream, not of the expanded
+            // or transposed copy being played; start at the first event of
+            // startNote, or of the next element that has one.
+            const flatElements = this.flat.elements;
+            for (let i = params.startNote; i < flatElements.length; i++) {
+                const startEvent = scheduler.events.find(
+                    ev => ev.element === flatElements[i]
+                );
+                if (startEvent !== undefined) {
+                    scheduler.seek(startEvent.offset);
+                    break;
                 }
-                currentNoteIndex += 1;
-                setTimeout(() => {
-                    playNext(elements, params);
-                }, milliseconds);
-            } else if (params && params.done) {
-                params.done.call();
             }
-        };
-        playNext(flatEls, params);
+        }
+        this.playbackScheduler = scheduler;
+        const cursorMode = this.renderOptions.playbackCursor;
+        if (this.activeVFRenderer !== undefined && cursorMode) {
+            this.activeVFRenderer.attachPlaybackCursor(scheduler, { mode: cursorMode });
+        }
+        if (debug) {
+            console.log('playing: ', scheduler.events.length, 'events');
+        }
+        scheduler.play();
         return this;
     }
 
+    /**
+     * Returns a new {@link music21.playback.Scheduler} ready to play this Stream,
+     * with repeats expanded and at sounding pitch.  Takes the same options
+     * as {@link music21.stream.Stream#playStream}.
+     *
+     * @memberof music21.stream.Stream
+     * @param {object} [options]
+     * @returns {music21.playback.Scheduler}
+     */
+    getPlaybackScheduler(options) {
+        const params = {
+            instrument: this.instrument,
+            tempo: this.tempo,
+            tuning: this.tuning,
+            expandRepeats: true,
+        };
+        common.merge(params, options);
+        // copies made for playback report the elements of this Stream in events.
+        const sourceElements = new Map();
+        let playingStream = this;
+        if (params.expandRepeats) {
+            const measures = this.getElementsByClass('Measure');
+            const hasRepeats = measures.elements.some(
+                m => (m.leftBarline !== undefined && m.leftBarline.isClassOrSubclass('Repeat'))
+                    || (m.rightBarline !== undefined && m.rightBarline.isClassOrSubclass('Repeat'))
+            );
+            if (hasRepeats) {
+                playingStream = this.expandRepeats();
+                const expandedMeasures = playingStream.getElementsByClass('Measure');
+                this._expandedMeasureIndices().forEach((measureIndex, j) => {
+                    playback.mapCopiedElements(
+                        expandedMeasures.get(j),
+                        measures.get(measureIndex),
+                        sourceElements
+                    );
+                });
+            }
+        }
+        const atWrittenPitch = [playingStream, ...playingStream.parts.elements].some(
+            s => s.atSoundingPitch === false
+        );
+        if (atWrittenPitch) {
+            const writtenStream = playingStream;
+            playingStream = playingStream.toSoundingPitch();
+            playback.mapCopiedElements(playingStream, writtenStream, sourceElements);
+        }
+        params.sourceElements = sourceElements;
+        return new playback.Scheduler(playingStream, params);
+    }
+
     /**
      * Stops a stream from playing if it currently is.
      *
@@ -1293,7 +2189,9 @@ export class Stream extends base.Music21Object {
      */
     stopPlayStream() {
         // turns off all currently playing MIDI notes (on any stream) and stops playback.
-        this._stopPlaying = true;
+        if (this.playbackScheduler !== undefined) {
+            this.playbackScheduler.stop();
+        }
         for (let i = 0; i < 127; i++) {
             MIDI.noteOff(0, i, 0);
         }
@@ -2086,6 +2984,55 @@ export class Measure extends Stream {
         this.recursionType = 'elementsFirst';
         this.isMeasure = true;
         this.number = 0; // measure number
+        this._leftBarline = undefined;
+        this._rightBarline = undefined;
+    }
+
+    /**
+     * The {@link music21.bar.Barline} (or {@link music21.bar.Repeat}) at the start of the
+     * Measure, or undefined for none.  Can be set with a barline type string such as 'double'.
+     *
+     * @memberof music21.stream.Measure
+     * @type {music21.bar.Barline|undefined}
+     */
+    get leftBarline() {
+        return this._leftBarline;
+    }
+
+    set leftBarline(barline) {
+        if (typeof barline === 'string') {
+            barline = new bar.Barline(barline);
+        }
+        if (barline !== undefined) {
+            barline.location = 'left';
+        }
+        this._leftBarline = barline;
+    }
+
+    /**
+     * The {@link music21.bar.Barline} (or {@link music21.bar.Repeat}) at the end of the
+     * Measure, or undefined for a normal barline.  Can be set with a barline type string
+     * such as 'final'.
+     *
+     * @memberof music21.stream.Measure
+     * @type {music21.bar.Barline|undefined}
+     * @example
+     * var m = new music21.stream.Measure();
+     * m.rightBarline = 'final';
+     * m.rightBarline.location; // 'right'
+     */
+    get rightBarline() {
+        return this._rightBarline;
+    }
+
+    set rightBarline(barline) {
+        if (typeof barline === 'string') {
+            barline = new bar.Barline(barline);
+        }
+        if (barline !== undefined) {
+            barline.location = 'right';
+        }
+        this._rightBarline = barline;
     }
 }
 stream.Measure = Measure;
@@ -2496,6 +3443,20 @@ export class Score extends Stream {
         this.measureWidths = [];
         this.partSpacing = this.renderOptions.naiveHeight;
     }
+    /**
+     * The height above the first system left for the title and composer:
+     * `renderOptions.metadataHeight` if `renderOptions.showMetadata` is true and
+     * the Score has {@link music21.metadata.Metadata}, otherwise 0.
+     *
+     * @memberof music21.stream.Score
+     * @type {number}
+     */
+    get metadataRenderHeight() {
+        if (this.renderOptions.showMetadata && this.metadata !== undefined) {
+            return this.renderOptions.metadataHeight;
+        }
+        return 0;
+    }
     get systemPadding() {
         const numParts = this.parts.length;
         let systemPadding = this.renderOptions.systemPadding;
@@ -2536,7 +3497,7 @@ export class Score extends Stream {
      */
     setSubstreamRenderOptions() {
         let currentPartNumber = 0;
-        let currentPartTop = 0;
+        let currentPartTop = this.metadataRenderHeight;
         const partSpacing = this.partSpacing;
         for (const el of this) {
             if (el.isClassOrSubclass('Part')) {
@@ -2555,7 +3516,8 @@ export class Score extends Stream {
                 el.fixSystemInformation(currentScoreHeight);
             }
         }
-        this.renderOptions.height = this.estimateStreamHeight();
+        this.renderOptions.height
+            = this.estimateStreamHeight() + this.metadataRenderHeight;
         return this;
     }
     /**
@@ -2583,26 +3545,6 @@ export class Score extends Stream {
     }
 
     /* MIDI override */
-    /**
-     * Overrides the default music21.stream.Stream#playStream
-     *
-     * Works crappily -- just starts *n* midi players.
-     *
-     * Render scrollable score works better...
-     *
-     * @memberof music21.stream.Score
-     * @param {object} params -- passed to each part
-     * @returns {music21.stream.Score} this
-     */
-    playStream(params) {
-        // play multiple parts in parallel...
-        for (const el of this) {
-            if (el.isClassOrSubclass('Part')) {
-                el.playStream(params);
-            }
-        }
-        return this;
-    }
     /**
      * Overrides the default music21.stream.Stream#stopPlayScore()
      *
@@ -2610,6 +3552,7 @@ export class Score extends Stream {
      * @returns {music21.stream.Score} this
      */
     stopPlayStream() {
+        super.stopPlayStream();
         for (const el of this) {
             if (el.isClassOrSubclass('Part')) {
                 el.stopPlayStream();
@@ -2636,13 +3579,12 @@ export class Score extends Stream {
         const maxMeasureWidths = [];
         const measureWidthsArrayOfArrays = [];
         let i;
-        // TODO: Do not crash on not partlike...
-        for (const el of this) {
-            measureWidthsArrayOfArrays.push(el.getMeasureWidths());
+        for (const p of this.parts) {
+            measureWidthsArrayOfArrays.push(p.getMeasureWidths());
         }
         for (i = 0; i < measureWidthsArrayOfArrays[0].length; i++) {
             let maxFound = 0;
-            for (let j = 0; j < this.length; j++) {
+            for (let j = 0; j < measureWidthsArrayOfArrays.length; j++) {
                 if (measureWidthsArrayOfArrays[j][i] > maxFound) {
                     maxFound = measureWidthsArrayOfArrays[j][i];
                 }
@@ -2667,6 +3609,7 @@ export class Score extends Stream {
             systemPadding = this.renderOptions.naiveSystemPadding;
         }
 
+        y -= this.metadataRenderHeight;
         const numParts = this.parts.length;
         const systemHeight = numParts * this.partSpacing + this.systemPadding;
         const systemIndex = Math.floor(y / systemHeight);
@@ -2693,7 +3636,7 @@ export class Score extends Stream {
         const scaledYinPart
             = scaledYFromSystemTop - partIndex * this.partSpacing;
         // console.log('systemIndex: ' + systemIndex + " partIndex: " + partIndex);
-        const rightPart = this.get(partIndex);
+        const rightPart = this.parts.get(partIndex);
         if (rightPart === undefined) {
             return [undefined, undefined]; // may be too low?
         }
@@ -2750,12 +3693,11 @@ export class Score extends Stream {
             }
         }
         let currentLeft = 20;
+        const parts = this.parts;
         for (let i = 0; i < maxMeasureWidth.length; i++) {
-            // TODO: do not assume, only elements in Score are Parts and in Parts are Measures...
             const measureNewWidth = maxMeasureWidth[i];
-            for (j = 0; j < this.length; j++) {
-                const part = this.get(j);
-                const measure = part.get(i);
+            for (j = 0; j < parts.length; j++) {
+                const measure = parts.get(j).measures.get(i);
                 const rendOp = measure.renderOptions;
                 rendOp.width = measureNewWidth;
                 rendOp.left = currentLeft;
@@ -2767,6 +3709,54 @@ export class Score extends Stream {
 }
 stream.Score = Score;
 
+/**
+ * The Stream inside a {@link music21.spanner.Spanner} that holds its spanned
+ * elements.
+ *
+ * Elements are added with `coreAppend`, which, unlike `append`, does not change
+ * the offset or activeSite of the element.  Use `.elements` rather than
+ * iterating, since `.get()` would reset the offsets of the elements.
+ *
+ * @class SpannerStorage
+ * @memberof music21.stream
+ * @extends music21.stream.Stream
+ * @param {music21.spanner.Spanner} [spannerParent]
+ * @property {music21.spanner.Spanner|undefined} spannerParent - the Spanner that owns this storage
+ */
+export class SpannerStorage extends Stream {
+    constructor(spannerParent) {
+        super();
+        this.spannerParent = spannerParent;
+    }
+
+    coreAppend(el) {
+        this._elements.push(el);
+        this._elementOffsets.push(0.0);
+        el.sites.add(this);
+    }
+
+    coreRemove(el) {
+        const i = this._elements.indexOf(el);
+        if (i === -1) {
+            return;
+        }
+        this._elements.splice(i, 1);
+        this._elementOffsets.splice(i, 1);
+        el.sites.remove(this);
+    }
+
+    coreReplace(oldEl, newEl) {
+        const i = this._elements.indexOf(oldEl);
+        if (i === -1) {
+            return;
+        }
+        this._elements[i] = newEl;
+        oldEl.sites.remove(this);
+        newEl.sites.add(this);
+    }
+}
+stream.SpannerStorage = SpannerStorage;
+
 // small Class; a namedtuple in music21p
 export class OffsetMap {
     constructor(element, offset, endTime, voiceIndex) {
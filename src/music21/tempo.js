@@ -9,6 +9,8 @@
 import * as MIDI from 'MIDI';
 import * as $ from 'jquery';
 
+import { base } from './base.js';
+import { duration } from './duration.js';
 import { prebase } from './prebase.js';
 
 /* a Music21Object in m21p; the overhead is too high here to follow ... */
@@ -24,6 +26,7 @@ import { prebase } from './prebase.js';
  * @memberof music21
  * @requires music21/prebase
  * @requires music21/base
+ * @requires music21/duration
  * @requires MIDI
  * @property {number} [baseTempo=60] - basic tempo
  */
@@ -73,6 +76,207 @@ tempo.defaultTempoValues = {
 
 tempo.baseTempo = 60;
 
+/**
+ * Returns the value of `tempo.defaultTempoValues` for a tempo text such
+ * as "Allegro" (ignoring case and surrounding space), or undefined.
+ *
+ * @memberof music21.tempo
+ * @param {string} text
+ * @returns {number|undefined} quarter notes per minute
+ * @example
+ * music21.tempo.tempoTextToQuarterBPM(' Allegro ');
+ * // 132
+ */
+tempo.tempoTextToQuarterBPM = function tempoTextToQuarterBPM(text) {
+    if (text === undefined) {
+        return undefined;
+    }
+    const value = tempo.defaultTempoValues[text.trim().toLowerCase()];
+    return value;
+};
+
+/**
+ * Base class for tempo markings placed in Streams.
+ *
+ * @class TempoIndication
+ * @memberof music21.tempo
+ * @extends music21.base.Music21Object
+ */
+export class TempoIndication extends base.Music21Object {
+    constructor() {
+        super();
+        this.classSortOrder = 1;
+    }
+}
+tempo.TempoIndication = TempoIndication;
+
+/**
+ * A tempo written only as text, such as "Allegro" or "Slow".
+ *
+ * @class TempoText
+ * @memberof music21.tempo
+ * @extends music21.tempo.TempoIndication
+ * @param {string} [text]
+ * @property {string|undefined} text
+ * @example
+ * var tt = new music21.tempo.TempoText('Andante');
+ * tt.isCommonTempoText(); // true
+ * tt.getMetronomeMark().number; // 72
+ */
+export class TempoText extends TempoIndication {
+    constructor(text) {
+        super();
+        this._text = text;
+    }
+
+    get text() {
+        return this._text;
+    }
+
+    set text(value) {
+        this._text = value;
+    }
+
+    /**
+     * Returns true if the text is one of `tempo.defaultTempoValues`.
+     *
+     * @memberof music21.tempo.TempoText
+     * @returns {boolean}
+     */
+    isCommonTempoText() {
+        return tempo.tempoTextToQuarterBPM(this.text) !== undefined;
+    }
+
+    /**
+     * Returns a MetronomeMark with this text and, if the text is common,
+     * its number, or undefined if there is no text.
+     *
+     * @memberof music21.tempo.TempoText
+     * @returns {music21.tempo.MetronomeMark|undefined}
+     */
+    getMetronomeMark() {
+        if (this.text === undefined) {
+            return undefined;
+        }
+        return new MetronomeMark(this.text);
+    }
+}
+tempo.TempoText = TempoText;
+
+/**
+ * A metronome mark: a number of beats per minute, each as long as the
+ * `referent` duration, with optional text such as "Allegro".
+ *
+ * If only the text is given and it is common (see `tempo.defaultTempoValues`),
+ * the number is taken from it and `numberImplicit` is true.  If only the
+ * number is given, `textImplicit` is true.
+ *
+ * @class MetronomeMark
+ * @memberof music21.tempo
+ * @extends music21.tempo.TempoIndication
+ * @param {string} [text]
+ * @param {number} [number] - beats per minute
+ * @param {music21.duration.Duration|number|string} [referent='quarter'] - a
+ *     Duration, a quarterLength, or a type name such as 'eighth'
+ * @param {boolean} [parentheses=false] - display the mark in parentheses
+ * @property {string|undefined} text
+ * @property {number|undefined} number
+ * @property {music21.duration.Duration} referent
+ * @property {boolean} parentheses
+ * @property {boolean} numberImplicit - the number is not shown
+ * @property {boolean} textImplicit - the text is not shown
+ * @example
+ * var mm = new music21.tempo.MetronomeMark('Allegro', 80, 1.5);
+ * mm.referent.dots; // 1
+ * mm.getQuarterBPM(); // 120
+ *
+ * var mm2 = new music21.tempo.MetronomeMark('Allegro');
+ * mm2.number; // 132
+ * mm2.numberImplicit; // true
+ */
+export class MetronomeMark extends TempoIndication {
+    constructor(text, number, referent, parentheses = false) {
+        super();
+        this._text = text;
+        this._number = number;
+        this._referent = undefined;
+        this.referent = referent;
+        this.parentheses = parentheses;
+        this.textImplicit = text === undefined;
+        this.numberImplicit = false;
+        if (number === undefined) {
+            const quarterBPM = tempo.tempoTextToQuarterBPM(text);
+            if (quarterBPM !== undefined) {
+                this.setQuarterBPM(quarterBPM);
+                this.numberImplicit = true;
+            }
+        }
+    }
+
+    get text() {
+        return this._text;
+    }
+
+    set text(value) {
+        this._text = value;
+        this.textImplicit = value === undefined;
+    }
+
+    get number() {
+        return this._number;
+    }
+
+    set number(value) {
+        this._number = value;
+        this.numberImplicit = false;
+    }
+
+    get referent() {
+        return this._referent;
+    }
+
+    set referent(value) {
+        if (value === undefined) {
+            value = 'quarter';
+        }
+        if (typeof value === 'number') {
+            value = new duration.Duration(value);
+        } else if (typeof value === 'string') {
+            const d = new duration.Duration();
+            d.type = value;
+            value = d;
+        }
+        this._referent = value;
+    }
+
+    /**
+     * Returns the tempo in quarter notes per minute, or undefined if there is
+     * no number.
+     *
+     * @memberof music21.tempo.MetronomeMark
+     * @returns {number|undefined}
+     */
+    getQuarterBPM() {
+        if (this.number === undefined) {
+            return undefined;
+        }
+        return this.number * this.referent.quarterLength;
+    }
+
+    /**
+     * Sets the number from a tempo in quarter notes per minute.
+     *
+     * @memberof music21.tempo.MetronomeMark
+     * @param {number} value
+     * @param {boolean} [setNumberImplicit=false] - hide the new number
+     */
+    setQuarterBPM(value, setNumberImplicit = false) {
+        this.number = value / this.referent.quarterLength;
+        this.numberImplicit = setNumberImplicit;
+    }
+}
+tempo.MetronomeMark = MetronomeMark;
+
 /* --------- metronome ---------- */
 /**
  *
@@ -8,8 +8,15 @@
  */
 import * as $ from 'jquery';
 
+import { Music21Exception } from './exceptions21.js';
+
+import { articulations } from './articulations.js';
+import { chord } from './chord.js';
 import { clef } from './clef.js';
+import { common } from './common.js';
 import { duration } from './duration.js';
+import { dynamics } from './dynamics.js';
+import { key } from './key.js';
 import { pitch } from './pitch.js';
 import { note } from './note.js';
 import { meter } from './meter.js';
@@ -25,8 +32,13 @@ import { tie } from './tie.js';
  * @namespace music21.tinyNotation
  * @memberof music21
  * @requires music21/base
+ * @requires music21/articulations
+ * @requires music21/chord
  * @requires music21/clef
+ * @requires music21/common
  * @requires music21/duration
+ * @requires music21/dynamics
+ * @requires music21/key
  * @requires music21/pitch
  * @requires music21/note
  * @requires music21/meter
@@ -35,13 +47,16 @@ import { tie } from './tie.js';
  */
 export const tinyNotation = {};
 
+export class TinyNotationException extends Music21Exception {}
+tinyNotation.TinyNotationException = TinyNotationException;
+
 /**
  * Regular expressions object
  *
  * @memberof music21.tinyNotation
  */
 tinyNotation.regularExpressions = {
-    REST: /r/,
+    REST: /^r/,
     OCTAVE2: /([A-G])[A-G]+/,
     OCTAVE3: /([A-G])/,
     OCTAVE5: /([a-g])('+)/,
@@ -52,6 +67,13 @@ tinyNotation.regularExpressions = {
     SHARP: /^[A-Ga-g]+'*(#+)/, // simple notation finds
     FLAT: /^[A-Ga-g]+'*(-+)/, // double sharps too
     NAT: /^[A-Ga-g]+'*n/, // explicit naturals
+    HALFSHARP: /^[A-Ga-g]+'*[#-]*\^/, // quarter tones after any sharps or flats
+    HALFFLAT: /^[A-Ga-g]+'*[#-]*v/,
+    MICROTONE: /\(([+-]?\d*\.?\d+)c\)/, // cents, e.g. c4(+20c)
+    ARTICULATIONS: /(\d\.*)((?:-[-.>^!]|>)+)|(>+)/, // after the duration: c4> c8-. c2.--
+    ARTICULATION: /-[-.>^!]|>/g,
+    STACCATODOT: /\.(~?)$/, // c4. when Converter.staccatoDots is true
+    NOTE: /[A-Ga-g]/,
     TYPE: /(\d+)/,
     TIE: /.~/, // not preceding ties
     PRECTIE: /~/, // front ties
@@ -59,208 +81,966 @@ tinyNotation.regularExpressions = {
     LYRIC: /_(.*)/,
     DOT: /\.+/,
     TIMESIG: /(\d+)\/(\d+)/,
+    KEY: /^k\{([^}]+)\}$/,
+    KEYNAME: /^([A-Ga-g])(#*|-*|b*)$/,
+    CLEF: /^clef\{([^}]+)\}$/,
+    DYNAMIC: /^!([a-z]+)!$/,
 
-    PARTBREAK: /partBreak/, // nonstandard...fix later...
+    PARTBREAK: /^(partBreak|\/\/)$/, // nonstandard...fix later...
 
     TRIP: /trip\{/,
     QUAD: /quad\{/,
+    STATESTART: /^(\w+)\{/,
     ENDBRAC: /\}$/,
 };
+
 /**
- * Function, not class.
+ * Regular expressions for the modifiers that can be attached to any token,
+ * keyed by the {@link music21.tinyNotation.Converter} attribute that holds
+ * the Modifier class for each.  The first group is the modifier's data.
  *
- * Converts a TinyNotation String into a music21 Stream
+ * @memberof music21.tinyNotation
+ */
+tinyNotation.modifierRegularExpressions = {
+    modifierEquals: /=([A-Za-z0-9]*)/,
+    modifierStar: /\*(.*?)\*/,
+    modifierAngle: /<(.*?)>/,
+    modifierParens: /\((.*?)\)/,
+    modifierSquare: /\[(.*?)\]/,
+    modifierUnderscore: /_(.*)/,
+};
+
+/**
+ * Articulation classes (in {@link music21.articulations}) for the
+ * symbols that can follow a duration.
  *
- * See music21p for examples of what can go into tinynotation. It's an
- * adaptation of Lilypond format, by design Extremely simple!
+ * @memberof music21.tinyNotation
+ */
+tinyNotation.articulationSymbols = {
+    '>': 'Accent',
+    '->': 'Accent',
+    '-.': 'Staccato',
+    '-!': 'Staccatissimo',
+    '--': 'Tenuto',
+    '-^': 'StrongAccent',
+};
+
+/**
+ * Clef classes (in {@link music21.clef}) for the names in `clef{...}`.
+ * Other names such as "G2" or "F4" go through
+ * {@link music21.clef.clefFromString}.
  *
  * @memberof music21.tinyNotation
- * @param {string} textIn - a valid tinyNotation string
- * @returns {music21.stream.Part|music21.stream.Measure} - a Stream or Part object (if multiple measures)
- * @example
- * var t = "3/4 c4 B8 c d4 e2.";
- * var p = music21.tinyNotation.TinyNotation(t);
- * p.duration.quarterLength;
- * // 6.0
  */
-tinyNotation.TinyNotation = function TinyNotation(textIn) {
-    textIn = textIn.trim();
-    const tokens = textIn.split(' ');
-
-    let optionalScore;
-
-    let p = new stream.Part();
-    let m = new stream.Measure();
-    let currentTSBarDuration = 4.0;
-    let lastDurationQL = 1.0;
-    const storedDict = {
-        lastNoteTied: false,
-        inTrip: false,
-        inQuad: false,
-        endTupletAfterNote: false,
-    };
-    const tnre = tinyNotation.regularExpressions; // faster typing
-    for (let i = 0; i < tokens.length; i++) {
-        // check at first so that a full measure but not over full
-        // gets returned as a stream.Measure object.
-        if ((m.duration.quarterLength >= currentTSBarDuration)
-            || (Math.abs(m.duration.quarterLength - currentTSBarDuration) < 0.0001)) {
-            p.append(m);
-            m = new stream.Measure();
-        }
+tinyNotation.clefNames = {
+    'treble': 'TrebleClef',
+    'treble8vb': 'Treble8vbClef',
+    'treble8va': 'Treble8vaClef',
+    'bass': 'BassClef',
+    'alto': 'AltoClef',
+    'tenor': 'TenorClef',
+    'soprano': 'SopranoClef',
+    'mezzo-soprano': 'MezzoSopranoClef',
+    'percussion': 'PercussionClef',
+};
 
-        let token = tokens[i];
-        let noteObj;
-        let lyric;
-        if (tnre.PARTBREAK.exec(token)) {
-            if (m.length > 0) {
-                p.append(m);
-                m = new stream.Measure();
-            }
-            if (optionalScore === undefined) {
-                optionalScore = new stream.Score();
-            }
-            optionalScore.insert(0, p);
-            p = new stream.Part();
-
-            storedDict.lastNoteTied = false;
-            storedDict.inTrip = false;
-            storedDict.inQuad = false;
-            storedDict.endTupletAfterNote = false;
-
-            continue;
-        }
-
-        if (tnre.TRIP.exec(token)) {
-            token = token.slice(5); // cut...
-            storedDict.inTrip = true;
-        }
-        if (tnre.QUAD.exec(token)) {
-            token = token.slice(5); // cut...
-            storedDict.inQuad = true;
-        }
-        if (tnre.ENDBRAC.exec(token)) {
-            token = token.slice(0, -1); // cut...
-            storedDict.endTupletAfterNote = true;
-        }
-
-        // Modifiers
-        if (tnre.LYRIC.exec(token)) {
-            [token, lyric] = token.split('_');
-        }
-
-        if (tnre.TIMESIG.exec(token)) {
-            const MATCH = tnre.TIMESIG.exec(token);
-            const ts = new meter.TimeSignature();
-            ts.numerator = parseInt(MATCH[1]);
-            ts.denominator = parseInt(MATCH[2]);
-            m.timeSignature = ts;
-            currentTSBarDuration = ts.barDuration.quarterLength;
-            // console.log(currentTSBarDuration);
-            continue;
-        } else if (tnre.REST.exec(token)) {
-            noteObj = new note.Rest(lastDurationQL);
-        } else if (tnre.OCTAVE2.exec(token)) {
-            const MATCH = tnre.OCTAVE2.exec(token);
-            noteObj = new note.Note(MATCH[1], lastDurationQL);
-            noteObj.pitch.octave = 4 - MATCH[0].length;
-        } else if (tnre.OCTAVE3.exec(token)) {
-            const MATCH = tnre.OCTAVE3.exec(token);
-            noteObj = new note.Note(MATCH[1], lastDurationQL);
-            noteObj.pitch.octave = 3;
-        } else if (tnre.OCTAVE5.exec(token)) {
-            // must match octave 5 before 4
-            const MATCH = tnre.OCTAVE5.exec(token);
-            noteObj = new note.Note(MATCH[1].toUpperCase(), lastDurationQL);
-            noteObj.pitch.octave = 3 + MATCH[0].length;
-        } else if (tnre.OCTAVE4.exec(token)) {
-            const MATCH = tnre.OCTAVE4.exec(token);
-            noteObj = new note.Note(MATCH[1].toUpperCase(), lastDurationQL);
-            noteObj.pitch.octave = 4;
-        }
+/**
+ * A single token of TinyNotation, such as "c#4" or "3/4".
+ *
+ * Subclasses override `parse` and are listed in a Converter's `tokenMap`.
+ *
+ * @class Token
+ * @memberof music21.tinyNotation
+ * @param {string} [token=''] - the text of the token, without modifiers
+ *     or bracket states
+ */
+export class Token {
+    constructor(token = '') {
+        this.token = token;
+    }
+
+    /**
+     * Returns the music21 object for the token (to be appended to the
+     * current measure), or undefined if the token only changes the
+     * Converter (such as a time signature).
+     *
+     * @memberof music21.tinyNotation.Token
+     * @param {music21.tinyNotation.Converter} parent
+     * @returns {music21.base.Music21Object|undefined}
+     */
+    parse(parent) {
+        return undefined;
+    }
+}
+tinyNotation.Token = Token;
+
+/**
+ * "3/4" -- sets the time signature of the current measure.
+ *
+ * @class TimeSignatureToken
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.Token
+ */
+export class TimeSignatureToken extends Token {
+    parse(parent) {
+        const MATCH = tinyNotation.regularExpressions.TIMESIG.exec(this.token);
+        const ts = new meter.TimeSignature();
+        ts.numerator = parseInt(MATCH[1]);
+        ts.denominator = parseInt(MATCH[2]);
+        parent.currentMeasure.timeSignature = ts;
+        parent.stateDict.currentTimeSignature = ts;
+        parent.stateDict.currentTSBarDuration = ts.barDuration.quarterLength;
+        return undefined;
+    }
+}
+tinyNotation.TimeSignatureToken = TimeSignatureToken;
 
-        if (noteObj === undefined) {
-            continue;
+/**
+ * "k{Eb}", "k{c#}", "k{-3}" -- sets the key (uppercase major, lowercase
+ * minor, "b" or "-" for flats) or key signature (number of sharps)
+ * from the current measure onward.
+ *
+ * @class KeySignatureToken
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.Token
+ */
+export class KeySignatureToken extends Token {
+    parse(parent) {
+        const tnre = tinyNotation.regularExpressions;
+        const keyString = tnre.KEY.exec(this.token)[1];
+        const keyNameMatch = tnre.KEYNAME.exec(keyString);
+        let ks;
+        if (keyNameMatch) {
+            const tonicName = keyNameMatch[1] + keyNameMatch[2].replace(/b/g, '-');
+            ks = new key.Key(tonicName);
+        } else if (!isNaN(parseInt(keyString))) {
+            ks = new key.KeySignature(parseInt(keyString));
+        } else {
+            return undefined;
         }
+        parent.stateDict.keySignature = ks;
+        parent.currentMeasure.keySignature = ks.clone();
+        return undefined;
+    }
+}
+tinyNotation.KeySignatureToken = KeySignatureToken;
 
-        if (lyric !== undefined) {
-            noteObj.lyric = lyric;
+/**
+ * "clef{bass}", "clef{G2}" -- sets the clef from the current measure onward.
+ * See {@link music21.tinyNotation.clefNames}.
+ *
+ * @class ClefToken
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.Token
+ */
+export class ClefToken extends Token {
+    parse(parent) {
+        const clefName = tinyNotation.regularExpressions.CLEF.exec(this.token)[1];
+        const className = tinyNotation.clefNames[clefName.toLowerCase()];
+        let clefObj;
+        if (className !== undefined) {
+            clefObj = new clef[className]();
+        } else {
+            clefObj = clef.clefFromString(clefName);
         }
+        parent.stateDict.clef = clefObj;
+        parent.currentMeasure.clef = clefObj.clone();
+        return undefined;
+    }
+}
+tinyNotation.ClefToken = ClefToken;
 
-        if (tnre.TIE.exec(token)) {
-            noteObj.tie = new tie.Tie('start');
-            if (storedDict.lastNoteTied) {
-                noteObj.tie.type = 'continue';
-            }
-            storedDict.lastNoteTied = true;
-        } else if (storedDict.lastNoteTied) {
-            noteObj.tie = new tie.Tie('stop');
-            storedDict.lastNoteTied = false;
-        }
-        if (tnre.SHARP.exec(token)) {
-            noteObj.pitch.accidental = new pitch.Accidental('sharp');
-        } else if (tnre.FLAT.exec(token)) {
-            noteObj.pitch.accidental = new pitch.Accidental('flat');
-        } else if (tnre.NAT.exec(token)) {
-            noteObj.pitch.accidental = new pitch.Accidental('natural');
-            noteObj.pitch.accidental.displayType = 'always';
-        }
-        let MATCH = tnre.TYPE.exec(token);
+/**
+ * "!f!", "!pp!" -- a {@link music21.dynamics.Dynamic} before the next note.
+ *
+ * @class DynamicToken
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.Token
+ */
+export class DynamicToken extends Token {
+    parse(parent) {
+        const dynamicValue = tinyNotation.regularExpressions.DYNAMIC.exec(this.token)[1];
+        return new dynamics.Dynamic(dynamicValue);
+    }
+}
+tinyNotation.DynamicToken = DynamicToken;
+
+/**
+ * "//" or "partBreak" -- starts a new Part.
+ *
+ * @class PartBreakToken
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.Token
+ */
+export class PartBreakToken extends Token {
+    parse(parent) {
+        parent.partBreak();
+        return undefined;
+    }
+}
+tinyNotation.PartBreakToken = PartBreakToken;
+
+/**
+ * Base class for RestToken and NoteToken; handles durations.
+ *
+ * @class NoteOrRestToken
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.Token
+ */
+export class NoteOrRestToken extends Token {
+    /**
+     * Sets the duration of `n` from the number and dots in `t`, or else to
+     * the duration of the previous note, and remembers it for the next.
+     *
+     * @memberof music21.tinyNotation.NoteOrRestToken
+     * @param {music21.note.GeneralNote} n
+     * @param {string} t - token text
+     * @param {music21.tinyNotation.Converter} parent
+     */
+    applyDuration(n, t, parent) {
+        const tnre = tinyNotation.regularExpressions;
+        n.duration.quarterLength = parent.stateDict.lastDuration;
+        let MATCH = tnre.TYPE.exec(t);
         if (MATCH) {
             const durationType = parseInt(MATCH[0]);
-            noteObj.duration.quarterLength = 4.0 / durationType;
+            n.duration.quarterLength = 4.0 / durationType;
         }
-        MATCH = tnre.DOT.exec(token);
+        MATCH = tnre.DOT.exec(t);
         if (MATCH) {
             const numDots = MATCH[0].length;
-            const multiplier = 1 + (1 - Math.pow(0.5, numDots));
-            noteObj.duration.quarterLength *= multiplier;
+            const multiplier = 1 + (1 - (0.5 ** numDots));
+            n.duration.quarterLength *= multiplier;
+        }
+        parent.stateDict.lastDuration = n.duration.quarterLength;
+    }
+}
+tinyNotation.NoteOrRestToken = NoteOrRestToken;
+
+/**
+ * "r", "r4" -- a Rest.
+ *
+ * @class RestToken
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.NoteOrRestToken
+ */
+export class RestToken extends NoteOrRestToken {
+    parse(parent) {
+        const r = new note.Rest();
+        this.applyDuration(r, this.token, parent);
+        return r;
+    }
+}
+tinyNotation.RestToken = RestToken;
+
+/**
+ * "c#'4.~" -- a Note, with octave, accidentals, microtone, duration,
+ * articulations and tie.
+ *
+ * @class NoteToken
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.NoteOrRestToken
+ */
+export class NoteToken extends NoteOrRestToken {
+    parse(parent) {
+        const tnre = tinyNotation.regularExpressions;
+        let t = this.token;
+
+        let microtoneCents;
+        if (tnre.MICROTONE.exec(t)) {
+            microtoneCents = parseFloat(tnre.MICROTONE.exec(t)[1]);
+            t = t.replace(tnre.MICROTONE, '');
+        }
+        const articulationList = [];
+        if (tnre.ARTICULATIONS.exec(t)) {
+            const MATCH = tnre.ARTICULATIONS.exec(t);
+            const symbols = MATCH[2] !== undefined ? MATCH[2] : MATCH[3];
+            for (const symbol of symbols.match(tnre.ARTICULATION)) {
+                const articulationClass = tinyNotation.articulationSymbols[symbol];
+                articulationList.push(new articulations[articulationClass]());
+            }
+            t = t.replace(MATCH[0], MATCH[1] || '');
+        }
+        if (parent.staccatoDots && tnre.STACCATODOT.exec(t)) {
+            articulationList.push(new articulations.Staccato());
+            t = t.replace(tnre.STACCATODOT, '$1');
+        }
+
+        let n;
+        if (tnre.OCTAVE2.exec(t)) {
+            const MATCH = tnre.OCTAVE2.exec(t);
+            n = new note.Note(MATCH[1]);
+            n.pitch.octave = 4 - MATCH[0].length;
+        } else if (tnre.OCTAVE3.exec(t)) {
+            const MATCH = tnre.OCTAVE3.exec(t);
+            n = new note.Note(MATCH[1]);
+            n.pitch.octave = 3;
+        } else if (tnre.OCTAVE5.exec(t)) {
+            // must match octave 5 before 4
+            const MATCH = tnre.OCTAVE5.exec(t);
+            n = new note.Note(MATCH[1].toUpperCase());
+            n.pitch.octave = 3 + MATCH[0].length;
+        } else {
+            const MATCH = tnre.OCTAVE4.exec(t);
+            n = new note.Note(MATCH[1].toUpperCase());
+            n.pitch.octave = 4;
         }
-        lastDurationQL = noteObj.duration.quarterLength;
-        // do before appending tuplets
 
-        if (storedDict.inTrip) {
-            // console.log(noteObj.duration.quarterLength);
-            noteObj.duration.appendTuplet(
-                new duration.Tuplet(3, 2, noteObj.duration.quarterLength)
+        let accidentalAlter;
+        if (tnre.SHARP.exec(t)) {
+            accidentalAlter = tnre.SHARP.exec(t)[1].length;
+        } else if (tnre.FLAT.exec(t)) {
+            accidentalAlter = -1 * tnre.FLAT.exec(t)[1].length;
+        } else if (tnre.NAT.exec(t)) {
+            n.pitch.accidental = new pitch.Accidental('natural');
+            n.pitch.accidental.displayType = 'always';
+        }
+        if (tnre.HALFSHARP.exec(t)) {
+            accidentalAlter = (accidentalAlter || 0) + 0.5;
+        } else if (tnre.HALFFLAT.exec(t)) {
+            accidentalAlter = (accidentalAlter || 0) - 0.5;
+        }
+        if (accidentalAlter !== undefined) {
+            n.pitch.accidental = new pitch.Accidental(accidentalAlter);
+        }
+        if (microtoneCents !== undefined) {
+            n.pitch.microtone = microtoneCents;
+        }
+        if (tnre.TIE.exec(t)) {
+            n.tie = new tie.Tie('start');
+        }
+        n.articulations.push(...articulationList);
+        this.applyDuration(n, t, parent);
+        return n;
+    }
+}
+tinyNotation.NoteToken = NoteToken;
+
+/**
+ * A bracketed state such as "trip{c8 d e}" that affects every note
+ * parsed while it is active.  Classes are registered by name in a
+ * Converter's `bracketStateMapping`.
+ *
+ * @class State
+ * @memberof music21.tinyNotation
+ * @param {music21.tinyNotation.Converter} parent
+ * @param {string} [stateInfo] - the name before the bracket, e.g. "trip"
+ * @property {Array<music21.base.Music21Object>} affectedTokens - objects parsed in this state so far
+ */
+export class State {
+    constructor(parent, stateInfo) {
+        this.parent = parent;
+        this.stateInfo = stateInfo;
+        this.affectedTokens = [];
+    }
+
+    /**
+     * Called when the state begins.
+     *
+     * @memberof music21.tinyNotation.State
+     */
+    start() {}
+
+    /**
+     * Called with each object parsed while the state is active; returns
+     * the object to append (or undefined to append nothing).
+     *
+     * @memberof music21.tinyNotation.State
+     * @param {music21.base.Music21Object} m21Obj
+     * @returns {music21.base.Music21Object|undefined}
+     */
+    affectTokenAfterParse(m21Obj) {
+        this.affectedTokens.push(m21Obj);
+        return m21Obj;
+    }
+
+    /**
+     * Called at the closing bracket; may return an object to append.
+     *
+     * @memberof music21.tinyNotation.State
+     * @returns {music21.base.Music21Object|undefined}
+     */
+    end() {
+        return undefined;
+    }
+}
+tinyNotation.State = State;
+
+/**
+ * Base class for TripletState and QuadrupletState: appends a Tuplet of
+ * `actual` notes in the time of `normal` to every note.
+ *
+ * @class TupletState
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.State
+ */
+export class TupletState extends State {
+    constructor(parent, stateInfo) {
+        super(parent, stateInfo);
+        this.actual = 3;
+        this.normal = 2;
+    }
+
+    affectTokenAfterParse(n) {
+        super.affectTokenAfterParse(n);
+        if (n.isClassOrSubclass('GeneralNote')) {
+            n.duration.appendTuplet(
+                new duration.Tuplet(this.actual, this.normal, n.duration.quarterLength)
             );
         }
-        if (storedDict.inQuad) {
-            noteObj.duration.appendTuplet(
-                new duration.Tuplet(4, 3, noteObj.duration.quarterLength)
+        return n;
+    }
+}
+tinyNotation.TupletState = TupletState;
+
+/**
+ * "trip{c8 d e}"
+ *
+ * @class TripletState
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.TupletState
+ */
+export class TripletState extends TupletState {}
+tinyNotation.TripletState = TripletState;
+
+/**
+ * "quad{c8. d e f}"
+ *
+ * @class QuadrupletState
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.TupletState
+ */
+export class QuadrupletState extends TupletState {
+    constructor(parent, stateInfo) {
+        super(parent, stateInfo);
+        this.actual = 4;
+        this.normal = 3;
+    }
+}
+tinyNotation.QuadrupletState = QuadrupletState;
+
+/**
+ * "grace{d16 e}" -- makes the notes (and chords) into slashed grace notes
+ * with {@link music21.note.GeneralNote#getGrace}.  The duration of the
+ * last grace note is not carried over to the notes after the state.
+ *
+ * @class GraceState
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.State
+ */
+export class GraceState extends State {
+    start() {
+        this.lastDuration = this.parent.stateDict.lastDuration;
+    }
+
+    affectTokenAfterParse(n) {
+        super.affectTokenAfterParse(n);
+        if (n.isClassOrSubclass('NotRest')) {
+            n.getGrace({ inPlace: true });
+        }
+        return n;
+    }
+
+    end() {
+        this.parent.stateDict.lastDuration = this.lastDuration;
+        return undefined;
+    }
+}
+tinyNotation.GraceState = GraceState;
+
+/**
+ * "chord{c4 e g}" -- collects the notes into a Chord with the duration of
+ * the first.  Ties, articulations and a lyric on any of the notes move to
+ * the Chord.
+ *
+ * @class ChordState
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.State
+ */
+export class ChordState extends State {
+    affectTokenAfterParse(n) {
+        if (!n.isClassOrSubclass('Note')) {
+            return n;
+        }
+        super.affectTokenAfterParse(n);
+        return undefined;
+    }
+
+    end() {
+        const chordNotes = this.affectedTokens;
+        if (chordNotes.length === 0) {
+            return undefined;
+        }
+        const ch = new chord.Chord(chordNotes);
+        ch.duration = chordNotes[0].duration.clone();
+        for (const n of chordNotes) {
+            if (n.tie !== undefined) {
+                ch.tie = n.tie;
+                n.tie = undefined;
+            }
+            ch.articulations.push(...n.articulations);
+            n.articulations = [];
+            if (ch.lyric === undefined && n.lyric !== undefined) {
+                ch.lyric = n.lyric;
+                n.lyric = undefined;
+            }
+        }
+        return ch;
+    }
+}
+tinyNotation.ChordState = ChordState;
+
+/**
+ * A modifier attached to a token, such as the lyric in "c4_hello".
+ * Subclasses are set as a Converter's `modifierUnderscore`,
+ * `modifierEquals`, `modifierStar` ("c4*data*"), `modifierAngle`
+ * ("c4<data>"), `modifierSquare` ("c4[data]") or `modifierParens`
+ * ("c4(data)" -- which takes the place of microtones).
+ *
+ * @class Modifier
+ * @memberof music21.tinyNotation
+ * @param {string} modifierData - the text inside the modifier, e.g. "hello"
+ * @param {string} modifierString - the whole modifier, e.g. "_hello"
+ * @param {music21.tinyNotation.Converter} parent
+ */
+export class Modifier {
+    constructor(modifierData, modifierString, parent) {
+        this.modifierData = modifierData;
+        this.modifierString = modifierString;
+        this.parent = parent;
+    }
+
+    /**
+     * Called with the token text (modifiers removed) before it is parsed.
+     *
+     * @memberof music21.tinyNotation.Modifier
+     * @param {string} tokenString
+     */
+    preParse(tokenString) {}
+
+    /**
+     * Called with the parsed object; returns the object to use.
+     *
+     * @memberof music21.tinyNotation.Modifier
+     * @param {music21.base.Music21Object} m21Obj
+     * @returns {music21.base.Music21Object}
+     */
+    postParse(m21Obj) {
+        return m21Obj;
+    }
+}
+tinyNotation.Modifier = Modifier;
+
+/**
+ * "c4_hello" -- sets the lyric.
+ *
+ * @class LyricModifier
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.Modifier
+ */
+export class LyricModifier extends Modifier {
+    postParse(m21Obj) {
+        m21Obj.lyric = this.modifierData;
+        return m21Obj;
+    }
+}
+tinyNotation.LyricModifier = LyricModifier;
+
+/**
+ * "c4=id1" -- sets the `.id` of the object.
+ *
+ * @class IdModifier
+ * @memberof music21.tinyNotation
+ * @extends music21.tinyNotation.Modifier
+ */
+export class IdModifier extends Modifier {
+    postParse(m21Obj) {
+        m21Obj.id = this.modifierData;
+        return m21Obj;
+    }
+}
+tinyNotation.IdModifier = IdModifier;
+
+/**
+ * Converts a TinyNotation string to a Stream, token by token.
+ *
+ * Each space-separated token is checked against the regular expressions
+ * in `tokenMap` (in order) and parsed by the first matching
+ * {@link music21.tinyNotation.Token} class.  Before that, bracketed
+ * states named in `bracketStateMapping` ("trip{", "chord{") are begun or
+ * ended, and modifiers ("_lyric", "*data*", ...) are removed and given to
+ * the {@link music21.tinyNotation.Modifier} classes set on the Converter.
+ * New syntax can be added by adding to `tokenMap` or
+ * `bracketStateMapping` or by setting a modifier, without changing this
+ * module.
+ *
+ * @class Converter
+ * @memberof music21.tinyNotation
+ * @param {string} [stringRep=''] - TinyNotation to parse
+ * @property {Array<Array>} tokenMap - pairs of [RegExp, Token class]
+ * @property {Object<string, function>} bracketStateMapping - state names to State classes
+ * @property {boolean} [staccatoDots=false] - if true, a dot at the end of a note
+ *     ("c4.", "c.") is a staccato rather than a dotted rhythm; a dotted note then
+ *     needs one more dot ("c4.." is a staccato dotted quarter).  Rests are unaffected.
+ * @property {Array<music21.tinyNotation.State>} activeStates
+ * @property {object} stateDict - information carried from token to token,
+ *     such as `lastDuration` and the current clef and key
+ * @property {music21.stream.Measure} currentMeasure
+ * @property {music21.stream.Part} currentPart
+ * @property {music21.stream.Stream|undefined} stream - the result, after `parse()`
+ * @example
+ * class SolfegeModifier extends music21.tinyNotation.Modifier {
+ *     postParse(n) {
+ *         n.lyric = n.pitch.step === 'C' ? 'do' : 're';
+ *         return n;
+ *     }
+ * }
+ * var tnc = new music21.tinyNotation.Converter('c4*s* d*s* e');
+ * tnc.modifierStar = SolfegeModifier;
+ * var m = tnc.parse().stream;
+ * m.notes.get(1).lyric; // 're'
+ */
+export class Converter {
+    constructor(stringRep = '') {
+        const tnre = tinyNotation.regularExpressions;
+        this.stringRep = stringRep;
+        this.tokenMap = [
+            [tnre.PARTBREAK, PartBreakToken],
+            [tnre.KEY, KeySignatureToken],
+            [tnre.CLEF, ClefToken],
+            [tnre.DYNAMIC, DynamicToken],
+            [tnre.TIMESIG, TimeSignatureToken],
+            [tnre.REST, RestToken],
+            [tnre.NOTE, NoteToken],
+        ];
+        this.bracketStateMapping = {
+            trip: TripletState,
+            quad: QuadrupletState,
+            chord: ChordState,
+            grace: GraceState,
+        };
+        this.modifierEquals = IdModifier;
+        this.modifierStar = undefined;
+        this.modifierAngle = undefined;
+        this.modifierParens = undefined;
+        this.modifierSquare = undefined;
+        this.modifierUnderscore = LyricModifier;
+        this.staccatoDots = false;
+
+        this.stream = undefined;
+        this.preTokens = [];
+        this.activeStates = [];
+        this.stateDict = {};
+        this.score = undefined;
+        this.currentPart = undefined;
+        this.currentMeasure = undefined;
+    }
+
+    /**
+     * Sets a new string to parse.
+     *
+     * @memberof music21.tinyNotation.Converter
+     * @param {string} stringRep
+     * @returns {this}
+     */
+    load(stringRep) {
+        this.stringRep = stringRep;
+        return this;
+    }
+
+    /**
+     * Parses `stringRep`, setting `.stream` to a Measure, a Part (if
+     * multiple measures) or a Score (if multiple parts).
+     *
+     * @memberof music21.tinyNotation.Converter
+     * @returns {this}
+     * @throws {music21.tinyNotation.TinyNotationException} if a "}" is
+     *     missing or is not at the end of a token, as in "chord{c e g}4"
+     */
+    parse() {
+        this.stateDict = {
+            currentTimeSignature: undefined,
+            currentTSBarDuration: 4.0,
+            lastDuration: 1.0,
+            lastNoteTied: false,
+            keySignature: undefined,
+            clef: undefined,
+        };
+        this.activeStates = [];
+        this.score = undefined;
+        this.currentPart = new stream.Part();
+        this.currentMeasure = this.newMeasure();
+
+        this.preTokens = this.stringRep.trim().split(/\s+/);
+        for (let i = 0; i < this.preTokens.length; i++) {
+            // check at first so that a full measure but not over full
+            // gets returned as a stream.Measure object.
+            const mQL = this.currentMeasure.duration.quarterLength;
+            const barQL = this.stateDict.currentTSBarDuration;
+            if (mQL >= barQL || Math.abs(mQL - barQL) < 0.0001) {
+                this.currentPart.append(this.currentMeasure);
+                this.currentMeasure = this.newMeasure();
+            }
+            this.parseOne(i, this.preTokens[i]);
+        }
+        if (this.activeStates.length > 0) {
+            const stateInfo = this.activeStates[this.activeStates.length - 1].stateInfo;
+            throw new TinyNotationException(
+                'Missing "}" to end "' + stateInfo + '{"'
             );
         }
-        if (storedDict.endTupletAfterNote) {
-            storedDict.inTrip = false;
-            storedDict.inQuad = false;
-            storedDict.endTupletAfterNote = false;
+        this.postParse();
+        return this;
+    }
+
+    /**
+     * Parses a single token: begins and ends states, applies modifiers,
+     * and appends the parsed object to the current measure.
+     *
+     * @memberof music21.tinyNotation.Converter
+     * @param {int} i - index of the token in `preTokens`
+     * @param {string} t - the token
+     */
+    parseOne(i, t) {
+        const token = t;
+        const tnre = tinyNotation.regularExpressions;
+        let stateMatch = tnre.STATESTART.exec(t);
+        while (
+            stateMatch
+            && this.bracketStateMapping[stateMatch[1]] !== undefined
+        ) {
+            const StateClass = this.bracketStateMapping[stateMatch[1]];
+            const stateObj = new StateClass(this, stateMatch[1]);
+            stateObj.start();
+            this.activeStates.push(stateObj);
+            t = t.slice(stateMatch[0].length);
+            stateMatch = tnre.STATESTART.exec(t);
+        }
+        // "g}}" ends two states; "k{D}" ends none.
+        let numberOfStatesToEnd = 0;
+        while (
+            tnre.ENDBRAC.exec(t)
+            && t.split('}').length > t.split('{').length
+        ) {
+            t = t.slice(0, -1);
+            numberOfStatesToEnd += 1;
+        }
+        if (t.split('}').length > t.split('{').length) {
+            throw new TinyNotationException(
+                '"}" must end the token: ' + token
+            );
+        }
+
+        const activeModifiers = [];
+        for (const [modifierName, modifierRe] of Object.entries(
+            tinyNotation.modifierRegularExpressions
+        )) {
+            const ModifierClass = this[modifierName];
+            const MATCH = modifierRe.exec(t);
+            if (ModifierClass === undefined || !MATCH) {
+                continue;
+            }
+            t = t.replace(MATCH[0], '');
+            activeModifiers.push(new ModifierClass(MATCH[1], MATCH[0], this));
+        }
+        for (const modObj of activeModifiers) {
+            modObj.preParse(t);
+        }
+
+        let m21Obj;
+        for (const [tokenRe, TokenClass] of this.tokenMap) {
+            if (tokenRe.exec(t)) {
+                m21Obj = new TokenClass(t).parse(this);
+                break;
+            }
+        }
+        for (const modObj of activeModifiers) {
+            if (m21Obj !== undefined) {
+                m21Obj = modObj.postParse(m21Obj);
+            }
+        }
+        for (const stateObj of this.activeStates) {
+            if (m21Obj !== undefined) {
+                m21Obj = stateObj.affectTokenAfterParse(m21Obj);
+            }
+        }
+        if (m21Obj !== undefined) {
+            this.appendToMeasure(m21Obj);
+        }
+        for (let j = 0; j < numberOfStatesToEnd && this.activeStates.length; j++) {
+            const stateObj = this.activeStates.pop();
+            const possibleObj = stateObj.end();
+            if (possibleObj !== undefined) {
+                this.appendToMeasure(possibleObj);
+            }
         }
-        m.append(noteObj);
     }
 
-    let returnObject;
+    /**
+     * Appends an object to the current measure, connecting the ties
+     * of successive notes.
+     *
+     * @memberof music21.tinyNotation.Converter
+     * @param {music21.base.Music21Object} m21Obj
+     */
+    appendToMeasure(m21Obj) {
+        if (m21Obj.isClassOrSubclass('GeneralNote')) {
+            if (m21Obj.tie !== undefined && m21Obj.tie.type === 'start') {
+                if (this.stateDict.lastNoteTied) {
+                    m21Obj.tie.type = 'continue';
+                }
+                this.stateDict.lastNoteTied = true;
+            } else if (this.stateDict.lastNoteTied) {
+                m21Obj.tie = new tie.Tie('stop');
+                this.stateDict.lastNoteTied = false;
+            }
+        }
+        this.currentMeasure.append(m21Obj);
+    }
 
-    if (optionalScore !== undefined) {
-        if (m.length > 0) {
-            p.append(m);
+    /**
+     * Returns a new Measure continuing the current clef and key (copied
+     * so that transposing one measure does not transpose the others).
+     *
+     * @memberof music21.tinyNotation.Converter
+     * @returns {music21.stream.Measure}
+     */
+    newMeasure() {
+        const m = new stream.Measure();
+        if (this.stateDict.clef !== undefined) {
+            m.clef = this.stateDict.clef.clone();
         }
-        if (p.length > 0) {
-            optionalScore.append(p);
+        if (this.stateDict.keySignature !== undefined) {
+            m.keySignature = this.stateDict.keySignature.clone();
         }
-        for (let i = 0; i < optionalScore.length; i++) {
-            const innerPart = optionalScore.get(i);
-            innerPart.clef = clef.bestClef(innerPart);
+        return m;
+    }
+
+    /**
+     * Finishes the current Part and begins another, which shares the time
+     * and key signatures unless they are given again.
+     *
+     * @memberof music21.tinyNotation.Converter
+     */
+    partBreak() {
+        if (this.currentMeasure.length > 0) {
+            this.currentPart.append(this.currentMeasure);
+        }
+        if (this.score === undefined) {
+            this.score = new stream.Score();
+        }
+        this.score.insert(0, this.currentPart);
+        this.currentPart = new stream.Part();
+
+        this.activeStates = [];
+        this.stateDict.lastNoteTied = false;
+        this.stateDict.clef = undefined;
+        this.currentMeasure = this.newMeasure();
+        if (this.stateDict.currentTimeSignature !== undefined) {
+            this.currentMeasure.timeSignature = this.stateDict.currentTimeSignature.clone();
+        }
+    }
+
+    /**
+     * Called after all tokens are parsed: sets `.stream` and gives each
+     * Part without a clef the best one for its notes.
+     *
+     * @memberof music21.tinyNotation.Converter
+     */
+    postParse() {
+        const partClefIsSet = part => {
+            const firstMeasure = part.getElementsByClass('Measure').get(0);
+            return firstMeasure !== undefined && firstMeasure._clef !== undefined;
+        };
+        const p = this.currentPart;
+        const m = this.currentMeasure;
+        if (this.score !== undefined) {
+            if (m.length > 0) {
+                p.append(m);
+            }
+            if (p.length > 0) {
+                this.score.insert(0, p);
+            }
+            for (let i = 0; i < this.score.length; i++) {
+                const innerPart = this.score.get(i);
+                if (!partClefIsSet(innerPart)) {
+                    innerPart.clef = clef.bestClef(innerPart);
+                }
+            }
+            this.stream = this.score;
+        } else if (p.length > 0) {
+            p.append(m);
+            if (!partClefIsSet(p)) {
+                p.clef = clef.bestClef(p);
+            }
+            this.stream = p;
+        } else {
+            if (m._clef === undefined) {
+                m.clef = clef.bestClef(m);
+            }
+            this.stream = m;
         }
-        returnObject = optionalScore;
-    } else if (p.length > 0) {
-        p.append(m);
-        p.clef = clef.bestClef(p);
-        returnObject = p;
-    } else {
-        m.clef = clef.bestClef(m);
-        returnObject = m;
     }
-    return returnObject;
+}
+tinyNotation.Converter = Converter;
+
+/**
+ * Function, not class.
+ *
+ * Converts a TinyNotation String into a music21 Stream, using a
+ * {@link music21.tinyNotation.Converter}.
+ *
+ * See music21p for examples of what can go into tinynotation. It's an
+ * adaptation of Lilypond format, by design Extremely simple!
+ *
+ * Quarter tones are written with "^" (half-sharp) or "v" (half-flat) after
+ * any sharps or flats ("c^", "f#^", "bv", "e-v"), and other microtones
+ * as cents in parentheses at the end of the note ("c4(+20c)").
+ *
+ * Beyond notes and rests:
+ *
+ * - `chord{c4 e g}` -- a Chord, with the duration of its first note.
+ * - `grace{d16 e}` -- grace notes before the next note.
+ * - `k{Eb}`, `k{c#}`, `k{-3}` -- a Key (uppercase major, lowercase minor;
+ *   "b" or "-" for flats) or a KeySignature with that many sharps.
+ * - `clef{bass}`, `clef{alto}`, `clef{G2}` -- a clef.  Keys and clefs
+ *   apply from the current measure onward.
+ * - `!f!`, `!pp!` -- a {@link music21.dynamics.Dynamic} before the next note.
+ * - articulations after the duration: `c4>`, `c>` or `c4->` accent,
+ *   `c4-.` staccato, `c4-!` staccatissimo, `c4--` tenuto, `c4-^` strong
+ *   accent.  Those beginning with "-" need a written duration, since `c-.`
+ *   is a dotted C-flat (and `c4.` is a dotted quarter).
+ * - with `options.staccatoDots`, `c4.` or `c.` is a staccato instead, and
+ *   `c-.` a staccato C-flat; see {@link music21.tinyNotation.Converter}.
+ * - `//` (or `partBreak`) -- start a new Part; a Score is returned.
+ *
+ * @memberof music21.tinyNotation
+ * @param {string} textIn - a valid tinyNotation string
+ * @param {object} [options]
+ * @param {boolean} [options.staccatoDots=false] - read a dot after a note as a staccato
+ * @returns {music21.stream.Part|music21.stream.Measure|music21.stream.Score} - a Stream or Part object (if multiple measures) or a Score (if multiple parts)
+ * @throws {music21.tinyNotation.TinyNotationException} if a "}" is missing or misplaced
+ * @example
+ * var t = "3/4 c4 B8 c d4 e2.";
+ * var p = music21.tinyNotation.TinyNotation(t);
+ * p.duration.quarterLength;
+ * // 6.0
+ *
+ * var sc = music21.tinyNotation.TinyNotation(
+ *     "4/4 k{D} !p! chord{d4 f# a} e4-. f#> g~ g1 // clef{bass} D1 AA1"
+ * );
+ * sc.parts.length; // 2
+ * sc.parts.get(1).getElementsByClass('Measure').get(0).clef.name; // 'bass'
+ *
+ * var m = music21.tinyNotation.TinyNotation('c4. d8 e4. f8', { staccatoDots: true });
+ * m.notes.get(0).articulations[0].name; // 'staccato'
+ * m.notes.get(0).duration.quarterLength; // 1.0
+ */
+tinyNotation.TinyNotation = function TinyNotation(textIn, options) {
+    const params = { staccatoDots: false };
+    common.merge(params, options);
+    const tnc = new Converter(textIn);
+    tnc.staccatoDots = params.staccatoDots;
+    return tnc.parse().stream;
 };
 
 // render notation divs in HTML
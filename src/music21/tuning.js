@@ -0,0 +1,395 @@
+/**
+ * music21j -- Javascript reimplementation of Core music21p features.
+ * music21/tuning -- tuning systems and temperaments
+ *
+ * Copyright (c) 2013-18, Michael Scott Cuthbert and cuthbertLab
+ * Based on music21 (=music21p), Copyright (c) 2006–18, Michael Scott Cuthbert and cuthbertLab
+ *
+ */
+import { Music21Exception } from './exceptions21.js';
+
+import { common } from './common.js';
+import { pitch } from './pitch.js';
+import { prebase } from './prebase.js';
+
+/**
+ * tuning module. See {@link music21.tuning} namespace
+ *
+ * @exports music21/tuning
+ */
+/**
+ * Tuning systems, which give the frequency of a
+ * {@link music21.pitch.Pitch} in something other than twelve-tone equal
+ * temperament at A4 = 440.
+ *
+ * Every TuningSystem has a `referencePitch` (default A4) that sounds at
+ * `referenceFrequency` (default 440); all other pitches are tuned relative
+ * to it.  A tuning system can be set for everything with
+ * {@link music21.tuning.setDefaultTuning} or for a single Stream and its
+ * contents with {@link music21.stream.Stream#tuning}.  The default tuning
+ * is used by `Pitch.frequency`, and a Stream's tuning by the `frequency`
+ * of the Notes in it; both are used by MIDI playback (through pitch bend) and by
+ * {@link music21.audioSearch} when matching sung or played pitches.
+ *
+ * @namespace music21.tuning
+ * @memberof music21
+ * @requires music21/common
+ * @requires music21/pitch
+ * @requires music21/prebase
+ * @example
+ * var p = new music21.pitch.Pitch('E4');
+ * var ji = new music21.tuning.JustIntonation('C');
+ * ji.frequency(p); // 330 (5/4 of C4 = 264)
+ * music21.tuning.setDefaultTuning(new music21.tuning.PythagoreanTuning());
+ * new music21.pitch.Pitch('C4').frequency; // 260.74... (three pure fifths below A4)
+ * music21.tuning.setDefaultTuning(undefined); // back to equal temperament
+ */
+export const tuning = {};
+
+export class TuningException extends Music21Exception {}
+tuning.TuningException = TuningException;
+
+const syntonicComma = 1200 * Math.log2(81 / 80);
+const pythagoreanFifth = 1200 * Math.log2(3 / 2);
+
+// position of each step on the line of fifths, counting from C
+const stepToFifths = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+
+function pitchClassOf(p) {
+    return ((Math.round(p.ps) % 12) + 12) % 12;
+}
+
+function toPitch(p) {
+    if (typeof p === 'string') {
+        return new pitch.Pitch(p);
+    } else if (p.tonic !== undefined) {
+        // a key.Key or a scale
+        return p.tonic;
+    }
+    return p;
+}
+
+/**
+ * Base class for tuning systems; tunes in equal temperament.  Subclasses
+ * override {@link music21.tuning.TuningSystem#centsDeviation}.
+ *
+ * @class TuningSystem
+ * @memberof music21.tuning
+ * @extends music21.prebase.ProtoM21Object
+ * @param {object} [options]
+ * @param {string|music21.pitch.Pitch} [options.referencePitch='A4']
+ * @param {number} [options.referenceFrequency=440]
+ * @property {string} name
+ */
+export class TuningSystem extends prebase.ProtoM21Object {
+    constructor(options) {
+        super();
+        const params = {
+            referencePitch: 'A4',
+            referenceFrequency: 440,
+        };
+        common.merge(params, options);
+        this.name = 'equal temperament';
+        this.referencePitch = toPitch(params.referencePitch);
+        this.referenceFrequency = params.referenceFrequency;
+    }
+
+    /**
+     * The number of cents that this system tunes a pitch above (positive)
+     * or below (negative) equal temperament, before taking the reference
+     * pitch into account.
+     *
+     * @memberof music21.tuning.TuningSystem
+     * @param {music21.pitch.Pitch} unused_p
+     * @returns {number}
+     */
+    centsDeviation(unused_p) {
+        return 0;
+    }
+
+    /**
+     * The pitch space number (C4 = 60, as in equal temperament at A4 = 440)
+     * at which this system sounds the pitch, usually not an integer.
+     *
+     * @memberof music21.tuning.TuningSystem
+     * @param {music21.pitch.Pitch|string} p
+     * @returns {number}
+     */
+    tunedPs(p) {
+        p = toPitch(p);
+        const ref = this.referencePitch;
+        return (
+            69
+            + 12 * Math.log2(this.referenceFrequency / 440)
+            + (p.ps - ref.ps)
+            + (this.centsDeviation(p) - this.centsDeviation(ref)) / 100
+        );
+    }
+
+    /**
+     * The frequency in Hz of a pitch in this system.
+     *
+     * @memberof music21.tuning.TuningSystem
+     * @param {music21.pitch.Pitch|string} p
+     * @returns {number}
+     */
+    frequency(p) {
+        p = toPitch(p);
+        const semitonesAboveReference = this.tunedPs(p) - this.tunedPs(this.referencePitch);
+        return this.referenceFrequency * 2 ** (semitonesAboveReference / 12);
+    }
+
+    /**
+     * The 14-bit MIDI pitch bend (8192 = none) needed to sound a pitch in
+     * this system starting from its `.midi` key, assuming a bend range of
+     * two semitones.
+     *
+     * @memberof music21.tuning.TuningSystem
+     * @param {music21.pitch.Pitch|string} p
+     * @returns {number}
+     */
+    midiPitchBend(p) {
+        p = toPitch(p);
+        const semitonesOff = this.tunedPs(p) - p.midi;
+        const bend = Math.round(8192 + semitonesOff * 4096);
+        return Math.min(Math.max(bend, 0), 16383);
+    }
+
+    /**
+     * Given a frequency, returns the MIDI number of the nearest pitch in
+     * this system (spelled as {@link music21.pitch.Pitch} would spell it)
+     * and how many cents the frequency is above (or below) that pitch.
+     *
+     * @memberof music21.tuning.TuningSystem
+     * @param {number} frequency
+     * @returns {Array<Int>} [midiNumber, centsOff]
+     */
+    midiNumDiffFromFrequency(frequency) {
+        const psFloat = 12 * Math.log2(frequency / 440) + 69;
+        const guess = Math.round(psFloat);
+        let bestMidi;
+        let bestDistance;
+        for (let midiNum = guess - 1; midiNum <= guess + 1; midiNum++) {
+            const distance = psFloat - this.tunedPs(new pitch.Pitch(midiNum));
+            if (bestDistance === undefined || Math.abs(distance) < Math.abs(bestDistance)) {
+                bestMidi = midiNum;
+                bestDistance = distance;
+            }
+        }
+        return [bestMidi, Math.round(100 * bestDistance)];
+    }
+}
+tuning.TuningSystem = TuningSystem;
+
+/**
+ * Twelve-tone equal temperament, possibly with a different reference.
+ *
+ * @class EqualTemperament
+ * @memberof music21.tuning
+ * @extends music21.tuning.TuningSystem
+ * @param {object} [options] - see {@link music21.tuning.TuningSystem}
+ * @example
+ * var baroque = new music21.tuning.EqualTemperament({ referenceFrequency: 415 });
+ * baroque.frequency('A4'); // 415
+ */
+export class EqualTemperament extends TuningSystem {}
+tuning.EqualTemperament = EqualTemperament;
+
+/**
+ * A temperament where every pitch is reached by a chain of identical
+ * fifths of `fifthCents` cents, so that it depends on spelling: in
+ * Pythagorean tuning G# is higher than A-.  Sharps and flats
+ * move along the chain; quarter tones and microtones are added as
+ * in equal temperament.
+ *
+ * @class RegularTemperament
+ * @memberof music21.tuning
+ * @extends music21.tuning.TuningSystem
+ * @param {number} [fifthCents=700]
+ * @param {object} [options] - see {@link music21.tuning.TuningSystem}
+ */
+export class RegularTemperament extends TuningSystem {
+    constructor(fifthCents = 700, options) {
+        super(options);
+        this.name = 'regular temperament';
+        this.fifthCents = fifthCents;
+    }
+
+    /**
+     * The number of fifths above C on the line of fifths (G = 1, F = -1,
+     * F# = 6, etc.)
+     *
+     * @memberof music21.tuning.RegularTemperament
+     * @param {music21.pitch.Pitch} p
+     * @returns {Int}
+     */
+    fifthsFromC(p) {
+        let alter = 0;
+        if (p.accidental !== undefined) {
+            alter = Math.trunc(p.accidental.alter);
+        }
+        return stepToFifths[p.step] + 7 * alter;
+    }
+
+    centsDeviation(p) {
+        return this.fifthsFromC(p) * (this.fifthCents - 700);
+    }
+}
+tuning.RegularTemperament = RegularTemperament;
+
+/**
+ * Pythagorean tuning: pure 3:2 fifths.
+ *
+ * @class PythagoreanTuning
+ * @memberof music21.tuning
+ * @extends music21.tuning.RegularTemperament
+ * @param {object} [options] - see {@link music21.tuning.TuningSystem}
+ */
+export class PythagoreanTuning extends RegularTemperament {
+    constructor(options) {
+        super(pythagoreanFifth, options);
+        this.name = 'Pythagorean';
+    }
+}
+tuning.PythagoreanTuning = PythagoreanTuning;
+
+/**
+ * Meantone temperament: fifths narrowed by a fraction of the syntonic
+ * comma; the default, quarter-comma meantone, has pure major thirds.
+ *
+ * @class MeantoneTemperament
+ * @memberof music21.tuning
+ * @extends music21.tuning.RegularTemperament
+ * @param {number} [commaFraction=0.25]
+ * @param {object} [options] - see {@link music21.tuning.TuningSystem}
+ */
+export class MeantoneTemperament extends RegularTemperament {
+    constructor(commaFraction = 0.25, options) {
+        super(pythagoreanFifth - commaFraction * syntonicComma, options);
+        this.name = 'meantone';
+        this.commaFraction = commaFraction;
+    }
+}
+tuning.MeantoneTemperament = MeantoneTemperament;
+
+/**
+ * A tuning given by a table of twelve positions, in cents above a tonic
+ * (default C), of each pitch class; spelling is ignored.
+ *
+ * @class CentsTableTuning
+ * @memberof music21.tuning
+ * @extends music21.tuning.TuningSystem
+ * @param {Array<number>} [centsTable] - twelve numbers, starting with 0 for the
+ *     tonic; default is equal temperament
+ * @param {object} [options] - see {@link music21.tuning.TuningSystem}
+ * @param {string|music21.pitch.Pitch|music21.key.Key} [options.tonic='C']
+ * @example
+ * // equal temperament with a flat major third
+ * var t = new music21.tuning.CentsTableTuning(
+ *     [0, 100, 200, 300, 386.3, 500, 600, 700, 800, 900, 1000, 1100]);
+ * t.centsDeviation(new music21.pitch.Pitch('E')); // -13.7 (approximately)
+ */
+export class CentsTableTuning extends TuningSystem {
+    constructor(centsTable, options) {
+        super(options);
+        if (centsTable === undefined) {
+            centsTable = [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100];
+        }
+        if (centsTable.length !== 12) {
+            throw new TuningException(
+                'A cents table needs twelve entries, one for each pitch class'
+            );
+        }
+        const params = { tonic: 'C' };
+        common.merge(params, options);
+        this.name = 'cents table';
+        this.centsTable = centsTable;
+        this.tonic = toPitch(params.tonic);
+    }
+
+    centsDeviation(p) {
+        const degree = (pitchClassOf(p) - pitchClassOf(this.tonic) + 12) % 12;
+        return this.centsTable[degree] - 100 * degree;
+    }
+}
+tuning.CentsTableTuning = CentsTableTuning;
+
+/**
+ * Werckmeister III well temperament.
+ *
+ * @class WerckmeisterTemperament
+ * @memberof music21.tuning
+ * @extends music21.tuning.CentsTableTuning
+ * @param {object} [options] - see {@link music21.tuning.CentsTableTuning}
+ */
+export class WerckmeisterTemperament extends CentsTableTuning {
+    constructor(options) {
+        super(
+            [0, 90.225, 192.18, 294.135, 390.225, 498.045,
+                588.27, 696.09, 792.18, 888.27, 996.09, 1092.18],
+            options
+        );
+        this.name = 'Werckmeister III';
+    }
+}
+tuning.WerckmeisterTemperament = WerckmeisterTemperament;
+
+/**
+ * Five-limit just intonation relative to a tonic or key: every pitch class
+ * is tuned by a small whole-number ratio above the tonic.
+ *
+ * @class JustIntonation
+ * @memberof music21.tuning
+ * @extends music21.tuning.CentsTableTuning
+ * @param {string|music21.pitch.Pitch|music21.key.Key} [tonic='C']
+ * @param {object} [options] - see {@link music21.tuning.TuningSystem}
+ */
+export class JustIntonation extends CentsTableTuning {
+    constructor(tonic = 'C', options) {
+        const centsTable = tuning.justRatios.map(
+            ratio => 1200 * Math.log2(ratio)
+        );
+        const params = {};
+        common.merge(params, options);
+        params.tonic = tonic;
+        super(centsTable, params);
+        this.name = 'just intonation';
+    }
+}
+tuning.JustIntonation = JustIntonation;
+
+/**
+ * The ratios above the tonic used by {@link music21.tuning.JustIntonation}
+ * for each of the twelve pitch classes.
+ *
+ * @memberof music21.tuning
+ * @type {Array<number>}
+ */
+tuning.justRatios = [
+    1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3,
+    45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8,
+];
+
+/**
+ * Sets the tuning system used everywhere a Stream or function does not
+ * specify one.  `undefined` restores equal temperament at A4 = 440.
+ *
+ * @function music21.tuning.setDefaultTuning
+ * @param {music21.tuning.TuningSystem|undefined} tuningSystem
+ */
+tuning.setDefaultTuning = function setDefaultTuning(tuningSystem) {
+    pitch.defaultTuning = tuningSystem;
+};
+
+/**
+ * Returns the tuning system in use when none is specified.
+ *
+ * @function music21.tuning.getDefaultTuning
+ * @returns {music21.tuning.TuningSystem}
+ */
+tuning.getDefaultTuning = function getDefaultTuning() {
+    if (pitch.defaultTuning === undefined) {
+        return new EqualTemperament();
+    }
+    return pitch.defaultTuning;
+};
@@ -10,6 +10,7 @@
 import * as $ from 'jquery';
 import * as Vex from 'vexflow';
 
+import { common } from './common.js';
 import { debug } from './debug.js';
 import { duration } from './duration.js';
 /**
@@ -112,9 +113,12 @@ vfShow.RenderStack = RenderStack;
  * @property {Vex.Flow.Formatter} activeFormatter - formatter
  * @property {Array<Vex.Flow.Beam>} beamGroups - beamGroups
  * @property {Array<Vex.Flow.StaveTie>} vfTies - ties as instances of Vex.Flow.StaveTie
+ * @property {Array<Vex.Flow.Element>} vfSpanners - slurs, hairpins, etc. from {@link music21.spanner.Spanner#vexflow}
  * @property {Array<number>} systemBreakOffsets - where to break the systems
  * @property {Array<Vex.Flow.Tuplet>} vfTuplets - tuplets represented in Vexflow
  * @property {Array<music21.vfShow.RenderStack>} stacks - array of RenderStack objects
+ * @property {music21.vfShow.PlaybackCursor|undefined} playbackCursor - cursor
+ * following playback, see {@link music21.vfShow.Renderer#attachPlaybackCursor}
  */
 export class Renderer {
     constructor(s, div, where) {
@@ -132,8 +136,10 @@ export class Renderer {
         this.stacks = []; // an Array of RenderStacks: {voices: [Array of Vex.Flow.Voice objects],
         //                                           streams: [Array of Streams, usually Measures]}
         this.vfTies = [];
+        this.vfSpanners = [];
         this.systemBreakOffsets = [];
         this.vfTuplets = [];
+        this.playbackCursor = undefined;
         // this.measureFormatters = [];
         if (where !== undefined) {
             if (where.jquery !== undefined) {
@@ -233,11 +239,14 @@ export class Renderer {
         } else {
             this.prepareArrivedFlat(s);
         }
+        this.prepareSpanners(s);
         this.formatMeasureStacks();
         this.drawTies();
+        this.drawSpanners();
         this.drawMeasureStacks();
         this.drawBeamGroups();
         this.drawTuplets();
+        this.drawMetadata(s);
     }
     /**
      * Prepares a scorelike stream (i.e., one with parts or
@@ -274,7 +283,7 @@ export class Renderer {
             if (subStream.renderOptions.startNewSystem) {
                 this.systemBreakOffsets.push(subStream.offset);
             }
-            if (i === p.length - 1) {
+            if (i === measureList.length - 1) {
                 subStream.renderOptions.rightBarline = 'end';
             }
             if (this.stacks[i] === undefined) {
@@ -415,6 +424,123 @@ export class Renderer {
             this.vfTies[i].setContext(ctx).draw();
         }
     }
+    /**
+     * draws the vfSpanners
+     *
+     * @memberof music21.vfShow.Renderer
+     */
+    drawSpanners() {
+        const ctx = this.ctx;
+        for (const vfSpanner of this.vfSpanners) {
+            vfSpanner.setContext(ctx).draw();
+        }
+    }
+    /**
+     * Finds the Spanners in `s` and creates Vexflow objects for them in
+     * `this.vfSpanners`.  A spanner that crosses a system break is drawn
+     * as one piece per system.
+     *
+     * Spanned elements that are not notes or chords in `s` are ignored.
+     *
+     * @memberof music21.vfShow.Renderer
+     * @param {music21.stream.Stream} s - the Stream being rendered
+     */
+    prepareSpanners(s) {
+        const spanners = s.spannerBundle;
+        if (spanners.length === 0) {
+            return;
+        }
+        let partlikes = s.parts;
+        if (partlikes.length === 0) {
+            partlikes = [s];
+        }
+        for (const p of partlikes) {
+            const pf = p.flat.notesAndRests;
+            const flatElements = pf.elements;
+            const flatOffsets = pf._elementOffsets;
+            const indexByElement = new Map();
+            flatElements.forEach((el, i) => indexByElement.set(el, i));
+            for (const sp of spanners) {
+                const startIndex = indexByElement.get(sp.getFirst());
+                const endIndex = indexByElement.get(sp.getLast());
+                if (startIndex === undefined || endIndex === undefined) {
+                    continue;
+                }
+                const segments = [];
+                let segmentStart = startIndex;
+                for (let i = startIndex; i < endIndex; i++) {
+                    const crossesSystemBreak = this.systemBreakOffsets.some(
+                        sbOffset => flatOffsets[i] < sbOffset
+                            && flatOffsets[i + 1] >= sbOffset
+                    );
+                    if (crossesSystemBreak) {
+                        segments.push([segmentStart, i]);
+                        segmentStart = i + 1;
+                    }
+                }
+                segments.push([segmentStart, endIndex]);
+                for (const [firstIndex, lastIndex] of segments) {
+                    if (segments.length > 1 && firstIndex === lastIndex) {
+                        continue; // nothing to draw for a single note on a system
+                    }
+                    const vfSpanner = sp.vexflow(
+                        flatElements[firstIndex].activeVexflowNote,
+                        flatElements[lastIndex].activeVexflowNote
+                    );
+                    if (vfSpanner !== undefined) {
+                        this.vfSpanners.push(vfSpanner);
+                    }
+                }
+            }
+        }
+    }
+    /**
+     * Draws the title (or movement name), movement name, and composer
+     * of a Score's {@link music21.metadata.Metadata} above the first system,
+     * if `s.renderOptions.showMetadata` is true.
+     *
+     * @memberof music21.vfShow.Renderer
+     * @param {music21.stream.Score} [s=this.stream]
+     */
+    drawMetadata(s) {
+        if (s === undefined) {
+            s = this.stream;
+        }
+        if (!s.isClassOrSubclass('Score') || s.metadataRenderHeight === 0) {
+            return;
+        }
+        const md = s.metadata;
+        const ctx = this.ctx;
+        const width = s.estimateStaffLength() + s.renderOptions.staffPadding;
+        let title = md.title;
+        let subtitle = md.movementName;
+        if (title === undefined) {
+            title = subtitle;
+            subtitle = undefined;
+        }
+        ctx.save();
+        if (title !== undefined) {
+            ctx.setFont('Times', 24, 'bold');
+            const titleWidth = ctx.measureText(title).width;
+            ctx.fillText(title, (width - titleWidth) / 2, 30);
+        }
+        if (subtitle !== undefined && subtitle !== title) {
+            ctx.setFont('Times', 16, '');
+            const subtitleWidth = ctx.measureText(subtitle).width;
+            ctx.fillText(subtitle, (width - subtitleWidth) / 2, 52);
+        }
+        const composer = md.composer;
+        if (composer !== undefined) {
+            ctx.setFont('Times', 14, '');
+            const composerWidth = ctx.measureText(composer).width;
+            ctx.fillText(
+                composer,
+                width - composerWidth - 10,
+                s.metadataRenderHeight - 10
+            );
+        }
+        ctx.restore();
+    }
     /**
      * Finds all tied notes and creates the proper Vex.Flow.StaveTie objects in
      * `this.vfTies`.
@@ -672,7 +798,10 @@ export class Renderer {
     }
     /**
      * Sets the number of stafflines, puts the clef on the Stave,
-     * adds keySignature, timeSignature, and rightBarline
+     * adds keySignature, timeSignature, barlines, and volta brackets.
+     *
+     * The Measure's `leftBarline` and `rightBarline` take precedence over
+     * `rendOp.rightBarline`.
      *
      * @memberof music21.vfShow.Renderer
      * @param {music21.stream.Stream} s
@@ -711,19 +840,98 @@ export class Renderer {
                     + s.timeSignature.denominator.toString()
             );
         }
-        if (rendOp.rightBarline !== undefined) {
-            const bl = rendOp.rightBarline;
-            const barlineMap = {
-                single: 'SINGLE',
-                double: 'DOUBLE',
-                end: 'END',
-            };
-            const vxBL = barlineMap[bl];
-            if (vxBL !== undefined) {
-                stave.setEndBarType(Vex.Flow.Barline.type[vxBL]);
+        const barlineMap = {
+            single: 'SINGLE',
+            double: 'DOUBLE',
+            end: 'END',
+            regular: 'SINGLE',
+            dotted: 'SINGLE',
+            dashed: 'SINGLE',
+            heavy: 'SINGLE',
+            tick: 'SINGLE',
+            short: 'SINGLE',
+            'heavy-light': 'SINGLE',
+            'heavy-heavy': 'DOUBLE',
+            final: 'END',
+            none: 'NONE',
+        };
+        const leftBarline = s.leftBarline;
+        if (leftBarline !== undefined) {
+            // VexFlow only draws single, repeat, or no barlines at the start of a stave.
+            if (leftBarline.isClassOrSubclass('Repeat')) {
+                stave.setBegBarType(Vex.Flow.Barline.type.REPEAT_BEGIN);
+            } else if (leftBarline.type === 'none') {
+                stave.setBegBarType(Vex.Flow.Barline.type.NONE);
+            }
+        }
+        const rightBarline = s.rightBarline;
+        let vxBL;
+        if (rightBarline !== undefined) {
+            if (rightBarline.isClassOrSubclass('Repeat')) {
+                vxBL = 'REPEAT_END';
+            } else {
+                vxBL = barlineMap[rightBarline.type];
+            }
+        } else if (rendOp.rightBarline !== undefined) {
+            vxBL = barlineMap[rendOp.rightBarline];
+        }
+        if (vxBL !== undefined) {
+            stave.setEndBarType(Vex.Flow.Barline.type[vxBL]);
+        }
+        this.setVolta(s, stave);
+        this.setTempo(s, stave);
+    }
+
+    /**
+     * Draws the first {@link music21.tempo.TempoIndication} at the start of the
+     * Stream (Measure) above the Stave.  Later ones are shown above their notes
+     * by {@link music21.vfShow.Renderer#vexflowNotes}.
+     *
+     * @memberof music21.vfShow.Renderer
+     * @param {music21.stream.Stream} s
+     * @param {Vex.Flow.Stave} stave
+     */
+    setTempo(s, stave) {
+        for (const ti of s.getElementsByClass('TempoIndication')) {
+            if (ti.offset !== 0) {
+                continue;
+            }
+            const vfTempo = this.vexflowTempo(ti);
+            if (vfTempo !== undefined) {
+                stave.setTempo(vfTempo, 0);
+                return;
             }
         }
     }
+
+    /**
+     * Draws the volta bracket of a {@link music21.spanner.RepeatBracket} containing
+     * the Stream (Measure) on the Stave.
+     *
+     * @memberof music21.vfShow.Renderer
+     * @param {music21.stream.Stream} s
+     * @param {Vex.Flow.Stave} stave
+     */
+    setVolta(s, stave) {
+        const rb = s.getSpannerSites('RepeatBracket')[0];
+        if (rb === undefined) {
+            return;
+        }
+        const isFirst = rb.isFirst(s);
+        const isLast = rb.isLast(s);
+        let voltaType;
+        if (isFirst && isLast) {
+            voltaType = Vex.Flow.Volta.type.BEGIN_END;
+        } else if (isFirst) {
+            voltaType = Vex.Flow.Volta.type.BEGIN;
+        } else if (isLast) {
+            voltaType = Vex.Flow.Volta.type.END;
+        } else {
+            voltaType = Vex.Flow.Volta.type.MID;
+        }
+        const label = isFirst && rb.number !== undefined ? rb.number + '.' : '';
+        stave.setVoltaType(voltaType, label, -5);
+    }
     /**
      * Sets the number of stafflines properly for the Stave object.
      *
@@ -794,10 +1002,26 @@ export class Renderer {
         let activeTupletVexflowNotes = [];
 
         const options = { clef: s.clef, stave };
+        // ChordSymbols that are not written as chords are shown above the
+        // note that sounds when they start.
+        const chordSymbols = [];
+        // so are tempo marks after the start of the Stream.
+        const tempoIndications = [];
+        // grace notes are drawn in a group attached to the next note.
+        let graceNotes = [];
+        let graceNotesBeamable = true;
+        for (const thisEl of s) {
+            if (thisEl.isClassOrSubclass('ChordSymbol') && !thisEl.writeAsChord) {
+                chordSymbols.push([thisEl.offset, thisEl]);
+            } else if (thisEl.isClassOrSubclass('TempoIndication') && thisEl.offset > 0) {
+                tempoIndications.push([thisEl.offset, thisEl]);
+            }
+        }
         for (const thisEl of s) {
             if (
                 thisEl.isClassOrSubclass('GeneralNote')
                 && thisEl.duration !== undefined
+                && !(thisEl.isClassOrSubclass('ChordSymbol') && !thisEl.writeAsChord)
             ) {
                 // sets thisEl.activeVexflowNote -- may be overwritten but not so fast...
                 const vfn = thisEl.vexflowNote(options);
@@ -807,8 +1031,37 @@ export class Renderer {
                 if (stave !== undefined) {
                     vfn.setStave(stave);
                 }
+                if (thisEl.duration.isGrace) {
+                    graceNotes.push(vfn);
+                    const typeNumber = duration.ordinalTypeFromNum.indexOf(thisEl.duration.type);
+                    if (typeNumber <= duration.quarterTypeIndex) {
+                        graceNotesBeamable = false;
+                    }
+                    continue;
+                }
+                if (graceNotes.length > 0) {
+                    const graceNoteGroup = new Vex.Flow.GraceNoteGroup(graceNotes);
+                    if (graceNotesBeamable) {
+                        graceNoteGroup.beamNotes();
+                    }
+                    vfn.addModifier(0, graceNoteGroup);
+                    graceNotes = [];
+                    graceNotesBeamable = true;
+                }
                 notes.push(vfn);
 
+                const elEnd = thisEl.offset + thisEl.duration.quarterLength;
+                while (chordSymbols.length > 0 && chordSymbols[0][0] < elEnd) {
+                    const cs = chordSymbols.shift()[1];
+                    vfn.addAnnotation(0, this.vexflowChordSymbol(cs));
+                }
+                while (tempoIndications.length > 0 && tempoIndications[0][0] < elEnd) {
+                    const annotation = this.vexflowTempoAnnotation(tempoIndications.shift()[1]);
+                    if (annotation !== undefined) {
+                        vfn.addAnnotation(0, annotation);
+                    }
+                }
+
                 // account for tuplets...
                 if (thisEl.duration.tuplets.length > 0) {
                     // only support one tuplet per note -- like vexflow
@@ -859,6 +1112,75 @@ export class Renderer {
         return notes;
     }
 
+    /**
+     * Returns a `Vex.Flow.Annotation` that shows the figure of a ChordSymbol
+     * above the staff.
+     *
+     * @memberof music21.vfShow.Renderer
+     * @param {music21.harmony.ChordSymbol} cs
+     * @returns {Vex.Flow.Annotation}
+     */
+    vexflowChordSymbol(cs) {
+        return new Vex.Flow.Annotation(cs.displayFigure())
+            .setFont('Serif', 12, '')
+            .setVerticalJustification(Vex.Flow.Annotation.VerticalJustify.TOP);
+    }
+
+    /**
+     * Returns the tempo object that `Vex.Flow.StaveTempo` draws
+     * (`{name, duration, dots, bpm}`) for a TempoIndication, or undefined
+     * if it shows nothing.
+     *
+     * @memberof music21.vfShow.Renderer
+     * @param {music21.tempo.TempoIndication} ti
+     * @returns {object|undefined}
+     */
+    vexflowTempo(ti) {
+        const vfTempo = {};
+        if (ti.text !== undefined && !ti.textImplicit) {
+            vfTempo.name = ti.text;
+        }
+        if (
+            ti.isClassOrSubclass('MetronomeMark')
+            && ti.number !== undefined
+            && !ti.numberImplicit
+        ) {
+            const typeNumber = duration.ordinalTypeFromNum.indexOf(ti.referent.type);
+            vfTempo.duration = duration.vexflowDurationArray[typeNumber];
+            vfTempo.dots = ti.referent.dots;
+            vfTempo.bpm = Math.round(ti.number * 100) / 100;
+        }
+        if (vfTempo.name === undefined && vfTempo.bpm === undefined) {
+            return undefined;
+        }
+        return vfTempo;
+    }
+
+    /**
+     * Returns a `Vex.Flow.Annotation` that shows a TempoIndication above a note,
+     * or undefined if it shows nothing.
+     *
+     * @memberof music21.vfShow.Renderer
+     * @param {music21.tempo.TempoIndication} ti
+     * @returns {Vex.Flow.Annotation|undefined}
+     */
+    vexflowTempoAnnotation(ti) {
+        const vfTempo = this.vexflowTempo(ti);
+        if (vfTempo === undefined) {
+            return undefined;
+        }
+        let text = vfTempo.name !== undefined ? vfTempo.name : '';
+        if (vfTempo.bpm !== undefined) {
+            const noteSymbols = { w: '\u{1D15D}', h: '\u{1D15E}', q: '\u2669', 8: '\u266A' };
+            const noteSymbol = noteSymbols[vfTempo.duration] || '\u2669';
+            const mark = noteSymbol + '.'.repeat(vfTempo.dots) + ' = ' + vfTempo.bpm;
+            text = text !== '' ? text + ' (' + mark + ')' : mark;
+        }
+        return new Vex.Flow.Annotation(text)
+            .setFont('Serif', 12, 'bold')
+            .setVerticalJustification(Vex.Flow.Annotation.VerticalJustify.TOP);
+    }
+
     /**
      * Gets an Array of `Vex.Flow.TextNote` objects from any lyrics found in s
      *
@@ -893,6 +1215,9 @@ export class Renderer {
         // runs on a flat, gapless, no-overlap stream, returns a list of TextNote objects...
         const lyricsObjects = [];
         for (const el of s) {
+            if (el.isClassOrSubclass('ChordSymbol') && !el.writeAsChord) {
+                continue;
+            }
             const lyricsArray = el.lyrics;
             let text;
             let d = el.duration;
@@ -1161,7 +1486,8 @@ export class Renderer {
         for (const el of s) {
             if (el.isClassOrSubclass('GeneralNote')) {
                 const vfn = el.activeVexflowNote;
-                if (vfn === undefined) {
+                // grace notes are not in the voice, so take no ticks.
+                if (vfn === undefined || el.duration.isGrace) {
                     continue;
                 }
                 const nTicks = parseInt(vfn.ticks);
@@ -1203,5 +1529,247 @@ export class Renderer {
         }
         s.storedVexflowStave = stave;
     }
+
+    /**
+     * Shows a {@link music21.vfShow.PlaybackCursor} on the rendered SVG
+     * following the playback of `scheduler` (replacing any earlier one).
+     *
+     * @memberof music21.vfShow.Renderer
+     * @param {music21.playback.Scheduler} scheduler
+     * @param {object} [options] - see {@link music21.vfShow.PlaybackCursor}
+     * @returns {music21.vfShow.PlaybackCursor}
+     */
+    attachPlaybackCursor(scheduler, options) {
+        if (this.playbackCursor === undefined) {
+            this.playbackCursor = new PlaybackCursor(this, options);
+        } else if (options !== undefined) {
+            common.merge(this.playbackCursor, options);
+        }
+        this.playbackCursor.attach(scheduler);
+        return this.playbackCursor;
+    }
 }
 vfShow.Renderer = Renderer;
+
+/**
+ * Highlights the notes (or measures) of a rendered Stream as they play,
+ * scrolling each new system into view.
+ *
+ * Only works on SVG output; on a canvas it does nothing.
+ *
+ * `options` can contain:
+ * - mode: 'note' (default) or 'measure'
+ * - color: fill of the highlight (default 'rgba(255, 170, 0, 0.35)')
+ * - autoScroll: boolean (default true)
+ *
+ * @class PlaybackCursor
+ * @memberof music21.vfShow
+ * @param {music21.vfShow.Renderer} renderer - a Renderer that has rendered
+ * @param {object} [options]
+ * @property {Map} highlights - element or Measure to `{rect, svg, count}`
+ * @example
+ * var s = music21.tinyNotation.TinyNotation('3/4 c4 d e f g a');
+ * s.appendNewDOM();
+ * s.playStream(); // highlights each note in turn
+ * s.activeVFRenderer.playbackCursor.mode = 'measure';
+ */
+export class PlaybackCursor {
+    constructor(renderer, options) {
+        this.renderer = renderer;
+        this.mode = 'note';
+        this.color = 'rgba(255, 170, 0, 0.35)';
+        this.autoScroll = true;
+        this.padding = 5;
+        common.merge(this, options);
+
+        this.scheduler = undefined;
+        this.highlights = new Map();
+        this.measureOf = new Map();
+        this.systemIndex = undefined;
+        this._noteOn = el => this.noteOn(el);
+        this._noteOff = el => this.noteOff(el);
+        this.mapMeasures(renderer.stream);
+    }
+
+    /**
+     * Records the Measure holding each element of `s`.
+     *
+     * @memberof music21.vfShow.PlaybackCursor
+     * @param {music21.stream.Stream} s
+     * @param {music21.stream.Measure} [m]
+     */
+    mapMeasures(s, m) {
+        for (const el of s) {
+            if (el.isClassOrSubclass('Measure')) {
+                this.mapMeasures(el, el);
+            } else if (el.isClassOrSubclass('Stream')) {
+                this.mapMeasures(el, m);
+            } else if (m !== undefined) {
+                this.measureOf.set(el, m);
+            }
+        }
+    }
+
+    /**
+     * @memberof music21.vfShow.PlaybackCursor
+     * @type {SVGElement|undefined}
+     */
+    get svg() {
+        if (this.renderer.rendererType !== 'svg') {
+            return undefined;
+        }
+        return this.renderer.ctx.svg;
+    }
+
+    /**
+     * Returns the box to highlight for an element in SVG coordinates
+     * `{x, y, width, height}`, or undefined if it was not rendered.
+     *
+     * @memberof music21.vfShow.PlaybackCursor
+     * @param {music21.note.GeneralNote} el
+     * @returns {object|undefined}
+     */
+    boundingBox(el) {
+        const m = this.measureOf.get(el);
+        const stave = (m !== undefined ? m : this.renderer.stream).activeVFStave;
+        if (stave === undefined) {
+            return undefined;
+        }
+        const top = stave.getYForLine(0) - this.padding;
+        const bottom = stave.getYForLine(stave.getNumLines() - 1) + this.padding;
+        let x;
+        let width;
+        if (this.mode === 'measure') {
+            x = stave.getX();
+            width = stave.getWidth();
+        } else {
+            if (el.x === undefined) {
+                return undefined;
+            }
+            x = el.x - this.padding;
+            width = (el.width !== undefined ? el.width : 10) + 2 * this.padding;
+        }
+        return { x, y: top, width, height: bottom - top };
+    }
+
+    _highlightKey(el) {
+        if (this.mode === 'measure' && this.measureOf.has(el)) {
+            return this.measureOf.get(el);
+        }
+        return el;
+    }
+
+    /**
+     * Highlights an element that has begun to sound.
+     *
+     * @memberof music21.vfShow.PlaybackCursor
+     * @param {music21.note.GeneralNote} el
+     */
+    noteOn(el) {
+        const key = this._highlightKey(el);
+        const existing = this.highlights.get(key);
+        if (existing !== undefined) {
+            existing.count += 1;
+            return;
+        }
+        const svg = this.svg;
+        const box = this.boundingBox(el);
+        if (svg === undefined || box === undefined) {
+            return;
+        }
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('class', 'playbackCursor');
+        rect.setAttribute('x', box.x);
+        rect.setAttribute('y', box.y);
+        rect.setAttribute('width', box.width);
+        rect.setAttribute('height', box.height);
+        rect.setAttribute('fill', this.color);
+        svg.insertBefore(rect, svg.firstChild); // behind the notes
+        this.highlights.set(key, { rect, svg, count: 1 });
+        if (this.autoScroll) {
+            this.scrollTo(el, rect);
+        }
+    }
+
+    /**
+     * Removes the highlight of an element that has stopped sounding.
+     *
+     * @memberof music21.vfShow.PlaybackCursor
+     * @param {music21.note.GeneralNote} el
+     */
+    noteOff(el) {
+        // the mode may have changed since the highlight was made.
+        const key = this.highlights.has(el) ? el : this._highlightKey(el);
+        const highlight = this.highlights.get(key);
+        if (highlight === undefined) {
+            return;
+        }
+        highlight.count -= 1;
+        if (highlight.count > 0) {
+            return;
+        }
+        highlight.svg.removeChild(highlight.rect);
+        this.highlights.delete(key);
+    }
+
+    /**
+     * Removes all highlights.
+     *
+     * @memberof music21.vfShow.PlaybackCursor
+     */
+    clear() {
+        for (const highlight of this.highlights.values()) {
+            highlight.svg.removeChild(highlight.rect);
+        }
+        this.highlights.clear();
+        this.systemIndex = undefined;
+    }
+
+    /**
+     * Scrolls the highlight into view when playback moves to a new system.
+     *
+     * @memberof music21.vfShow.PlaybackCursor
+     * @param {music21.note.GeneralNote} el
+     * @param {SVGElement} rect
+     */
+    scrollTo(el, rect) {
+        const m = this.measureOf.get(el);
+        const systemIndex = m !== undefined ? m.renderOptions.systemIndex : 0;
+        if (systemIndex === this.systemIndex) {
+            return;
+        }
+        this.systemIndex = systemIndex;
+        if (rect.scrollIntoView !== undefined) {
+            rect.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Follows `scheduler` (and stops following any earlier one).
+     *
+     * @memberof music21.vfShow.PlaybackCursor
+     * @param {music21.playback.Scheduler} scheduler
+     */
+    attach(scheduler) {
+        this.detach();
+        this.scheduler = scheduler;
+        scheduler.callbacks.noteOn.push(this._noteOn);
+        scheduler.callbacks.noteOff.push(this._noteOff);
+    }
+
+    /**
+     * Stops following the current scheduler and removes all highlights.
+     *
+     * @memberof music21.vfShow.PlaybackCursor
+     */
+    detach() {
+        if (this.scheduler !== undefined) {
+            const callbacks = this.scheduler.callbacks;
+            callbacks.noteOn = callbacks.noteOn.filter(f => f !== this._noteOn);
+            callbacks.noteOff = callbacks.noteOff.filter(f => f !== this._noteOff);
+            this.scheduler = undefined;
+        }
+        this.clear();
+    }
+}
+vfShow.PlaybackCursor = PlaybackCursor;
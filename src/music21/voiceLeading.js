@@ -401,6 +401,214 @@ class VoiceLeadingQuartet extends Music21Object {
     }
 }
 
+/**
+ * The VoiceLeadingQuartet methods that {@link music21.voiceLeading.analyzeScore}
+ * reports as violations.  Voice crossing is checked separately at each
+ * verticality so that a crossing is only reported once.
+ */
+const quartetViolationTypes = [
+    'parallelFifth',
+    'parallelOctave',
+    'parallelUnison',
+    'hiddenFifth',
+    'hiddenOctave',
+    'voiceOverlap',
+];
+
+/**
+ * Returns the notes and rests of a Part with their offsets in the Part,
+ * measure numbers, and beats.
+ */
+function partEvents(p) {
+    const measureSpans = [];
+    let lastTimeSignature = p.timeSignature;
+    for (const el of p) {
+        if (!el.isMeasure) {
+            continue;
+        }
+        if (el._timeSignature !== undefined) {
+            lastTimeSignature = el._timeSignature;
+        }
+        measureSpans.push([el.offset, el.number, lastTimeSignature]);
+    }
+
+    const events = [];
+    for (const n of p.flat.notesAndRests) {
+        const offset = n.offset;
+        let measureStart = 0.0;
+        let measureNumber;
+        let ts = p.timeSignature;
+        for (const [mStart, mNumber, mTimeSignature] of measureSpans) {
+            if (mStart > offset) {
+                break;
+            }
+            [measureStart, measureNumber, ts] = [mStart, mNumber, mTimeSignature];
+        }
+        let beatLength = 1.0;
+        if (ts !== undefined) {
+            beatLength = ts.beatDuration.quarterLength;
+        }
+        events.push({
+            element: n,
+            offset,
+            endTime: offset + n.duration.quarterLength,
+            measureNumber,
+            beat: 1 + (offset - measureStart) / beatLength,
+        });
+    }
+    return events;
+}
+
+/**
+ * The event for the Note sounding at offset, or undefined if a rest,
+ * a chord, or nothing sounds.
+ */
+function noteEventAt(events, offset) {
+    for (const e of events) {
+        if (e.offset <= offset && e.endTime > offset) {
+            if (e.element.isClassOrSubclass('Note')) {
+                return e;
+            }
+            return undefined;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Checks the voice leading between every adjacent pair of Parts in a Score
+ * (the upper Part is voice 1) at every pair of successive verticalities,
+ * where a verticality is any offset at which a note or rest begins in either
+ * Part.  Parts should have one line of Notes; Chords are skipped.
+ *
+ * Returns an Array of violations, in order of offset.  Each violation is an
+ * object with:
+ *
+ * - `type`: 'parallelFifth', 'parallelOctave', 'parallelUnison',
+ *   'hiddenFifth', 'hiddenOctave', 'voiceOverlap', or 'voiceCrossing'
+ * - `measureNumber` and `beat` (counting from 1) where the second
+ *   verticality of the motion (or the crossing) is
+ * - `offset`: the same place as an offset in the Score
+ * - `partIndices`: the indices of the two Parts in `score.parts`, upper first
+ * - `parts`: the two Parts
+ * - `notes`: the notes involved, from the Score; `[v1n1, v1n2, v2n1, v2n2]`,
+ *   or `[upperNote, lowerNote]` for a voice crossing
+ * - `quartet`: the {@link music21.voiceLeading.VoiceLeadingQuartet}, or
+ *   undefined for a voice crossing
+ *
+ * Pass the violations to {@link music21.voiceLeading.colorViolations} to
+ * show them when the Score is rendered again.
+ *
+ * @memberof music21.voiceLeading
+ * @param {music21.stream.Score} score
+ * @param {music21.key.Key|string} [analyticKey] - given to each
+ *     VoiceLeadingQuartet, so that `quartet.isProperResolution()` can use it
+ * @returns {Array<object>}
+ * @example
+ * var sc = new music21.stream.Score();
+ * sc.insert(0, music21.tinyNotation.TinyNotation("4/4 g'2 a'2 b'1"));
+ * sc.insert(0, music21.tinyNotation.TinyNotation('4/4 c2 d2 g1'));
+ * var violations = music21.voiceLeading.analyzeScore(sc, 'C');
+ * violations[0].type; // 'parallelFifth'
+ * violations[0].beat; // 3
+ */
+function analyzeScore(score, analyticKey) {
+    const parts = score.parts.elements;
+    const allEvents = parts.map(partEvents);
+    const violations = [];
+    for (let i = 0; i < parts.length - 1; i++) {
+        const upperEvents = allEvents[i];
+        const lowerEvents = allEvents[i + 1];
+        const offsets = Array.from(
+            new Set([...upperEvents, ...lowerEvents].map(e => e.offset))
+        );
+        offsets.sort((a, b) => a - b);
+
+        const makeViolation = (type, where, notes, quartet) => ({
+            type,
+            measureNumber: where.measureNumber,
+            beat: where.beat,
+            offset: where.offset,
+            partIndices: [i, i + 1],
+            parts: [parts[i], parts[i + 1]],
+            notes,
+            quartet,
+        });
+
+        let previous;
+        for (const offset of offsets) {
+            const upper = noteEventAt(upperEvents, offset);
+            const lower = noteEventAt(lowerEvents, offset);
+            if (upper === undefined || lower === undefined) {
+                previous = undefined;
+                continue;
+            }
+            // at least one of the notes begins at this verticality
+            const attack = upper.offset === offset ? upper : lower;
+            const where = {
+                measureNumber: attack.measureNumber,
+                beat: attack.beat,
+                offset,
+            };
+
+            if (upper.element.pitch.ps < lower.element.pitch.ps) {
+                violations.push(
+                    makeViolation(
+                        'voiceCrossing',
+                        where,
+                        [upper.element, lower.element],
+                        undefined
+                    )
+                );
+            }
+            if (previous !== undefined) {
+                const [prevUpper, prevLower] = previous;
+                const vlq = new VoiceLeadingQuartet(
+                    prevUpper.element,
+                    upper.element,
+                    prevLower.element,
+                    lower.element,
+                    analyticKey
+                );
+                for (const type of quartetViolationTypes) {
+                    if (vlq[type]()) {
+                        violations.push(
+                            makeViolation(
+                                type,
+                                where,
+                                [vlq.v1n1, vlq.v1n2, vlq.v2n1, vlq.v2n2],
+                                vlq
+                            )
+                        );
+                    }
+                }
+            }
+            previous = [upper, lower];
+        }
+    }
+    violations.sort((a, b) => a.offset - b.offset);
+    return violations;
+}
+
+/**
+ * Colors the notes of each violation from
+ * {@link music21.voiceLeading.analyzeScore} so that they show when the
+ * Score is rendered again.
+ *
+ * @memberof music21.voiceLeading
+ * @param {Array<object>} violations
+ * @param {string} [color='red']
+ */
+function colorViolations(violations, color = 'red') {
+    for (const violation of violations) {
+        for (const n of violation.notes) {
+            n.noteheadColor = color;
+        }
+    }
+}
+
 export const voiceLeading = {
     VoiceLeadingQuartet,
+    analyzeScore,
+    colorViolations,
 };
@@ -1,46 +1,72 @@
+import analysis from './moduleTests/analysis.js';
 import articulations from './moduleTests/articulations.js';
+import bar from './moduleTests/bar.js';
 import base from './moduleTests/base.js';
 import beam from './moduleTests/beam.js';
 import chord from './moduleTests/chord.js';
+import chordTables from './moduleTests/chordTables.js';
 import clef from './moduleTests/clef.js';
 import common from './moduleTests/common.js';
 import duration from './moduleTests/duration.js';
 import dynamics from './moduleTests/dynamics.js';
 import figuredBass from './moduleTests/figuredBass.js';
+import freezeThaw from './moduleTests/freezeThaw.js';
+import harmony from './moduleTests/harmony.js';
 import interval from './moduleTests/interval.js';
 import key from './moduleTests/key.js';
+import metadata from './moduleTests/metadata.js';
 import meter from './moduleTests/meter.js';
+import midi from './moduleTests/midi.js';
+import musicxml from './moduleTests/musicxml.js';
 import note from './moduleTests/note.js';
 import pitch from './moduleTests/pitch.js';
+import playback from './moduleTests/playback.js';
 import prebase from './moduleTests/prebase.js';
 import roman from './moduleTests/roman.js';
 import scale from './moduleTests/scale.js';
 import sites from './moduleTests/sites.js';
+import spanner from './moduleTests/spanner.js';
 import stream from './moduleTests/stream.js';
+import tempo from './moduleTests/tempo.js';
 import tie from './moduleTests/tie.js';
+import tinyNotation from './moduleTests/tinyNotation.js';
+import tuning from './moduleTests/tuning.js';
 import voiceLeading from './moduleTests/voiceLeading.js';
 
 const allTests = {
+    analysis,
     articulations,
+    bar,
     base,
     beam,
     chord,
+    chordTables,
     clef,
     common,
     duration,
     dynamics,
     figuredBass,
+    freezeThaw,
+    harmony,
     interval,
     key,
+    metadata,
     meter,
+    midi,
+    musicxml,
     note,
     pitch,
+    playback,
     prebase,
     roman,
     scale,
     sites,
+    spanner,
     stream,
+    tempo,
     tie,
+    tinyNotation,
+    tuning,
     voiceLeading,
 };
 if (typeof window !== undefined) {
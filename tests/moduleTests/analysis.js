@@ -0,0 +1,73 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.analysis.KrumhanslSchmuckler', assert => {
+        const s = music21.tinyNotation.TinyNotation("3/4 e4 f# g a b c'# d'2.");
+        const k = s.analyze('key');
+        assert.ok(k instanceof music21.key.Key);
+        assert.equal(k.tonic.name, 'D');
+        assert.equal(k.mode, 'major');
+        assert.ok(k.correlationCoefficient > 0.8 && k.correlationCoefficient <= 1.0);
+        assert.equal(k.alternateInterpretations.length, 23);
+        assert.equal(k.alternateInterpretations[0].tonic.name, 'B');
+        assert.equal(k.alternateInterpretations[0].mode, 'minor');
+        let lastCoefficient = k.correlationCoefficient;
+        let sorted = true;
+        for (const alt of k.alternateInterpretations) {
+            if (alt.correlationCoefficient > lastCoefficient) {
+                sorted = false;
+            }
+            lastCoefficient = alt.correlationCoefficient;
+        }
+        assert.ok(sorted, 'alternate interpretations are sorted best first');
+        assert.ok(lastCoefficient >= -1.0);
+
+        const sMinor = music21.tinyNotation.TinyNotation("4/4 a4 b c' d' e' f' g# a'");
+        const kMinor = sMinor.analyze();
+        assert.equal(kMinor.tonic.name, 'A');
+        assert.equal(kMinor.mode, 'minor');
+
+        const sFlats = music21.tinyNotation.TinyNotation("4/4 c#4 d# e# f# g# a# b# c#'");
+        assert.equal(sFlats.analyze().tonic.name, 'D-', 'spelled with fewest accidentals');
+        const sSharps = music21.tinyNotation.TinyNotation("4/4 g#4 a# b c#' d#' e' f## g#'");
+        assert.equal(sSharps.analyze().tonic.name, 'G#');
+        assert.equal(sSharps.analyze().mode, 'minor');
+
+        assert.equal(new music21.stream.Stream().analyze('key'), undefined);
+    });
+
+    QUnit.test('music21.analysis weightings', assert => {
+        const s = music21.tinyNotation.TinyNotation("3/4 e4 f# g a b c'# d'2.");
+        for (const method of ['key.krumhansl', 'key.temperley', 'key.bellman']) {
+            const k = s.analyze(method);
+            assert.equal(k.tonic.name, 'D', method);
+            assert.equal(k.mode, 'major', method);
+        }
+        assert.notEqual(
+            s.analyze('key.temperley').correlationCoefficient,
+            s.analyze('key.bellman').correlationCoefficient
+        );
+        assert.equal(
+            music21.analysis.analysisClassFromMethodName('key'),
+            music21.analysis.KrumhanslSchmuckler
+        );
+        assert.equal(
+            music21.analysis.analysisClassFromMethodName('Bellman-Budge'),
+            music21.analysis.BellmanBudge
+        );
+        assert.throws(
+            () => s.analyze('nonsense'),
+            music21.analysis.AnalysisException
+        );
+
+        const ks = new music21.analysis.KrumhanslSchmuckler();
+        const c = new music21.chord.Chord('C4 E4 G4');
+        c.duration.quarterLength = 2.0;
+        const sChord = new music21.stream.Stream();
+        sChord.append(c);
+        const pcDist = ks.getPitchClassDistribution(sChord);
+        assert.deepEqual(pcDist, [2, 0, 0, 0, 2, 0, 0, 2, 0, 0, 0, 0]);
+        assert.equal(sChord.analyze().tonic.name, 'C');
+    });
+}
@@ -14,6 +14,25 @@ export default function tests() {
         assert.equal(n.articulations[1].name, 'tenuto', 'tenuto in array');
     });
 
+    QUnit.test('music21.articulations.Articulation playback', assert => {
+        const n = new music21.note.Note('C');
+        assert.equal(n.getMidiVolume(0.5), 63);
+        assert.equal(n.articulationLengthScale, 1.0);
+        n.articulations.push(new music21.articulations.Accent());
+        assert.equal(n.getMidiVolume(0.5), 95, 'accent is louder');
+        assert.equal(n.getMidiVolume(0.9), 127, 'but no louder than 127');
+        n.articulations.push(new music21.articulations.Staccato());
+        assert.equal(n.articulationLengthScale, 0.5);
+        n.articulations = [new music21.articulations.Staccatissimo()];
+        assert.equal(n.articulationLengthScale, 0.25);
+        n.articulations = [new music21.articulations.Marcato()];
+        assert.equal(n.articulationLengthScale, 0.75);
+        assert.equal(n.getMidiVolume(0.5), 107);
+        assert.equal(n.expressionLengthScale, 1.0);
+        n.expressions.push(new music21.expressions.Fermata());
+        assert.equal(n.expressionLengthScale, 2.0);
+    });
+
     QUnit.test('music21.articulations.Articulation display', assert => {
         // Marcato is a pseudo multiple inheritance
         const marc = new music21.articulations.Marcato();
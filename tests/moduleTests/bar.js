@@ -0,0 +1,90 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.bar.Barline', assert => {
+        const bl = new music21.bar.Barline();
+        assert.equal(bl.type, 'regular');
+        bl.type = 'light-heavy';
+        assert.equal(bl.type, 'final', 'MusicXML styles are standardized');
+        assert.equal(bl.musicXMLBarStyle(), 'light-heavy');
+        assert.equal(bl.duration.quarterLength, 0);
+        assert.throws(
+            () => { bl.type = 'wiggly'; },
+            music21.bar.BarException,
+        );
+
+        const rp = new music21.bar.Repeat('end', 3);
+        assert.ok(rp.isClassOrSubclass('Barline'));
+        assert.equal(rp.type, 'final');
+        assert.equal(rp.times, 3);
+        rp.direction = 'start';
+        assert.equal(rp.type, 'heavy-light');
+        assert.throws(
+            () => { rp.direction = 'sideways'; },
+            music21.bar.BarException,
+        );
+    });
+
+    QUnit.test('music21.stream.Measure barlines', assert => {
+        const m = new music21.stream.Measure();
+        assert.equal(m.leftBarline, undefined);
+        m.rightBarline = 'double';
+        assert.equal(m.rightBarline.type, 'double');
+        assert.equal(m.rightBarline.location, 'right');
+        m.leftBarline = new music21.bar.Repeat('start');
+        assert.equal(m.leftBarline.location, 'left');
+        const m2 = m.clone(true);
+        assert.equal(m2.leftBarline.direction, 'start');
+        assert.notEqual(m2.leftBarline, m.leftBarline);
+
+        const s = new music21.stream.Stream();
+        s.timeSignature = '2/4';
+        s.append(new music21.note.Note('C', 2));
+        s.append(new music21.note.Note('D', 2));
+        const measures = s.makeMeasures();
+        assert.equal(measures.length, 2);
+        assert.equal(measures.get(0).rightBarline, undefined);
+        assert.equal(measures.get(1).rightBarline.type, 'final');
+    });
+
+    QUnit.test('music21.stream.Stream expandRepeats', assert => {
+        const p = music21.tinyNotation.TinyNotation('2/4 c2 d2 e2 f2 g2 a2');
+        const measures = p.getElementsByClass('Measure');
+        measures.get(0).leftBarline = new music21.bar.Repeat('start');
+        measures.get(2).rightBarline = new music21.bar.Repeat('end');
+        const rb1 = new music21.spanner.RepeatBracket(measures.get(1), measures.get(2));
+        rb1.number = 1;
+        const rb2 = new music21.spanner.RepeatBracket(measures.get(3));
+        rb2.number = '2';
+        p.insert(0, rb1);
+        p.insert(0, rb2);
+        measures.get(5).rightBarline = new music21.bar.Repeat('end', 3);
+
+        const ex = p.expandRepeats();
+        const names = ex.flat.notes.elements.map(n => n.name);
+        assert.deepEqual(names, ['C', 'D', 'E', 'C', 'F', 'G', 'A', 'G', 'A', 'G', 'A']);
+        assert.equal(ex.get(2).rightBarline, undefined, 'repeat barlines removed');
+        assert.equal(ex.get(3).offset, 6.0);
+        assert.equal(p.getElementsByClass('Measure').length, 6, 'original untouched');
+
+        assert.throws(
+            () => new music21.stream.Stream().expandRepeats(),
+            music21.stream.StreamException,
+        );
+    });
+
+    QUnit.test('music21.spanner.RepeatBracket', assert => {
+        const rb = new music21.spanner.RepeatBracket();
+        rb.number = '1, 2';
+        assert.deepEqual(rb.getNumberList(), [1, 2]);
+        rb.number = '1-3';
+        assert.deepEqual(rb.getNumberList(), [1, 2, 3]);
+        rb.number = 4;
+        assert.equal(rb.number, '4');
+        assert.throws(
+            () => { rb.number = 'x'; },
+            music21.spanner.SpannerException,
+        );
+    });
+}
@@ -69,4 +69,45 @@ export default function tests() {
             'third site is sc'
         );
     });
+
+    QUnit.test('music21.base.Music21Object getContextByClass before', assert => {
+        const p = new music21.stream.Part();
+        const m1 = new music21.stream.Measure();
+        const m2 = new music21.stream.Measure();
+        const m3 = new music21.stream.Measure();
+        const pp = new music21.dynamics.Dynamic('pp');
+        const f = new music21.dynamics.Dynamic('f');
+        const n1 = new music21.note.Note('C');
+        const n2 = new music21.note.Note('D');
+        const n3 = new music21.note.Note('E');
+        m1.insert(0, pp);
+        m1.insert(0, n1);
+        m1.insert(3, n2);
+        m1.insert(3, f);
+        m2.insert(1, n3);
+        m3.insert(0, new music21.dynamics.Dynamic('p'));
+        p.insert(0, m1);
+        p.insert(4, m2);
+        p.insert(8, m3);
+        assert.strictEqual(n1.getContextByClass('Dynamic'), pp);
+        assert.strictEqual(n2.getContextByClass('Dynamic'), f, 'same offset counts');
+        assert.strictEqual(n3.getContextByClass('Dynamic'), f, 'found in previous measure');
+        assert.strictEqual(
+            n2.getContextByClass('Dynamic', { getElementMethod: 'getElementBefore' }),
+            pp
+        );
+        assert.strictEqual(
+            n1.getContextByClass('Note', { getElementMethod: 'getElementAfter' }),
+            n2
+        );
+        assert.strictEqual(
+            n2.getContextByClass('Note', { getElementMethod: 'getElementAfter' }),
+            n3,
+            'found in next measure'
+        );
+        assert.strictEqual(
+            n3.getContextByClass('Dynamic', { getElementMethod: 'getElementAfter' }).value,
+            'p'
+        );
+    });
 }
@@ -29,4 +29,53 @@ export default function tests() {
         assert.equal(pitches[2].nameWithOctave, 'C5');
         
     });
+
+    QUnit.test('music21.chord.Chord set theory', assert => {
+        let c = new music21.chord.Chord('G4 B4 D5');
+        assert.deepEqual(c.normalOrder, [7, 11, 2]);
+        assert.deepEqual(c.primeForm, [0, 3, 7]);
+        assert.equal(c.primeFormString, '<037>');
+        assert.deepEqual(c.intervalVector, [0, 0, 1, 1, 1, 0]);
+        assert.equal(c.forteClass, '3-11B');
+        assert.equal(c.forteClassTnI, '3-11');
+        assert.equal(c.forteClassNumber, 11);
+        assert.equal(new music21.chord.Chord('C4 E-4 G4').forteClass, '3-11A');
+
+        c = new music21.chord.Chord('C4 C#4 F4 F#4 G#4');
+        assert.deepEqual(c.primeForm, [0, 1, 5, 6, 8]);
+        assert.equal(c.forteClass, '5-20A');
+
+        c = new music21.chord.Chord('C4 C#4 E4 F#4');
+        assert.equal(c.forteClass, '4-Z15A');
+        assert.ok(c.hasZRelation);
+        const z = c.getZRelation();
+        assert.equal(z.forteClass, '4-Z29A');
+        assert.deepEqual(z.intervalVector, c.intervalVector);
+        assert.equal(new music21.chord.Chord('C4 E4 G4').getZRelation(), undefined);
+    });
+
+    QUnit.test('music21.chord.Chord commonName', assert => {
+        const names = pitches => {
+            const c = new music21.chord.Chord(pitches);
+            return [c.commonName, c.pitchedCommonName];
+        };
+        assert.deepEqual(names('C4 E4 G4'), ['major triad', 'C-major triad']);
+        assert.deepEqual(names('B3 D4 F4'), ['diminished triad', 'B-diminished triad']);
+        assert.deepEqual(
+            names('C4 F-4 G4'),
+            ['enharmonic equivalent to major triad', 'enharmonic equivalent to major triad above C']
+        );
+        assert.deepEqual(names('B-3 D4 F4 A-4'), ['dominant seventh chord', 'B--dominant seventh chord']);
+        assert.deepEqual(names('C4 E-4 G-4 B--4'), ['diminished seventh chord', 'C-diminished seventh chord']);
+        assert.deepEqual(names('A-3 C4 E-4 F#4'), ['German augmented sixth chord', 'A--German augmented sixth chord']);
+        assert.equal(new music21.chord.Chord('A-3 C4 F#4').commonName, 'Italian augmented sixth chord');
+        assert.equal(new music21.chord.Chord('A-3 C4 D4 F#4').commonName, 'French augmented sixth chord');
+        assert.equal(new music21.chord.Chord('C4 E4 G#4 B-4').commonName, 'augmented seventh chord');
+        assert.deepEqual(names('C4'), ['note', 'C']);
+        assert.deepEqual(names('C4 C5'), ['Perfect Octave', 'Perfect Octave above C']);
+        assert.deepEqual(names('C4 E-4'), ['Minor Third', 'Minor Third above C']);
+        assert.equal(new music21.chord.Chord('C4 E4 C5').commonName, 'Major Third with octave doublings');
+        assert.equal(new music21.chord.Chord('C4 D4 E4 F4 G4 A4 B4').commonName, 'diatonic scale');
+        assert.equal(new music21.chord.Chord([]).commonName, 'empty chord');
+    });
 }
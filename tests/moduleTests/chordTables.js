@@ -0,0 +1,44 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.chordTables', assert => {
+        const ct = music21.chordTables;
+        assert.deepEqual(
+            ct.forteTable.map(entries => entries.length - 1),
+            [1, 1, 6, 12, 29, 38, 50, 38, 29, 12, 6, 1, 1],
+            'number of set classes of each cardinality'
+        );
+        assert.deepEqual(ct.normalOrder([2, 7, 11]), [7, 11, 2]);
+        assert.deepEqual(ct.primeForm([0, 4, 7]), [0, 3, 7]);
+        assert.deepEqual(ct.primeForm([0, 1, 3, 7, 8]), [0, 1, 5, 6, 8], 'packed to the left');
+        assert.deepEqual(ct.primeForm([0, 1, 3, 6, 8, 9]), [0, 2, 3, 6, 7, 9]);
+        assert.deepEqual(ct.intervalVector([0, 2, 4, 5, 7, 9, 11]), [2, 5, 4, 3, 6, 1]);
+
+        let address = ct.seekChordTablesAddress([0, 4, 7]);
+        assert.deepEqual(address, { cardinality: 3, forteClass: 11, inversion: -1 });
+        assert.equal(ct.addressToForteName(address), '3-11B');
+        assert.equal(ct.addressToForteName(address, 'tni'), '3-11');
+        assert.equal(ct.addressToCommonNames(address)[0], 'major triad');
+
+        address = ct.seekChordTablesAddress([0, 1, 2, 4, 7, 8]);
+        assert.equal(ct.addressToForteName(address), '6-Z17A');
+        assert.equal(ct.addressToCommonNames(address)[0], 'all-trichord hexachord');
+        const zAddress = ct.addressToZAddress(address);
+        assert.equal(ct.addressToForteName(zAddress), '6-Z43A');
+        assert.deepEqual(
+            ct.forteTable[6][43].intervalVector,
+            ct.forteTable[6][17].intervalVector
+        );
+
+        // the complement of a hexachord is in the same set class or its Z-relation
+        for (let forteClass = 1; forteClass <= 50; forteClass++) {
+            const entry = ct.forteTable[6][forteClass];
+            const complement = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11].filter(
+                pc => !entry.primeForm.includes(pc)
+            );
+            const complementClass = ct.seekChordTablesAddress(complement).forteClass;
+            assert.equal(complementClass, entry.zRelation || forteClass, '6-' + forteClass);
+        }
+    });
+}
@@ -31,6 +31,26 @@ export default function tests() {
         assert.equal(d.dots, 4, 'got four dots from 7.75');
     });
 
+    QUnit.test('music21.duration.GraceDuration', assert => {
+        const gd = new music21.duration.GraceDuration(0.75);
+        assert.ok(gd.isGrace);
+        assert.equal(gd.type, 'eighth');
+        assert.equal(gd.dots, 1);
+        assert.equal(gd.quarterLength, 0);
+        assert.ok(gd.slash);
+        assert.equal(gd.vexflowDuration, '8d');
+        gd.type = 'half';
+        assert.equal(gd.quarterLength, 0);
+        assert.notOk(new music21.duration.Duration(1).isGrace);
+
+        const n = new music21.note.Note('G4', 0.5);
+        const appoggiatura = n.getGrace({ appoggiatura: true });
+        assert.ok(appoggiatura.duration.isGrace);
+        assert.notOk(appoggiatura.duration.slash);
+        assert.equal(n.duration.quarterLength, 0.5, 'original unchanged');
+        assert.ok(appoggiatura.clone(true).duration.isGrace);
+    });
+
     QUnit.test('music21.duration.Tuplet', assert => {
         const d = new music21.duration.Duration(0.5);
         const t = new music21.duration.Tuplet(5, 4);
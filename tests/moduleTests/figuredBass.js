@@ -8,4 +8,82 @@ export default function tests() {
         const n1 = new figuredBass.Notation('4+,2');
         assert.equal(n1.notationColumn, '4+,2');
     });
+    QUnit.test('music21.figuredBass.Segment', assert => {
+        const a = new music21.key.Key('a');
+        let seg = new figuredBass.Segment(new music21.note.Note('E3'), '#', a);
+        assert.deepEqual(seg.pitchNames, ['E', 'B', 'G#']);
+        seg = new figuredBass.Segment(new music21.note.Note('G#2'), '6,5', a);
+        assert.deepEqual(seg.pitchNames, ['G#', 'E', 'D', 'B']);
+        seg = new figuredBass.Segment(new music21.note.Note('B-2'), '', new music21.key.Key('F'));
+        assert.deepEqual(seg.pitchNames, ['B-', 'F', 'D']);
+        seg = new figuredBass.Segment(new music21.note.Rest(), '', a);
+        assert.ok(seg.isRest);
+
+        const rules = new figuredBass.Rules();
+        seg = new figuredBass.Segment(new music21.note.Note('C3'), '', new music21.key.Key('C'));
+        const possibilities = seg.allPossibilities(rules, new music21.pitch.Pitch('G4'));
+        assert.ok(possibilities.length > 0);
+        for (const possibility of possibilities) {
+            const names = possibility.map(p => p.name);
+            assert.ok(['C', 'E', 'G'].every(pn => names.includes(pn)), 'complete chord');
+            assert.ok(possibility[0].ps >= possibility[1].ps && possibility[1].ps >= possibility[2].ps);
+            assert.ok(possibility[0].ps <= 67);
+        }
+    });
+
+    QUnit.test('music21.figuredBass.FiguredBassLine realize', assert => {
+        const bass = music21.tinyNotation.TinyNotation('4/4 C2 D2 E2 F2 G2 G2 C1');
+        const figures = ['', '4,3', '6', '', '6,4', '7', ''];
+        bass.flat.notes.elements.forEach((n, i) => {
+            if (figures[i] !== '') {
+                n.lyric = figures[i];
+            }
+        });
+        const fbLine = figuredBass.figuredBassFromStream(bass, 'C');
+        assert.equal(fbLine.segments.length, 7);
+        assert.equal(fbLine.inTime.ratioString, '4/4');
+        assert.deepEqual(fbLine.segments[5].pitchNames, ['G', 'F', 'D', 'B']);
+
+        const realizations = fbLine.generateRealizations(undefined, 3);
+        assert.equal(realizations.length, 3);
+        assert.ok(realizations[0].cost <= realizations[1].cost);
+        assert.ok(realizations[1].cost <= realizations[2].cost);
+
+        const sc = realizations[0].score;
+        assert.ok(sc instanceof music21.stream.Score);
+        assert.equal(sc.parts.length, 4);
+        const soprano = sc.parts.get(0);
+        assert.equal(soprano.getElementsByClass('Measure').length, 4);
+        assert.equal(soprano.flat.notes.length, 7);
+        const bassPart = sc.parts.get(3);
+        assert.equal(bassPart.flat.notes.get(1).lyric, '4,3', 'figures are kept');
+
+        const problems = music21.voiceLeading.analyzeScore(sc).filter(
+            v => ['parallelFifth', 'parallelOctave', 'parallelUnison', 'voiceCrossing'].includes(v.type)
+        );
+        assert.equal(problems.length, 0, 'no parallels or crossings');
+        for (let i = 0; i < 7; i++) {
+            const names = sc.parts.elements.map(p => p.flat.notes.get(i).pitch.name);
+            for (const pn of fbLine.segments[i].pitchNames) {
+                assert.ok(names.includes(pn), 'chord ' + i + ' has ' + pn);
+            }
+        }
+
+        const scores = fbLine.realize(undefined, 2);
+        assert.equal(scores.length, 2);
+        assert.ok(scores[0] instanceof music21.stream.Score);
+
+        const strict = new figuredBass.Rules();
+        strict.partMovementLimit = 0;
+        assert.deepEqual(fbLine.realize(strict), [], 'impossible rules give no realizations');
+
+        const withRest = new figuredBass.FiguredBassLine('a');
+        withRest.addElement(new music21.note.Note('A2'));
+        withRest.addElement(new music21.note.Rest());
+        withRest.addElement(new music21.note.Note('E3'), '#');
+        const restScore = withRest.realize()[0];
+        assert.ok(restScore.parts.get(0).flat.notesAndRests.get(1).isRest);
+        const restNames = restScore.parts.elements.map(p => p.flat.notes.get(1).pitch.name);
+        assert.ok(restNames.includes('G#'), 'raised third in the dominant');
+    });
 }
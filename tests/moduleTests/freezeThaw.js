@@ -0,0 +1,133 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.freezeThaw simple round trip', assert => {
+        const m = new music21.stream.Measure();
+        m.append(new music21.note.Note('D5', 2));
+        m.append(new music21.note.Rest());
+        const frozen = m.toJSON();
+        assert.equal(frozen['m21/format'], 'music21j');
+        assert.equal(frozen.data['m21/class'], 'Measure');
+
+        const m2 = music21.fromJSON(JSON.stringify(m));
+        assert.ok(m2 instanceof music21.stream.Measure);
+        assert.equal(m2.length, 2);
+        const n = m2.get(0);
+        assert.equal(n.nameWithOctave, 'D5');
+        assert.equal(n.duration.type, 'half');
+        assert.equal(m2.get(1).offset, 2);
+        assert.ok(m2.get(1).isRest);
+        assert.equal(n.activeSite, m2);
+        assert.ok(n.sites.includes(m2));
+        assert.equal(m2.duration.quarterLength, 3);
+    });
+
+    QUnit.test('music21.freezeThaw Score round trip', assert => {
+        const sc = new music21.stream.Score();
+        const p = new music21.stream.Part();
+        p.instrument = new music21.instrument.Instrument('Clarinet');
+        const m1 = new music21.stream.Measure();
+        m1.clef = new music21.clef.BassClef();
+        m1.keySignature = new music21.key.Key('g');
+        m1.timeSignature = new music21.meter.TimeSignature('2/4');
+        const n1 = new music21.note.Note('G3');
+        n1.lyric = 'la';
+        n1.articulations.push(new music21.articulations.Staccato());
+        n1.tie = new music21.tie.Tie('start');
+        const n2 = new music21.note.Note('G3');
+        n2.tie = new music21.tie.Tie('stop');
+        m1.append([n1, n2]);
+        const m2 = new music21.stream.Measure();
+        const ch = new music21.chord.Chord(['D3', 'F#3', 'A3']);
+        ch.duration.quarterLength = 1;
+        m2.append(ch);
+        const trip = [];
+        for (const pn of ['A3', 'B-3', 'C4']) {
+            const n = new music21.note.Note(pn, 0.5);
+            n.duration.appendTuplet(new music21.duration.Tuplet(3, 2, 0.5));
+            trip.push(n);
+        }
+        m2.append(trip);
+        p.append([m1, m2]);
+        p.insert(0, new music21.spanner.Slur(n1, ch));
+        sc.insert(0, p);
+
+        const sc2 = music21.fromJSON(JSON.stringify(sc));
+        const p2 = sc2.parts.get(0);
+        assert.equal(p2.activeSite, sc2);
+        assert.equal(p2.instrument.instrumentName, 'Clarinet');
+        const measures = p2.getElementsByClass('Measure');
+        assert.equal(measures.length, 2);
+        const m1b = measures.get(0);
+        const m2b = measures.get(1);
+        assert.equal(m2b.offset, 2);
+        assert.equal(m1b.clef.name, 'bass');
+        assert.equal(m1b.keySignature.sharps, -2);
+        assert.equal(m1b.keySignature.mode, 'minor');
+        assert.equal(m1b.keySignature.getScale().pitchFromDegree(3).name, 'B-');
+        assert.equal(m1b.timeSignature.ratioString, '2/4');
+
+        const n1b = m1b.get(0);
+        assert.equal(n1b.lyric, 'la');
+        assert.ok(n1b.articulations[0] instanceof music21.articulations.Staccato);
+        assert.equal(n1b.tie.type, 'start');
+        assert.equal(m1b.get(1).tie.type, 'stop');
+        assert.equal(n1b.activeSite, m1b);
+
+        const ch2 = m2b.get(0);
+        assert.equal(ch2.pitches.map(pp => pp.name).join(' '), 'D F# A');
+        assert.ok(ch2.isMinorTriad() === false && ch2.isMajorTriad());
+        const tripNote = m2b.get(2);
+        assert.equal(tripNote.offset, 1 + 1 / 3);
+        assert.equal(tripNote.duration.tuplets[0].numberNotesActual, 3);
+        assert.equal(tripNote.duration.quarterLength, 1 / 3);
+
+        const slur = p2.getElementsByClass('Slur').get(0);
+        const spanned = slur.getSpannedElements();
+        assert.equal(spanned[0], n1b, 'spanned notes keep their identity');
+        assert.equal(spanned[1], ch2);
+        assert.equal(n1b.activeSite, m1b, 'not the SpannerStorage');
+    });
+
+    QUnit.test('music21.freezeThaw transposing instrument', assert => {
+        const p = music21.tinyNotation.TinyNotation('4/4 d4 e f#2');
+        p.instrument = new music21.instrument.Instrument('Clarinet');
+        p.instrument.transposition = new music21.interval.Interval('-M2');
+        p.atSoundingPitch = false;
+        const frozen = JSON.parse(JSON.stringify(p));
+        const p2 = music21.fromJSON(frozen);
+        const transposition = p2.instrument.transposition;
+        assert.ok(transposition instanceof music21.interval.Interval);
+        assert.equal(transposition.directedName, 'M-2');
+        assert.equal(transposition.semitones, -2);
+        assert.equal(
+            p2.toSoundingPitch().flat.notes.elements.map(n => n.nameWithOctave).join(' '),
+            'C4 D4 E4'
+        );
+
+        const intv = music21.fromJSON(music21.freezeThaw.toJSON(
+            new music21.interval.Interval('A4')
+        ));
+        assert.equal(intv.niceName, 'Augmented Fourth');
+    });
+
+    QUnit.test('music21.freezeThaw errors', assert => {
+        assert.throws(
+            () => music21.fromJSON('{"a": 1}'),
+            music21.freezeThaw.FreezeThawException
+        );
+        assert.throws(
+            () => music21.fromJSON({
+                'm21/format': 'music21j',
+                'm21/version': 1,
+                'data': { 'm21/class': 'NotAClass', 'm21/id': 0 },
+            }),
+            /unknown class NotAClass/
+        );
+        assert.throws(
+            () => music21.freezeThaw.toJSON({}),
+            music21.freezeThaw.FreezeThawException
+        );
+    });
+}
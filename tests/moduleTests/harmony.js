@@ -0,0 +1,73 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.harmony.ChordSymbol', assert => {
+        const names = cs => cs.pitches.map(p => p.nameWithOctave).join(' ');
+
+        let cs = new music21.harmony.ChordSymbol('Cmaj7');
+        assert.equal(cs.chordKind, 'major-seventh');
+        assert.equal(names(cs), 'C3 E3 G3 B3');
+        assert.equal(cs.duration.quarterLength, 0, 'chord symbols take no time');
+        assert.ok(cs.isClassOrSubclass('Chord'));
+
+        cs = new music21.harmony.ChordSymbol('F#m7b5');
+        assert.equal(cs.chordKind, 'half-diminished-seventh');
+        assert.equal(names(cs), 'F#3 A3 C4 E4');
+
+        cs = new music21.harmony.ChordSymbol('Bb13#11/D');
+        assert.equal(cs.chordKind, 'dominant-13th');
+        assert.equal(cs.chordRoot.name, 'B-');
+        assert.equal(cs.chordBass.name, 'D');
+        assert.equal(names(cs), 'D3 B-3 F4 A-4 C5 E5 G5', 'bass below; #11 is E natural');
+        assert.equal(cs.root().name, 'B-');
+        assert.equal(cs.displayFigure(), 'Bb13#11/D');
+
+        cs = new music21.harmony.ChordSymbol('Gsus4');
+        assert.equal(names(cs), 'G3 C4 D4');
+        assert.equal(cs.root().name, 'G');
+
+        assert.equal(names(new music21.harmony.ChordSymbol('C7b9')), 'C3 E3 G3 B-3 D-4');
+        assert.equal(names(new music21.harmony.ChordSymbol('Cadd9')), 'C3 E3 G3 D4');
+        assert.equal(names(new music21.harmony.ChordSymbol('Comit5')), 'C3 E3', 'omit is not dim');
+        assert.equal(names(new music21.harmony.ChordSymbol('Co7')), 'C3 E-3 G-3 B--3');
+        assert.equal(names(new music21.harmony.ChordSymbol('C/E')), 'E2 C3 G3');
+        assert.throws(
+            () => new music21.harmony.ChordSymbol('Cxyz'),
+            music21.harmony.HarmonyException
+        );
+
+        cs = new music21.harmony.ChordSymbol(undefined, { root: 'B-', kind: 'dominant', bass: 'D' });
+        assert.equal(cs.figure, 'B-7/D');
+        assert.equal(names(cs), 'D3 B-3 F4 A-4');
+
+        const transposed = new music21.harmony.ChordSymbol('Cmaj7').transpose('M2');
+        assert.equal(transposed.figure, 'Dmaj7');
+        assert.equal(names(transposed), 'D3 F#3 A3 C#4');
+
+        cs = new music21.harmony.ChordSymbol('C');
+        assert.equal(cs.playMidi(), 0, 'does not play unless written as a chord');
+        cs.writeAsChord = true;
+        assert.equal(cs.duration.quarterLength, 1.0);
+    });
+
+    QUnit.test('music21.harmony.chordSymbolFigureFromChord', assert => {
+        const figure = pitches => music21.harmony.chordSymbolFigureFromChord(
+            new music21.chord.Chord(pitches)
+        );
+        assert.equal(figure('C4 E4 G4'), 'C');
+        assert.equal(figure('D3 F3 A3 C4'), 'Dm7');
+        assert.equal(figure('E3 G3 B-3 C4'), 'C7/E');
+        assert.equal(figure('F#3 A3 C4 E4'), 'F#m7b5');
+        assert.equal(figure('C3 E3 G#3'), 'C+');
+        assert.equal(figure('C4 E4 G4 D5'), 'Cadd9');
+        assert.equal(figure('C3 E3 G3 B3 D4 F#4 A4'), 'Cmaj9#11add13');
+
+        const cs = music21.harmony.chordSymbolFromChord(new music21.chord.Chord('C3 E3 G3 B3 D4 F#4 A4'));
+        assert.deepEqual(
+            cs.pitches.map(p => p.name),
+            ['C', 'E', 'G', 'B', 'D', 'F#', 'A'],
+            'figure parses back to the same pitches'
+        );
+    });
+}
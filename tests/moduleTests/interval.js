@@ -16,6 +16,13 @@ export default function tests() {
         assert.equal(i.name, 'P5', 'name passed');
         assert.equal(i.niceName, 'Perfect Fifth', 'nice name passed');
         assert.equal(i.generic.simpleDirected, 5);
+
+        i = new Interval(4);
+        assert.equal(i.name, 'M3', 'semitones');
+        i = new Interval(-18);
+        assert.equal(i.directedName, 'd-12');
+        assert.equal(i.semitones, -18);
+        assert.equal(i.reverse().directedName, 'd12');
     });
     QUnit.test('music21.interval.DiatonicInterval', assert => {
         let i;
@@ -23,4 +30,13 @@ export default function tests() {
         assert.equal(i.specifier, 1);
         assert.equal(i.specifierAbbreviation, 'P');
     });
+
+    QUnit.test('music21.interval.Interval transposePitch microtones', assert => {
+        const i = new music21.interval.Interval('M2');
+        assert.equal(i.transposePitch(new music21.pitch.Pitch('C~4')).nameWithOctave, 'D~4');
+        assert.equal(i.transposePitch(new music21.pitch.Pitch('B-`4')).nameWithOctave, 'C`5');
+        const p = i.transposePitch(new music21.pitch.Pitch('C4(+20c)'));
+        assert.equal(p.nameWithOctave, 'D4');
+        assert.equal(p.microtone.cents, 20);
+    });
 }
@@ -60,4 +60,23 @@ export default function tests() {
 
         assert.equal(k.width, 42, 'checking width');
     });
+
+    QUnit.test('music21.key transpose', assert => {
+        assert.equal(music21.key.pitchToSharps('A-'), -4);
+        assert.equal(music21.key.pitchToSharps('g#', 'minor'), 5);
+        assert.equal(music21.key.pitchToSharps('D##'), 16, 'no limit on sharps');
+
+        const ks = new music21.key.KeySignature(-3);
+        const ks2 = ks.transpose('M2');
+        assert.equal(ks2.sharps, -1);
+        assert.equal(ks.sharps, -3, 'original unchanged');
+        assert.equal(ks2.alteredPitches[0].name, 'B-', 'alteredPitches follow sharps');
+
+        const k = new music21.key.Key('b-', 'minor');
+        k.transpose('P4', true);
+        assert.equal(k.tonic.name, 'E-');
+        assert.equal(k.mode, 'minor');
+        assert.equal(k.sharps, -6);
+        assert.equal(k.getPitches()[2].name, 'G-', 'scale is updated');
+    });
 }
@@ -0,0 +1,55 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.metadata.Metadata', assert => {
+        const md = new music21.metadata.Metadata();
+        assert.equal(md.title, undefined);
+        md.title = 'Nocturne';
+        md.composer = 'Fanny Hensel';
+        assert.equal(md.contributors.length, 1);
+        assert.equal(md.contributors[0].role, 'composer');
+        md.composer = 'Fanny Mendelssohn';
+        assert.equal(md.contributors.length, 1, 'composer replaced');
+        md.addContributor(new music21.metadata.Contributor('composer', 'Felix Mendelssohn'));
+        assert.deepEqual(md.composers, ['Fanny Mendelssohn', 'Felix Mendelssohn']);
+        md.lyricist = 'Wilhelm Hensel';
+        assert.deepEqual(md.all(), [
+            ['composer', 'Fanny Mendelssohn'],
+            ['composer', 'Felix Mendelssohn'],
+            ['lyricist', 'Wilhelm Hensel'],
+            ['title', 'Nocturne'],
+        ]);
+        md.lyricist = undefined;
+        assert.equal(md.getContributorsByRole('lyricist').length, 0);
+
+        const md2 = md.clone();
+        md2.composer = 'Anonymous';
+        assert.equal(md.composer, 'Fanny Mendelssohn', 'contributors are copied on clone');
+    });
+
+    QUnit.test('music21.stream.Score metadata', assert => {
+        const s = new music21.stream.Score();
+        const p = music21.tinyNotation.TinyNotation('4/4 c1 d1');
+        s.insert(0, p);
+        assert.equal(s.metadata, undefined);
+        const md = new music21.metadata.Metadata();
+        md.title = 'Etude';
+        s.metadata = md;
+        assert.equal(s.metadata, md);
+        assert.equal(s.get(0), md, 'metadata sorts first');
+        assert.equal(s.parts.length, 1);
+
+        const md2 = new music21.metadata.Metadata();
+        s.metadata = md2;
+        assert.equal(s.metadata, md2);
+        assert.equal(s.getElementsByClass('Metadata').length, 1, 'old metadata replaced');
+
+        s.setSubstreamRenderOptions();
+        const heightWithout = s.renderOptions.height;
+        s.renderOptions.showMetadata = true;
+        s.setSubstreamRenderOptions();
+        assert.equal(s.renderOptions.height, heightWithout + s.renderOptions.metadataHeight);
+        assert.equal(p.renderOptions.top, s.renderOptions.metadataHeight, 'first system moved down');
+    });
+}
@@ -0,0 +1,224 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.midi variable length numbers', assert => {
+        const midi = music21.midi;
+        assert.deepEqual(midi.putVariableLengthNumber(0), [0x00]);
+        assert.deepEqual(midi.putVariableLengthNumber(127), [0x7F]);
+        assert.deepEqual(midi.putVariableLengthNumber(128), [0x81, 0x00]);
+        assert.deepEqual(midi.putVariableLengthNumber(0x0FFFFFFF), [0xFF, 0xFF, 0xFF, 0x7F]);
+        assert.deepEqual(midi.getVariableLengthNumber([0x00, 0x81, 0x00], 1), [128, 3]);
+        assert.deepEqual(midi.putNumber(500000, 3), [0x07, 0xA1, 0x20]);
+        assert.equal(midi.getNumber([0x07, 0xA1, 0x20], 0, 3), 500000);
+    });
+
+    QUnit.test('music21.midi.streamToMidiFile round trip', assert => {
+        const s = music21.tinyNotation.TinyNotation(
+            '3/4 c4 d8 e8 f#4~ f#2. g4 r4 b-4'
+        );
+        const sc = new music21.stream.Score();
+        sc.insert(0, s);
+        sc.tempo = 120;
+        const mf = music21.midi.streamToMidiFile(sc);
+        assert.equal(mf.tracks.length, 2, 'conductor track plus one part');
+        const bytes = mf.writeBytes();
+        assert.ok(bytes instanceof Uint8Array);
+        assert.equal(String.fromCharCode(...bytes.slice(0, 4)), 'MThd');
+        assert.equal(bytes[9], 1, 'type 1 file');
+
+        const sc2 = music21.midi.midiBytesToStream(bytes);
+        assert.equal(sc2.tempo, 120);
+        assert.equal(sc2.parts.length, 1);
+        const p = sc2.parts.get(0);
+        assert.equal(p.timeSignature.ratioString, '3/4');
+        assert.equal(p.measures.length, 3);
+        const notes = p.flat.notes;
+        const midiNumbers = [];
+        const qls = [];
+        for (const n of notes) {
+            midiNumbers.push(n.pitch.midi);
+            qls.push(n.duration.quarterLength);
+        }
+        assert.deepEqual(midiNumbers, [60, 62, 64, 66, 66, 67, 70]);
+        assert.deepEqual(qls, [1, 0.5, 0.5, 1, 3, 1, 1], 'tied note split at the barline');
+        assert.equal(notes.get(3).tie.type, 'start');
+        assert.equal(notes.get(4).tie.type, 'stop');
+        assert.equal(p.flat.notesAndRests.length, 8, 'rest restored');
+    });
+
+    QUnit.test('music21.midi.streamToMidiFile changes and channels', assert => {
+        const sc = new music21.stream.Score();
+        for (const pitchName of ['C5', 'E4', 'C3']) {
+            const p = new music21.stream.Part();
+            p.instrument = new music21.instrument.Instrument('Piano');
+            const m1 = new music21.stream.Measure();
+            m1.timeSignature = new music21.meter.TimeSignature('4/4');
+            m1.insert(0, new music21.tempo.MetronomeMark(undefined, 120));
+            const n1 = new music21.note.Note(pitchName);
+            n1.duration.type = 'whole';
+            m1.append(n1);
+            const m2 = new music21.stream.Measure();
+            m2.timeSignature = new music21.meter.TimeSignature('3/4');
+            m2.keySignature = new music21.key.KeySignature(2);
+            m2.insert(0, new music21.tempo.MetronomeMark(undefined, 90));
+            const n2 = new music21.note.Note(pitchName);
+            n2.duration.quarterLength = 3;
+            m2.append(n2);
+            p.append([m1, m2]);
+            sc.insert(0, p);
+        }
+        const mf = music21.midi.streamToMidiFile(sc);
+        const conductor = mf.tracks[0].events.filter(ev => ev.isMeta);
+        assert.deepEqual(
+            conductor.map(ev => [ev.type, ev.time]),
+            [
+                ['SET_TEMPO', 0],
+                ['TIME_SIGNATURE', 0],
+                ['SET_TEMPO', 4 * mf.ticksPerQuarterNote],
+                ['TIME_SIGNATURE', 4 * mf.ticksPerQuarterNote],
+                ['KEY_SIGNATURE', 4 * mf.ticksPerQuarterNote],
+            ],
+            'each change once, at its own time'
+        );
+        const channels = mf.tracks.slice(1).map(
+            track => track.events.find(ev => ev.isNoteOn).channel
+        );
+        assert.deepEqual(channels, [0, 1, 2], 'same program, separate channels');
+
+        const sc2 = music21.midi.midiBytesToStream(mf.writeBytes());
+        assert.equal(sc2.parts.length, 3);
+        const p = sc2.parts.get(0);
+        assert.deepEqual(
+            p.flat.getElementsByClass('MetronomeMark').elements.map(mm => [mm.offset, mm.number]),
+            [[0, 120], [4, 90]]
+        );
+        const m2 = p.measures.get(1);
+        assert.equal(m2.timeSignature.ratioString, '3/4');
+        assert.equal(m2.keySignature.sharps, 2);
+        assert.equal(p.measures.get(0).timeSignature.ratioString, '4/4');
+    });
+
+    QUnit.test('music21.midi.MidiFile type 0', assert => {
+        const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96];
+        const events = [
+            0x00, 0xFF, 0x51, 0x03, 0x0F, 0x42, 0x40, // 60 bpm
+            0x00, 0xFF, 0x58, 0x04, 0x06, 0x03, 0x18, 0x08, // 6/8
+            0x00, 0xFF, 0x59, 0x02, 0xFE, 0x00, // two flats
+            0x00, 0xC0, 0x28, // program 40 (violin)
+            0x00, 0x90, 0x43, 0x50, // G4 on
+            0x30, 0x43, 0x00, // running status note off after an eighth
+            0x00, 0x90, 0x3A, 0x50, // B-flat and D together
+            0x00, 0x3E, 0x50,
+            0x81, 0x10, 0x80, 0x3A, 0x00, // off after a dotted quarter
+            0x00, 0x3E, 0x00,
+            0x00, 0xFF, 0x2F, 0x00,
+        ];
+        const trackHeader = [0x4D, 0x54, 0x72, 0x6B, ...music21.midi.putNumber(events.length, 4)];
+        const data = new Uint8Array([...header, ...trackHeader, ...events]);
+        const mf = new music21.midi.MidiFile();
+        mf.readBytes(data.buffer);
+        assert.equal(mf.format, 0);
+        assert.equal(mf.ticksPerQuarterNote, 96);
+        assert.equal(mf.tracks.length, 1);
+        assert.equal(mf.tracks[0].events.length, 11);
+        assert.ok(mf.tracks[0].events[5].isNoteOff, 'running status note on with velocity 0');
+
+        const sc = music21.midi.midiFileToStream(mf);
+        assert.equal(sc.tempo, 60);
+        const p = sc.parts.get(0);
+        assert.equal(p.timeSignature.ratioString, '6/8');
+        assert.equal(p.keySignature.sharps, -2);
+        assert.equal(p.instrument.midiProgram, 40);
+        const notes = p.flat.notes;
+        assert.equal(notes.length, 2);
+        assert.equal(notes.get(0).pitch.nameWithOctave, 'G4');
+        assert.equal(notes.get(0).duration.quarterLength, 0.5);
+        assert.ok(notes.get(1).isClassOrSubclass('Chord'));
+        assert.equal(notes.get(1).pitches.length, 2);
+        assert.equal(notes.get(1).duration.quarterLength, 1.5);
+
+        assert.throws(
+            () => new music21.midi.MidiFile().readBytes([0, 1, 2, 3]),
+            music21.midi.MidiException
+        );
+    });
+
+    QUnit.test('music21.midi type 0 file with several channels and changes', assert => {
+        const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96];
+        const events = [
+            0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20, // 120 bpm
+            0x00, 0xFF, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08, // 4/4
+            0x00, 0xFF, 0x59, 0x02, 0x00, 0x00, // C major
+            0x00, 0xFF, 0x60, 0x02, 0x01, 0x02, // a meta event type music21j does not know
+            0x00, 0xC0, 0x28, // channel 0: violin
+            0x00, 0xC1, 0x2A, // channel 1: cello
+            0x00, 0x90, 0x48, 0x50, // C5 and C3 for a whole note
+            0x00, 0x91, 0x30, 0x50,
+            0x83, 0x00, 0x80, 0x48, 0x00,
+            0x00, 0x81, 0x30, 0x00,
+            0x00, 0xFF, 0x51, 0x03, 0x0F, 0x42, 0x40, // 60 bpm
+            0x00, 0xFF, 0x58, 0x04, 0x03, 0x02, 0x18, 0x08, // 3/4
+            0x00, 0xFF, 0x59, 0x02, 0x02, 0x00, // D major
+            0x00, 0x90, 0x4A, 0x50, // D5 and D3 for a dotted half
+            0x00, 0x91, 0x32, 0x50,
+            0x82, 0x20, 0x80, 0x4A, 0x00,
+            0x00, 0x81, 0x32, 0x00,
+            0x00, 0xFF, 0x2F, 0x00,
+        ];
+        const trackHeader = [0x4D, 0x54, 0x72, 0x6B, ...music21.midi.putNumber(events.length, 4)];
+        const data = new Uint8Array([...header, ...trackHeader, ...events]);
+        const mf = new music21.midi.MidiFile();
+        mf.readBytes(data);
+        const unknown = mf.tracks[0].events[3];
+        assert.equal(unknown.type, 'UNKNOWN_META_EVENT');
+        assert.equal(unknown.metaByte, 0x60);
+        assert.ok(unknown.isMeta);
+        assert.deepEqual(unknown.getBytes(), [0xFF, 0x60, 0x02, 0x01, 0x02]);
+        const mf2 = new music21.midi.MidiFile();
+        mf2.readBytes(mf.writeBytes());
+        assert.equal(mf2.tracks[0].events[3].metaByte, 0x60, 'written back out');
+        assert.deepEqual(mf2.tracks[0].events[3].data, [0x01, 0x02]);
+
+        const sc = music21.midi.midiFileToStream(mf);
+        assert.equal(sc.tempo, 120);
+        assert.equal(sc.parts.length, 2, 'one part per channel');
+        const [violin, cello] = sc.parts;
+        assert.equal(violin.instrument.midiProgram, 40);
+        assert.equal(violin.instrument.midiChannel, 0);
+        assert.equal(cello.instrument.midiProgram, 42);
+        assert.equal(cello.instrument.midiChannel, 1);
+        assert.equal(violin.flat.notes.get(1).pitch.nameWithOctave, 'D5');
+        assert.equal(cello.flat.notes.get(1).pitch.nameWithOctave, 'D3');
+
+        for (const p of [violin, cello]) {
+            assert.equal(p.measures.length, 2);
+            const [m1, m2] = p.measures;
+            assert.equal(m1.timeSignature.ratioString, '4/4');
+            assert.equal(m1.keySignature.sharps, 0);
+            assert.equal(m2.timeSignature.ratioString, '3/4');
+            assert.equal(m2.keySignature.sharps, 2);
+            assert.equal(m2.getOffsetBySite(p), 4.0);
+        }
+        const marks = violin.flat.getElementsByClass('MetronomeMark');
+        assert.deepEqual(Array.from(marks).map(mm => [mm.offset, mm.number]), [[0, 120], [4, 60]]);
+        assert.equal(violin.measures.get(1).getElementsByClass('MetronomeMark').get(0).number, 60);
+        assert.equal(cello.flat.getElementsByClass('MetronomeMark').length, 0);
+    });
+
+    QUnit.test('music21.midi.streamToMidiTrack transposing instrument', assert => {
+        const p = music21.tinyNotation.TinyNotation('4/4 d4 e4 f#2');
+        p.instrument = 'Clarinet';
+        p.instrument.transposition = new music21.interval.Interval('-M2');
+        p.atSoundingPitch = false;
+        const track = music21.midi.streamToMidiTrack(p);
+        const pitches = track.events.filter(ev => ev.isNoteOn).map(ev => ev.pitch);
+        assert.deepEqual(pitches, [60, 62, 64], 'B-flat clarinet written D4 sounds C4');
+        assert.equal(p.flat.notes.get(0).pitch.nameWithOctave, 'D4', 'part is unchanged');
+        assert.equal(p.atSoundingPitch, false);
+
+        p.atSoundingPitch = true;
+        const soundingTrack = music21.midi.streamToMidiTrack(p);
+        assert.equal(soundingTrack.events.filter(ev => ev.isNoteOn)[0].pitch, 62);
+    });
+}
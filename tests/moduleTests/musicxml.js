@@ -0,0 +1,431 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.musicxml.ScoreExporter', assert => {
+        const s = music21.tinyNotation.TinyNotation(
+            '3/4 c4 d8 e8 f#4~ f#2. trip{c8 d e} g4 r4'
+        );
+        const sc = new music21.musicxml.GeneralObjectExporter().fromGeneralObject(s);
+        assert.ok(sc.isClassOrSubclass('Score'), 'Part wrapped in a Score');
+        const sex = new music21.musicxml.ScoreExporter(sc);
+        const root = sex.parse();
+        assert.equal(root.tagName, 'score-partwise');
+        assert.equal(root.getElementsByTagName('score-part').length, 1);
+        assert.equal(root.getElementsByTagName('part').length, 1);
+        assert.equal(root.getElementsByTagName('measure').length, 3);
+        const mxNotes = root.getElementsByTagName('note');
+        assert.equal(mxNotes.length, 10);
+        assert.equal(root.getElementsByTagName('rest').length, 1);
+        assert.equal(root.getElementsByTagName('beats')[0].textContent, '3');
+        assert.equal(root.getElementsByTagName('sign')[0].textContent, 'G');
+
+        const fSharp = mxNotes[3];
+        assert.equal(fSharp.getElementsByTagName('alter')[0].textContent, '1');
+        assert.equal(fSharp.getElementsByTagName('accidental')[0].textContent, 'sharp');
+        assert.equal(fSharp.getElementsByTagName('tie')[0].getAttribute('type'), 'start');
+        const dottedHalf = mxNotes[4];
+        assert.equal(dottedHalf.getElementsByTagName('type')[0].textContent, 'half');
+        assert.equal(dottedHalf.getElementsByTagName('dot').length, 1);
+
+        const beams = mxNotes[1].getElementsByTagName('beam');
+        assert.equal(beams.length, 1, 'eighth notes are beamed');
+        assert.equal(beams[0].textContent, 'start');
+
+        const tuplets = root.getElementsByTagName('tuplet');
+        assert.equal(tuplets.length, 2);
+        assert.equal(tuplets[0].getAttribute('type'), 'start');
+        assert.equal(tuplets[1].getAttribute('type'), 'stop');
+        assert.equal(
+            mxNotes[5].getElementsByTagName('actual-notes')[0].textContent,
+            '3'
+        );
+        const divisions = parseInt(root.getElementsByTagName('divisions')[0].textContent);
+        const tripletDuration = parseInt(mxNotes[5].getElementsByTagName('duration')[0].textContent);
+        assert.equal(tripletDuration * 3, divisions, 'triplet eighths are a third of a quarter');
+    });
+
+    QUnit.test('music21.musicxml divisions in the first measure of each part', assert => {
+        const sc = new music21.stream.Score();
+        for (let partIndex = 0; partIndex < 2; partIndex++) {
+            const p = new music21.stream.Part();
+            for (let i = 0; i < 3; i++) {
+                const m = new music21.stream.Measure();
+                m.append(new music21.note.Note('C', 4));
+                p.append(m);
+            }
+            sc.insert(0, p);
+        }
+        sc.parts.get(1).getElementsByClass('Measure').get(0).clef = new music21.clef.BassClef();
+        sc.parts.get(0).timeSignature = new music21.meter.TimeSignature('4/4');
+        sc.parts.get(0).keySignature = new music21.key.KeySignature(-1);
+        const root = new music21.musicxml.ScoreExporter(sc).parse();
+        for (const mxPart of Array.from(root.getElementsByTagName('part'))) {
+            const mxMeasures = mxPart.getElementsByTagName('measure');
+            assert.equal(mxMeasures[0].getElementsByTagName('divisions').length, 1);
+            assert.equal(
+                mxPart.getElementsByTagName('divisions').length,
+                1,
+                'not repeated in later measures'
+            );
+        }
+        const pex = new music21.musicxml.PartExporter(sc.parts.get(0));
+        pex.parse();
+        const mxPart = pex.parse();
+        const mxFirst = mxPart.getElementsByTagName('measure')[0];
+        assert.equal(
+            mxFirst.getElementsByTagName('divisions').length,
+            1,
+            'whatever the exporter has seen before'
+        );
+        assert.equal(mxFirst.getElementsByTagName('clef').length, 1, 'clef written again');
+        assert.equal(mxFirst.getElementsByTagName('key').length, 1, 'key written again');
+        assert.equal(mxFirst.getElementsByTagName('time').length, 1, 'time written again');
+    });
+
+    QUnit.test('music21.musicxml accidentals shown only when needed', assert => {
+        const m = new music21.stream.Measure();
+        m.keySignature = new music21.key.KeySignature(-3);
+        for (const name of ['B-4', 'B-4', 'B4', 'B4', 'B-4', 'F#4', 'F#4']) {
+            const n = new music21.note.Note(name);
+            n.duration.type = 'eighth';
+            m.append(n);
+        }
+        const cautionary = new music21.note.Note('E-5');
+        cautionary.pitch.accidental.displayStatus = true;
+        m.append(cautionary);
+        const p = new music21.stream.Part();
+        p.append(m);
+        const mxNotes = new music21.musicxml.PartExporter(p).parse().getElementsByTagName('note');
+        const accidentals = Array.from(mxNotes).map(mxNote => {
+            const mxAccidental = mxNote.getElementsByTagName('accidental')[0];
+            return mxAccidental === undefined ? '' : mxAccidental.textContent;
+        });
+        assert.deepEqual(
+            accidentals,
+            ['', '', 'natural', '', 'flat', 'sharp', '', 'flat']
+        );
+        assert.strictEqual(
+            m.get(0).pitch.accidental.displayStatus,
+            undefined,
+            'notes are not changed'
+        );
+    });
+
+    QUnit.test('music21.musicxml.MeasureExporter chords and notations', assert => {
+        const m = new music21.stream.Measure();
+        m.number = 4;
+        m.clef = new music21.clef.BassClef();
+        m.keySignature = new music21.key.KeySignature(-3);
+        m.timeSignature = new music21.meter.TimeSignature('2/4');
+        const c = new music21.chord.Chord(['C3', 'E-3', 'G3']);
+        c.articulations.push(new music21.articulations.Staccato());
+        const n = new music21.note.Note('D3');
+        n.lyric = 'la-';
+        n.expressions.push(new music21.expressions.Fermata());
+        m.append(c);
+        m.append(n);
+
+        const mex = new music21.musicxml.MeasureExporter(m);
+        const mxMeasure = mex.parse();
+        assert.equal(mxMeasure.getAttribute('number'), '4');
+        assert.equal(mxMeasure.getElementsByTagName('fifths')[0].textContent, '-3');
+        assert.equal(mxMeasure.getElementsByTagName('sign')[0].textContent, 'F');
+        const mxNotes = mxMeasure.getElementsByTagName('note');
+        assert.equal(mxNotes.length, 4);
+        assert.equal(mxNotes[0].getElementsByTagName('chord').length, 0);
+        assert.equal(mxNotes[1].getElementsByTagName('chord').length, 1);
+        assert.equal(mxNotes[2].getElementsByTagName('chord').length, 1);
+        assert.equal(mxMeasure.getElementsByTagName('staccato').length, 1, 'articulation only on first chord note');
+        assert.equal(mxMeasure.getElementsByTagName('fermata').length, 1);
+        const mxLyric = mxNotes[3].getElementsByTagName('lyric')[0];
+        assert.equal(mxLyric.getElementsByTagName('text')[0].textContent, 'la');
+        assert.equal(mxLyric.getElementsByTagName('syllabic')[0].textContent, 'begin');
+    });
+
+    QUnit.test('music21.musicxml.GeneralObjectExporter text', assert => {
+        const n = new music21.note.Note('E5', 2.0);
+        const xmlText = new music21.musicxml.GeneralObjectExporter(n).parse();
+        assert.equal(xmlText.indexOf('<?xml'), 0, 'XML declaration first');
+        assert.ok(xmlText.includes('<!DOCTYPE score-partwise'), 'has doctype');
+        assert.ok(xmlText.includes('<step>E</step>'), 'has note');
+        assert.ok(xmlText.includes('<type>half</type>'), 'has type');
+    });
+
+    QUnit.test('music21.musicxml barlines and endings', assert => {
+        const note = step => '<note><pitch><step>' + step + '</step><octave>4</octave></pitch>'
+            + '<duration>4</duration><type>whole</type></note>';
+        const xml = '<?xml version="1.0"?><score-partwise><part-list>'
+            + '<score-part id="P1"><part-name>Flute</part-name></score-part></part-list>'
+            + '<part id="P1">'
+            + '<measure number="1"><attributes><divisions>1</divisions></attributes>'
+            + '<barline location="left"><bar-style>heavy-light</bar-style><repeat direction="forward"/></barline>'
+            + note('C') + '</measure>'
+            + '<measure number="2"><barline location="left"><ending number="1" type="start"/></barline>'
+            + note('D')
+            + '<barline location="right"><bar-style>light-heavy</bar-style>'
+            + '<ending number="1" type="stop"/><repeat direction="backward"/></barline></measure>'
+            + '<measure number="3"><barline location="left"><ending number="2" type="start"/></barline>'
+            + note('E')
+            + '<barline location="right"><bar-style>light-light</bar-style>'
+            + '<ending number="2" type="discontinue"/></barline></measure>'
+            + '</part></score-partwise>';
+        const s = new music21.musicxml.ScoreParser().scoreFromText(xml);
+        const measures = s.parts.get(0).measures;
+        assert.ok(measures.get(0).leftBarline.isClassOrSubclass('Repeat'));
+        assert.equal(measures.get(0).leftBarline.direction, 'start');
+        assert.equal(measures.get(1).rightBarline.direction, 'end');
+        assert.equal(measures.get(2).rightBarline.type, 'double');
+        assert.equal(measures.get(1).getSpannerSites('RepeatBracket')[0].number, '1');
+        assert.equal(measures.get(2).getSpannerSites('RepeatBracket')[0].number, '2');
+
+        const root = new music21.musicxml.ScoreExporter(s).parse();
+        const mxBarlines = root.getElementsByTagName('barline');
+        assert.equal(mxBarlines.length, 5);
+        assert.equal(mxBarlines[0].getAttribute('location'), 'left');
+        assert.equal(
+            mxBarlines[0].getElementsByTagName('repeat')[0].getAttribute('direction'),
+            'forward'
+        );
+        const mxEndings = root.getElementsByTagName('ending');
+        assert.deepEqual(
+            Array.from(mxEndings).map(e => e.getAttribute('type')),
+            ['start', 'stop', 'start', 'discontinue']
+        );
+        assert.equal(mxBarlines[4].getElementsByTagName('bar-style')[0].textContent, 'light-light');
+    });
+
+    QUnit.test('music21.musicxml metadata', assert => {
+        const xml = '<?xml version="1.0"?><score-partwise>'
+            + '<work><work-number>Op. 7</work-number><work-title>Trio</work-title></work>'
+            + '<movement-number>2</movement-number><movement-title>Scherzo</movement-title>'
+            + '<identification><creator type="composer">Clara Schumann</creator>'
+            + '<rights>Public domain</rights></identification>'
+            + '<credit page="1"><credit-type>title</credit-type><credit-words>Trio in G minor</credit-words></credit>'
+            + '<credit page="1"><credit-words>for piano trio</credit-words></credit>'
+            + '<part-list><score-part id="P1"><part-name>Piano</part-name></score-part></part-list>'
+            + '<part id="P1"><measure number="1"><attributes><divisions>1</divisions></attributes>'
+            + '<note><pitch><step>C</step><octave>4</octave></pitch><duration>4</duration>'
+            + '<type>whole</type></note></measure></part></score-partwise>';
+        const s = new music21.musicxml.ScoreParser().scoreFromText(xml);
+        const md = s.metadata;
+        assert.equal(md.title, 'Trio', 'work-title preferred over the title credit');
+        assert.equal(md.number, 'Op. 7');
+        assert.equal(md.movementNumber, '2');
+        assert.equal(md.movementName, 'Scherzo');
+        assert.equal(md.composer, 'Clara Schumann');
+        assert.equal(md.copyright, 'Public domain');
+        assert.equal(md.credits.length, 2);
+        assert.equal(md.credits[1].words, 'for piano trio');
+        assert.equal(md.credits[1].creditType, undefined);
+
+        const root = new music21.musicxml.ScoreExporter(s).parse();
+        assert.equal(root.getElementsByTagName('work-title')[0].textContent, 'Trio');
+        assert.equal(root.getElementsByTagName('movement-title')[0].textContent, 'Scherzo');
+        const mxCreator = root.getElementsByTagName('creator')[0];
+        assert.equal(mxCreator.getAttribute('type'), 'composer');
+        assert.equal(mxCreator.textContent, 'Clara Schumann');
+        assert.equal(root.getElementsByTagName('credit').length, 2);
+
+        const noMetadata = new music21.musicxml.ScoreParser().scoreFromText(
+            '<?xml version="1.0"?><score-partwise><part-list/></score-partwise>'
+        );
+        assert.equal(noMetadata.metadata, undefined);
+    });
+
+    QUnit.test('music21.musicxml transpose', assert => {
+        const xml = '<?xml version="1.0"?><score-partwise>'
+            + '<part-list><score-part id="P1"><part-name>Clarinet in B-flat</part-name></score-part></part-list>'
+            + '<part id="P1"><measure number="1"><attributes><divisions>1</divisions>'
+            + '<key><fifths>2</fifths></key>'
+            + '<transpose><diatonic>-1</diatonic><chromatic>-2</chromatic></transpose></attributes>'
+            + '<note><pitch><step>D</step><octave>4</octave></pitch><duration>2</duration>'
+            + '<type>half</type></note>'
+            + '<note><pitch><step>F</step><alter>1</alter><octave>4</octave></pitch><duration>2</duration>'
+            + '<type>half</type></note></measure></part></score-partwise>';
+        const s = new music21.musicxml.ScoreParser().scoreFromText(xml);
+        const p = s.parts.get(0);
+        assert.strictEqual(p.atSoundingPitch, false);
+        assert.equal(p.instrument.transposition.directedName, 'M-2');
+        assert.equal(p.flat.notes.get(1).nameWithOctave, 'F#4', 'notes at written pitch');
+
+        const sounding = s.toSoundingPitch();
+        const soundingPart = sounding.parts.get(0);
+        assert.ok(soundingPart.atSoundingPitch);
+        assert.equal(soundingPart.flat.notes.get(1).nameWithOctave, 'E4');
+        assert.equal(soundingPart.flat.getElementsByClass('KeySignature').get(0).sharps, 0);
+
+        const root = new music21.musicxml.ScoreExporter(s).parse();
+        const mxTranspose = root.getElementsByTagName('transpose')[0];
+        assert.equal(mxTranspose.getElementsByTagName('diatonic')[0].textContent, '-1');
+        assert.equal(mxTranspose.getElementsByTagName('chromatic')[0].textContent, '-2');
+        const soundingRoot = new music21.musicxml.ScoreExporter(sounding).parse();
+        assert.equal(soundingRoot.getElementsByTagName('transpose').length, 0);
+
+        const guitarXml = xml.replace(
+            /<transpose>.*<\/transpose>/,
+            '<transpose><diatonic>0</diatonic><chromatic>0</chromatic>'
+                + '<octave-change>-1</octave-change></transpose>'
+        );
+        const guitar = new music21.musicxml.ScoreParser().scoreFromText(guitarXml);
+        const guitarTransposition = guitar.parts.get(0).instrument.transposition;
+        assert.equal(guitarTransposition.directedName, 'P-8', 'octave-change');
+    });
+
+    QUnit.test('music21.musicxml harmony', assert => {
+        const xml = '<?xml version="1.0"?><score-partwise>'
+            + '<part-list><score-part id="P1"><part-name>Lead</part-name></score-part></part-list>'
+            + '<part id="P1"><measure number="1"><attributes><divisions>1</divisions></attributes>'
+            + '<harmony><root><root-step>B</root-step><root-alter>-1</root-alter></root>'
+            + '<kind>dominant-13th</kind><bass><bass-step>D</bass-step></bass>'
+            + '<degree><degree-value>11</degree-value><degree-alter>1</degree-alter>'
+            + '<degree-type>alter</degree-type></degree></harmony>'
+            + '<note><pitch><step>D</step><octave>4</octave></pitch><duration>2</duration>'
+            + '<type>half</type></note>'
+            + '<harmony><root><root-step>E</root-step></root><kind>half-diminished</kind></harmony>'
+            + '<note><pitch><step>E</step><octave>4</octave></pitch><duration>2</duration>'
+            + '<type>half</type></note></measure></part></score-partwise>';
+        const s = new music21.musicxml.ScoreParser().scoreFromText(xml);
+        const m = s.parts.get(0).measures.get(0);
+        const chordSymbols = m.getElementsByClass('ChordSymbol');
+        assert.equal(chordSymbols.length, 2);
+        const cs0 = chordSymbols.get(0);
+        assert.equal(cs0.offset, 0.0);
+        assert.equal(cs0.figure, 'B-13#11/D');
+        assert.equal(cs0.pitches[0].name, 'D');
+        const cs1 = chordSymbols.get(1);
+        assert.equal(cs1.offset, 2.0);
+        assert.equal(cs1.chordKind, 'half-diminished-seventh');
+        assert.equal(m.getElementsByClass('Note').get(1).offset, 2.0, 'notes not moved');
+
+        const root = new music21.musicxml.ScoreExporter(s).parse();
+        const mxHarmonies = root.getElementsByTagName('harmony');
+        assert.equal(mxHarmonies.length, 2);
+        assert.equal(mxHarmonies[0].getElementsByTagName('root-alter')[0].textContent, '-1');
+        assert.equal(mxHarmonies[0].getElementsByTagName('bass-step')[0].textContent, 'D');
+        assert.equal(mxHarmonies[0].getElementsByTagName('degree-type')[0].textContent, 'alter');
+        assert.equal(mxHarmonies[1].getElementsByTagName('kind')[0].textContent, 'half-diminished');
+        assert.equal(root.getElementsByTagName('note').length, 2, 'chord symbols are not notes');
+    });
+
+    QUnit.test('music21.musicxml microtones', assert => {
+        const xml = '<?xml version="1.0"?><score-partwise>'
+            + '<part-list><score-part id="P1"><part-name>Violin</part-name></score-part></part-list>'
+            + '<part id="P1"><measure number="1"><attributes><divisions>1</divisions></attributes>'
+            + '<note><pitch><step>E</step><alter>-0.5</alter><octave>4</octave></pitch>'
+            + '<duration>2</duration><type>half</type><accidental>quarter-flat</accidental></note>'
+            + '<note><pitch><step>G</step><alter>0.2</alter><octave>4</octave></pitch>'
+            + '<duration>2</duration><type>half</type></note></measure></part></score-partwise>';
+        const s = new music21.musicxml.ScoreParser().scoreFromText(xml);
+        const notes = s.flat.notes;
+        assert.equal(notes.get(0).pitch.name, 'E`');
+        assert.equal(notes.get(0).pitch.ps, 63.5);
+        assert.equal(notes.get(1).pitch.name, 'G');
+        assert.equal(notes.get(1).pitch.microtone.cents, 20);
+
+        const root = new music21.musicxml.ScoreExporter(s).parse();
+        const alters = root.getElementsByTagName('alter');
+        assert.equal(alters[0].textContent, '-0.5');
+        assert.equal(alters[1].textContent, '0.2');
+        assert.equal(root.getElementsByTagName('accidental')[0].textContent, 'quarter-flat');
+    });
+
+    QUnit.test('music21.musicxml grace notes', assert => {
+        const xml = '<?xml version="1.0"?><score-partwise>'
+            + '<part-list><score-part id="P1"><part-name>Flute</part-name></score-part></part-list>'
+            + '<part id="P1"><measure number="1"><attributes><divisions>2</divisions></attributes>'
+            + '<note><grace slash="yes"/><pitch><step>D</step><octave>5</octave></pitch>'
+            + '<type>eighth</type></note>'
+            + '<note><grace/><pitch><step>E</step><octave>5</octave></pitch><type>16th</type></note>'
+            + '<note><grace/><chord/><pitch><step>G</step><octave>5</octave></pitch><type>16th</type></note>'
+            + '<note><pitch><step>C</step><octave>5</octave></pitch>'
+            + '<duration>8</duration><type>whole</type></note></measure></part></score-partwise>';
+        const s = new music21.musicxml.ScoreParser().scoreFromText(xml);
+        const notes = s.flat.notes;
+        assert.equal(notes.length, 3);
+        assert.ok(notes.get(0).duration.isGrace);
+        assert.ok(notes.get(0).duration.slash);
+        assert.equal(notes.get(0).duration.type, 'eighth');
+        assert.ok(notes.get(1).isClassOrSubclass('Chord'));
+        assert.ok(notes.get(1).duration.isGrace, 'grace chord');
+        assert.notOk(notes.get(1).duration.slash, 'appoggiatura');
+        assert.equal(notes.get(2).offset, 0.0);
+        assert.equal(notes.get(2).duration.quarterLength, 4.0);
+
+        const root = new music21.musicxml.ScoreExporter(s).parse();
+        const mxNotes = root.getElementsByTagName('note');
+        assert.equal(mxNotes.length, 4);
+        assert.equal(mxNotes[0].firstChild.tagName, 'grace');
+        assert.equal(mxNotes[0].firstChild.getAttribute('slash'), 'yes');
+        assert.equal(mxNotes[0].getElementsByTagName('duration').length, 0);
+        assert.equal(mxNotes[2].firstChild.tagName, 'grace', 'grace before chord');
+        assert.equal(mxNotes[2].childNodes[1].tagName, 'chord');
+        assert.equal(mxNotes[1].firstChild.hasAttribute('slash'), false);
+        assert.equal(mxNotes[3].getElementsByTagName('duration')[0].textContent,
+            String(4 * parseInt(root.getElementsByTagName('divisions')[0].textContent)));
+    });
+
+    QUnit.test('music21.musicxml tempo', assert => {
+        const xml = '<?xml version="1.0"?><score-partwise>'
+            + '<part-list><score-part id="P1"><part-name>Flute</part-name></score-part></part-list>'
+            + '<part id="P1"><measure number="1"><attributes><divisions>2</divisions></attributes>'
+            + '<direction placement="above"><direction-type><words>Allegro</words></direction-type>'
+            + '<direction-type><metronome><beat-unit>quarter</beat-unit><beat-unit-dot/>'
+            + '<per-minute>80</per-minute></metronome></direction-type><sound tempo="120"/></direction>'
+            + '<note><pitch><step>C</step><octave>4</octave></pitch><duration>4</duration><type>half</type></note>'
+            + '<direction><direction-type><words>Adagio</words></direction-type></direction>'
+            + '<note><pitch><step>D</step><octave>4</octave></pitch><duration>2</duration><type>quarter</type></note>'
+            + '<sound tempo="90"/>'
+            + '<note><pitch><step>E</step><octave>4</octave></pitch><duration>2</duration><type>quarter</type></note>'
+            + '</measure></part></score-partwise>';
+        const s = new music21.musicxml.ScoreParser().scoreFromText(xml);
+        const m = s.parts.get(0).getElementsByClass('Measure').get(0);
+        const marks = m.getElementsByClass('TempoIndication');
+        assert.equal(marks.length, 3);
+        const mm = marks.get(0);
+        assert.ok(mm.isClassOrSubclass('MetronomeMark'));
+        assert.equal(mm.offset, 0);
+        assert.equal(mm.text, 'Allegro');
+        assert.equal(mm.number, 80);
+        assert.equal(mm.referent.quarterLength, 1.5);
+        assert.equal(mm.getQuarterBPM(), 120);
+        const tt = marks.get(1);
+        assert.ok(tt.isClassOrSubclass('TempoText'));
+        assert.equal(tt.offset, 2);
+        const hidden = marks.get(2);
+        assert.equal(hidden.offset, 3);
+        assert.equal(hidden.getQuarterBPM(), 90);
+        assert.ok(hidden.numberImplicit);
+        assert.equal(m.getElementsByClass('Note').get(2).offset, 3.0, 'notes not moved');
+
+        const root = new music21.musicxml.ScoreExporter(s).parse();
+        const mxDirections = root.getElementsByTagName('direction');
+        assert.equal(mxDirections.length, 2);
+        assert.equal(mxDirections[0].getElementsByTagName('beat-unit-dot').length, 1);
+        assert.equal(mxDirections[0].getElementsByTagName('per-minute')[0].textContent, '80');
+        assert.equal(mxDirections[0].getElementsByTagName('sound')[0].getAttribute('tempo'), '120');
+        assert.equal(mxDirections[1].getElementsByTagName('words')[0].textContent, 'Adagio');
+        assert.equal(mxDirections[1].getElementsByTagName('sound')[0].getAttribute('tempo'), '56');
+        const mxSounds = root.getElementsByTagName('sound');
+        assert.equal(mxSounds[mxSounds.length - 1].getAttribute('tempo'), '90', 'hidden tempo alone');
+    });
+
+    QUnit.test('music21.musicxml tempo marks inserted at a note', assert => {
+        const m = new music21.stream.Measure();
+        m.insert(0, new music21.note.Note('C4', 2.0));
+        m.insert(2, new music21.note.Note('D4', 2.0));
+        m.insert(0, new music21.tempo.MetronomeMark(undefined, 72));
+        m.insert(2, new music21.tempo.TempoText('rit.'));
+        assert.deepEqual(
+            Array.from(m).map(el => el.classes[0]),
+            ['MetronomeMark', 'Note', 'TempoText', 'Note'],
+            'tempo marks sort before notes at the same offset'
+        );
+        const root = new music21.musicxml.MeasureExporter(m).parse();
+        const tags = Array.from(root.childNodes)
+            .map(el => el.tagName)
+            .filter(tag => tag === 'direction' || tag === 'note');
+        assert.deepEqual(tags, ['direction', 'note', 'direction', 'note']);
+        assert.equal(root.getElementsByTagName('offset').length, 0);
+    });
+}
@@ -61,4 +61,72 @@ export default function tests() {
 
     });
 
+    QUnit.test('music21.pitch.Pitch simplifyEnharmonic', assert => {
+        const bSharp = new music21.pitch.Pitch('B#4');
+        const c5 = bSharp.simplifyEnharmonic();
+        assert.equal(c5.nameWithOctave, 'C5');
+        assert.equal(bSharp.nameWithOctave, 'B#4', 'original unchanged');
+        assert.equal(new music21.pitch.Pitch('G##3').simplifyEnharmonic().nameWithOctave, 'A3');
+        assert.equal(new music21.pitch.Pitch('F-4').simplifyEnharmonic().nameWithOctave, 'E4');
+        assert.equal(new music21.pitch.Pitch('F#4').simplifyEnharmonic().name, 'F#', 'F# is already simple');
+        const aSharp = new music21.pitch.Pitch('A#4');
+        assert.equal(aSharp.simplifyEnharmonic().name, 'A#');
+        aSharp.simplifyEnharmonic(true, true);
+        assert.equal(aSharp.name, 'B-', 'mostCommon, inPlace');
+    });
+
+    QUnit.test('music21.pitch.Accidental quarter tones', assert => {
+        const a = new music21.pitch.Accidental('~');
+        assert.equal(a.name, 'half-sharp');
+        assert.equal(a.alter, 0.5);
+        assert.equal(a.vexflowModifier, '+');
+        a.alter = -1.5;
+        assert.equal(a.name, 'one-and-a-half-flat');
+        assert.equal(a.modifier, '-`');
+        assert.equal(a.vexflowModifier, 'db');
+        assert.equal(new music21.pitch.Accidental('one-and-a-half-sharp').vexflowModifier, '++');
+        assert.equal(new music21.pitch.Accidental('half-flat').unicodeModifier, '&#x1d133;');
+    });
+
+    QUnit.test('music21.pitch.Microtone', assert => {
+        const m = new music21.pitch.Microtone('(-33c)');
+        assert.equal(m.cents, -33);
+        assert.equal(m.alter, -0.33);
+        assert.equal(m.toString(), '(-33c)');
+        assert.equal(new music21.pitch.Microtone('+20').toString(), '(+20c)');
+        assert.throws(() => new music21.pitch.Microtone('sharp'));
+    });
+
+    QUnit.test('music21.pitch.Pitch microtones', assert => {
+        const p = new music21.pitch.Pitch('C~4');
+        assert.equal(p.ps, 60.5);
+        assert.equal(p.midi, 61);
+        assert.equal(p.midiPitchBend, 6144);
+        assert.equal(p.vexflowName(), 'C+/4');
+        assert.equal(new music21.pitch.Pitch('A4').midiPitchBend, 8192);
+
+        const p2 = new music21.pitch.Pitch('A4(-33c)');
+        assert.equal(p2.nameWithOctave, 'A4');
+        assert.equal(p2.microtone.cents, -33);
+        assert.equal(p2.ps, 68.67);
+        assert.equal(p2.midi, 69);
+        assert.ok(Math.abs(p2.frequency - 431.69) < 0.01, 'frequency includes microtone');
+        assert.ok(Math.abs(p.frequency - 269.29) < 0.01, 'frequency includes quarter tone');
+        p2.microtone = 10;
+        assert.equal(p2.ps, 69.1);
+
+        const p3 = new music21.pitch.Pitch('C4');
+        p3.ps = 63.5;
+        assert.equal(p3.nameWithOctave, 'E`4', 'quarter tones spelled with accidentals');
+        p3.ps = 60.2;
+        assert.equal(p3.nameWithOctave, 'C4');
+        assert.equal(p3.microtone.cents, 20);
+        p3.ps = 61;
+        assert.equal(p3.microtone, undefined);
+
+        const p4 = new music21.pitch.Pitch('F#~4');
+        const clone = p4.clone();
+        assert.equal(clone.name, 'F#~');
+        assert.equal(p4.getHigherEnharmonic().name, 'G`');
+    });
 }
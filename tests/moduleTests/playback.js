@@ -0,0 +1,555 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+function recordingOutput(clock) {
+    const log = [];
+    const time = delay => Math.round((clock.currentTime + delay) * 1000) / 1000;
+    const output = {
+        log,
+        noteOn: (channel, midi, velocity, delay) =>
+            log.push(['on', channel, midi, time(delay)]),
+        noteOff: (channel, midi, delay) =>
+            log.push(['off', channel, midi, time(delay)]),
+        pitchBend: (channel, bend, delay) =>
+            log.push(['bend', channel, bend, time(delay)]),
+    };
+    return output;
+}
+
+function noteOns(output) {
+    return output.log.filter(e => e[0] === 'on').map(e => [e[2], e[3]]);
+}
+
+export default function tests() {
+    QUnit.test('music21.playback.TempoMap', assert => {
+        const tm = new music21.playback.TempoMap(60);
+        assert.equal(tm.secondsAtOffset(3), 3);
+        tm.addTempo(4, 120);
+        assert.equal(tm.secondsAtOffset(4), 4);
+        assert.equal(tm.secondsAtOffset(6), 5);
+        assert.equal(tm.offsetAtSeconds(5), 6);
+        assert.equal(tm.offsetAtSeconds(2), 2);
+        assert.equal(tm.tempoAtOffset(3.5), 60);
+        assert.equal(tm.tempoAtOffset(4), 120);
+        tm.addTempo(2, 30);
+        assert.equal(tm.secondsAtOffset(4), 6, 'later changes move');
+        assert.equal(tm.secondsAtOffset(6), 7);
+    });
+
+    QUnit.test('music21.playback.DynamicMap', assert => {
+        const dm = new music21.playback.DynamicMap();
+        assert.equal(dm.volumeScalarAtOffset(0), undefined);
+        dm.addLevel(0, 0.35);
+        dm.addLevel(8, 0.7);
+        dm.addWedge(4, 8, 'crescendo');
+        assert.equal(dm.volumeScalarAtOffset(2), 0.35);
+        assert.equal(dm.volumeScalarAtOffset(6).toFixed(3), '0.525', 'ramps to the next Dynamic');
+        assert.equal(dm.volumeScalarAtOffset(9), 0.7);
+        dm.addWedge(10, 12, 'diminuendo');
+        assert.equal(dm.volumeScalarAtOffset(11).toFixed(3), '0.600');
+        assert.equal(dm.volumeScalarAtOffset(14).toFixed(3), '0.500', 'level held after hairpin');
+    });
+
+    QUnit.test('music21.playback.FakeClock', assert => {
+        const clock = new music21.playback.FakeClock();
+        let ticks = 0;
+        const timerId = clock.setInterval(() => {
+            ticks += 1;
+        }, 100);
+        clock.advance(1.0);
+        assert.equal(ticks, 10);
+        assert.equal(clock.currentTime, 1.0);
+        clock.clearInterval(timerId);
+        clock.advance(1.0);
+        assert.equal(ticks, 10);
+    });
+
+    QUnit.test('music21.playback.Scheduler events and ties', assert => {
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        let doneAt;
+        const s = music21.tinyNotation.TinyNotation('4/4 c4 d r f~ f1 g4');
+        const sched = new music21.playback.Scheduler(s, {
+            tempo: 60,
+            clock,
+            output,
+            done: () => {
+                doneAt = clock.currentTime;
+            },
+        });
+        assert.equal(sched.events.length, 6);
+        assert.deepEqual(sched.events.map(ev => ev.time), [0, 1, 2, 3, 4, 8]);
+        assert.equal(sched.events[3].notes[0].duration, 5, 'tied through the whole note');
+        assert.equal(sched.events[4].notes.length, 0);
+        assert.equal(sched.totalSeconds, 9);
+
+        sched.play();
+        assert.ok(sched.isPlaying);
+        clock.advance(10);
+        assert.deepEqual(noteOns(output), [[60, 0], [62, 1], [65, 3], [67, 8]]);
+        assert.deepEqual(
+            output.log.filter(e => e[0] === 'off' && e[2] === 65),
+            [['off', 0, 65, 8]]
+        );
+        assert.notOk(sched.isPlaying);
+        assert.ok(doneAt >= 9 && doneAt < 9.1, 'done at the end');
+    });
+
+    QUnit.test('music21.playback.Scheduler parts and tempo changes', assert => {
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        const sc = music21.tinyNotation.TinyNotation(
+            '2/4 c4 d e f // 2/4 C2 G,2'
+        );
+        const p1 = sc.parts.get(0);
+        const p2 = sc.parts.get(1);
+        p1.instrument = new music21.instrument.Instrument('Flute');
+        p2.instrument = new music21.instrument.Instrument('Cello');
+        p1.getElementsByClass('Measure').get(1).tempo = 120;
+        const sched = new music21.playback.Scheduler(sc, {
+            tempo: 60,
+            clock,
+            output,
+        });
+        assert.deepEqual(
+            sched.events.map(ev => [ev.partIndex, ev.time]),
+            [[0, 0], [1, 0], [0, 1], [0, 2], [1, 2], [0, 2.5]]
+        );
+        sched.play();
+        clock.advance(4);
+        const ons = output.log.filter(e => e[0] === 'on');
+        assert.deepEqual(
+            ons.map(e => [e[2], e[3]]),
+            [[60, 0], [48, 0], [62, 1], [64, 2], [55, 2], [65, 2.5]],
+            'parts start together and follow the tempo change'
+        );
+        assert.notEqual(ons[0][1], ons[1][1], 'each part on its own channel');
+        assert.equal(ons[0][1], p1.instrument.midiChannel);
+    });
+
+    QUnit.test('music21.playback.Scheduler MetronomeMark', assert => {
+        const s = music21.tinyNotation.TinyNotation('2/4 c4 d e f g a');
+        const measures = s.getElementsByClass('Measure');
+        measures.get(0).tempo = 90;
+        measures.get(1).tempo = 90;
+        measures.get(0).insert(0, new music21.tempo.MetronomeMark(undefined, 60));
+        measures.get(1).insert(0, new music21.tempo.MetronomeMark('Fast', 60, 'half'));
+        measures.get(2).insert(1, new music21.tempo.TempoText('Adagio'));
+        const sched = new music21.playback.Scheduler(s, { tempo: 60 });
+        assert.deepEqual(
+            sched.events.map(ev => ev.time),
+            [0, 1, 2, 2.5, 3, 3.5],
+            'MetronomeMarks override Measure tempi at the same offset'
+        );
+        assert.equal(sched.events[5].duration.toFixed(4), (60 / 56).toFixed(4), 'TempoText sets the tempo');
+    });
+
+    QUnit.test('music21.playback.Scheduler dynamics and articulations', assert => {
+        const s = music21.tinyNotation.TinyNotation("4/4 !p! c4 d e f !f! g a b c'");
+        const notes = s.flat.notes.elements;
+        s.getElementsByClass('Measure').get(0).insert(
+            0,
+            new music21.spanner.Crescendo(notes[0], notes[3])
+        );
+        notes[4].articulations.push(new music21.articulations.Staccato());
+        notes[5].articulations.push(new music21.articulations.Accent());
+        notes[6].expressions.push(new music21.expressions.Fermata());
+        const sched = new music21.playback.Scheduler(s, { tempo: 60 });
+        assert.deepEqual(
+            sched.events.map(ev => ev.volume),
+            [44, 55, 66, 77, 88, 127, 88, 88],
+            'crescendo from p to f, then an accent'
+        );
+        assert.deepEqual(
+            sched.events.map(ev => ev.time),
+            [0, 1, 2, 3, 4, 5, 6, 8],
+            'the fermata is held twice as long'
+        );
+        assert.equal(sched.events[4].notes[0].duration, 0.5, 'staccato sounds half');
+        assert.equal(sched.events[6].notes[0].duration, 2);
+    });
+
+    QUnit.test('music21.playback.Scheduler pause and seek', assert => {
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        const s = music21.tinyNotation.TinyNotation('4/4 c4 d e f g a b c\'');
+        const sched = new music21.playback.Scheduler(s, {
+            tempo: 60,
+            clock,
+            output,
+        });
+        sched.play();
+        clock.advance(1.5);
+        sched.pause();
+        assert.notOk(sched.isPlaying);
+        assert.equal(sched.currentOffset, 1.5);
+        assert.deepEqual(
+            output.log[output.log.length - 1],
+            ['off', 0, 62, 1.5],
+            'sounding note silenced'
+        );
+        const before = noteOns(output).length;
+        clock.advance(5);
+        assert.equal(noteOns(output).length, before, 'nothing plays while paused');
+
+        sched.play();
+        clock.advance(1);
+        assert.deepEqual(noteOns(output).slice(before), [[64, 7]]);
+
+        sched.seek(6);
+        assert.ok(sched.isPlaying);
+        clock.advance(0.5);
+        assert.deepEqual(noteOns(output).slice(before + 1), [[71, 7.5]]);
+
+        sched.pause();
+        sched.seekToMeasure(2);
+        assert.equal(sched.currentOffset, 4);
+        assert.throws(
+            () => sched.seekToMeasure(3),
+            music21.playback.PlaybackException
+        );
+    });
+
+    QUnit.test('music21.playback.Scheduler loops', assert => {
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        const s = music21.tinyNotation.TinyNotation('4/4 c4 d e f g a b c\'');
+        const sched = new music21.playback.Scheduler(s, {
+            tempo: 60,
+            clock,
+            output,
+        });
+        sched.setLoop(1, 3);
+        assert.equal(sched.loopStart, 1);
+        assert.equal(sched.loopEnd, 3);
+        sched.play();
+        clock.advance(7);
+        assert.deepEqual(noteOns(output), [
+            [60, 0],
+            [62, 1], [64, 2],
+            [62, 3], [64, 4],
+            [62, 5], [64, 6],
+            [62, 7],
+        ]);
+        assert.ok(sched.isPlaying, 'loops never finish');
+        assert.equal(sched.currentOffset, 1);
+
+        sched.clearLoop();
+        clock.advance(3);
+        assert.deepEqual(noteOns(output).slice(8), [[64, 8], [65, 9], [67, 10]]);
+        assert.throws(
+            () => sched.setLoop(3, 3),
+            music21.playback.PlaybackException
+        );
+        sched.stop();
+        assert.equal(sched.currentOffset, 0);
+    });
+
+    QUnit.test('music21.playback.Scheduler pause before a loop', assert => {
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        const s = music21.tinyNotation.TinyNotation('4/4 c4 d e f g a b c\'');
+        const sched = new music21.playback.Scheduler(s, {
+            tempo: 60,
+            clock,
+            output,
+        });
+        sched.setLoop(4, 6);
+        sched.play();
+        clock.advance(1.5);
+        assert.equal(sched.currentOffset, 1.5, 'not yet in the loop');
+        sched.pause();
+        assert.equal(sched.position, 1.5);
+        sched.play();
+        clock.advance(6);
+        assert.deepEqual(noteOns(output), [
+            [60, 0],
+            [62, 1], [64, 2], [65, 3],
+            [67, 4], [69, 5],
+            [67, 6], [69, 7],
+        ]);
+        assert.equal(sched.currentOffset, 5.5, 'in the loop after wrapping');
+        sched.pause();
+        sched.play();
+        clock.advance(0.75);
+        assert.deepEqual(noteOns(output).slice(8), [[67, 8]], 'wraps again');
+        sched.stop();
+    });
+
+    QUnit.test('music21.playback.Scheduler callbacks', assert => {
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        const s = music21.tinyNotation.TinyNotation('4/4 c4 d~ d r');
+        const heard = [];
+        const sched = new music21.playback.Scheduler(s, {
+            tempo: 60,
+            clock,
+            output,
+            interval: 10,
+            noteOn: (el, ev) => heard.push(['on', el.name, Math.round(clock.currentTime * 100) / 100]),
+            noteOff: el => heard.push(['off', el.name, Math.round(clock.currentTime * 100) / 100]),
+        });
+        sched.play();
+        clock.advance(2.5);
+        assert.deepEqual(heard, [
+            ['on', 'C', 0],
+            ['off', 'C', 1],
+            ['on', 'D', 1],
+            ['off', 'D', 2],
+            ['on', 'D', 2],
+        ], 'tied notes and rests are reported too');
+        const sounding = Array.from(sched.soundingEvents)[0];
+        assert.equal(sounding.element, s.flat.notes.get(2));
+        sched.pause();
+        assert.deepEqual(heard[5], ['off', 'D', 2.5], 'pausing ends sounding notes');
+        assert.equal(sched.soundingEvents.size, 0);
+    });
+
+    QUnit.test('music21.playback.Scheduler instruments, mute and solo', assert => {
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        const velocities = [];
+        const recordNoteOn = output.noteOn;
+        output.noteOn = (channel, midi, velocity, delay) => {
+            velocities.push(velocity);
+            recordNoteOn(channel, midi, velocity, delay);
+        };
+        output.programChange = (channel, program) => output.log.push(['program', channel, program]);
+        const loading = [];
+        output.loadSoundfonts = (soundfonts, callback) => loading.push([soundfonts, callback]);
+
+        const sc = music21.tinyNotation.TinyNotation('2/4 c4 d // 2/4 C4 D // 2/4 C,4 C,');
+        const [p1, p2, p3] = sc.parts.elements;
+        const usedChannels = [];
+        p1.instrument = new music21.instrument.Instrument('Flute');
+        p1.instrument.autoAssignMidiChannel(usedChannels);
+        p2.instrument = new music21.instrument.Instrument('Cello');
+        p2.instrument.autoAssignMidiChannel(usedChannels);
+        p3.instrument = new music21.instrument.Instrument();
+        p3.instrument.inGMPercMap = true;
+        assert.equal(p3.instrument.midiChannel, 9, 'percussion on channel 10');
+
+        const sched = new music21.playback.Scheduler(sc, { tempo: 60, clock, output });
+        sched.play();
+        assert.ok(sched.isLoading);
+        assert.equal(loading.length, 1);
+        assert.deepEqual(loading[0][0], ['flute', 'cello'], 'all soundfonts at once');
+        loading[0][1]();
+        assert.ok(sched.isPlaying, 'plays when the soundfonts are loaded');
+        assert.deepEqual(
+            output.log.filter(e => e[0] === 'program'),
+            [['program', 0, 73], ['program', 1, 42]]
+        );
+        assert.deepEqual(
+            output.log.filter(e => e[0] === 'on').map(e => e[1]),
+            [0, 1, 9],
+            'each part on its own channel'
+        );
+
+        sched.setPartMute(p2);
+        assert.deepEqual(output.log[output.log.length - 1], ['off', 1, 48, 0], 'stops at once');
+        sched.setPartVolume(0, 0.5);
+        clock.advance(1);
+        assert.deepEqual(
+            output.log.filter(e => e[0] === 'on').map(e => e[1]),
+            [0, 1, 9, 0, 9],
+            'muted part is not heard'
+        );
+        assert.equal(velocities[3], Math.round(velocities[0] / 2));
+        sched.stop();
+        sched.setPartSolo(p3);
+        assert.notOk(sched.isPartAudible(0));
+        assert.notOk(sched.isPartAudible(1));
+        assert.ok(sched.isPartAudible(2));
+        sched.setPartSolo(p3, false);
+        sched.setPartMute(p2, false);
+        assert.ok(sched.isPartAudible(1));
+        assert.throws(
+            () => sched.setPartMute(new music21.stream.Part()),
+            music21.playback.PlaybackException
+        );
+
+        const next = new music21.playback.Scheduler(sc, {
+            partControls: [{ volume: 0.5 }, { mute: true }],
+        });
+        assert.deepEqual(next.partControls, [
+            { mute: false, solo: false, volume: 0.5 },
+            { mute: true, solo: false, volume: 1.0 },
+            { mute: false, solo: false, volume: 1.0 },
+        ]);
+    });
+
+    QUnit.test('music21.instrument.Instrument autoAssignMidiChannel', assert => {
+        const usedChannels = [];
+        const channels = [];
+        for (let i = 0; i < 10; i++) {
+            const inst = new music21.instrument.Instrument();
+            inst.midiProgram = i;
+            channels.push(inst.autoAssignMidiChannel(usedChannels));
+        }
+        assert.deepEqual(channels, [0, 1, 2, 3, 4, 5, 6, 7, 8, 10], 'skips percussion');
+        const piano = new music21.instrument.Instrument();
+        piano.midiProgram = 0;
+        assert.equal(piano.autoAssignMidiChannel(usedChannels), 0, 'same program, same channel');
+    });
+
+    QUnit.test('music21.playback.partChannels', assert => {
+        const usedChannels = [];
+        const violins = [1, 2].map(() => {
+            const inst = new music21.instrument.Instrument('Violin');
+            inst.autoAssignMidiChannel(usedChannels);
+            return inst;
+        });
+        assert.equal(violins[0].midiChannel, violins[1].midiChannel);
+        const drums = new music21.instrument.Instrument();
+        drums.inGMPercMap = true;
+        assert.deepEqual(
+            music21.playback.partChannels([violins[0], violins[1], drums, undefined, undefined]),
+            [0, 1, 9, 2, 3],
+            'same program, still separate channels'
+        );
+
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        output.programChange = (channel, program) => output.log.push(['program', channel, program]);
+        const sc = music21.tinyNotation.TinyNotation('2/4 c4 d // 2/4 e4 f');
+        sc.parts.get(0).instrument = violins[0];
+        sc.parts.get(1).instrument = violins[1];
+        const sched = new music21.playback.Scheduler(sc, { tempo: 60, clock, output });
+        sched.soundfontsLoaded = true;
+        sched.play();
+        assert.deepEqual(
+            output.log.filter(e => e[0] === 'program'),
+            [['program', 0, 40], ['program', 1, 40]]
+        );
+        assert.deepEqual(
+            output.log.filter(e => e[0] === 'on').map(e => e[1]),
+            [0, 1]
+        );
+        sched.setPartMute(1);
+        clock.advance(1);
+        assert.deepEqual(
+            output.log.filter(e => e[0] === 'on').map(e => [e[1], e[2]]),
+            [[0, 60], [1, 64], [0, 62]],
+            'muting one violin leaves the other'
+        );
+        sched.stop();
+    });
+
+    QUnit.test('music21.playback.mapCopiedElements', assert => {
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        const p = music21.tinyNotation.TinyNotation('2/4 c2 d2 e2');
+        p.get(0).leftBarline = new music21.bar.Repeat('start');
+        p.get(1).rightBarline = new music21.bar.Repeat('end');
+        p.atSoundingPitch = false;
+        p.instrument = new music21.instrument.Instrument('Clarinet');
+        p.instrument.transposition = new music21.interval.Interval('-M2');
+        const originals = p.flat.notes.elements;
+        const heard = [];
+        p.playStream({
+            tempo: 60,
+            clock,
+            output,
+            noteOn: el => heard.push(el),
+        });
+        clock.advance(10);
+        assert.deepEqual(
+            noteOns(output).map(e => e[0]),
+            [58, 60, 58, 60, 62],
+            'repeats expanded at sounding pitch'
+        );
+        assert.deepEqual(heard, [
+            originals[0], originals[1], originals[0], originals[1], originals[2],
+        ], 'callbacks get the original elements');
+        assert.equal(p.get(0).get(0).name, 'C', 'original not transposed');
+    });
+
+    QUnit.test('music21.vfShow.PlaybackCursor', assert => {
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        const s = music21.tinyNotation.TinyNotation('2/4 c4 d e f');
+        const notes = s.flat.notes.elements;
+        notes.forEach((n, i) => {
+            n.x = 20 + 30 * i;
+            n.width = 20;
+        });
+        const measures = s.getElementsByClass('Measure');
+        measures.elements.forEach((m, i) => {
+            m.activeVFStave = {
+                getX: () => 10 + 100 * i,
+                getWidth: () => 100,
+                getYForLine: line => 40 + 10 * line,
+                getNumLines: () => 5,
+            };
+        });
+        const children = [];
+        const svg = {
+            firstChild: undefined,
+            insertBefore: rect => children.push(rect),
+            removeChild: rect => children.splice(children.indexOf(rect), 1),
+        };
+        const renderer = new music21.vfShow.Renderer(s);
+        renderer.ctx = { svg };
+
+        const sched = new music21.playback.Scheduler(s, { tempo: 60, clock, output });
+        const cursor = renderer.attachPlaybackCursor(sched);
+        assert.deepEqual(
+            cursor.boundingBox(notes[1]),
+            { x: 45, y: 35, width: 30, height: 50 }
+        );
+        sched.play();
+        clock.advance(0.5);
+        assert.equal(children.length, 1);
+        assert.ok(cursor.highlights.has(notes[0]));
+        clock.advance(1);
+        assert.equal(children.length, 1);
+        assert.ok(cursor.highlights.has(notes[1]));
+
+        cursor.mode = 'measure';
+        assert.deepEqual(
+            cursor.boundingBox(notes[2]),
+            { x: 110, y: 35, width: 100, height: 50 }
+        );
+        clock.advance(1);
+        assert.ok(cursor.highlights.has(measures.get(1)));
+        sched.stop();
+        assert.equal(children.length, 0, 'cleared when stopped');
+
+        const sched2 = new music21.playback.Scheduler(s, { tempo: 60, clock, output });
+        renderer.attachPlaybackCursor(sched2);
+        assert.equal(sched.callbacks.noteOn.length, 0, 'detached from the old Scheduler');
+        assert.equal(sched2.callbacks.noteOn.length, 1);
+    });
+
+    QUnit.test('music21.stream.Stream playStream with Scheduler', assert => {
+        const clock = new music21.playback.FakeClock();
+        const output = recordingOutput(clock);
+        const s = music21.tinyNotation.TinyNotation('3/4 c4 d e f g a');
+        s.playStream({ tempo: 60, clock, output, startNote: 1 });
+        const sched = s.playbackScheduler;
+        assert.ok(sched instanceof music21.playback.Scheduler);
+        assert.equal(sched.currentOffset, 1, 'starts at the second note');
+        clock.advance(1);
+        assert.deepEqual(noteOns(output), [[62, 0], [64, 1]]);
+        sched.stop();
+        assert.notOk(sched.isPlaying);
+        s.playStream({ tempo: 60, clock, output });
+        assert.notEqual(s.playbackScheduler, sched, 'a new Scheduler each time');
+        s.playbackScheduler.stop();
+        assert.equal(s.clone(true).playbackScheduler, undefined);
+
+        const repeated = music21.tinyNotation.TinyNotation('2/4 c4 d e f g a');
+        const measures = repeated.getElementsByClass('Measure');
+        measures.get(1).leftBarline = new music21.bar.Repeat('start');
+        measures.get(1).rightBarline = new music21.bar.Repeat('end');
+        // c d | e f :| plays c d e f e f g a
+        repeated.playStream({ tempo: 60, clock, output, startNote: 4 });
+        assert.equal(
+            repeated.playbackScheduler.currentOffset,
+            6,
+            'g in the score, after the repeat'
+        );
+        repeated.playbackScheduler.stop();
+    });
+}
@@ -318,4 +318,49 @@ export default function tests() {
         assert.equal(p('Fr4/3'), 'F5 A5 B5 D#6');
         assert.equal(p('Sw43'), 'F5 A5 B#5 D#6');
     });
+    QUnit.test('music21.roman.romanNumeralFromChord', assert => {
+        const figure = (pitchString, keyStr) => music21.roman.romanNumeralFromChord(
+            new music21.chord.Chord(pitchString),
+            keyStr
+        ).figure;
+        assert.equal(figure('C4 E4 G4', 'C'), 'I');
+        assert.equal(figure('E3 G3 C4', 'C'), 'I6');
+        assert.equal(figure('G3 C4 E4', 'C'), 'I64');
+        assert.equal(figure('G3 B3 D4 F4', 'C'), 'V7');
+        assert.equal(figure('B3 D4 F4 G4', 'C'), 'V65');
+        assert.equal(figure('D4 F4 G4 B4', 'C'), 'V43');
+        assert.equal(figure('F3 G3 B3 D4', 'C'), 'V42');
+        assert.equal(figure('D4 F4 A4 C5', 'C'), 'ii7');
+        assert.equal(figure('B3 D4 F4 A4', 'C'), 'vii/o7');
+        assert.equal(figure('A3 C4 E4', 'a'), 'i');
+        assert.equal(figure('E3 G#3 B3', 'a'), 'V');
+        assert.equal(figure('G#3 B3 D4 F4', 'a'), 'viio7', 'leading tone in minor is not #vii');
+        assert.equal(figure('G3 B3 D4', 'a'), 'VII');
+        assert.equal(figure('C4 E4 G#4', 'a'), 'III+');
+
+        assert.equal(figure('D4 F#4 A4', 'C'), 'V/V');
+        assert.equal(figure('C4 D4 F#4 A4', 'C'), 'V42/V');
+        assert.equal(figure('A3 C#4 E4 G4', 'C'), 'V7/ii');
+        assert.equal(figure('E4 G#4 B4 D5', 'C'), 'V7/vi');
+        assert.equal(figure('F#3 A3 C4 E-4', 'C'), 'viio7/V');
+        assert.equal(figure('C#4 E4 G4 B-4', 'C'), 'viio7/ii');
+        assert.equal(figure('F3 A-3 D-4', 'c'), 'bII6');
+        assert.equal(figure('A-3 C4 E-4', 'C'), 'bVI');
+
+        const c = new music21.chord.Chord('B2 G3 D4 F4');
+        c.duration.quarterLength = 2.0;
+        const rn = music21.roman.romanNumeralFromChord(c, new music21.key.Key('C'));
+        assert.ok(rn instanceof music21.roman.RomanNumeral);
+        assert.equal(rn.key.tonic.name, 'C');
+        assert.equal(rn.duration.quarterLength, 2.0);
+        assert.equal(
+            rn.pitches.map(p => p.nameWithOctave).join(' '),
+            'B2 G3 D4 F4',
+            'voicing of the chord is kept'
+        );
+        assert.equal(rn.figure, 'V65');
+
+        const noKey = music21.roman.romanNumeralFromChord(new music21.chord.Chord('D4 F4 A4'));
+        assert.equal(noKey.figureAndKey, 'i in d minor');
+    });
 }
@@ -33,4 +33,81 @@ export default function tests() {
         assert.equal(sc.pitchFromDegree(5).name, 'C');
         assert.equal(sc.getScaleDegreeFromPitch('B-'), 4);
     });
+
+    QUnit.test('music21.scale.AbstractScale.buildNetworkFromPitches', assert => {
+        const sc = new music21.scale.AbstractScale();
+        sc.buildNetworkFromPitches(['C4', 'E4', 'G4']);
+        assert.equal(sc._net.length, 3, 'octave added');
+        assert.equal(sc._net[2].name, 'P4');
+        const sc2 = new music21.scale.ConcreteScale(undefined, ['D4', 'E4', 'F#4', 'A4', 'B4']);
+        assert.equal(sc2.tonic.name, 'D');
+        const pitches = sc2.getPitches();
+        assert.equal(pitches.length, 6);
+        assert.equal(pitches[5].nameWithOctave, 'D5');
+        assert.equal(sc2.getScaleDegreeFromPitch('A'), 4);
+    });
+
+    QUnit.test('music21.scale.MelodicMinorScale', assert => {
+        const sc = new music21.scale.MelodicMinorScale('A4');
+        assert.ok(sc.isDirectional);
+        assert.equal(sc.name, 'A melodic minor');
+        assert.equal(sc.getPitches()[6].name, 'G#');
+        const descending = sc.getPitches(undefined, undefined, 'descending');
+        assert.equal(descending[5].name, 'F');
+        assert.equal(descending[6].name, 'G');
+        assert.equal(sc.getScaleDegreeFromPitch('G#'), 7);
+        assert.equal(sc.getScaleDegreeFromPitch('G'), 7, 'found descending');
+        assert.equal(sc.getScaleDegreeFromPitch('G', 'ascending'), undefined);
+        assert.equal(sc.pitchFromDegree(6, undefined, undefined, 'descending').name, 'F');
+        assert.notOk(new music21.scale.MajorScale('C').isDirectional);
+    });
+
+    QUnit.test('music21.scale symmetrical and other scales', assert => {
+        const names = sc => sc.getPitches().map(p => p.name).join(' ');
+        assert.equal(names(new music21.scale.WholeToneScale('C4')), 'C D E F# G# B- C');
+        assert.equal(names(new music21.scale.OctatonicScale('C4')), 'C D E- F G- A- A B C');
+        assert.equal(names(new music21.scale.OctatonicScale('C4', 2)), 'C D- E- F- G- G A B- C');
+        assert.throws(() => new music21.scale.OctatonicScale('C4', 3));
+        assert.equal(names(new music21.scale.MajorPentatonicScale('G4')), 'G A B D E G');
+        assert.equal(names(new music21.scale.MinorPentatonicScale('A4')), 'A C D E G A');
+        assert.equal(new music21.scale.MinorPentatonicScale('A4').name, 'A minor pentatonic');
+        assert.equal(names(new music21.scale.BluesScale('A4')), 'A C D D# E G A');
+        const chromatic = new music21.scale.ChromaticScale('C4').getPitches();
+        assert.equal(chromatic.length, 13);
+        assert.equal(chromatic[12].nameWithOctave, 'C5');
+        const cyc = new music21.scale.CyclicalScale('C4', ['P5']);
+        assert.equal(cyc.pitchFromDegree(3).nameWithOctave, 'D5');
+    });
+
+    QUnit.test('music21.scale.RagAsawari', assert => {
+        const sc = new music21.scale.RagAsawari('C4');
+        assert.ok(sc.isDirectional);
+        const ascending = sc.getPitches().map(p => p.name).join(' ');
+        assert.equal(ascending, 'C D F G A- C');
+        const descending = sc.getPitches(undefined, undefined, 'descending');
+        assert.equal(descending.map(p => p.name).join(' '), 'C D E- F G A- B- C');
+        assert.equal(sc.getScaleDegreeFromPitch('A-'), 5);
+        assert.equal(sc.getScaleDegreeFromPitch('E-'), 3);
+        const jaunpuri = new music21.scale.RagJaunpuri('C4');
+        assert.equal(jaunpuri.getPitches()[5].name, 'B-');
+    });
+
+    QUnit.test('music21.scale.findScalesContaining', assert => {
+        const found = music21.scale.findScalesContaining(['C4', 'D4', 'E4', 'F#4', 'G#4']);
+        assert.deepEqual(
+            found.map(sc => sc.name),
+            ['A melodic minor', 'C whole-tone', 'C chromatic']
+        );
+        const s = music21.tinyNotation.TinyNotation('4/4 c d e g a');
+        const names = music21.scale.findScalesContaining(s).map(sc => sc.name);
+        assert.ok(names.includes('C major'));
+        assert.ok(names.includes('A minor pentatonic'));
+        assert.ok(names.includes('A blues'));
+        assert.notOk(names.includes('C whole-tone'));
+        const wholeTone = music21.scale.findScalesContaining(
+            ['C4', 'D4'],
+            [music21.scale.WholeToneScale]
+        );
+        assert.equal(wholeTone.length, 1, 'symmetrical scales only listed once');
+    });
 }
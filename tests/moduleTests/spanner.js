@@ -0,0 +1,118 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.spanner.Spanner', assert => {
+        const n1 = new music21.note.Note('C');
+        const n2 = new music21.note.Note('D');
+        const n3 = new music21.note.Note('E');
+        const sl = new music21.spanner.Slur(n1, n2);
+        assert.equal(sl.length, 2);
+        assert.ok(sl.isFirst(n1));
+        assert.ok(sl.isLast(n2));
+        sl.addSpannedElements([n2, n3]);
+        assert.equal(sl.length, 3, 'duplicates are not added');
+        assert.equal(sl.getLast(), n3);
+        assert.ok(sl.hasSpannedElement(n2));
+
+        const n4 = new music21.note.Note('F');
+        sl.replaceSpannedElement(n2, n4);
+        assert.notOk(sl.hasSpannedElement(n2));
+        assert.equal(sl.getSpannedElements()[1], n4);
+
+        assert.equal(n1.getSpannerSites()[0], sl);
+        assert.equal(n1.getSpannerSites('Crescendo').length, 0);
+        assert.equal(n2.getSpannerSites().length, 0);
+    });
+
+    QUnit.test('music21.spanner.SpannerBundle', assert => {
+        const n1 = new music21.note.Note('C');
+        const n2 = new music21.note.Note('D');
+        const sl = new music21.spanner.Slur(n1, n2);
+        const cresc = new music21.spanner.Crescendo(n2);
+        cresc.idLocal = '1';
+        const sb = new music21.spanner.SpannerBundle([sl, cresc]);
+        assert.equal(sb.length, 2);
+        assert.equal(sb.getBySpannedElement(n2).length, 2);
+        assert.equal(sb.getByClass('DynamicWedge').get(0), cresc);
+        assert.equal(sb.getByClassIdLocalComplete('Crescendo', '1', false).get(0), cresc);
+        cresc.completeStatus = true;
+        assert.equal(sb.getByCompleteStatus(true).get(0), cresc);
+
+        const n3 = new music21.note.Note('E');
+        sb.setPendingSpannedElementAssignment(cresc, 'Note');
+        sb.freePendingSpannedElementAssignment(n3);
+        assert.equal(cresc.getLast(), n3);
+    });
+
+    QUnit.test('music21.spanner.Ottava', assert => {
+        const o = new music21.spanner.Ottava();
+        assert.equal(o.type, '8va');
+        assert.equal(o.placement, 'above');
+        o.type = '15mb';
+        assert.equal(o.placement, 'below');
+        assert.equal(o.shiftMagnitude(), 15);
+        assert.equal(o.shiftDirection(), 'down');
+        assert.equal(o.shiftDirection(true), 'up');
+        assert.throws(
+            () => { o.type = '9va'; },
+            music21.spanner.SpannerException,
+        );
+    });
+
+    QUnit.test('music21.stream.Stream spannerBundle', assert => {
+        const s = music21.tinyNotation.TinyNotation('4/4 c4 d e f');
+        const notes = s.flat.notes;
+        const sl = new music21.spanner.Slur(notes.get(0), notes.get(3));
+        s.insert(0, sl);
+        assert.equal(s.spannerBundle.length, 1);
+        assert.equal(s.spannerBundle.get(0), sl);
+
+        const s2 = s.clone(true);
+        const sl2 = s2.spannerBundle.get(0);
+        assert.notEqual(sl2, sl);
+        assert.equal(sl2.getFirst(), s2.flat.notes.get(0), 'deep clone uses cloned notes');
+        assert.equal(sl.getFirst(), notes.get(0), 'original is untouched');
+    });
+
+    QUnit.test('music21.musicxml spanners', assert => {
+        const note = (step, extra = '', chord = '') => '<note>' + chord
+            + '<pitch><step>' + step + '</step><octave>4</octave></pitch>'
+            + '<duration>1</duration><type>quarter</type>' + extra + '</note>';
+        const xml = '<?xml version="1.0"?><score-partwise><part-list>'
+            + '<score-part id="P1"><part-name>Flute</part-name></score-part></part-list>'
+            + '<part id="P1"><measure number="1"><attributes><divisions>1</divisions></attributes>'
+            + '<direction placement="above"><direction-type><wedge type="crescendo"/></direction-type></direction>'
+            + note('C', '<notations><slur type="start" number="1"/></notations>')
+            + note('E', '', '<chord/>')
+            + note('D')
+            + '<direction><direction-type><wedge type="stop"/></direction-type></direction>'
+            + '<direction><direction-type><octave-shift type="down" size="15"/></direction-type></direction>'
+            + note('E', '<notations><slur type="stop" number="1"/>'
+                + '<glissando type="start">gliss.</glissando></notations>')
+            + '<direction><direction-type><octave-shift type="stop" size="15"/></direction-type></direction>'
+            + note('F', '<notations><glissando type="stop"/></notations>')
+            + '</measure></part></score-partwise>';
+        const s = new music21.musicxml.ScoreParser().scoreFromText(xml);
+        const notes = s.flat.notes;
+        assert.equal(notes.length, 4);
+        const sb = s.spannerBundle;
+        assert.equal(sb.length, 4);
+
+        const sl = sb.getByClass('Slur').get(0);
+        assert.equal(sl.getFirst(), notes.get(0), 'slur attached to the chord');
+        assert.equal(sl.getLast(), notes.get(2));
+
+        const cresc = sb.getByClass('Crescendo').get(0);
+        assert.equal(cresc.placement, 'above');
+        assert.equal(cresc.length, 2);
+
+        const ottava = sb.getByClass('Ottava').get(0);
+        assert.equal(ottava.type, '15ma');
+        assert.equal(ottava.getFirst(), notes.get(2));
+
+        const gliss = sb.getByClass('Glissando').get(0);
+        assert.equal(gliss.label, 'gliss.');
+        assert.equal(gliss.getLast(), notes.get(3));
+    });
+}
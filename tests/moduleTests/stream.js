@@ -137,6 +137,15 @@ export default function tests() {
             4.0,
             '.flat.flat does not change offset'
         );
+
+        const m = new music21.stream.Measure();
+        const n = new music21.note.Note('G');
+        m.append(n);
+        const mm = new music21.tempo.MetronomeMark(undefined, 90);
+        m.insert(0.0, mm);
+        assert.strictEqual(m.get(0), mm, 'sorts before the note at its offset');
+        assert.ok(mm.sites.includes(m), 'measure is a site of the mark');
+        assert.strictEqual(n.getContextByClass('MetronomeMark'), mm);
     });
 
     QUnit.test('music21.stream.Stream insertAndShift', assert => {
@@ -253,4 +262,177 @@ export default function tests() {
         assert.ok(c._notes[2].pitch.accidental.displayStatus);
         assert.notOk(c._notes[3].pitch.accidental); // perhaps should exist?
     });
+    QUnit.test('music21.stream.Stream transpose', assert => {
+        const names = s => s.flat.getElementsByClass('Note').elements.map(
+            n => n.nameWithOctave
+        ).join(' ');
+        const p = new music21.stream.Part();
+        const m1 = music21.tinyNotation.TinyNotation('4/4 c4 e g b');
+        const m2 = music21.tinyNotation.TinyNotation('4/4 f#1');
+        const ks = new music21.key.Key('C');
+        m1.keySignature = ks;
+        m2.keySignature = ks; // shared, as the MusicXML parser may do
+        p.append([m1, m2]);
+        const c = new music21.chord.Chord('C4 E4 G4');
+        m2.insert(0, c);
+
+        const p2 = p.transpose('M2');
+        assert.equal(names(p2), 'D4 F#4 A4 C#5 G#4');
+        const c2 = p2.flat.getElementsByClass('Chord').get(0);
+        assert.equal(c2.pitches.map(x => x.nameWithOctave).join(' '), 'D4 F#4 A4');
+        assert.equal(p2.get(0).keySignature.tonic.name, 'D');
+        assert.equal(p2.get(1).keySignature.sharps, 2);
+        assert.equal(names(p), 'C4 E4 G4 B4 F#4', 'original unchanged');
+        assert.equal(c.pitches[0].name, 'C', 'chord in original unchanged');
+
+        p.transpose(-3, { inPlace: true });
+        assert.equal(names(p), 'A3 C#4 E4 G#4 D#4');
+        assert.equal(ks.sharps, 3, 'shared key transposed only once');
+
+        const p3 = p.transpose(new music21.key.Key('F'));
+        assert.equal(p3.get(0).keySignature.tonic.name, 'F');
+        assert.equal(names(p3), 'F3 A3 C4 E4 B3', 'down a major third, not up a minor sixth');
+
+        const p4 = p.transpose('M3');
+        assert.equal(p4.get(0).keySignature.tonic.name, 'D-', 'not C# major');
+        assert.equal(names(p4), 'D-4 F4 A-4 C5 G4');
+        const p5 = p.transpose('M3', { simplifyEnharmonics: false });
+        assert.equal(p5.get(0).keySignature.tonic.name, 'C#');
+        assert.equal(names(p5), 'C#4 E#4 G#4 B#4 F##4');
+
+        const rnStream = new music21.stream.Stream();
+        rnStream.append(new music21.roman.RomanNumeral('V7', 'E-'));
+        const rn = rnStream.transpose('M2').get(0);
+        assert.equal(rn.key.tonic.name, 'F', 'key of the RomanNumeral is transposed');
+        assert.equal(rn.figure, 'V7');
+        assert.equal(rn.pitches.map(x => x.name).join(' '), 'C E G B-');
+    });
+    QUnit.test('music21.stream.Stream toSoundingPitch', assert => {
+        const p = new music21.stream.Part();
+        p.append(music21.tinyNotation.TinyNotation('4/4 d4 e f# g'));
+        p.get(0).keySignature = new music21.key.KeySignature(2);
+        p.instrument = 'Clarinet';
+        p.instrument.transposition = new music21.interval.Interval('-M2');
+        assert.equal(p.atSoundingPitch, 'unknown');
+        assert.equal(p.toSoundingPitch().flat.notes.get(0).name, 'D', 'unknown: no change');
+
+        p.atSoundingPitch = false;
+        const sounding = p.toSoundingPitch();
+        assert.ok(sounding.atSoundingPitch);
+        assert.equal(sounding.flat.notes.get(2).nameWithOctave, 'E4');
+        assert.equal(sounding.get(0).keySignature.sharps, 0);
+        assert.equal(p.flat.notes.get(2).nameWithOctave, 'F#4', 'original unchanged');
+
+        const written = sounding.toWrittenPitch();
+        assert.strictEqual(written.atSoundingPitch, false);
+        assert.equal(written.flat.notes.get(2).nameWithOctave, 'F#4');
+
+        const sc = new music21.stream.Score();
+        sc.insert(0, p);
+        sc.toSoundingPitch({ inPlace: true });
+        assert.ok(p.atSoundingPitch, 'each Part of a Score is converted');
+        assert.equal(p.flat.notes.get(0).nameWithOctave, 'C4');
+    });
+    QUnit.test('music21.stream.Stream chordify', assert => {
+        const sc = new music21.stream.Score();
+        for (const tn of [
+            "4/4 e'4 d' c'2",
+            '4/4 g4 f e2',
+            '4/4 c4 B c2',
+            '4/4 C4 G A2',
+        ]) {
+            sc.insert(0, music21.tinyNotation.TinyNotation(tn));
+        }
+        const chords = sc.chordify();
+        assert.ok(chords instanceof music21.stream.Part);
+        assert.equal(chords.flat.notes.length, 3);
+        const c0 = chords.flat.notes.get(0);
+        assert.ok(c0.isChord);
+        assert.equal(
+            c0.pitches.map(p => p.nameWithOctave).join(' '),
+            'C3 C4 G4 E5'
+        );
+        const c2 = chords.flat.notes.get(2);
+        assert.equal(c2.offset, 2.0);
+        assert.equal(c2.duration.quarterLength, 2.0);
+        const figures = chords.flat.notes.elements.map(
+            c => music21.roman.romanNumeralFromChord(c, 'C').figure
+        );
+        assert.deepEqual(figures, ['I', 'V7', 'vi']);
+
+        const sop = music21.tinyNotation.TinyNotation('4/4 e2 d4 c4');
+        const bass = music21.tinyNotation.TinyNotation('4/4 C1');
+        const sc2 = new music21.stream.Score();
+        sc2.insert(0, sop);
+        sc2.insert(0, bass);
+        const chords2 = sc2.chordify();
+        assert.equal(chords2.flat.notes.length, 3, 'a new chord at every attack in any part');
+        assert.equal(
+            chords2.flat.notes.get(2).pitches.map(p => p.nameWithOctave).join(' '),
+            'C3 C4',
+            'held notes are in later chords'
+        );
+    });
+    QUnit.test('music21.stream.Stream chordify ties, measures, and voices', assert => {
+        const upper = music21.tinyNotation.TinyNotation("4/4 c'2 e'2~ e'4 d'2 r4");
+        const lower = music21.tinyNotation.TinyNotation('4/4 C1 G1');
+        const sc = new music21.stream.Score();
+        sc.insert(0, upper);
+        sc.insert(0, lower);
+        const chords = sc.chordify();
+        const measures = chords.getElementsByClass('Measure');
+        assert.equal(measures.length, 2);
+        assert.equal(
+            measures.get(1).number,
+            upper.getElementsByClass('Measure').get(1).number
+        );
+        assert.equal(measures.get(0).timeSignature.ratioString, '4/4');
+
+        const m2 = measures.get(1);
+        const firstInM2 = m2.get(0);
+        assert.equal(firstInM2.offset, 0.0, 'offsets are relative to the measure');
+        assert.equal(
+            firstInM2._notes.map(n => n.tie.type).join(' '),
+            'start stop',
+            'e5 is tied across the barline'
+        );
+        const flatChords = chords.flat.notesAndRests;
+        assert.deepEqual(
+            flatChords.elements.map(el => el.offset),
+            [0, 2, 4, 5, 7]
+        );
+        const lastChord = flatChords.get(4);
+        assert.equal(lastChord.pitches.length, 1, 'rest in the upper part');
+        assert.equal(lastChord.tie.type, 'stop', 'every note is tied, so the chord is tied');
+
+        const m = new music21.stream.Measure();
+        const v1 = new music21.stream.Voice();
+        const v2 = new music21.stream.Voice();
+        v1.append(new music21.note.Note('C5', 2.0));
+        v1.append(new music21.note.Note('C5', 2.0));
+        v1.get(0).tie = new music21.tie.Tie('start');
+        v1.get(1).tie = new music21.tie.Tie('stop');
+        for (const pName of ['E4', 'F4', 'G4', 'C5']) {
+            v2.append(new music21.note.Note(pName));
+        }
+        m.insert(0, v1);
+        m.insert(0, v2);
+        const p = new music21.stream.Part();
+        p.append(m);
+        const voiceChords = p.chordify().flat.notes;
+        assert.equal(voiceChords.length, 4);
+        assert.equal(
+            voiceChords.get(1)._notes[1].tie.type,
+            'continue',
+            'tied notes in a voice are one sustained note'
+        );
+        assert.equal(voiceChords.get(3).pitches.length, 2, 'both voices end on C5');
+
+        const gaps = new music21.stream.Part();
+        gaps.insert(1.0, new music21.note.Note('G4'));
+        gaps.insert(3.0, new music21.chord.Chord('C4 E4'));
+        const gapChords = gaps.chordify();
+        assert.ok(gapChords.get(0).isRest);
+        assert.equal(gapChords.notes.get(1).offset, 3.0, 'offsets are kept');
+    });
 }
@@ -0,0 +1,70 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.tempo.tempoTextToQuarterBPM', assert => {
+        assert.equal(music21.tempo.tempoTextToQuarterBPM('Allegro'), 132);
+        assert.equal(music21.tempo.tempoTextToQuarterBPM(' molto Adagio '), 40);
+        assert.equal(music21.tempo.tempoTextToQuarterBPM('Zippy'), undefined);
+        assert.equal(music21.tempo.tempoTextToQuarterBPM(undefined), undefined);
+    });
+
+    QUnit.test('music21.tempo.TempoText', assert => {
+        const tt = new music21.tempo.TempoText('Andante');
+        assert.ok(tt.classes.includes('TempoIndication'));
+        assert.ok(tt.isCommonTempoText());
+        const mm = tt.getMetronomeMark();
+        assert.equal(mm.text, 'Andante');
+        assert.equal(mm.number, 72);
+        assert.ok(mm.numberImplicit);
+        tt.text = 'With feeling';
+        assert.notOk(tt.isCommonTempoText());
+        assert.equal(tt.getMetronomeMark().number, undefined);
+        assert.equal(new music21.tempo.TempoText().getMetronomeMark(), undefined);
+    });
+
+    QUnit.test('music21.tempo.MetronomeMark', assert => {
+        const mm = new music21.tempo.MetronomeMark(undefined, 80);
+        assert.equal(mm.referent.type, 'quarter');
+        assert.ok(mm.textImplicit);
+        assert.notOk(mm.numberImplicit);
+        assert.equal(mm.getQuarterBPM(), 80);
+
+        const dotted = new music21.tempo.MetronomeMark('Allegro', 80, 1.5);
+        assert.equal(dotted.referent.type, 'quarter');
+        assert.equal(dotted.referent.dots, 1);
+        assert.equal(dotted.getQuarterBPM(), 120);
+        assert.notOk(dotted.numberImplicit, 'given number is not implicit');
+
+        const half = new music21.tempo.MetronomeMark('Slow', undefined, 'half');
+        assert.equal(half.number, 28, 'number from text in the referent unit');
+        assert.ok(half.numberImplicit);
+        assert.equal(half.getQuarterBPM(), 56);
+        half.setQuarterBPM(100);
+        assert.equal(half.number, 50);
+        assert.notOk(half.numberImplicit);
+        half.setQuarterBPM(120, true);
+        assert.ok(half.numberImplicit);
+        half.text = undefined;
+        assert.ok(half.textImplicit);
+
+        const noNumber = new music21.tempo.MetronomeMark('Sprightly');
+        assert.equal(noNumber.number, undefined);
+        assert.equal(noNumber.getQuarterBPM(), undefined);
+    });
+
+    QUnit.test('music21.tempo.MetronomeMark rendering', assert => {
+        const s = new music21.stream.Measure();
+        const r = new music21.vfShow.Renderer(s);
+        const mm = new music21.tempo.MetronomeMark('Vivace', 60, 1.5);
+        assert.deepEqual(r.vexflowTempo(mm), {
+            name: 'Vivace',
+            duration: 'q',
+            dots: 1,
+            bpm: 60,
+        });
+        mm.numberImplicit = true;
+        assert.deepEqual(r.vexflowTempo(mm), { name: 'Vivace' });
+        assert.equal(r.vexflowTempo(new music21.tempo.TempoText()), undefined);
+    });
+}
@@ -0,0 +1,277 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.tinyNotation.TinyNotation accidentals', assert => {
+        const m = music21.tinyNotation.TinyNotation('4/4 c#4 d## e- fn');
+        const notes = m.notes;
+        assert.equal(notes.get(0).pitch.name, 'C#');
+        assert.equal(notes.get(1).pitch.name, 'D##');
+        assert.equal(notes.get(2).pitch.name, 'E-');
+        assert.equal(notes.get(3).pitch.accidental.name, 'natural');
+        assert.equal(notes.get(3).pitch.accidental.displayType, 'always');
+    });
+
+    QUnit.test('music21.tinyNotation.TinyNotation microtones', assert => {
+        const m = music21.tinyNotation.TinyNotation('4/4 c^4 f#^ bv e-v');
+        const names = [];
+        for (const n of m.notes) {
+            names.push(n.pitch.name);
+        }
+        assert.deepEqual(names, ['C~', 'F#~', 'B`', 'E-`']);
+        assert.equal(m.notes.get(0).pitch.ps, 60.5);
+
+        const m2 = music21.tinyNotation.TinyNotation('4/4 c4(+20c) d8(-14c)~ d8 r2');
+        const n0 = m2.notes.get(0);
+        assert.equal(n0.pitch.microtone.cents, 20);
+        assert.equal(n0.duration.quarterLength, 1.0);
+        const n1 = m2.notes.get(1);
+        assert.equal(n1.pitch.microtone.cents, -14);
+        assert.equal(n1.duration.quarterLength, 0.5, 'cents not read as a duration');
+        assert.equal(n1.tie.type, 'start');
+    });
+
+    QUnit.test('music21.tinyNotation.TinyNotation chords', assert => {
+        const m = music21.tinyNotation.TinyNotation('4/4 chord{c4 e g} chord{d8 f a_la} r8 trip{chord{e8 g} f g}');
+        const elements = m.notesAndRests;
+        assert.equal(elements.length, 6);
+        const c1 = elements.get(0);
+        assert.ok(c1.isClassOrSubclass('Chord'));
+        assert.equal(c1.pitches.map(p => p.nameWithOctave).join(' '), 'C4 E4 G4');
+        assert.equal(c1.duration.quarterLength, 1.0);
+        const c2 = elements.get(1);
+        assert.equal(c2.duration.quarterLength, 0.5);
+        assert.equal(c2.offset, 1.0);
+        assert.equal(c2.lyric, 'la', 'lyric moves to the chord');
+        assert.equal(elements.get(2).offset, 1.5);
+        const c3 = elements.get(3);
+        assert.equal(c3.pitches.length, 2);
+        assert.equal(c3.duration.tuplets.length, 1);
+        assert.equal(elements.get(5).duration.tuplets.length, 1);
+        assert.ok(Math.abs(m.duration.quarterLength - 3.0) < 0.0001);
+
+        const tied = music21.tinyNotation.TinyNotation('chord{c2~ e g} chord{c e g}');
+        assert.equal(tied.get(0).tie.type, 'start');
+        assert.equal(tied.get(1).tie.type, 'stop');
+        assert.equal(tied.get(0)._notes[0].tie, undefined);
+    });
+
+    QUnit.test('music21.tinyNotation.TinyNotation keys and clefs', assert => {
+        const p = music21.tinyNotation.TinyNotation('4/4 k{Eb} clef{bass} C1 D1 k{c#} E1 clef{alto} F1');
+        const measures = p.getElementsByClass('Measure');
+        assert.equal(measures.length, 4);
+        assert.equal(measures.get(0).keySignature.sharps, -3);
+        assert.equal(measures.get(0).keySignature.mode, 'major');
+        assert.equal(measures.get(1).keySignature.sharps, -3, 'key continues');
+        assert.equal(measures.get(2).keySignature.sharps, 4);
+        assert.equal(measures.get(2).keySignature.mode, 'minor');
+        assert.equal(measures.get(0).clef.name, 'bass');
+        assert.ok(measures.get(0).clef.isClassOrSubclass('BassClef'));
+        assert.equal(measures.get(2).clef.name, 'bass');
+        assert.equal(measures.get(3).clef.name, 'alto');
+        assert.notEqual(
+            measures.get(0).keySignature,
+            measures.get(1).keySignature,
+            'each measure has its own copy'
+        );
+
+        const m = music21.tinyNotation.TinyNotation('k{-2} clef{treble8vb} c4');
+        assert.equal(m.keySignature.sharps, -2);
+        assert.equal(m.clef.name, 'treble');
+        assert.equal(m.clef.octaveChange, -1);
+    });
+
+    QUnit.test('music21.tinyNotation.TinyNotation dynamics and articulations', assert => {
+        const m = music21.tinyNotation.TinyNotation('4/4 !p! c4> d-. e8-. f8.-- !ff! g16-^');
+        const dyns = m.getElementsByClass('Dynamic');
+        assert.equal(dyns.length, 2);
+        assert.equal(dyns.get(0).value, 'p');
+        assert.equal(dyns.get(0).offset, 0);
+        assert.equal(dyns.get(1).value, 'ff');
+        assert.equal(dyns.get(1).offset, 3.75);
+        const notes = m.notes;
+        assert.ok(notes.get(0).articulations[0].isClassOrSubclass('Accent'));
+        assert.equal(notes.get(1).pitch.name, 'D-', 'dashes without a duration are flats');
+        assert.equal(notes.get(1).duration.quarterLength, 1.5);
+        assert.equal(notes.get(1).articulations.length, 0);
+        assert.equal(notes.get(2).pitch.name, 'E');
+        assert.equal(notes.get(2).articulations[0].name, 'staccato');
+        assert.equal(notes.get(3).duration.quarterLength, 0.75);
+        assert.equal(notes.get(3).articulations[0].name, 'tenuto');
+        assert.equal(notes.get(4).articulations[0].name, 'strong accent');
+    });
+
+    QUnit.test('music21.tinyNotation.TinyNotation staccato dots', assert => {
+        // without staccatoDots, a dash after the letter is a flat, so "e-." is a
+        // dotted E-flat, while after a duration "-." is a staccato.
+        const plain = music21.tinyNotation.TinyNotation('4/4 e4 e-. e4-. e-4-. c8');
+        let notes = plain.flat.notes;
+        assert.equal(notes.get(1).pitch.name, 'E-');
+        assert.equal(notes.get(1).duration.quarterLength, 1.5);
+        assert.equal(notes.get(1).articulations.length, 0);
+        assert.equal(notes.get(2).pitch.name, 'E');
+        assert.equal(notes.get(2).duration.quarterLength, 1.0);
+        assert.equal(notes.get(2).articulations[0].name, 'staccato');
+        assert.equal(notes.get(3).pitch.name, 'E-');
+        assert.equal(notes.get(3).articulations[0].name, 'staccato');
+
+        const withDots = music21.tinyNotation.TinyNotation(
+            '4/4 c4. d. e-. f8 g4.. a8', { staccatoDots: true }
+        );
+        notes = withDots.flat.notes;
+        for (const i of [0, 1, 2, 4]) {
+            assert.equal(notes.get(i).articulations[0].name, 'staccato', 'staccato ' + i);
+        }
+        assert.equal(notes.get(0).duration.quarterLength, 1.0);
+        assert.equal(notes.get(1).duration.quarterLength, 1.0, 'duration carried over');
+        assert.equal(notes.get(2).pitch.name, 'E-', '"e-." is a staccato E-flat');
+        assert.equal(notes.get(2).duration.quarterLength, 1.0);
+        assert.equal(notes.get(3).articulations.length, 0);
+        assert.equal(notes.get(4).duration.quarterLength, 1.5, 'other dots still dot');
+
+        const tnc = new music21.tinyNotation.Converter('c2.~ c4');
+        tnc.staccatoDots = true;
+        const tied = tnc.parse().stream.notes;
+        assert.equal(tied.get(0).tie.type, 'start');
+        assert.equal(tied.get(0).articulations[0].name, 'staccato');
+        assert.equal(tied.get(0).duration.quarterLength, 2.0);
+    });
+
+    QUnit.test('music21.tinyNotation.TinyNotation grace notes', assert => {
+        const m = music21.tinyNotation.TinyNotation(
+            "4/4 c4 grace{d16 e} f g grace{chord{a16 c'}} b"
+        );
+        const notes = m.notes;
+        assert.equal(notes.length, 7);
+        assert.equal(m.duration.quarterLength, 4.0, 'grace notes take no time');
+        const [d, e, f] = [notes.get(1), notes.get(2), notes.get(3)];
+        assert.ok(d.duration.isGrace);
+        assert.equal(d.duration.type, '16th');
+        assert.equal(d.duration.quarterLength, 0);
+        assert.ok(d.duration.slash);
+        assert.equal(d.offset, 1.0);
+        assert.equal(e.offset, 1.0);
+        assert.equal(f.offset, 1.0);
+        assert.notOk(f.duration.isGrace);
+        assert.equal(f.duration.quarterLength, 1.0, 'grace durations are not carried over');
+        const graceChord = notes.get(5);
+        assert.ok(graceChord.isClassOrSubclass('Chord'));
+        assert.ok(graceChord.duration.isGrace);
+        assert.equal(notes.get(6).duration.quarterLength, 1.0);
+    });
+
+    QUnit.test('music21.tinyNotation.TinyNotation unclosed brackets', assert => {
+        assert.throws(
+            () => music21.tinyNotation.TinyNotation('4/4 chord{c e g}4 d4'),
+            music21.tinyNotation.TinyNotationException,
+            '"}" not at the end of the token'
+        );
+        assert.throws(
+            () => music21.tinyNotation.TinyNotation('4/4 chord{c4 e g d4'),
+            music21.tinyNotation.TinyNotationException,
+            'chord never closed'
+        );
+        assert.throws(
+            () => music21.tinyNotation.TinyNotation('4/4 trip{c8 d e f4'),
+            music21.tinyNotation.TinyNotationException,
+            'triplet never closed'
+        );
+        const m = music21.tinyNotation.TinyNotation('4/4 chord{c4 e g} d4 k{D} e2');
+        assert.deepEqual(
+            m.flat.notes.elements.map(n => n.isClassOrSubclass('Chord')),
+            [true, false, false],
+            'well-formed brackets still parse'
+        );
+    });
+
+    QUnit.test('music21.tinyNotation.TinyNotation parts', assert => {
+        const sc = music21.tinyNotation.TinyNotation(
+            '3/4 k{G} e4 d c e2. // C2. GG2.'
+        );
+        assert.ok(sc.isClassOrSubclass('Score'));
+        assert.equal(sc.parts.length, 2);
+        const [sop, bass] = [sc.parts.get(0), sc.parts.get(1)];
+        assert.equal(sop.offset, 0);
+        assert.equal(bass.offset, 0, 'last part starts with the others');
+        assert.equal(bass.getElementsByClass('Measure').length, 2);
+        const bassM1 = bass.getElementsByClass('Measure').get(0);
+        assert.equal(bassM1.timeSignature.ratioString, '3/4');
+        assert.equal(bassM1.keySignature.sharps, 1);
+        assert.equal(bass.clef.name, 'bass');
+        assert.equal(sop.clef.name, 'treble');
+        const sc2 = music21.tinyNotation.TinyNotation('c1 partBreak C1');
+        assert.equal(sc2.parts.length, 2);
+    });
+
+    QUnit.test('music21.tinyNotation.Converter', assert => {
+        const tnc = new music21.tinyNotation.Converter('3/4 c4 d e f');
+        assert.equal(tnc.parse(), tnc);
+        assert.ok(tnc.stream.isClassOrSubclass('Part'));
+        assert.equal(tnc.stream.getElementsByClass('Measure').length, 2);
+        tnc.load('c4 d=second e_mi');
+        const m = tnc.parse().stream;
+        assert.ok(m.isClassOrSubclass('Measure'));
+        assert.equal(m.notes.get(1).id, 'second');
+        assert.equal(m.notes.get(2).lyric, 'mi');
+    });
+
+    QUnit.test('music21.tinyNotation.Converter custom modifiers', assert => {
+        class ColorModifier extends music21.tinyNotation.Modifier {
+            postParse(n) {
+                n.noteheadColor = this.modifierData;
+                return n;
+            }
+        }
+        class SolfegeModifier extends music21.tinyNotation.Modifier {
+            postParse(n) {
+                const syllables = { C: 'do', D: 're', E: 'mi' };
+                n.lyric = syllables[n.pitch.step];
+                return n;
+            }
+        }
+        const tnc = new music21.tinyNotation.Converter('c4[red] d4*s* e[blue]*s* f');
+        tnc.modifierSquare = ColorModifier;
+        tnc.modifierStar = SolfegeModifier;
+        const notes = tnc.parse().stream.notes;
+        assert.equal(notes.get(0).noteheadColor, 'red');
+        assert.equal(notes.get(0).lyric, undefined);
+        assert.equal(notes.get(1).noteheadColor, 'black');
+        assert.equal(notes.get(1).lyric, 're');
+        assert.equal(notes.get(2).noteheadColor, 'blue');
+        assert.equal(notes.get(2).lyric, 'mi');
+        assert.equal(notes.get(2).duration.quarterLength, 1.0);
+        assert.equal(notes.get(3).pitch.name, 'F');
+
+        const tnc2 = new music21.tinyNotation.Converter('c4[red]');
+        assert.equal(tnc2.parse().stream.notes.get(0).noteheadColor, 'black', 'not registered');
+    });
+
+    QUnit.test('music21.tinyNotation.Converter custom tokens and states', assert => {
+        class HiddenRestToken extends music21.tinyNotation.RestToken {
+            parse(parent) {
+                const r = super.parse(parent);
+                r.color = 'white';
+                return r;
+            }
+        }
+        class OctaveUpState extends music21.tinyNotation.State {
+            affectTokenAfterParse(n) {
+                super.affectTokenAfterParse(n);
+                if (n.pitch !== undefined) {
+                    n.pitch.octave += 1;
+                }
+                return n;
+            }
+        }
+        const tnc = new music21.tinyNotation.Converter('c4 x4 up{c d} e');
+        tnc.tokenMap.unshift([/^x/, HiddenRestToken]);
+        tnc.bracketStateMapping.up = OctaveUpState;
+        const elements = tnc.parse().stream.flat.notesAndRests;
+        assert.equal(elements.length, 5);
+        assert.ok(elements.get(1).isRest);
+        assert.equal(elements.get(1).color, 'white');
+        assert.equal(elements.get(2).pitch.nameWithOctave, 'C5');
+        assert.equal(elements.get(3).pitch.nameWithOctave, 'D5');
+        assert.equal(elements.get(4).pitch.nameWithOctave, 'E4', 'state has ended');
+    });
+}
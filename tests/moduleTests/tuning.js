@@ -0,0 +1,81 @@
+import * as QUnit from 'qunit';
+import music21 from '../../src/loadModules';
+
+export default function tests() {
+    QUnit.test('music21.tuning.EqualTemperament', assert => {
+        const et = new music21.tuning.EqualTemperament();
+        const p = new music21.pitch.Pitch('C4');
+        assert.equal(et.frequency(p), p.frequency);
+        assert.equal(et.midiPitchBend(p), 8192);
+        const baroque = new music21.tuning.EqualTemperament({ referenceFrequency: 415 });
+        assert.equal(baroque.frequency('A4'), 415);
+        assert.equal(baroque.frequency('A5'), 830);
+        assert.ok(baroque.midiPitchBend('A4') < 8192 - 4000, 'about a semitone low');
+    });
+
+    QUnit.test('music21.tuning.RegularTemperament', assert => {
+        const py = new music21.tuning.PythagoreanTuning();
+        assert.equal(py.frequency('A4'), 440);
+        assert.equal(py.frequency('E5').toFixed(3), '660.000', 'pure fifth');
+        assert.equal(py.frequency('C4').toFixed(3), '260.741');
+        assert.ok(py.frequency('G#4') > py.frequency('A-4'), 'sharps above flats');
+
+        const mt = new music21.tuning.MeantoneTemperament();
+        const third = 1200 * Math.log2(mt.frequency('E4') / mt.frequency('C4'));
+        assert.equal(third.toFixed(2), '386.31', 'pure major third');
+        assert.ok(mt.frequency('G#4') < mt.frequency('A-4'), 'flats above sharps');
+    });
+
+    QUnit.test('music21.tuning.CentsTableTuning', assert => {
+        const w = new music21.tuning.WerckmeisterTemperament();
+        assert.equal(w.centsDeviation(new music21.pitch.Pitch('C')), 0);
+        assert.equal(w.centsDeviation(new music21.pitch.Pitch('F#')).toFixed(2), '-11.73');
+        assert.equal(w.frequency('A4'), 440);
+        assert.throws(() => new music21.tuning.CentsTableTuning([0, 100]));
+
+        const ji = new music21.tuning.JustIntonation('C');
+        assert.equal(ji.frequency('C4').toFixed(3), '264.000');
+        assert.equal(ji.frequency('E4').toFixed(3), '330.000');
+        assert.equal(ji.frequency('G4').toFixed(3), '396.000');
+        const jiD = new music21.tuning.JustIntonation(new music21.key.Key('D'));
+        assert.equal(jiD.centsDeviation(new music21.pitch.Pitch('F#')).toFixed(2), '-13.69');
+    });
+
+    QUnit.test('music21.tuning default tuning and pitch', assert => {
+        const p = new music21.pitch.Pitch('C4');
+        const ji = new music21.tuning.JustIntonation('C');
+        assert.equal(p.getFrequency(ji).toFixed(3), '264.000');
+        assert.equal(p.getMidiPitchBend(ji), ji.midiPitchBend(p));
+        music21.tuning.setDefaultTuning(ji);
+        assert.equal(p.frequency.toFixed(3), '264.000');
+        assert.equal(p.midiPitchBend, ji.midiPitchBend(p));
+        assert.equal(music21.tuning.getDefaultTuning(), ji);
+        music21.tuning.setDefaultTuning(undefined);
+        assert.equal(p.frequency.toFixed(3), '261.626');
+        assert.equal(music21.tuning.getDefaultTuning().name, 'equal temperament');
+    });
+
+    QUnit.test('music21.tuning audioSearch and streams', assert => {
+        const ji = new music21.tuning.JustIntonation('C');
+        assert.deepEqual(music21.audioSearch.midiNumDiffFromFrequency(330), [64, 2]);
+        assert.deepEqual(music21.audioSearch.midiNumDiffFromFrequency(330, ji), [64, 0]);
+
+        const s = new music21.stream.Score();
+        const p = new music21.stream.Part();
+        s.insert(0, p);
+        assert.equal(p.tuning.name, 'equal temperament');
+        s.tuning = ji;
+        assert.equal(p.tuning, ji, 'inherited from activeSite');
+        assert.equal(s.clone().tuning.name, 'just intonation');
+
+        const n = new music21.note.Note('E4');
+        assert.equal(n.frequency.toFixed(3), '329.628', 'default tuning outside a Stream');
+        const m = new music21.stream.Measure();
+        m.append(n);
+        p.append(m);
+        assert.equal(n.frequency.toFixed(3), '330.000', 'tuning of the Score');
+        assert.equal(n.pitch.frequency.toFixed(3), '329.628', 'pitch uses the default tuning');
+        m.tuning = new music21.tuning.EqualTemperament({ referenceFrequency: 415 });
+        assert.equal(n.frequency.toFixed(3), (415 * 2 ** (-5 / 12)).toFixed(3), 'nearest tuning wins');
+    });
+}
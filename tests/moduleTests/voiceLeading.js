@@ -108,4 +108,60 @@ export default function tests() {
             );
         }
     );
+    QUnit.test('music21.voiceLeading.analyzeScore', assert => {
+        const makePart = measureNames => {
+            const p = new music21.stream.Part();
+            for (let i = 0; i < measureNames.length; i++) {
+                const m = new music21.stream.Measure();
+                m.number = i + 1;
+                if (i === 0) {
+                    m.timeSignature = new music21.meter.TimeSignature('3/4');
+                }
+                for (const pName of measureNames[i]) {
+                    m.append(new music21.note.Note(pName));
+                }
+                p.append(m);
+            }
+            return p;
+        };
+        const sc = new music21.stream.Score();
+        sc.insert(0, makePart([['C5', 'D5', 'E5'], ['C4', 'C5', 'G4']]));
+        sc.insert(0, makePart([['A4', 'G4', 'C4'], ['D4', 'E4', 'C4']]));
+        sc.insert(0, makePart([['D4', 'C4', 'A3'], ['B3', 'A3', 'F3']]));
+
+        const violations = music21.voiceLeading.analyzeScore(sc, 'C');
+        const summary = violations.map(
+            v => [v.type, v.measureNumber, v.beat, v.partIndices.join('-')].join(' ')
+        );
+        assert.deepEqual(summary, [
+            'parallelFifth 1 2 1-2',
+            'voiceOverlap 1 3 1-2',
+            'voiceCrossing 2 1 0-1',
+            'voiceOverlap 2 1 0-1',
+            'voiceOverlap 2 2 0-1',
+            'hiddenFifth 2 3 0-1',
+            'parallelFifth 2 3 1-2',
+        ]);
+        const crossing = violations[2];
+        assert.equal(crossing.quartet, undefined);
+        assert.equal(crossing.notes[0].nameWithOctave, 'C4');
+        assert.equal(crossing.parts[1], sc.parts.get(1));
+        const fifths = violations[0];
+        assert.equal(fifths.offset, 1.0);
+        assert.ok(fifths.quartet.parallelFifth());
+        assert.equal(fifths.quartet.key.tonic.name, 'C');
+
+        music21.voiceLeading.colorViolations([fifths]);
+        assert.equal(fifths.notes[0].noteheadColor, 'red');
+        assert.equal(
+            sc.parts.get(1).getElementsByClass('Measure').get(0).get(1).noteheadColor,
+            'red',
+            'notes in the Score are colored'
+        );
+        assert.equal(crossing.notes[1].noteheadColor, 'black');
+
+        const oneLine = new music21.stream.Score();
+        oneLine.insert(0, makePart([['C4', 'D4', 'E4']]));
+        assert.deepEqual(music21.voiceLeading.analyzeScore(oneLine), []);
+    });
 }